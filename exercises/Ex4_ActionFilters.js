@@ -0,0 +1,179 @@
+// ===== Action Search, Filters and Sorting =====
+// Toolbar over the Phase 3 action list: text search, filters for cost,
+// difficulty, time to implement, infrastructure and co-benefit, and a sort
+// order.
+// Filters only hide items, so selected actions that are filtered out keep
+// their checkbox and still count in the live feedback. Sorting by anything
+// but category turns the list into a single ranked list. The toolbar
+// controls hold the state, so it survives displayActions re-rendering the
+// list for new actions, a language change or a unit change.
+
+const ActionFilters = (() => {
+    // Toolbar select -> action field
+    const FILTERS = {
+        actionCostFilter: 'CostCategory',
+        actionDifficultyFilter: 'Difficulty',
+        actionTimeFilter: 'TimeToImplement'
+    };
+
+    // ===== Matching =====
+    function control(id) {
+        return document.getElementById(id);
+    }
+
+    function requiresInfrastructure(action) {
+        return String(action.RequiresInfrastructure).toLowerCase() === 'true';
+    }
+
+    // Searches the translated and the original name and description
+    function matchesSearch(action, query) {
+        if (!query) return true;
+        const text = [
+            I18n.actionName(action.ActionID, action.ActionName),
+            I18n.actionDescription(action.ActionID, action.Description),
+            action.ActionName,
+            action.Description
+        ].join(' ').toLowerCase();
+        return query.split(/\s+/).every(word => text.includes(word));
+    }
+
+    function matches(action) {
+        const query = control('actionSearch').value.trim().toLowerCase();
+        if (!matchesSearch(action, query)) return false;
+
+        const filtered = Object.keys(FILTERS).some(id => {
+            const value = control(id).value;
+            return value !== '' && action[FILTERS[id]] !== value;
+        });
+        if (filtered) return false;
+
+        const benefit = control('actionBenefitFilter').value;
+        if (benefit !== '' && !CoBenefits.of(action).includes(benefit)) return false;
+
+        const infrastructure = control('actionInfrastructureFilter').value;
+        if (infrastructure === '') return true;
+        return requiresInfrastructure(action) === (infrastructure === 'yes');
+    }
+
+    // ===== Sorting =====
+    // Share of the user's own emissions in the action's category
+    function footprintShare(action) {
+        const emissions = currentFootprint[action.Category.toLowerCase()];
+        return emissions > 0 ? Math.min(action.BaseImpact_kg / emissions, 1) : 0;
+    }
+
+    // Higher ranks first; actions without a cost per tonne go last
+    const RANKINGS = {
+        impact: action => action.BaseImpact_kg,
+        costEffectiveness: action => {
+            const cost = Finance.costPerTonne(action);
+            return cost === null ? -Infinity : -cost;
+        },
+        footprintShare,
+        benefitScore: action => CoBenefits.score(action)
+    };
+
+    function sortOrder() {
+        return control('actionSort').value;
+    }
+
+    // [{ category, actions }] in display order; category is null for a
+    // ranked list
+    function arrange(actions, categories) {
+        const rank = RANKINGS[sortOrder()];
+        if (!rank) {
+            return categories.map(category => ({
+                category,
+                actions: actions.filter(action => action.Category === category)
+            })).filter(group => group.actions.length > 0);
+        }
+
+        const ranked = actions.slice().sort((a, b) => rank(b) - rank(a) || b.BaseImpact_kg - a.BaseImpact_kg);
+        return [{ category: null, actions: ranked }];
+    }
+
+    // The figure the list is ranked by, shown with each action
+    function rankingNote(action) {
+        switch (sortOrder()) {
+            case 'costEffectiveness':
+                return I18n.t('filters.costPerTonne', { cost: Finance.formatCostPerTonne(Finance.costPerTonne(action)) });
+            case 'footprintShare':
+                return I18n.t('filters.share', {
+                    percent: Units.percent(footprintShare(action) * 100),
+                    category: I18n.term('category', action.Category)
+                });
+            case 'benefitScore':
+                return I18n.t('benefits.score', { score: Units.number(CoBenefits.score(action)) });
+            default:
+                return '';
+        }
+    }
+
+    function rankedHeading() {
+        return I18n.t(`filters.rankedBy.${sortOrder()}`);
+    }
+
+    // ===== Applying =====
+    // Hides the actions that don't match and the sections left empty
+    function apply() {
+        let shown = 0;
+        let hiddenSelected = 0;
+
+        availableActions.forEach(action => {
+            const checkbox = document.getElementById(`action-${action.ActionID}`);
+            if (!checkbox) return;
+
+            const visible = matches(action);
+            checkbox.closest('.action-item').hidden = !visible;
+            if (visible) {
+                shown++;
+            } else if (selectedActionIDs.includes(action.ActionID)) {
+                hiddenSelected++;
+            }
+        });
+
+        document.querySelectorAll('#actionsList .action-category').forEach(section => {
+            section.hidden = !section.querySelector('.action-item:not([hidden])');
+        });
+
+        const summary = [I18n.t('filters.showing', { shown, count: availableActions.length })];
+        if (hiddenSelected > 0) {
+            summary.push(I18n.t('filters.hiddenSelected', { count: hiddenSelected }));
+        }
+        control('actionFilterSummary').textContent = summary.join(' · ');
+        control('actionFilterEmpty').hidden = shown > 0 || availableActions.length === 0;
+    }
+
+    // A new order needs the list rebuilt; filters only need apply()
+    function sort() {
+        displayActions(availableActions);
+    }
+
+    function clearFilters() {
+        control('actionSearch').value = '';
+        Object.keys(FILTERS).concat('actionInfrastructureFilter', 'actionBenefitFilter').forEach(id => {
+            control(id).value = '';
+        });
+    }
+
+    function clear() {
+        clearFilters();
+        apply();
+    }
+
+    // Back to the full list in category order, for a fresh start
+    function reset() {
+        clearFilters();
+        control('actionSort').value = 'category';
+    }
+
+    return {
+        arrange,
+        rankingNote,
+        rankedHeading,
+        apply,
+        sort,
+        clear,
+        reset
+    };
+})();
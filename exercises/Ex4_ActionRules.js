@@ -0,0 +1,244 @@
+// ===== Action Interaction Rules =====
+// Some actions in actionLibrary.csv cannot be combined or save less together
+// than apart. The backend adds impacts independently, so this layer adjusts
+// the combined result and marks conflicting items in the action list.
+//   exclusive  - alternatives to each other; a plan holds at most one
+//   supersedes - the covering action already includes the covered one's savings
+//   overlaps   - both apply, but the smaller saving shrinks by `factor`;
+//                only for actions taken by the same household member, as
+//                members have their own commutes and purchases
+// `reason` names the rules.reason.* text shown with the adjustment, and an
+// exclusive group's `name` the optimizer.group.* text.
+
+const ActionRules = (() => {
+    const EXCLUSIVE_GROUPS = [
+        { name: 'vehicle', ids: [1, 2, 10] },
+        { name: 'transit', ids: [3, 4] },
+        { name: 'solar', ids: [13, 14] },
+        { name: 'diet', ids: [27, 28, 29, 30] }
+    ];
+
+    const SUPERSEDES = [
+        { action: 29, covers: [31] },   // Vegetarian already cuts all beef
+        { action: 30, covers: [31] },   // Vegan already cuts all beef
+        { action: 4, covers: [6] }      // Full-time transit leaves no car commute to share
+    ];
+
+    const OVERLAPS = [
+        { ids: [1, 11], factor: 0.3, reason: 'ecoDrivingElectric' },
+        { ids: [1, 12], factor: 0.5, reason: 'tiresElectric' },
+        { ids: [2, 11], factor: 0.6, reason: 'plugInHybrid' },
+        { ids: [10, 11], factor: 0.7, reason: 'hybrid' },
+        { ids: [1, 3], factor: 0.5, reason: 'fewerCarKm' },
+        { ids: [1, 4], factor: 0.5, reason: 'fewerCarKm' },
+        { ids: [3, 9], factor: 0.5, reason: 'sameCommute' },
+        { ids: [4, 9], factor: 0.5, reason: 'sameCommute' },
+        { ids: [6, 9], factor: 0.6, reason: 'sameCommute' },
+        { ids: [13, 24], factor: 0.25, reason: 'renewableSolar' },
+        { ids: [14, 24], factor: 0.25, reason: 'renewableSolar' },
+        { ids: [15, 16], factor: 0.8, reason: 'insulatedHeatPump' },
+        { ids: [15, 21], factor: 0.5, reason: 'heatPumpHeating' },
+        { ids: [16, 20], factor: 0.7, reason: 'sameHeatLoss' },
+        { ids: [40, 41], factor: 0.6, reason: 'sameDevices' },
+        { ids: [42, 43], factor: 0.5, reason: 'sameClothes' },
+        { ids: [42, 45], factor: 0.5, reason: 'samePurchases' },
+        { ids: [44, 45], factor: 0.5, reason: 'samePurchases' },
+        { ids: [45, 48], factor: 0.5, reason: 'samePurchases' }
+    ];
+
+    // ===== Queries =====
+    function exclusiveGroupOf(actionID) {
+        return EXCLUSIVE_GROUPS.find(group => group.ids.includes(actionID)) || null;
+    }
+
+    // Selected actions that must be dropped if actionID is selected
+    function exclusiveConflicts(actionID, selectedIDs) {
+        const group = exclusiveGroupOf(actionID);
+        if (!group) return [];
+        return selectedIDs.filter(id => id !== actionID && group.ids.includes(id));
+    }
+
+    // Selected actions whose savings already include actionID
+    function coveringActions(actionID, selectedIDs) {
+        return SUPERSEDES
+            .filter(rule => rule.covers.includes(actionID) && selectedIDs.includes(rule.action))
+            .map(rule => rule.action);
+    }
+
+    function sameAssignee(ids) {
+        return ids.every(id => Household.assignee(id) === Household.assignee(ids[0]));
+    }
+
+    function overlapsWith(actionID, selectedIDs) {
+        return OVERLAPS.filter(rule =>
+            rule.ids.includes(actionID) &&
+            rule.ids.every(id => id === actionID || selectedIDs.includes(id)) &&
+            sameAssignee(rule.ids));
+    }
+
+    // Actions that can never share a plan: exclusive groups joined with
+    // supersedes pairs into connected components (used by the optimizer)
+    function exclusiveComponents() {
+        const parent = {};
+        const find = id => (parent[id] === undefined || parent[id] === id ? id : find(parent[id]));
+        const union = (a, b) => { parent[find(a)] = find(b); };
+
+        EXCLUSIVE_GROUPS.forEach(group => group.ids.forEach(id => { parent[id] = id; }));
+        SUPERSEDES.forEach(rule => [rule.action].concat(rule.covers).forEach(id => { parent[id] = id; }));
+        EXCLUSIVE_GROUPS.forEach(group => group.ids.forEach(id => union(id, group.ids[0])));
+        SUPERSEDES.forEach(rule => rule.covers.forEach(id => union(id, rule.action)));
+
+        const components = {};
+        Object.keys(parent).map(Number).forEach(id => {
+            const root = find(id);
+            (components[root] = components[root] || []).push(id);
+        });
+
+        return Object.values(components).map(ids => {
+            const group = EXCLUSIVE_GROUPS.find(g => g.ids.some(id => ids.includes(id)));
+            return { name: group ? group.name : 'overlapping', ids: ids.sort((a, b) => a - b) };
+        });
+    }
+
+    // ===== Combined Impact =====
+    // Returns a copy of the backend impact with interactions applied, plus an
+    // `interactions` list of the adjustments: { type, id, other, reduction,
+    // reason } where `id` lost `reduction` g because of `other` (see
+    // describe). Action names are translated to the interface language.
+    function applyInteractions(impact, footprint) {
+        const details = [].concat(impact.actionDetails || [])
+            .map(d => Object.assign({}, d, { name: I18n.actionName(d.id, d.name) }));
+        const byID = {};
+        details.forEach(d => { byID[d.id] = d; });
+        const interactions = [];
+
+        // Exclusive groups: keep the biggest saver only
+        EXCLUSIVE_GROUPS.forEach(group => {
+            const members = details.filter(d => group.ids.includes(d.id)).sort((a, b) => b.impact - a.impact);
+            members.slice(1).forEach(d => {
+                interactions.push({ type: 'exclusive', id: d.id, other: members[0].id, reduction: d.impact });
+                d.impact = 0;
+            });
+        });
+
+        // Supersedes: covered savings are already counted
+        SUPERSEDES.forEach(rule => {
+            const cover = byID[rule.action];
+            if (!cover || cover.impact === 0) return;
+            rule.covers.filter(id => byID[id] && byID[id].impact > 0).forEach(id => {
+                interactions.push({ type: 'supersedes', id, other: rule.action, reduction: byID[id].impact });
+                byID[id].impact = 0;
+            });
+        });
+
+        // Overlaps: the smaller saving shrinks
+        OVERLAPS.forEach(rule => {
+            const pair = rule.ids.map(id => byID[id]);
+            if (pair.some(d => !d || d.impact === 0) || !sameAssignee(rule.ids)) return;
+
+            const smaller = pair[0].impact <= pair[1].impact ? pair[0] : pair[1];
+            const larger = smaller === pair[0] ? pair[1] : pair[0];
+            const reduction = smaller.impact * (1 - rule.factor);
+            smaller.impact -= reduction;
+            interactions.push({ type: 'overlap', id: smaller.id, other: larger.id, reduction, reason: rule.reason });
+        });
+
+        if (interactions.length === 0) {
+            return Object.assign({}, impact, { actionDetails: details, interactions });
+        }
+
+        // Rebuild totals from the adjusted details
+        const categoryBreakdown = { Transport: 0, Home: 0, Food: 0, Digital: 0, Consumption: 0 };
+        details.forEach(d => { categoryBreakdown[d.category] += d.impact; });
+        const totalReduction = details.reduce((sum, d) => sum + d.impact, 0);
+        const newTotal = (footprint.total - totalReduction) / 1000;
+        const parisTarget = footprint.parisTarget;
+
+        details.sort((a, b) => b.impact - a.impact);
+
+        return Object.assign({}, impact, {
+            actionDetails: details,
+            categoryBreakdown,
+            totalReduction,
+            newTotal,
+            reductionPercent: (totalReduction / footprint.total) * 100,
+            parisStatus: newTotal <= parisTarget ? 'aligned' : (newTotal <= parisTarget * 1.5 ? 'close' : 'above'),
+            interactionAdjustment: impact.totalReduction - totalReduction,
+            interactions
+        });
+    }
+
+    // ===== Action List Markers =====
+    function actionName(actionID) {
+        const action = availableActions.find(a => a.ActionID === actionID);
+        return action ? I18n.actionName(actionID, action.ActionName) : I18n.t('actions.unknown', { id: actionID });
+    }
+
+    // Why an entry of `interactions` reduced the plan, in the interface language
+    function describe(interaction) {
+        return I18n.t(`rules.explain.${interaction.type}`, {
+            name: actionName(interaction.id),
+            other: actionName(interaction.other),
+            reason: interaction.reason ? I18n.t(`rules.reason.${interaction.reason}`) : '',
+            value: Units.number(interaction.reduction / 1000, 2)
+        });
+    }
+
+    function ruleNote(actionID, selectedIDs) {
+        const selected = selectedIDs.includes(actionID);
+        const others = selectedIDs.filter(id => id !== actionID);
+
+        const exclusive = exclusiveConflicts(actionID, others);
+        if (!selected && exclusive.length > 0) {
+            return { level: 'conflict', text: I18n.t('rules.alternative', { names: exclusive.map(actionName).join(', ') }) };
+        }
+
+        const covering = coveringActions(actionID, others);
+        if (covering.length > 0) {
+            return { level: selected ? 'warning' : 'conflict',
+                text: I18n.t(selected ? 'rules.includedSelected' : 'rules.included', { names: covering.map(actionName).join(', ') }) };
+        }
+
+        const overlaps = overlapsWith(actionID, others);
+        if (overlaps.length > 0) {
+            const partners = overlaps.map(rule => actionName(rule.ids.find(id => id !== actionID)));
+            return { level: 'warning', text: I18n.t('rules.overlaps', { names: partners.join(', ') }) };
+        }
+
+        return null;
+    }
+
+    function markActions(selectedIDs) {
+        availableActions.forEach(action => {
+            const checkbox = document.getElementById(`action-${action.ActionID}`);
+            if (!checkbox) return;
+
+            const item = checkbox.closest('.action-item');
+            const note = ruleNote(action.ActionID, selectedIDs);
+            let noteEl = item.querySelector('.action-rule-note');
+
+            item.classList.toggle('conflicting', !!note && note.level === 'conflict');
+            item.classList.toggle('overlapping', !!note && note.level === 'warning');
+
+            if (!note) {
+                if (noteEl) noteEl.remove();
+                return;
+            }
+
+            if (!noteEl) {
+                noteEl = document.createElement('div');
+                noteEl.className = 'action-rule-note';
+                item.querySelector('.action-details').appendChild(noteEl);
+            }
+            noteEl.textContent = `${note.level === 'conflict' ? '⛔' : '⚠️'} ${note.text}`;
+        });
+    }
+
+    return {
+        exclusiveConflicts,
+        exclusiveComponents,
+        applyInteractions,
+        describe,
+        markActions
+    };
+})();
@@ -0,0 +1,176 @@
+// ===== Airports =====
+// Offline table of major passenger airports for the flight logger, so trips
+// can be entered by IATA code without a network lookup. Coordinates are in
+// decimal degrees; countries are ISO 3166 alpha-2 codes, which decide
+// whether a flight is domestic. Distances are great-circle (haversine) on a
+// spherical Earth.
+
+const Airports = (() => {
+    const EARTH_RADIUS_KM = 6371;
+
+    // [IATA, name, country, latitude, longitude]
+    const TABLE = [
+        // North America
+        ['ATL', 'Atlanta Hartsfield-Jackson', 'US', 33.6407, -84.4277],
+        ['AUS', 'Austin-Bergstrom', 'US', 30.1975, -97.6664],
+        ['BOS', 'Boston Logan', 'US', 42.3656, -71.0096],
+        ['CLT', 'Charlotte Douglas', 'US', 35.2144, -80.9473],
+        ['DCA', 'Washington Reagan National', 'US', 38.8512, -77.0402],
+        ['DEN', 'Denver', 'US', 39.8561, -104.6737],
+        ['DFW', 'Dallas/Fort Worth', 'US', 32.8998, -97.0403],
+        ['DTW', 'Detroit Metropolitan', 'US', 42.2162, -83.3554],
+        ['EWR', 'Newark Liberty', 'US', 40.6895, -74.1745],
+        ['HNL', 'Honolulu', 'US', 21.3187, -157.9225],
+        ['IAD', 'Washington Dulles', 'US', 38.9531, -77.4565],
+        ['IAH', 'Houston George Bush', 'US', 29.9902, -95.3368],
+        ['JFK', 'New York John F. Kennedy', 'US', 40.6413, -73.7781],
+        ['LAS', 'Las Vegas Harry Reid', 'US', 36.0840, -115.1537],
+        ['LAX', 'Los Angeles', 'US', 33.9416, -118.4085],
+        ['LGA', 'New York LaGuardia', 'US', 40.7769, -73.8740],
+        ['MCO', 'Orlando', 'US', 28.4312, -81.3081],
+        ['MIA', 'Miami', 'US', 25.7959, -80.2870],
+        ['MSP', 'Minneapolis-St Paul', 'US', 44.8848, -93.2223],
+        ['ORD', 'Chicago O\'Hare', 'US', 41.9742, -87.9073],
+        ['PDX', 'Portland', 'US', 45.5898, -122.5951],
+        ['PHL', 'Philadelphia', 'US', 39.8744, -75.2424],
+        ['PHX', 'Phoenix Sky Harbor', 'US', 33.4342, -112.0116],
+        ['SAN', 'San Diego', 'US', 32.7338, -117.1933],
+        ['SEA', 'Seattle-Tacoma', 'US', 47.4502, -122.3088],
+        ['SFO', 'San Francisco', 'US', 37.6213, -122.3790],
+        ['SLC', 'Salt Lake City', 'US', 40.7899, -111.9791],
+        ['YUL', 'Montréal-Trudeau', 'CA', 45.4706, -73.7408],
+        ['YVR', 'Vancouver', 'CA', 49.1967, -123.1815],
+        ['YYC', 'Calgary', 'CA', 51.1215, -114.0076],
+        ['YYZ', 'Toronto Pearson', 'CA', 43.6777, -79.6248],
+        ['CUN', 'Cancún', 'MX', 21.0365, -86.8771],
+        ['MEX', 'Mexico City', 'MX', 19.4361, -99.0719],
+
+        // South America
+        ['BOG', 'Bogotá El Dorado', 'CO', 4.7016, -74.1469],
+        ['EZE', 'Buenos Aires Ezeiza', 'AR', -34.8222, -58.5358],
+        ['GIG', 'Rio de Janeiro Galeão', 'BR', -22.8090, -43.2506],
+        ['GRU', 'São Paulo Guarulhos', 'BR', -23.4356, -46.4731],
+        ['LIM', 'Lima Jorge Chávez', 'PE', -12.0219, -77.1143],
+        ['SCL', 'Santiago', 'CL', -33.3930, -70.7858],
+
+        // Europe
+        ['AMS', 'Amsterdam Schiphol', 'NL', 52.3105, 4.7683],
+        ['ARN', 'Stockholm Arlanda', 'SE', 59.6498, 17.9238],
+        ['ATH', 'Athens', 'GR', 37.9364, 23.9445],
+        ['BCN', 'Barcelona El Prat', 'ES', 41.2974, 2.0833],
+        ['BER', 'Berlin Brandenburg', 'DE', 52.3667, 13.5033],
+        ['BGO', 'Bergen Flesland', 'NO', 60.2934, 5.2181],
+        ['BRU', 'Brussels', 'BE', 50.9014, 4.4844],
+        ['BUD', 'Budapest', 'HU', 47.4370, 19.2556],
+        ['CDG', 'Paris Charles de Gaulle', 'FR', 49.0097, 2.5479],
+        ['CPH', 'Copenhagen', 'DK', 55.6180, 12.6508],
+        ['DUB', 'Dublin', 'IE', 53.4264, -6.2499],
+        ['EDI', 'Edinburgh', 'GB', 55.9500, -3.3725],
+        ['FCO', 'Rome Fiumicino', 'IT', 41.8003, 12.2389],
+        ['FRA', 'Frankfurt', 'DE', 50.0379, 8.5622],
+        ['GVA', 'Geneva', 'CH', 46.2381, 6.1090],
+        ['HAM', 'Hamburg', 'DE', 53.6304, 9.9882],
+        ['HEL', 'Helsinki-Vantaa', 'FI', 60.3172, 24.9633],
+        ['IST', 'Istanbul', 'TR', 41.2753, 28.7519],
+        ['KEF', 'Reykjavík Keflavík', 'IS', 63.9850, -22.6056],
+        ['LGW', 'London Gatwick', 'GB', 51.1537, -0.1821],
+        ['LHR', 'London Heathrow', 'GB', 51.4700, -0.4543],
+        ['LIS', 'Lisbon', 'PT', 38.7742, -9.1342],
+        ['MAD', 'Madrid Barajas', 'ES', 40.4983, -3.5676],
+        ['MAN', 'Manchester', 'GB', 53.3537, -2.2750],
+        ['MUC', 'Munich', 'DE', 48.3537, 11.7750],
+        ['MXP', 'Milan Malpensa', 'IT', 45.6306, 8.7281],
+        ['NCE', 'Nice Côte d\'Azur', 'FR', 43.6584, 7.2159],
+        ['ORY', 'Paris Orly', 'FR', 48.7262, 2.3652],
+        ['OSL', 'Oslo Gardermoen', 'NO', 60.1976, 11.1004],
+        ['PMI', 'Palma de Mallorca', 'ES', 39.5517, 2.7388],
+        ['PRG', 'Prague', 'CZ', 50.1008, 14.2600],
+        ['TOS', 'Tromsø', 'NO', 69.6833, 18.9189],
+        ['TRD', 'Trondheim Værnes', 'NO', 63.4578, 10.9240],
+        ['VCE', 'Venice Marco Polo', 'IT', 45.5053, 12.3519],
+        ['VIE', 'Vienna', 'AT', 48.1103, 16.5697],
+        ['WAW', 'Warsaw Chopin', 'PL', 52.1657, 20.9671],
+        ['ZRH', 'Zurich', 'CH', 47.4582, 8.5555],
+
+        // Middle East and Africa
+        ['ADD', 'Addis Ababa Bole', 'ET', 8.9779, 38.7993],
+        ['AUH', 'Abu Dhabi', 'AE', 24.4330, 54.6511],
+        ['CAI', 'Cairo', 'EG', 30.1219, 31.4056],
+        ['CMN', 'Casablanca Mohammed V', 'MA', 33.3675, -7.5898],
+        ['CPT', 'Cape Town', 'ZA', -33.9715, 18.6021],
+        ['DOH', 'Doha Hamad', 'QA', 25.2731, 51.6081],
+        ['DXB', 'Dubai', 'AE', 25.2532, 55.3657],
+        ['JNB', 'Johannesburg O. R. Tambo', 'ZA', -26.1392, 28.2460],
+        ['LOS', 'Lagos Murtala Muhammed', 'NG', 6.5774, 3.3212],
+        ['NBO', 'Nairobi Jomo Kenyatta', 'KE', -1.3192, 36.9278],
+        ['TLV', 'Tel Aviv Ben Gurion', 'IL', 32.0055, 34.8854],
+
+        // Asia
+        ['BKK', 'Bangkok Suvarnabhumi', 'TH', 13.6900, 100.7501],
+        ['BLR', 'Bengaluru Kempegowda', 'IN', 13.1986, 77.7066],
+        ['BOM', 'Mumbai Chhatrapati Shivaji', 'IN', 19.0896, 72.8656],
+        ['CAN', 'Guangzhou Baiyun', 'CN', 23.3924, 113.2988],
+        ['CCU', 'Kolkata Netaji Subhas Chandra Bose', 'IN', 22.6547, 88.4467],
+        ['CGK', 'Jakarta Soekarno-Hatta', 'ID', -6.1256, 106.6559],
+        ['CTU', 'Chengdu Shuangliu', 'CN', 30.5785, 103.9471],
+        ['DEL', 'Delhi Indira Gandhi', 'IN', 28.5562, 77.1000],
+        ['DPS', 'Bali Ngurah Rai', 'ID', -8.7482, 115.1670],
+        ['HAN', 'Hanoi Noi Bai', 'VN', 21.2212, 105.8072],
+        ['HKG', 'Hong Kong', 'HK', 22.3080, 113.9185],
+        ['HND', 'Tokyo Haneda', 'JP', 35.5494, 139.7798],
+        ['HYD', 'Hyderabad Rajiv Gandhi', 'IN', 17.2403, 78.4294],
+        ['ICN', 'Seoul Incheon', 'KR', 37.4602, 126.4407],
+        ['KIX', 'Osaka Kansai', 'JP', 34.4320, 135.2304],
+        ['KUL', 'Kuala Lumpur', 'MY', 2.7456, 101.7072],
+        ['MAA', 'Chennai', 'IN', 12.9941, 80.1709],
+        ['MNL', 'Manila Ninoy Aquino', 'PH', 14.5086, 121.0194],
+        ['NRT', 'Tokyo Narita', 'JP', 35.7720, 140.3929],
+        ['PEK', 'Beijing Capital', 'CN', 40.0799, 116.6031],
+        ['PKX', 'Beijing Daxing', 'CN', 39.5098, 116.4105],
+        ['PVG', 'Shanghai Pudong', 'CN', 31.1443, 121.8083],
+        ['SGN', 'Ho Chi Minh City Tan Son Nhat', 'VN', 10.8188, 106.6520],
+        ['SHA', 'Shanghai Hongqiao', 'CN', 31.1979, 121.3363],
+        ['SIN', 'Singapore Changi', 'SG', 1.3644, 103.9915],
+        ['SZX', 'Shenzhen Bao\'an', 'CN', 22.6393, 113.8107],
+        ['TPE', 'Taipei Taoyuan', 'TW', 25.0797, 121.2342],
+
+        // Oceania
+        ['AKL', 'Auckland', 'NZ', -37.0082, 174.7850],
+        ['BNE', 'Brisbane', 'AU', -27.3842, 153.1175],
+        ['CHC', 'Christchurch', 'NZ', -43.4894, 172.5320],
+        ['MEL', 'Melbourne', 'AU', -37.6690, 144.8410],
+        ['PER', 'Perth', 'AU', -31.9385, 115.9672],
+        ['SYD', 'Sydney Kingsford Smith', 'AU', -33.9399, 151.1753]
+    ];
+
+    const byCode = {};
+    TABLE.forEach(([code, name, country, lat, lon]) => {
+        byCode[code] = { code, name, country, lat, lon };
+    });
+
+    function find(code) {
+        return byCode[String(code).trim().toUpperCase()] || null;
+    }
+
+    function all() {
+        return Object.values(byCode).sort((a, b) => a.code.localeCompare(b.code));
+    }
+
+    function toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    function distanceKm(from, to) {
+        const dLat = toRadians(to.lat - from.lat);
+        const dLon = toRadians(to.lon - from.lon);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+
+    return {
+        find,
+        all,
+        distanceKm
+    };
+})();
@@ -0,0 +1,175 @@
+// ===== Backend Bridge =====
+// Request layer around htmlComponent.sendEventToMATLAB. Every request is
+// tagged with a requestId that the backend echoes back, so each reply can be
+// matched to the request that caused it. Requests share a channel (by default
+// the event name); a newer request on the same channel supersedes older ones
+// and their late replies are dropped. Requests time out, retry, and reject
+// with an Error whose `code` is 'superseded', 'timeout' or 'backend'.
+
+const BackendBridge = (() => {
+    const REPLY_EVENTS = {
+        CalculateFootprint: 'FootprintCalculated',
+        GetAvailableActions: 'ActionsLoaded',
+        GetExcludedActions: 'ExcludedActionsLoaded',
+        GetRegions: 'RegionsLoaded',
+        CalculateActionImpact: 'ImpactCalculated',
+        GenerateSummary: 'SummaryGenerated',
+        ResetApp: 'AppReset'
+    };
+
+    const DEFAULT_TIMEOUT_MS = 15000;
+    const DEFAULT_RETRIES = 1;
+
+    let component = null;
+    let nextRequestId = 1;
+
+    // requestId -> { eventName, replyEvent, channel, data, resolve, reject, ... }
+    const pending = new Map();
+
+    function connect(htmlComponent) {
+        component = htmlComponent;
+
+        const replyEvents = new Set(Object.values(REPLY_EVENTS));
+        replyEvents.forEach(replyEvent => {
+            component.addEventListener(replyEvent, event => handleReply(replyEvent, event.Data));
+        });
+        component.addEventListener('Error', event => handleBackendError(event.Data));
+    }
+
+    function createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // ===== Sending =====
+    function request(eventName, data, options = {}) {
+        const channel = options.channel || eventName;
+        const requestId = nextRequestId++;
+
+        supersede(channel);
+
+        return new Promise((resolve, reject) => {
+            const entry = {
+                requestId,
+                eventName,
+                replyEvent: REPLY_EVENTS[eventName],
+                channel,
+                data: Object.assign({}, data, { requestId }),
+                timeoutMs: options.timeoutMs || DEFAULT_TIMEOUT_MS,
+                retriesLeft: options.retries === undefined ? DEFAULT_RETRIES : options.retries,
+                resolve,
+                reject,
+                debounceTimer: null,
+                timeoutTimer: null
+            };
+            pending.set(requestId, entry);
+
+            if (options.debounceMs > 0) {
+                entry.debounceTimer = setTimeout(() => send(entry), options.debounceMs);
+            } else {
+                send(entry);
+            }
+        });
+    }
+
+    function send(entry) {
+        entry.debounceTimer = null;
+        entry.timeoutTimer = setTimeout(() => handleTimeout(entry), entry.timeoutMs);
+
+        try {
+            component.sendEventToMATLAB(entry.eventName, entry.data);
+        } catch (error) {
+            settle(entry);
+            entry.reject(createError('backend', error.message));
+        }
+    }
+
+    function handleTimeout(entry) {
+        if (!pending.has(entry.requestId)) return;
+
+        if (entry.retriesLeft > 0) {
+            entry.retriesLeft--;
+            console.warn(`${entry.eventName} #${entry.requestId} timed out, retrying`);
+            send(entry);
+            return;
+        }
+
+        settle(entry);
+        entry.reject(createError('timeout', I18n.t('error.timeout')));
+    }
+
+    function settle(entry) {
+        clearTimeout(entry.debounceTimer);
+        clearTimeout(entry.timeoutTimer);
+        pending.delete(entry.requestId);
+    }
+
+    // ===== Cancelling =====
+    function supersede(channel) {
+        pending.forEach(entry => {
+            if (entry.channel === channel) {
+                settle(entry);
+                entry.reject(createError('superseded', `${entry.eventName} superseded by a newer request`));
+            }
+        });
+    }
+
+    function cancel(channel) {
+        supersede(channel);
+    }
+
+    // ===== Receiving =====
+    // Replies carry { requestId, payload }. Older backends reply with the bare
+    // payload, which is matched to the oldest request waiting for that event.
+    function unwrap(data) {
+        if (data && typeof data === 'object' && !Array.isArray(data) && 'requestId' in data) {
+            return { requestId: data.requestId, payload: data.payload };
+        }
+        return { requestId: null, payload: data };
+    }
+
+    function findEntry(requestId, replyEvent) {
+        if (requestId !== null) {
+            return pending.get(requestId) || null;
+        }
+        for (const entry of pending.values()) {
+            const sent = entry.debounceTimer === null;
+            if (sent && (!replyEvent || entry.replyEvent === replyEvent)) return entry;
+        }
+        return null;
+    }
+
+    function handleReply(replyEvent, data) {
+        const { requestId, payload } = unwrap(data);
+        const entry = findEntry(requestId, replyEvent);
+
+        if (!entry || entry.replyEvent !== replyEvent) {
+            console.log(`Dropping stale ${replyEvent} reply` + (requestId !== null ? ` #${requestId}` : ''));
+            return;
+        }
+
+        settle(entry);
+        entry.resolve(payload);
+    }
+
+    function handleBackendError(data) {
+        const { requestId, payload } = unwrap(data);
+        const message = (data && data.message) || (payload && payload.message) || I18n.t('error.generic');
+        const entry = findEntry(requestId, null);
+
+        if (!entry) {
+            console.error("Unmatched error from backend:", message);
+            return;
+        }
+
+        settle(entry);
+        entry.reject(createError('backend', message));
+    }
+
+    return {
+        connect,
+        request,
+        cancel
+    };
+})();
@@ -6,26 +6,71 @@ let availableActions = [];
 let selectedActionIDs = [];
 let impactData = null;
 
+// All Phase 1 inputs, in form order
+const FORM_FIELDS = [
+    'region', 'commuteMode', 'dailyCommuteKm', 'commuteDays',
+    'domesticFlights', 'avgDomesticFlightKm', 'internationalFlights',
+    'avgInternationalFlightKm', 'otherTravelKm', 'monthlyElectricityKWh',
+    'monthlyNaturalGasKWh', 'dietType', 'streamingHoursPerDay',
+    'aiQueriesPerDay', 'cloudStorageGB', 'videoCallHoursPerWeek',
+    'emailsPerDay', 'shoppingFrequency', 'clothingPurchases',
+    'electronicsPurchases', 'furniturePurchases'
+];
+
+// Time to wait for MATLAB to call setup() before starting standalone mode
+const STANDALONE_STARTUP_DELAY_MS = 500;
+
+// Quiet period after the last action toggle before recalculating impact
+const IMPACT_DEBOUNCE_MS = 250;
+
 // ===== Required Setup Function =====
 function setup(component) {
-    htmlComponent = component;
-    window.htmlComponent = component;
+    const firstSetup = htmlComponent === null;
+    
+    // Without a MATLAB uihtml component, run on the JavaScript backend
+    htmlComponent = component || LocalBackend.createComponent();
+    window.htmlComponent = htmlComponent;
     
-    console.log("Carbon Action Tracker initialized");
+    console.log(component ? "Carbon Action Tracker initialized" :
+        "Carbon Action Tracker initialized in standalone mode");
     
-    // Set up event listeners for MATLAB responses
-    htmlComponent.addEventListener("FootprintCalculated", handleFootprintCalculated);
-    htmlComponent.addEventListener("ActionsLoaded", handleActionsLoaded);
-    htmlComponent.addEventListener("ImpactCalculated", handleImpactCalculated);
-    htmlComponent.addEventListener("SummaryGenerated", handleSummaryGenerated);
-    htmlComponent.addEventListener("AppReset", handleAppReset);
-    htmlComponent.addEventListener("Error", handleError);
+    // Route MATLAB responses through the request layer
+    BackendBridge.connect(htmlComponent);
+    
+    // MATLAB may call setup() after standalone mode already started
+    if (!firstSetup) {
+        return;
+    }
     
-    // Load theme preference
+    // Load theme, language, unit and number format preferences
     loadTheme();
+    I18n.load();
+    Units.load();
     
     // Initialize validation
     initializeValidation();
+    updateProgress();
+    
+    // Populate saved profiles
+    Profiles.initialize();
+    
+    // Fill the airport list for the flight logger
+    FlightLogger.initialize();
+    
+    // Start with a one-person household
+    Household.initialize();
+    
+    // Benefit filter options and weight sliders for the action list
+    CoBenefits.renderControls();
+    
+    // Reopen the progress tracker for a committed plan
+    Progress.initialize();
+    
+    // Shared EXPO screens: idle reset and attract loop (?kiosk in the URL)
+    Kiosk.initialize();
+    
+    // Reopen a plan shared through the URL
+    ShareLink.restoreFromLocation();
 }
 
 // ===== Theme Management =====
@@ -50,14 +95,17 @@ function updateThemeButton(theme) {
     
     if (theme === 'dark') {
         icon.textContent = '🌙';
-        label.textContent = 'Dark';
+        label.textContent = I18n.t('theme.dark');
     } else {
         icon.textContent = '☀️';
-        label.textContent = 'Light';
+        label.textContent = I18n.t('theme.light');
     }
 }
 
 // ===== Navigation =====
+// The tabs follow the ARIA tabs pattern: only the selected tab is in the tab
+// order, the arrow keys (mirrored for right-to-left languages), Home and End
+// move between unlocked tabs, and locked tabs are aria-disabled
 function switchTab(phase) {
     // Check if tab is unlocked
     const tab = document.getElementById(`tab${phase}`);
@@ -67,39 +115,195 @@ function switchTab(phase) {
     
     // Hide all phases
     document.querySelectorAll('.phase').forEach(p => p.classList.remove('active'));
-    document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
+    document.querySelectorAll('.tab').forEach(t => {
+        t.classList.remove('active');
+        t.setAttribute('aria-selected', 'false');
+        t.tabIndex = -1;
+    });
     
     // Show selected phase
     document.getElementById(`phase${phase}`).classList.add('active');
-    document.getElementById(`tab${phase}`).classList.add('active');
+    tab.classList.add('active');
+    tab.setAttribute('aria-selected', 'true');
+    tab.tabIndex = 0;
     
     currentPhase = phase;
+    
+    // The tornado chart is only calculated while its phase is shown
+    if (phase === 2) WhatIf.updateTornado();
+    
+    // Unless the user is moving between tabs, take focus to the new phase so
+    // it isn't left on a button that just got hidden
+    if (!document.activeElement || !document.activeElement.closest('.tabs')) {
+        focusPhase();
+    }
+    
+    // Hide scroll indicator when switching tabs
+    updateScrollIndicator();
+}
+
+function handleTabKeydown(event) {
+    const unlocked = Array.from(document.querySelectorAll('.tab'))
+        .filter(tab => tab.getAttribute('data-unlocked') === 'true');
+    const index = unlocked.indexOf(event.target.closest('.tab'));
+    if (index === -1) return;
+    
+    const forward = document.documentElement.dir === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+    const backward = document.documentElement.dir === 'rtl' ? 'ArrowRight' : 'ArrowLeft';
+    let next;
+    if (event.key === forward) {
+        next = unlocked[(index + 1) % unlocked.length];
+    } else if (event.key === backward) {
+        next = unlocked[(index - 1 + unlocked.length) % unlocked.length];
+    } else if (event.key === 'Home') {
+        next = unlocked[0];
+    } else if (event.key === 'End') {
+        next = unlocked[unlocked.length - 1];
+    } else {
+        return;
+    }
+    
+    event.preventDefault();
+    next.focus();
+    switchTab(parseInt(next.id.replace('tab', ''), 10));
+}
+
+// Moves focus to the heading of the current phase
+function focusPhase() {
+    const heading = document.querySelector(`#phase${currentPhase} h2`);
+    if (heading) heading.focus();
 }
 
 function unlockTab(phase) {
     const tab = document.getElementById(`tab${phase}`);
     tab.setAttribute('data-unlocked', 'true');
+    tab.removeAttribute('aria-disabled');
+}
+
+function lockTab(phase) {
+    const tab = document.getElementById(`tab${phase}`);
+    tab.setAttribute('data-unlocked', 'false');
+    tab.setAttribute('aria-disabled', 'true');
+}
+
+function isTabUnlocked(phase) {
+    return document.getElementById(`tab${phase}`).getAttribute('data-unlocked') === 'true';
+}
+
+// Redraws every figure after the unit system or number format changes
+function refreshDisplays() {
+    Validation.render();
+    FlightLogger.render();
+    Progress.render();
+    TeamDashboard.render();
+    
+    if (!currentFootprint) {
+        return;
+    }
+    updateFootprintDisplay(WhatIf.footprint() || currentFootprint);
+    WhatIf.render();
+    RegionCompare.render();
+    
+    if (isTabUnlocked(3)) {
+        updateLiveFeedback(impactData);
+        ExcludedActions.render();
+    }
+    if (isTabUnlocked(4) && impactData) {
+        displaySummary(document.getElementById('summaryText').textContent);
+    }
+}
+
+// Redraws generated text after the interface language changes; the impact is
+// requested again so action names in it are translated too
+function refreshLanguage() {
+    updateThemeButton(document.documentElement.getAttribute('data-theme'));
+    Units.updateLabels();
+    Profiles.initialize();
+    Household.render();
+    CoBenefits.renderControls();
+    Kiosk.render();
+    
+    if (isTabUnlocked(3)) {
+        displayActions(availableActions);
+    }
+    
+    if (!impactData || selectedActionIDs.length === 0) {
+        refreshDisplays();
+        return;
+    }
+    
+    requestImpact()
+        .then(impact => {
+            handleImpactCalculated(impact);
+            refreshDisplays();
+        })
+        .catch(handleError);
+}
+
+// ===== Form Progress Tracking =====
+function updateProgress() {
+    let filledCount = 0;
+    FORM_FIELDS.forEach(fieldId => {
+        const field = document.getElementById(fieldId);
+        if (field && field.value && field.value !== '') {
+            filledCount++;
+        }
+    });
+    
+    const percentage = Math.round((filledCount / FORM_FIELDS.length) * 100);
+    document.getElementById('formProgress').style.width = `${percentage}%`;
+    document.getElementById('formPercentage').textContent = `${percentage}%`;
+    
+    updateScrollIndicator();
 }
 
+// ===== Scroll Indicator =====
+function updateScrollIndicator() {
+    const indicator = document.getElementById('scrollIndicator');
+    if (!indicator) return;
+    
+    const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+    const scrollHeight = document.documentElement.scrollHeight;
+    const clientHeight = document.documentElement.clientHeight;
+    const scrollPercentage = (scrollTop / (scrollHeight - clientHeight)) * 100;
+    
+    // Show indicator until the user has scrolled 80% of phase 1
+    if (scrollPercentage < 80 && currentPhase === 1) {
+        indicator.classList.add('visible');
+    } else {
+        indicator.classList.remove('visible');
+    }
+}
+
+function scrollToBottom() {
+    window.scrollTo({
+        top: document.documentElement.scrollHeight,
+        behavior: 'smooth'
+    });
+}
+
+window.addEventListener('scroll', updateScrollIndicator);
+
 // ===== Input Validation =====
 function initializeValidation() {
     // Add default values to simplify testing
     setDefaultValues();
+    Validation.initialize();
 }
 
 function setDefaultValues() {
-    // Set reasonable defaults for quick testing
+    // Set reasonable defaults for quick testing (metric, shown in the chosen units)
     document.getElementById('region').value = 'USA';
     document.getElementById('commuteMode').value = 'Car_Gasoline';
-    document.getElementById('dailyCommuteKm').value = '20';
+    Units.showMetric('dailyCommuteKm', '20');
     document.getElementById('commuteDays').value = '250';
     document.getElementById('domesticFlights').value = '2';
-    document.getElementById('avgDomesticFlightKm').value = '1500';
+    Units.showMetric('avgDomesticFlightKm', '1500');
     document.getElementById('internationalFlights').value = '1';
-    document.getElementById('avgInternationalFlightKm').value = '8000';
-    document.getElementById('otherTravelKm').value = '50';
+    Units.showMetric('avgInternationalFlightKm', '8000');
+    Units.showMetric('otherTravelKm', '50');
     document.getElementById('monthlyElectricityKWh').value = '900';
-    document.getElementById('monthlyNaturalGasKWh').value = '300';
+    Units.showMetric('monthlyNaturalGasKWh', '300');
     document.getElementById('dietType').value = 'balanced';
     document.getElementById('streamingHoursPerDay').value = '2';
     document.getElementById('aiQueriesPerDay').value = '10';
@@ -112,59 +316,44 @@ function setDefaultValues() {
     document.getElementById('furniturePurchases').value = '0';
 }
 
-function validateInput(fieldId) {
-    const field = document.getElementById(fieldId);
-    const errorSpan = document.getElementById(`${fieldId}-error`);
-    
-    let isValid = true;
-    let errorMessage = '';
-    
-    // Check if field has value
-    if (!field.value || field.value === '') {
-        isValid = false;
-        errorMessage = 'This field is required';
-    }
-    
-    // Validate numeric fields
-    if (field.type === 'number' && field.value !== '') {
-        const value = parseFloat(field.value);
-        if (isNaN(value) || value < 0) {
-            isValid = false;
-            errorMessage = 'Must be a positive number';
-        }
+// Phase 1 inputs as metric strings, whatever units the form is showing
+function readFormValues() {
+    const values = {};
+    FORM_FIELDS.forEach(fieldId => {
+        values[fieldId] = Units.metricFieldValue(fieldId);
+    });
+    if (FlightLogger.hasTrips()) {
+        values.flightLog = FlightLogger.getTrips();
     }
     
-    // Update UI
-    if (isValid) {
-        field.classList.remove('invalid');
-        errorSpan.textContent = '';
-    } else {
-        field.classList.add('invalid');
-        errorSpan.textContent = errorMessage;
+    // The form shows one member; the others are saved with it
+    const household = Household.serialize();
+    if (household) {
+        values.household = household;
     }
-    
-    return isValid;
+    return values;
 }
 
-function validateAllInputs() {
-    const requiredFields = [
-        'region', 'commuteMode', 'dailyCommuteKm', 'commuteDays',
-        'domesticFlights', 'avgDomesticFlightKm', 'internationalFlights',
-        'avgInternationalFlightKm', 'otherTravelKm', 'monthlyElectricityKWh',
-        'monthlyNaturalGasKWh', 'dietType', 'streamingHoursPerDay',
-        'aiQueriesPerDay', 'cloudStorageGB', 'videoCallHoursPerWeek',
-        'emailsPerDay', 'shoppingFrequency', 'clothingPurchases',
-        'electronicsPurchases', 'furniturePurchases'
-    ];
-    
-    let allValid = true;
-    requiredFields.forEach(fieldId => {
-        if (!validateInput(fieldId)) {
-            allValid = false;
+function applyFormValues(values) {
+    FORM_FIELDS.forEach(fieldId => {
+        if (values[fieldId] !== undefined) {
+            Units.showMetric(fieldId, values[fieldId]);
         }
     });
     
-    return allValid;
+    // Logged flights override the average flight fields
+    FlightLogger.setTrips(values.flightLog || []);
+    Household.restore(values.household);
+    updateProgress();
+}
+
+// Errors and warnings come from the rules in Validation; only errors block
+function validateInput(fieldId) {
+    return Validation.validate(fieldId);
+}
+
+function validateAllInputs() {
+    return Validation.validateAll();
 }
 
 // ===== Phase 1: Calculate Footprint =====
@@ -173,49 +362,75 @@ function calculateFootprint() {
     
     // Validate all inputs
     if (!validateAllInputs()) {
-        showError('Please fill in all required fields correctly');
+        showError(I18n.t('error.requiredFields'));
         return;
     }
     
-    // Collect user data
-    const userData = {
-        region: document.getElementById('region').value,
-        commuteMode: document.getElementById('commuteMode').value,
-        dailyCommuteKm: parseFloat(document.getElementById('dailyCommuteKm').value),
-        commuteDays: parseInt(document.getElementById('commuteDays').value),
-        domesticFlights: parseInt(document.getElementById('domesticFlights').value),
-        avgDomesticFlightKm: parseFloat(document.getElementById('avgDomesticFlightKm').value),
-        internationalFlights: parseInt(document.getElementById('internationalFlights').value),
-        avgInternationalFlightKm: parseFloat(document.getElementById('avgInternationalFlightKm').value),
-        otherTravelKm: parseFloat(document.getElementById('otherTravelKm').value),
-        monthlyElectricityKWh: parseFloat(document.getElementById('monthlyElectricityKWh').value),
-        monthlyNaturalGasKWh: parseFloat(document.getElementById('monthlyNaturalGasKWh').value),
-        dietType: document.getElementById('dietType').value,
-        streamingHoursPerDay: parseFloat(document.getElementById('streamingHoursPerDay').value),
-        aiQueriesPerDay: parseInt(document.getElementById('aiQueriesPerDay').value),
-        cloudStorageGB: parseFloat(document.getElementById('cloudStorageGB').value),
-        videoCallHoursPerWeek: parseFloat(document.getElementById('videoCallHoursPerWeek').value),
-        emailsPerDay: parseInt(document.getElementById('emailsPerDay').value),
-        shoppingFrequency: document.getElementById('shoppingFrequency').value,
-        clothingPurchases: parseInt(document.getElementById('clothingPurchases').value),
-        electronicsPurchases: parseInt(document.getElementById('electronicsPurchases').value),
-        furniturePurchases: parseInt(document.getElementById('furniturePurchases').value)
-    };
-    
     // Show loading
     showLoading(true);
     
     // Send to MATLAB
-    htmlComponent.sendEventToMATLAB("CalculateFootprint", userData);
+    requestFootprint()
+        .then(handleFootprintCalculated)
+        .catch(handleError);
 }
 
-function handleFootprintCalculated(event) {
-    console.log("Footprint calculated:", event.Data);
+// A household is calculated member by member and added up. `overrides`
+// replace typed userData values (see WhatIf); `options` go to the request.
+function requestFootprint(overrides = {}, options = {}) {
+    if (Household.isActive()) {
+        return Household.calculate(overrides, options);
+    }
+    return BackendBridge.request("CalculateFootprint", Object.assign(readUserData(), overrides), options);
+}
+
+function readUserData() {
+    return toUserData(readFormValues());
+}
+
+// Phase 1 values (as from readFormValues) typed the way the backend expects them
+function toUserData(values) {
+    const userData = {
+        region: values.region,
+        commuteMode: values.commuteMode,
+        dailyCommuteKm: parseFloat(values.dailyCommuteKm),
+        commuteDays: parseInt(values.commuteDays),
+        domesticFlights: parseInt(values.domesticFlights),
+        avgDomesticFlightKm: parseFloat(values.avgDomesticFlightKm),
+        internationalFlights: parseInt(values.internationalFlights),
+        avgInternationalFlightKm: parseFloat(values.avgInternationalFlightKm),
+        otherTravelKm: parseFloat(values.otherTravelKm),
+        monthlyElectricityKWh: parseFloat(values.monthlyElectricityKWh),
+        monthlyNaturalGasKWh: parseFloat(values.monthlyNaturalGasKWh),
+        dietType: values.dietType,
+        streamingHoursPerDay: parseFloat(values.streamingHoursPerDay),
+        aiQueriesPerDay: parseInt(values.aiQueriesPerDay),
+        cloudStorageGB: parseFloat(values.cloudStorageGB),
+        videoCallHoursPerWeek: parseFloat(values.videoCallHoursPerWeek),
+        emailsPerDay: parseInt(values.emailsPerDay),
+        shoppingFrequency: values.shoppingFrequency,
+        clothingPurchases: parseInt(values.clothingPurchases),
+        electronicsPurchases: parseInt(values.electronicsPurchases),
+        furniturePurchases: parseInt(values.furniturePurchases)
+    };
+    
+    // Per-band passenger-km from the flight logger replace the flight averages
+    if (values.flightLog && values.flightLog.length > 0) {
+        userData.flightKm = FlightLogger.bandTotals(values.flightLog);
+    }
+    
+    return userData;
+}
+
+function handleFootprintCalculated(footprint) {
+    console.log("Footprint calculated:", footprint);
     
-    currentFootprint = event.Data;
+    currentFootprint = footprint;
     
     // Update Phase 2 UI
     updateFootprintDisplay(currentFootprint);
+    WhatIf.initialize();
+    RegionCompare.initialize();
     
     // Unlock and switch to Phase 2
     unlockTab(2);
@@ -225,9 +440,15 @@ function handleFootprintCalculated(event) {
     showLoading(false);
 }
 
-function updateFootprintDisplay(footprint) {
+function updateFootprintDisplay(household) {
+    // Households can be shown in total or per person
+    const footprint = Household.displayFootprint(household);
+    Household.renderSummary(household);
+    
     // Update total
-    document.getElementById('totalEmissions').textContent = footprint.totalTons.toFixed(1);
+    document.getElementById('totalEmissions').textContent = Units.number(footprint.totalTons, 1);
+    document.getElementById('totalRange').textContent = footprint.uncertainty ?
+        I18n.t('uncertainty.interval', { range: Uncertainty.formatTons(footprint.totalTons, footprint.uncertainty) }) : '';
     
     // Create pie chart
     createPieChart(footprint);
@@ -237,102 +458,94 @@ function updateFootprintDisplay(footprint) {
     
     // Update Paris status
     updateParisStatus(footprint);
+    
+    // The 90% range follows once the simulation has run
+    if (!household.uncertainty) {
+        Uncertainty.attach(household)
+            .then(() => {
+                if ((WhatIf.footprint() || currentFootprint) === household) {
+                    updateFootprintDisplay(household);
+                }
+            })
+            .catch(handleError);
+    }
 }
 
 function createPieChart(footprint) {
-    const pieChart = document.getElementById('pieChart');
-    const pieLegend = document.getElementById('pieLegend');
-    
-    // Calculate angles for conic gradient
-    const total = footprint.total;
-    const categories = [
-        { name: 'Transport', value: footprint.transport, color: '#2196F3', icon: '🚗' },
-        { name: 'Home', value: footprint.home, color: '#FF9800', icon: '🏠' },
-        { name: 'Food', value: footprint.food, color: '#4CAF50', icon: '🍽️' },
-        { name: 'Digital', value: footprint.digital, color: '#9C27B0', icon: '💻' },
-        { name: 'Consumption', value: footprint.consumption, color: '#795548', icon: '🛍️' }
-    ];
-    
-    // Build conic gradient
-    let angle = 0;
-    let gradientStops = [];
-    
-    categories.forEach((cat, index) => {
-        const percent = (cat.value / total) * 100;
-        const nextAngle = angle + (percent * 3.6); // Convert % to degrees
-        
-        gradientStops.push(`${cat.color} ${angle}deg ${nextAngle}deg`);
-        angle = nextAngle;
-    });
-    
-    pieChart.style.background = `conic-gradient(${gradientStops.join(', ')})`;
-    
-    // Build legend
-    pieLegend.innerHTML = '';
-    categories.forEach(cat => {
-        const percent = ((cat.value / total) * 100).toFixed(1);
-        const tons = (cat.value / 1000).toFixed(2);
-        
-        const item = document.createElement('div');
-        item.className = 'legend-item';
-        item.innerHTML = `
-            <div class="legend-color" style="background: ${cat.color};"></div>
-            <span class="legend-label">${cat.icon} ${cat.name}</span>
-            <span class="legend-value">${tons}t (${percent}%)</span>
-        `;
-        pieLegend.appendChild(item);
-    });
+    // Click a category to see its sources
+    Charts.renderBreakdown('pieChart', 'pieLegend', footprint);
 }
 
 function createComparisonBars(footprint) {
-    const container = document.getElementById('comparisonBars');
-    
     const comparisons = [
-        { label: 'You', value: footprint.totalTons, class: 'user' },
-        { label: `${footprint.regionalAvg ? 'Regional Avg' : 'Regional'}`, value: footprint.regionalAvg || 0, class: '' },
-        { label: 'Global Avg', value: footprint.globalAvg, class: '' },
-        { label: 'Paris 2030', value: footprint.parisTarget, class: 'target' }
+        { label: Household.subjectLabel(footprint) || I18n.t('comparison.you'), value: footprint.totalTons, className: 'user',
+            explanation: I18n.t('comparison.youInfo') },
+        { label: I18n.t(footprint.regionalAvg ? 'comparison.regionalAvg' : 'comparison.regional'), value: footprint.regionalAvg || 0,
+            explanation: I18n.t('comparison.regionalInfo', { region: I18n.term('region', footprint.region) }) },
+        { label: I18n.t('comparison.globalAvg'), value: footprint.globalAvg,
+            explanation: I18n.t('comparison.globalInfo') },
+        { label: I18n.t('comparison.paris'), value: footprint.parisTarget, className: 'target',
+            explanation: I18n.t('comparison.parisInfo') }
     ];
     
-    const maxValue = Math.max(...comparisons.map(c => c.value));
-    
-    container.innerHTML = '';
-    comparisons.forEach(comp => {
-        const widthPercent = (comp.value / maxValue) * 100;
+    Charts.renderBars('comparisonBars', comparisons.map(comp => {
+        // Only "You" has a range; the averages and the target are fixed
+        const range = comp.className === 'user' ? footprint.uncertainty : null;
         
-        const item = document.createElement('div');
-        item.className = 'comparison-bar-item';
-        item.innerHTML = `
-            <div class="comparison-bar-label">${comp.label}</div>
-            <div class="comparison-bar-container">
-                <div class="comparison-bar ${comp.class}" style="width: ${widthPercent}%">
-                    ${comp.value.toFixed(1)}t
-                </div>
-            </div>
-        `;
-        container.appendChild(item);
-    });
+        return {
+            label: comp.label,
+            value: comp.value,
+            low: range ? comp.value * range.low : undefined,
+            high: range ? comp.value * range.high : undefined,
+            text: `${Units.number(comp.value, 1)}t`,
+            className: comp.className,
+            lines: [
+                comp.className === 'user' ?
+                    I18n.t('chart.perYear', { amount: Charts.formatKg(comp.value * 1000) }) :
+                    I18n.t('comparison.share', {
+                        amount: Charts.formatKg(comp.value * 1000),
+                        percent: Charts.formatPercent(comp.value, footprint.totalTons)
+                    }),
+                comp.explanation
+            ].concat(range ? [I18n.t('uncertainty.interval', { range: Uncertainty.formatTons(comp.value, range) })] : [])
+        };
+    }), I18n.t('comparison.label'));
 }
 
+// With a 90% range the status is the chance of meeting the target;
+// until then it is the backend's label for the central value
 function updateParisStatus(footprint) {
     const statusDiv = document.getElementById('parisStatus');
-    statusDiv.className = `paris-status ${footprint.parisStatus}`;
-    
-    let icon, message;
-    if (footprint.parisStatus === 'aligned') {
+    const range = footprint.uncertainty;
+    const status = range ? Uncertainty.status(range.probability) : footprint.parisStatus;
+    statusDiv.className = `paris-status ${status}`;
+    
+    let icon, message, detail = '';
+    if (range) {
+        icon = { aligned: '✅', close: '⚠️', above: '❌' }[status];
+        message = I18n.t('paris.probability', {
+            percent: Uncertainty.formatProbability(range.probability),
+            target: Units.number(footprint.parisTarget, 1)
+        });
+        detail = I18n.t('paris.estimate', {
+            total: Units.tons(footprint.totalTons),
+            range: Uncertainty.formatTons(footprint.totalTons, range)
+        });
+    } else if (footprint.parisStatus === 'aligned') {
         icon = '✅';
-        message = `You're on track! Your footprint of ${footprint.totalTons.toFixed(1)} tons is below the 2030 Paris Agreement target of 2.0 tons.`;
+        message = I18n.t('paris.aligned', { total: Units.number(footprint.totalTons, 1), target: Units.number(footprint.parisTarget, 1) });
     } else if (footprint.parisStatus === 'close') {
         icon = '⚠️';
-        message = `You're close! Reduce by ${(footprint.totalTons - 2.0).toFixed(1)} tons to meet the 2030 Paris target.`;
+        message = I18n.t('paris.close', { gap: Units.number(footprint.totalTons - footprint.parisTarget, 1) });
     } else {
         icon = '❌';
-        message = `You're ${(footprint.totalTons - 2.0).toFixed(1)} tons above the 2030 Paris target. Let's find ways to reduce!`;
+        message = I18n.t('paris.above', { gap: Units.number(footprint.totalTons - footprint.parisTarget, 1) });
     }
     
     statusDiv.innerHTML = `
         <div class="icon">${icon}</div>
         <div class="message">${message}</div>
+        ${detail ? `<div class="detail">${detail}</div>` : ''}
     `;
 }
 
@@ -348,18 +561,28 @@ function exploreActions() {
         currentFootprint: currentFootprint
     };
     
-    htmlComponent.sendEventToMATLAB("GetAvailableActions", requestData);
+    // The excluded actions come along for the "Not available for you" list
+    Promise.all([
+        BackendBridge.request("GetAvailableActions", requestData),
+        ExcludedActions.load(requestData)
+    ])
+        .then(([actions]) => handleActionsLoaded(actions))
+        .catch(handleError);
 }
 
-function handleActionsLoaded(event) {
-    console.log("Actions loaded:", event.Data);
+function handleActionsLoaded(actions) {
+    console.log("Actions loaded:", actions);
     
-    availableActions = event.Data;
+    // Excluded actions the user has added back stay in the list
+    availableActions = actions.concat(ExcludedActions.overridden());
     selectedActionIDs = [];
+    impactData = null;
     
     // Update Phase 3 UI
     displayActions(availableActions);
+    ExcludedActions.render();
     updateLiveFeedback();
+    PlanOptimizer.clearResult();
     
     // Unlock and switch to Phase 3
     unlockTab(3);
@@ -368,53 +591,90 @@ function handleActionsLoaded(event) {
     showLoading(false);
 }
 
+// Load actions for the current footprint and select a saved plan; used when
+// reopening plans from files and share links
+function restorePlan(actionIDs) {
+    showLoading(true);
+    
+    const requestData = {
+        region: currentFootprint.region || document.getElementById('region').value,
+        currentFootprint: currentFootprint
+    };
+    
+    return Promise.all([
+        BackendBridge.request("GetAvailableActions", requestData),
+        ExcludedActions.load(requestData)
+    ])
+        .then(([actions]) => {
+            ExcludedActions.keep(actionIDs);
+            handleActionsLoaded(actions);
+            
+            const restored = actionIDs.filter(id => availableActions.some(a => a.ActionID === id));
+            restored.forEach(toggleAction);
+            
+            const skipped = actionIDs.length - restored.length;
+            if (skipped > 0) {
+                showError(I18n.t('error.actionsSkipped', { count: skipped }));
+            }
+            if (restored.length > 0) {
+                viewSummary();
+            }
+        });
+}
+
 function displayActions(actions) {
     const container = document.getElementById('actionsList');
     container.innerHTML = '';
     
-    // Group actions by category
-    const categories = {
-        'Transport': { icon: '🚗', actions: [] },
-        'Home': { icon: '🏠', actions: [] },
-        'Food': { icon: '🍽️', actions: [] },
-        'Digital': { icon: '💻', actions: [] },
-        'Consumption': { icon: '🛍️', actions: [] }
+    const icons = {
+        'Transport': '🚗',
+        'Home': '🏠',
+        'Food': '🍽️',
+        'Digital': '💻',
+        'Consumption': '🛍️'
     };
     
-    actions.forEach(action => {
-        if (categories[action.Category]) {
-            categories[action.Category].actions.push(action);
-        }
-    });
-    
-    // Create sections for each category
-    Object.keys(categories).forEach(catName => {
-        const catData = categories[catName];
-        if (catData.actions.length === 0) return;
-        
+    // A section per category, or one ranked list (see ActionFilters)
+    ActionFilters.arrange(actions, Object.keys(icons)).forEach(group => {
         const section = document.createElement('div');
         section.className = 'action-category';
-        section.innerHTML = `<h3>${catData.icon} ${catName} Actions</h3>`;
+        section.innerHTML = `<h3>${group.category ?
+            I18n.t('actions.heading', { icon: icons[group.category], category: I18n.term('category', group.category) }) :
+            ActionFilters.rankedHeading()}</h3>`;
         
         const list = document.createElement('div');
         list.className = 'action-list';
         
-        catData.actions.forEach(action => {
+        group.actions.forEach(action => {
+            const rankingNote = ActionFilters.rankingNote(action);
             const item = document.createElement('div');
-            item.className = 'action-item';
-            item.onclick = () => toggleAction(action.ActionID);
+            const selected = selectedActionIDs.includes(action.ActionID);
+            item.className = selected ? 'action-item selected' : 'action-item';
+            
+            // The checkbox is the only toggle; clicking elsewhere on the item
+            // clicks it, except on the item's own controls
+            item.addEventListener('click', event => {
+                if (event.target.closest('input, select, button, a')) return;
+                item.querySelector('.action-checkbox').click();
+            });
             
             item.innerHTML = `
                 <input type="checkbox" class="action-checkbox" id="action-${action.ActionID}" 
-                       onchange="toggleAction(${action.ActionID})">
+                       aria-labelledby="action-${action.ActionID}-name"
+                       onchange="toggleAction(${action.ActionID})"${selected ? ' checked' : ''}>
                 <div class="action-details">
-                    <div class="action-name">${action.ActionName}</div>
+                    <div class="action-name" id="action-${action.ActionID}-name" title="${escapeHTML(I18n.actionDescription(action.ActionID, action.Description))}">${escapeHTML(I18n.actionName(action.ActionID, action.ActionName))}</div>
                     <div class="action-meta">
-                        <span class="action-impact">-${action.BaseImpact_kg} kg/yr</span>
-                        <span class="action-cost">💰 ${action.costLabel}</span>
-                        <span class="action-difficulty">📊 ${action.Difficulty}</span>
-                        <span class="action-time">⏱️ ${action.TimeToImplement}</span>
+                        <span class="action-impact">${I18n.t('actions.impact', { amount: Units.kg(action.BaseImpact_kg) })}</span>
+                        <span class="action-cost">💰 ${I18n.term('cost', action.CostCategory)}</span>
+                        <span class="action-difficulty">📊 ${I18n.term('difficulty', action.Difficulty)}</span>
+                        <span class="action-time">⏱️ ${I18n.term('time', action.TimeToImplement)}</span>
+                        ${group.category ? '' : `<span class="action-category-tag">${icons[action.Category] || ''} ${I18n.term('category', action.Category)}</span>`}
+                        ${rankingNote ? `<span class="action-ranking">${rankingNote}</span>` : ''}
                     </div>
+                    ${CoBenefits.badges(action)}
+                    ${ExcludedActions.note(action)}
+                    ${Household.assignControl(action)}
                 </div>
             `;
             
@@ -424,6 +684,9 @@ function displayActions(actions) {
         section.appendChild(list);
         container.appendChild(section);
     });
+    
+    ActionRules.markActions(selectedActionIDs);
+    ActionFilters.apply();
 }
 
 function toggleAction(actionID) {
@@ -434,38 +697,74 @@ function toggleAction(actionID) {
         // Deselect
         selectedActionIDs = selectedActionIDs.filter(id => id !== actionID);
         item.classList.remove('selected');
+        checkbox.checked = false;
     } else {
+        // Selecting an alternative replaces the current choice
+        ActionRules.exclusiveConflicts(actionID, selectedActionIDs).forEach(toggleAction);
+        
         // Select
         selectedActionIDs.push(actionID);
         item.classList.add('selected');
+        checkbox.checked = true;
     }
     
+    // Flag conflicting and overlapping actions
+    ActionRules.markActions(selectedActionIDs);
+    
     // Recalculate impact in real-time
     calculateImpactRealTime();
 }
 
 function calculateImpactRealTime() {
     if (selectedActionIDs.length === 0) {
+        // Drop any in-flight calculation for the previous selection
+        BackendBridge.cancel('impact');
+        impactData = null;
         updateLiveFeedback();
         return;
     }
     
-    // Send to MATLAB for calculation
+    // Wait for rapid toggles to settle before asking MATLAB
+    requestImpact({ debounceMs: IMPACT_DEBOUNCE_MS })
+        .then(handleImpactCalculated)
+        .catch(handleError);
+}
+
+function requestImpact(options) {
+    // Send to MATLAB for calculation; newer selections supersede older ones
     const requestData = {
         region: document.getElementById('region').value,
         currentFootprint: currentFootprint,
-        selectedActionIDs: selectedActionIDs,
-        allActions: availableActions
+        selectedActionIDs: selectedActionIDs.slice(),
+        allActions: availableActions,
+        assignments: Household.assignmentList(selectedActionIDs)
     };
     
-    htmlComponent.sendEventToMATLAB("CalculateActionImpact", requestData);
+    return BackendBridge.request("CalculateActionImpact", requestData,
+        Object.assign({ channel: 'impact' }, options));
 }
 
-function handleImpactCalculated(event) {
-    console.log("Impact calculated:", event.Data);
+function handleImpactCalculated(impact) {
+    console.log("Impact calculated:", impact);
     
-    impactData = event.Data;
+    // The backend adds actions independently; account for overlaps
+    impactData = ActionRules.applyInteractions(impact, currentFootprint);
     updateLiveFeedback(impactData);
+    
+    // The 90% ranges follow once the simulation has run
+    const adjusted = impactData;
+    if (adjusted.totalReduction > 0) {
+        Uncertainty.attachImpact(adjusted, currentFootprint)
+            .then(() => {
+                if (impactData !== adjusted) return;
+                updateLiveFeedback(adjusted);
+                if (isTabUnlocked(4)) {
+                    updatePlanBars();
+                    createWaterfallChart();
+                }
+            })
+            .catch(handleError);
+    }
 }
 
 function updateLiveFeedback(impact) {
@@ -474,33 +773,61 @@ function updateLiveFeedback(impact) {
     const reductionAmount = document.getElementById('reductionAmount');
     const parisMini = document.getElementById('parisMini');
     
-    currentTotal.textContent = `${currentFootprint.totalTons.toFixed(1)} tons`;
+    currentTotal.textContent = Units.tons(currentFootprint.totalTons);
+    
+    const projectedRange = document.getElementById('projectedRange');
+    projectedRange.textContent = '';
     
     if (impact && impact.totalReduction > 0) {
-        projectedTotal.textContent = `${impact.newTotal.toFixed(1)} tons`;
-        reductionAmount.textContent = `-${(impact.totalReduction / 1000).toFixed(1)} tons (${impact.reductionPercent.toFixed(0)}%)`;
-        
-        // Update Paris status
-        let parisMessage;
-        if (impact.parisStatus === 'aligned') {
-            parisMessage = 'Paris Status: <strong style="color: #A5D6A7;">✓ On Track!</strong>';
-        } else if (impact.parisStatus === 'close') {
-            parisMessage = 'Paris Status: <strong style="color: #FFF59D;">⚠ Close</strong>';
-        } else {
-            parisMessage = 'Paris Status: <strong style="color: #FFCDD2;">Still Above Target</strong>';
+        const range = impact.uncertainty;
+        projectedTotal.textContent = Units.tons(impact.newTotal);
+        reductionAmount.textContent = `-${Units.tons(impact.totalReduction / 1000)} (${Units.percent(impact.reductionPercent)})`;
+        if (range) {
+            projectedRange.textContent = I18n.t('uncertainty.interval', { range: Uncertainty.formatTons(impact.newTotal, range) });
         }
+        
+        // Update Paris status: the chance of meeting the target once known
+        const status = range ? Uncertainty.status(range.probability) : impact.parisStatus;
+        const label = range ?
+            I18n.t('live.probability', { percent: Uncertainty.formatProbability(range.probability) }) :
+            I18n.t(`live.${status}`);
+        const color = { aligned: '#A5D6A7', close: '#FFF59D', above: '#FFCDD2' }[status];
+        const parisMessage = `${I18n.t('live.parisStatus')} <strong style="color: ${color};">${label}</strong>`;
         parisMini.innerHTML = `<span class="paris-indicator">${parisMessage}</span>`;
+        announceImpact(I18n.t('live.announce', {
+            total: Units.tons(impact.newTotal),
+            reduction: Units.tons(impact.totalReduction / 1000),
+            status: label
+        }));
+        
+        // Explain why the total is less than the sum of the actions
+        if (impact.interactionAdjustment > 0) {
+            parisMini.innerHTML += `<span class="interaction-note">${I18n.t('live.overlapAdjustment', { value: Units.number(impact.interactionAdjustment / 1000, 2) })}</span>` +
+                `<ul class="interaction-list">${impact.interactions.map(interaction =>
+                    `<li>${ActionRules.describe(interaction)}</li>`).join('')}</ul>`;
+        }
     } else {
-        projectedTotal.textContent = `${currentFootprint.totalTons.toFixed(1)} tons`;
-        reductionAmount.textContent = `0.0 tons (0%)`;
-        parisMini.innerHTML = '<span class="paris-indicator">Select actions to see impact</span>';
+        projectedTotal.textContent = Units.tons(currentFootprint.totalTons);
+        reductionAmount.textContent = `${Units.tons(0)} (${Units.percent(0)})`;
+        parisMini.innerHTML = `<span class="paris-indicator">${I18n.t('live.selectActions')}</span>`;
+        announceImpact(I18n.t('live.selectActions'));
     }
+    
+    Finance.renderSummary(impact);
+}
+
+// Reads the new projection out to screen readers while actions are chosen;
+// redraws with the same text (units, ranges still loading) stay quiet
+function announceImpact(message) {
+    const announcer = document.getElementById('liveAnnouncer');
+    if (currentPhase !== 3 || announcer.textContent === message) return;
+    announcer.textContent = message;
 }
 
 // ===== Phase 4: View Summary =====
 function viewSummary() {
     if (selectedActionIDs.length === 0) {
-        showError('Please select at least one action before viewing summary');
+        showError(I18n.t('error.selectAction'));
         return;
     }
     
@@ -513,22 +840,32 @@ function viewSummary() {
         selectedActionIDs.includes(action.ActionID)
     );
     
-    // Request summary from MATLAB
-    const requestData = {
-        currentFootprint: currentFootprint,
-        impact: impactData,
-        selectedActions: selectedActions,
-        region: document.getElementById('region').value
-    };
-    
-    htmlComponent.sendEventToMATLAB("GenerateSummary", requestData);
+    // Recalculate impact first so the summary never uses a stale selection
+    requestImpact()
+        .then(impact => {
+            handleImpactCalculated(impact);
+            
+            // Request summary from MATLAB
+            const requestData = {
+                currentFootprint: currentFootprint,
+                impact: impactData,
+                selectedActions: selectedActions,
+                region: document.getElementById('region').value
+            };
+            
+            return BackendBridge.request("GenerateSummary", requestData);
+        })
+        .then(handleSummaryGenerated)
+        .catch(error => {
+            // A toggle during the request supersedes it; don't leave loading up
+            showLoading(false);
+            handleError(error);
+        });
 }
 
-function handleSummaryGenerated(event) {
+function handleSummaryGenerated(summaryText) {
     console.log("Summary generated");
     
-    const summaryText = event.Data;
-    
     // Update Phase 4 UI
     displaySummary(summaryText);
     
@@ -541,69 +878,118 @@ function handleSummaryGenerated(event) {
 
 function displaySummary(summaryText) {
     // Display before/after bars
-    const beforeBar = document.getElementById('beforeBar');
-    const afterBar = document.getElementById('afterBar');
-    const beforeLabel = document.getElementById('beforeLabel');
-    const afterLabel = document.getElementById('afterLabel');
+    updatePlanBars();
     
-    const maxValue = Math.max(currentFootprint.totalTons, impactData.newTotal);
-    const beforeWidth = (currentFootprint.totalTons / maxValue) * 100;
-    const afterWidth = (impactData.newTotal / maxValue) * 100;
+    // Display what the plan brings besides carbon
+    CoBenefits.renderPlan();
     
-    beforeBar.style.width = `${beforeWidth}%`;
-    afterBar.style.width = `${afterWidth}%`;
-    beforeLabel.textContent = `${currentFootprint.totalTons.toFixed(1)} tons`;
-    afterLabel.textContent = `${impactData.newTotal.toFixed(1)} tons`;
+    // Display footprint by category, animating to the projected footprint
+    Charts.renderBreakdown('planPieChart', 'planPieLegend', currentFootprint, impactData.categoryBreakdown);
+    Charts.showProjected('planPieChart', true);
     
     // Display waterfall chart
     createWaterfallChart();
     
+    // Display implementation roadmap
+    Roadmap.render();
+    
+    // Display costs, payback and abatement curve
+    Finance.render();
+    
+    // Display share link and QR code
+    ShareLink.render();
+    
     // Display text summary
     document.getElementById('summaryText').textContent = summaryText;
 }
 
+// Before/after bars, with whiskers and labels for the 90% ranges once known
+function updatePlanBars() {
+    const bars = [
+        { name: 'before', value: currentFootprint.totalTons, range: currentFootprint.uncertainty },
+        { name: 'after', value: impactData.newTotal, range: impactData.uncertainty }
+    ];
+    const maxValue = Math.max(...bars.map(bar => bar.value * (bar.range ? bar.range.high : 1)));
+    const percentOf = tons => `${(tons / maxValue) * 100}%`;
+    
+    bars.forEach(bar => {
+        const interval = document.getElementById(`${bar.name}Interval`);
+        document.getElementById(`${bar.name}Bar`).style.width = percentOf(bar.value);
+        document.getElementById(`${bar.name}Label`).textContent = bar.range ?
+            I18n.t('uncertainty.withRange', { value: Units.tons(bar.value), range: Uncertainty.formatTons(bar.value, bar.range) }) :
+            Units.tons(bar.value);
+        
+        interval.hidden = !bar.range;
+        if (bar.range) {
+            interval.style.setProperty('inset-inline-start', percentOf(bar.value * bar.range.low));
+            interval.style.width = percentOf(bar.value * (bar.range.high - bar.range.low));
+        }
+    });
+}
+
 function createWaterfallChart() {
-    const container = document.getElementById('waterfallChart');
-    container.innerHTML = '';
-    
-    if (!impactData || !impactData.actionDetails) return;
+    if (!impactData || !impactData.actionDetails) {
+        document.getElementById('waterfallChart').innerHTML = '';
+        return;
+    }
     
     // Sort actions by impact (descending)
     const sortedActions = [...impactData.actionDetails].sort((a, b) => b.impact - a.impact);
     
-    const maxImpact = sortedActions[0].impact;
-    
-    sortedActions.forEach(action => {
-        const widthPercent = (action.impact / maxImpact) * 100;
+    Charts.renderBars('waterfallChart', sortedActions.map(action => {
+        const category = Charts.categoryOf(action.category);
+        const details = availableActions.find(a => a.ActionID === action.id);
         
-        const item = document.createElement('div');
-        item.className = 'waterfall-item';
-        item.innerHTML = `
-            <div class="waterfall-label">${action.name}</div>
-            <div class="waterfall-bar-container">
-                <div class="waterfall-bar" style="width: ${widthPercent}%"></div>
-                <div class="waterfall-value">-${action.impact.toFixed(0)} kg</div>
-            </div>
-        `;
-        container.appendChild(item);
-    });
+        const description = details ? I18n.actionDescription(action.id, details.Description) : '';
+        const assignee = Household.assigneeName(action.id);
+        
+        const range = impactData.uncertainty && impactData.uncertainty.actions[action.id];
+        
+        return {
+            label: action.name,
+            value: action.impact,
+            low: range ? action.impact * range.low : undefined,
+            high: range ? action.impact * range.high : undefined,
+            text: `-${Units.kg(action.impact)}`,
+            color: category ? category.color : null,
+            title: action.name,
+            lines: [
+                I18n.t('waterfall.share', {
+                    amount: Charts.formatKg(action.impact),
+                    percent: Charts.formatPercent(action.impact, impactData.totalReduction)
+                }),
+                `${category ? category.icon + ' ' : ''}${I18n.term('category', action.category)}${description ? ': ' + description : ''}`
+            ].concat(range ? [I18n.t('uncertainty.interval', { range: Uncertainty.formatKg(action.impact, range) })] : [])
+                .concat(assignee ? [I18n.t('household.assignedTo', { name: escapeHTML(assignee) })] : [])
+        };
+    }), I18n.t('waterfall.label'));
 }
 
 // ===== Reset Functionality =====
 function resetApp() {
-    if (!confirm('Are you sure you want to reset? All data will be cleared.')) {
-        return;
-    }
-    
+    askConfirm(I18n.t('confirm.reset')).then(confirmed => {
+        if (confirmed) {
+            requestReset();
+        }
+    });
+}
+
+// Resets without asking; kiosk mode calls this when a visitor walks away
+function requestReset() {
     console.log("Resetting app...");
     
     // Send reset event to MATLAB
-    htmlComponent.sendEventToMATLAB("ResetApp", {});
+    return BackendBridge.request("ResetApp", {})
+        .then(handleAppReset)
+        .catch(handleError);
 }
 
-function handleAppReset(event) {
+function handleAppReset() {
     console.log("App reset");
     
+    // Ignore replies to anything sent before the reset
+    BackendBridge.cancel('impact');
+    
     // Reset global variables
     currentPhase = 1;
     currentFootprint = null;
@@ -611,17 +997,30 @@ function handleAppReset(event) {
     selectedActionIDs = [];
     impactData = null;
     
-    // Lock all tabs except first
+    // Lock all tabs except first; the progress tracker keeps its history
     for (let i = 2; i <= 4; i++) {
-        document.getElementById(`tab${i}`).setAttribute('data-unlocked', 'false');
+        lockTab(i);
     }
     
     // Clear all checkboxes
     document.querySelectorAll('.action-checkbox').forEach(cb => cb.checked = false);
     document.querySelectorAll('.action-item').forEach(item => item.classList.remove('selected'));
-    
-    // Reset to defaults
-    setDefaultValues();
+    PlanOptimizer.clearResult();
+    ActionFilters.reset();
+    ExcludedActions.reset();
+    CoBenefits.resetWeights();
+    RegionCompare.reset();
+    
+    // Reset to defaults; a kiosk clears the form and offers personas instead
+    FlightLogger.setTrips([]);
+    Household.reset();
+    if (Kiosk.isActive()) {
+        Kiosk.newVisitor();
+    } else {
+        setDefaultValues();
+    }
+    Validation.clear();
+    updateProgress();
     
     // Switch to Phase 1
     switchTab(1);
@@ -634,7 +1033,21 @@ function showLoading(show) {
         loading.classList.add('active');
     } else {
         loading.classList.remove('active');
+        
+        // Re-rendering may have removed the focused element
+        if (!document.activeElement || document.activeElement === document.body) {
+            focusPhase();
+        }
+    }
+}
+
+// Resolves to true when the user confirms; kiosk screens ask in the page
+// instead of a blocking native dialog
+function askConfirm(message) {
+    if (Kiosk.isActive()) {
+        return Kiosk.confirm(message);
     }
+    return Promise.resolve(confirm(message));
 }
 
 function showError(message) {
@@ -647,11 +1060,47 @@ function showError(message) {
     }, 5000);
 }
 
-function handleError(event) {
-    console.error("Error from MATLAB:", event.Data);
-    showError(event.Data.message || 'An error occurred. Please try again.');
+// For text from files, links and user input that goes into markup or attributes
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function downloadFile(fileName, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function handleError(error) {
+    // Superseded requests are expected; their newer request takes over
+    if (error.code === 'superseded') {
+        return;
+    }
+    
+    console.error("Error from MATLAB:", error);
+    showError(error.message || I18n.t('error.generic'));
     showLoading(false);
 }
 
+// ===== Standalone Mode =====
+// Inside MATLAB, uihtml calls setup() once the page has loaded. In a plain
+// browser nobody does, so fall back to the local JavaScript backend.
+window.addEventListener('load', () => {
+    setTimeout(() => {
+        if (!htmlComponent) {
+            setup(null);
+        }
+    }, STANDALONE_STARTUP_DELAY_MS);
+});
+
 // ===== Initialize on Load =====
 console.log("Carbon Action Tracker JavaScript loaded");
\ No newline at end of file
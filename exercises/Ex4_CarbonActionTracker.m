@@ -49,6 +49,12 @@ function handleEvent(src, event, h)
             case 'GetAvailableActions'
                 handleGetAvailableActions(src, eventData);
                 
+            case 'GetExcludedActions'
+                handleGetExcludedActions(src, eventData);
+                
+            case 'GetRegions'
+                handleGetRegions(src, eventData);
+                
             case 'CalculateActionImpact'
                 handleCalculateActionImpact(src, eventData);
                 
@@ -56,7 +62,7 @@ function handleEvent(src, event, h)
                 handleGenerateSummary(src, eventData);
                 
             case 'ResetApp'
-                handleResetApp(src);
+                handleResetApp(src, eventData);
                 
             otherwise
                 warning('Unknown event: %s', eventName);
@@ -70,6 +76,9 @@ function handleEvent(src, event, h)
         end
         
         errorData = struct('message', ME.message);
+        if isstruct(eventData) && isfield(eventData, 'requestId')
+            errorData.requestId = eventData.requestId;
+        end
         sendEventToHTMLSource(src, 'Error', errorData);
     end
 end
@@ -86,6 +95,7 @@ function handleCalculateFootprint(src, data)
     
     % Calculate current footprint using Exercise 2 functions
     footprint = calculateCurrentFootprint(data);
+    footprint.breakdown = calculateFootprintBreakdown(data);
     
     % Load regional data for comparison
     regionalData = loadRegionalData(data.region);
@@ -116,7 +126,7 @@ function handleCalculateFootprint(src, data)
         footprint.digitalTons, footprint.consumptionTons);
     
     % Send results back to JavaScript
-    sendEventToHTMLSource(src, 'FootprintCalculated', footprint);
+    sendReply(src, 'FootprintCalculated', footprint, data);
 end
 
 function handleGetAvailableActions(src, data)
@@ -130,7 +140,17 @@ function handleGetAvailableActions(src, data)
     fprintf('Found %d applicable actions\n', length(actions));
     
     % Send actions to JavaScript
-    sendEventToHTMLSource(src, 'ActionsLoaded', actions);
+    sendReply(src, 'ActionsLoaded', actions, data);
+end
+
+function handleGetExcludedActions(src, data)
+    %HANDLEGETEXCLUDEDACTIONS Get the actions filtered out, with reasons
+    
+    [~, excluded] = getAvailableActions(data.region, data.currentFootprint);
+    
+    fprintf('Found %d excluded actions\n', length(excluded));
+    
+    sendReply(src, 'ExcludedActionsLoaded', excluded, data);
 end
 
 function handleCalculateActionImpact(src, data)
@@ -138,18 +158,25 @@ function handleCalculateActionImpact(src, data)
     
     fprintf('Calculating impact of %d selected actions\n', length(data.selectedActionIDs));
     
+    % Actions may be assigned to household members
+    assignments = [];
+    if isfield(data, 'assignments')
+        assignments = data.assignments;
+    end
+    
     % Calculate the impact
     impact = calculateActionImpact(data.region, data.currentFootprint, ...
-                                   data.selectedActionIDs, data.allActions);
+                                   data.selectedActionIDs, data.allActions, assignments);
     
     % Calculate new footprint
     impact.newTotal = (data.currentFootprint.total - impact.totalReduction) / 1000;  % Convert to tons
     impact.reductionPercent = (impact.totalReduction / data.currentFootprint.total) * 100;
     
-    % Update Paris alignment
-    if impact.newTotal <= 2.0
+    % Update Paris alignment; households carry a target scaled by their size
+    parisTarget = data.currentFootprint.parisTarget;
+    if impact.newTotal <= parisTarget
         impact.parisStatus = 'aligned';
-    elseif impact.newTotal <= 3.0
+    elseif impact.newTotal <= parisTarget * 1.5
         impact.parisStatus = 'close';
     else
         impact.parisStatus = 'above';
@@ -169,7 +196,7 @@ function handleCalculateActionImpact(src, data)
     fprintf('New footprint: %.2f tons\n', impact.newTotal);
     
     % Send results back
-    sendEventToHTMLSource(src, 'ImpactCalculated', impact);
+    sendReply(src, 'ImpactCalculated', impact, data);
 end
 
 function handleGenerateSummary(src, data)
@@ -182,16 +209,38 @@ function handleGenerateSummary(src, data)
                                    data.selectedActions, data.region);
     
     % Send summary to JavaScript as a simple string
-    sendEventToHTMLSource(src, 'SummaryGenerated', summary);
+    sendReply(src, 'SummaryGenerated', summary, data);
 end
 
-function handleResetApp(src)
+function handleGetRegions(src, data)
+    %HANDLEGETREGIONS Send every region's averages for the region comparison
+    
+    regions = table2struct(loadAllRegionalData());
+    
+    fprintf('Found %d regions\n', length(regions));
+    
+    sendReply(src, 'RegionsLoaded', regions, data);
+end
+
+function handleResetApp(src, data)
     %HANDLERESETAPP Reset the app to initial state
     
     fprintf('Resetting application\n');
     
     resetData = struct('success', true);
-    sendEventToHTMLSource(src, 'AppReset', resetData);
+    sendReply(src, 'AppReset', resetData, data);
+end
+
+function sendReply(src, eventName, result, requestData)
+    %SENDREPLY Send a result to JavaScript, echoing the request ID if present
+    %   JavaScript tags each request with a requestId so it can match replies
+    %   and drop stale ones. The result is wrapped as {requestId, payload}.
+    
+    if isstruct(requestData) && isfield(requestData, 'requestId')
+        result = struct('requestId', requestData.requestId, 'payload', {result});
+    end
+    
+    sendEventToHTMLSource(src, eventName, result);
 end
 
 function valid = isValidInput(data)
@@ -213,7 +262,8 @@ function valid = isValidInput(data)
     
     % Check numeric values are positive
     numericFields = {'dailyCommuteKm', 'commuteDays', 'monthlyElectricityKWh', ...
-                    'monthlyNaturalGasKWh', 'domesticFlights', 'internationalFlights'};
+                    'monthlyNaturalGasKWh', 'domesticFlights', 'internationalFlights', ...
+                    'homeShare'};
     
     for i = 1:length(numericFields)
         if isfield(data, numericFields{i})
@@ -230,13 +280,7 @@ end
 function regionalData = loadRegionalData(region)
     %LOADREGIONALDATA Load regional averages for comparison
     
-    dataPath = fullfile(pwd, '..', 'data', 'regionalAverages.csv');
-    
-    if ~isfile(dataPath)
-        error('Regional data file not found: %s', dataPath);
-    end
-    
-    allData = readtable(dataPath);
+    allData = loadAllRegionalData();
     
     % Find region (case-insensitive)
     idx = find(strcmpi(allData.Region, region), 1);
@@ -247,4 +291,16 @@ function regionalData = loadRegionalData(region)
     end
     
     regionalData = allData(idx, :);
-end
\ No newline at end of file
+end
+
+function allData = loadAllRegionalData()
+    %LOADALLREGIONALDATA Read regionalAverages.csv
+    
+    dataPath = fullfile(pwd, '..', 'data', 'regionalAverages.csv');
+    
+    if ~isfile(dataPath)
+        error('Regional data file not found: %s', dataPath);
+    end
+    
+    allData = readtable(dataPath);
+end
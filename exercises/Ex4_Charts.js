@@ -0,0 +1,574 @@
+// ===== Interactive Charts =====
+// SVG footprint breakdown, comparison bars, per-action impact bars (both with
+// whiskers for 90% ranges) and the what-if tornado chart. Every slice and
+// bar is focusable and shows a tooltip on hover or focus with kg, % and a
+// short explanation. Clicking a category in the breakdown drills into its
+// sources (footprint.breakdown from the backend); the Phase 4 breakdown
+// animates between the current and projected footprint. Each chart carries
+// its figures as a table under a "Show as table" toggle (dataTable), which
+// Roadmap and Finance use for their own charts as well.
+
+const Charts = (() => {
+    // `name` is the category as the backend names it; display names and
+    // explanations are in the I18n catalog (category.*, categoryInfo.*)
+    const CATEGORIES = [
+        { key: 'transport', name: 'Transport', color: '#2196F3', icon: '🚗' },
+        { key: 'home', name: 'Home', color: '#FF9800', icon: '🏠' },
+        { key: 'food', name: 'Food', color: '#4CAF50', icon: '🍽️' },
+        { key: 'digital', name: 'Digital', color: '#9C27B0', icon: '💻' },
+        { key: 'consumption', name: 'Consumption', color: '#795548', icon: '🛍️' }
+    ];
+
+    const ANIMATION_MS = 700;
+
+    // Chart geometry (SVG user units)
+    const DONUT = { size: 250, outer: 120, inner: 68 };
+    const BARS = { width: 600, row: 30, gap: 12, label: 170, value: 80 };
+
+    // Per-chart state for the breakdown donuts, keyed by container id
+    const donuts = {};
+
+    // Containers whose data table the user opened; kept open across redraws
+    const openTables = new Set();
+
+    // ===== Formatting =====
+    function formatKg(kg) {
+        return Units.kg(kg);
+    }
+
+    function formatPercent(part, whole) {
+        return Units.percent(whole > 0 ? (part / whole) * 100 : 0, 1);
+    }
+
+    function shorten(text, length) {
+        return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+    }
+
+    // Mixes a hex colour with white; used to shade the parts of a category
+    function tint(hex, amount) {
+        const channel = i => {
+            const value = parseInt(hex.slice(i, i + 2), 16);
+            return Math.round(value + (255 - value) * amount);
+        };
+        return `rgb(${channel(1)}, ${channel(3)}, ${channel(5)})`;
+    }
+
+    // ===== Tooltip =====
+    function tooltipElement() {
+        let tooltip = document.getElementById('chartTooltip');
+        if (!tooltip) {
+            tooltip = document.createElement('div');
+            tooltip.id = 'chartTooltip';
+            tooltip.className = 'chart-tooltip';
+            tooltip.setAttribute('role', 'tooltip');
+            document.body.appendChild(tooltip);
+        }
+        return tooltip;
+    }
+
+    function showTooltip(html, x, y) {
+        const tooltip = tooltipElement();
+        tooltip.innerHTML = html;
+        tooltip.classList.add('visible');
+
+        const width = tooltip.offsetWidth || 220;
+        const left = Math.min(x + 14, window.innerWidth - width - 8);
+        tooltip.style.left = `${Math.max(left, 8)}px`;
+        tooltip.style.top = `${y + 14}px`;
+    }
+
+    function hideTooltip() {
+        tooltipElement().classList.remove('visible');
+    }
+
+    function tooltipHTML(title, lines) {
+        return `<strong>${title}</strong>` + lines.filter(Boolean).map(line => `<span>${line}</span>`).join('');
+    }
+
+    // Hover follows the pointer; keyboard focus anchors below the mark
+    function attachTooltip(element, html) {
+        element.addEventListener('mousemove', event => showTooltip(html(), event.clientX, event.clientY));
+        element.addEventListener('mouseleave', hideTooltip);
+        element.addEventListener('focus', () => {
+            const rect = element.getBoundingClientRect();
+            showTooltip(html(), rect.left + rect.width / 2, rect.bottom);
+        });
+        element.addEventListener('blur', hideTooltip);
+    }
+
+    // ===== Animation =====
+    function prefersReducedMotion() {
+        return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+    }
+
+    function nextFrame(callback) {
+        if (window.requestAnimationFrame) {
+            window.requestAnimationFrame(callback);
+        } else {
+            setTimeout(() => callback(Date.now()), 16);
+        }
+    }
+
+    function easeInOut(t) {
+        return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+    }
+
+    // Calls step(progress) until done; a newer animation on the same state
+    // stops the older one
+    function animate(state, step) {
+        const token = {};
+        state.animation = token;
+
+        if (prefersReducedMotion()) {
+            step(1);
+            return;
+        }
+
+        const start = Date.now();
+        const tick = () => {
+            if (state.animation !== token) return;
+            const progress = Math.min((Date.now() - start) / ANIMATION_MS, 1);
+            step(easeInOut(progress));
+            if (progress < 1) nextFrame(tick);
+        };
+        tick();
+    }
+
+    // ===== Breakdown Donut =====
+    function categorySegments(footprint, reduction) {
+        return CATEGORIES.map(cat => {
+            const current = footprint[cat.key] || 0;
+            const saved = reduction ? Math.min(reduction[cat.name] || 0, current) : 0;
+            const parts = footprint.breakdown ? [].concat(footprint.breakdown[cat.key] || []) : [];
+
+            const name = I18n.term('category', cat.name);
+
+            return {
+                id: cat.key,
+                name,
+                label: `${cat.icon} ${name}`,
+                color: cat.color,
+                explanation: I18n.t(`categoryInfo.${cat.name}`),
+                current,
+                projected: current - saved,
+                drillable: parts.filter(part => part.value > 0).length > 1
+            };
+        });
+    }
+
+    function partSegments(footprint, categoryKey) {
+        const category = CATEGORIES.find(cat => cat.key === categoryKey);
+        const parts = [].concat(footprint.breakdown[categoryKey] || []);
+
+        return parts.map((part, i) => ({
+            id: part.key,
+            name: I18n.term('part', part.key, part.name),
+            label: I18n.term('part', part.key, part.name),
+            color: tint(category.color, (i / parts.length) * 0.65),
+            explanation: I18n.term('partInfo', part.key, ''),
+            current: part.value,
+            projected: part.value,
+            drillable: false
+        }));
+    }
+
+    function point(radius, angle) {
+        const c = DONUT.size / 2;
+        return `${(c + radius * Math.cos(angle)).toFixed(2)} ${(c + radius * Math.sin(angle)).toFixed(2)}`;
+    }
+
+    // Annular sector from `start` to `end` (radians, clockwise from 12 o'clock).
+    // Each edge is drawn as two arcs so a full ring needs no special case.
+    function sectorPath(start, end) {
+        const a0 = start - Math.PI / 2;
+        const a2 = end - Math.PI / 2;
+        const a1 = (a0 + a2) / 2;
+        const R = DONUT.outer;
+        const r = DONUT.inner;
+
+        return `M ${point(R, a0)} A ${R} ${R} 0 0 1 ${point(R, a1)} A ${R} ${R} 0 0 1 ${point(R, a2)} ` +
+            `L ${point(r, a2)} A ${r} ${r} 0 0 0 ${point(r, a1)} A ${r} ${r} 0 0 0 ${point(r, a0)} Z`;
+    }
+
+    function segmentTooltip(state, segment, index) {
+        const values = state.values;
+        const total = values.reduce((sum, v) => sum + v, 0);
+        const value = values[index];
+        const lines = [
+            `${I18n.t('chart.perYear', { amount: formatKg(value) })} · ${formatPercent(value, total)}`,
+            segment.explanation
+        ];
+
+        if (state.projected && segment.current > segment.projected) {
+            lines.push(I18n.t('chart.planSaves', { amount: formatKg(segment.current - segment.projected) }));
+        }
+        if (segment.drillable && !state.drill) {
+            lines.push(`<em>${I18n.t('chart.clickForBreakdown')}</em>`);
+        }
+        return tooltipHTML(segment.label, lines);
+    }
+
+    function build(state) {
+        const chart = document.getElementById(state.chartId);
+        const size = DONUT.size;
+        const heading = state.drill ?
+            I18n.term('category', CATEGORIES.find(cat => cat.key === state.drill).name) :
+            I18n.t(state.projected ? 'chart.withPlan' : 'chart.current');
+
+        chart.innerHTML = `
+            <svg viewBox="0 0 ${size} ${size}" role="group" aria-label="${I18n.t('chart.breakdownLabel')}">
+                <g class="donut-slices"></g>
+                <text class="donut-total" x="${size / 2}" y="${size / 2 - 4}" text-anchor="middle"></text>
+                <text class="donut-caption" x="${size / 2}" y="${size / 2 + 18}" text-anchor="middle">${heading}</text>
+            </svg>
+        `;
+
+        const group = chart.querySelector('.donut-slices');
+        state.paths = state.segments.map((segment, i) => {
+            const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            path.setAttribute('class', segment.drillable && !state.drill ? 'donut-slice drillable' : 'donut-slice');
+            path.setAttribute('fill', segment.color);
+            path.setAttribute('role', segment.drillable && !state.drill ? 'button' : 'img');
+
+            attachTooltip(path, () => segmentTooltip(state, segment, i));
+            path.addEventListener('click', () => selectSegment(state, segment));
+            path.addEventListener('keydown', event => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    selectSegment(state, segment);
+                } else if (event.key === 'Escape' && state.drill) {
+                    drillUp(state.chartId);
+                }
+            });
+
+            group.appendChild(path);
+            return path;
+        });
+
+        renderLegend(state);
+    }
+
+    // Redraws the slices for the given values; slices with no emissions are
+    // hidden and removed from the tab order
+    function draw(state, values) {
+        state.values = values;
+        const total = values.reduce((sum, v) => sum + v, 0);
+        let angle = 0;
+
+        state.paths.forEach((path, i) => {
+            const sweep = total > 0 ? (values[i] / total) * 2 * Math.PI : 0;
+            const visible = sweep > 0.001;
+            const segment = state.segments[i];
+
+            path.setAttribute('d', visible ? sectorPath(angle, angle + Math.min(sweep, 2 * Math.PI - 0.0001)) : '');
+            path.setAttribute('tabindex', visible ? '0' : '-1');
+            path.setAttribute('aria-label', `${segment.name}: ${formatKg(values[i])}, ${formatPercent(values[i], total)}`);
+            angle += sweep;
+        });
+
+        const chart = document.getElementById(state.chartId);
+        chart.querySelector('.donut-total').textContent = `${Units.number(total / 1000, 1)} t`;
+        updateLegendValues(state);
+    }
+
+    function renderLegend(state) {
+        const legend = document.getElementById(state.legendId);
+        if (!legend) return;
+
+        const back = state.drill ?
+            `<button class="secondary-btn small-btn legend-back" onclick="Charts.drillUp('${state.chartId}')">${I18n.t('chart.allCategories')}</button>` : '';
+
+        legend.innerHTML = back + state.segments.map(segment => `
+            <div class="legend-item">
+                <div class="legend-color" style="background: ${segment.color};"></div>
+                <span class="legend-label">${segment.label}</span>
+                <span class="legend-value"></span>
+            </div>
+        `).join('');
+
+        // The table has both columns whatever the animation is showing
+        const withPlan = state.reduction && !state.drill;
+        const total = state.segments.reduce((sum, segment) => sum + segment.current, 0);
+        dataTable(legend, I18n.t('chart.breakdownLabel'),
+            [I18n.t('chart.table.category'), I18n.t('chart.current'), I18n.t('chart.table.share')]
+                .concat(withPlan ? [I18n.t('chart.withPlan')] : []),
+            state.segments.map(segment => [segment.name, formatKg(segment.current), formatPercent(segment.current, total)]
+                .concat(withPlan ? [formatKg(segment.projected)] : [])));
+    }
+
+    function updateLegendValues(state) {
+        const legend = document.getElementById(state.legendId);
+        if (!legend) return;
+
+        const total = state.values.reduce((sum, v) => sum + v, 0);
+        legend.querySelectorAll('.legend-value').forEach((cell, i) => {
+            const value = state.values[i];
+            cell.textContent = `${Units.number(value / 1000, 2)}t (${formatPercent(value, total)})`;
+        });
+    }
+
+    function targetValues(state) {
+        return state.segments.map(segment => state.projected ? segment.projected : segment.current);
+    }
+
+    function selectSegment(state, segment) {
+        if (state.drill || !segment.drillable) return;
+
+        hideTooltip();
+        state.drill = segment.id;
+        state.projected = false;
+        state.segments = partSegments(state.footprint, segment.id);
+        build(state);
+        draw(state, targetValues(state));
+        focusFirstSlice(state);
+    }
+
+    function focusFirstSlice(state) {
+        const first = state.paths.find(path => path.getAttribute('tabindex') === '0');
+        if (first) first.focus();
+    }
+
+    // Draws the category breakdown of `footprint`. With `reduction` (the
+    // impact's categoryBreakdown) the chart can switch to the projected
+    // footprint with showProjected().
+    function renderBreakdown(chartId, legendId, footprint, reduction) {
+        const state = {
+            chartId,
+            legendId,
+            footprint,
+            reduction: reduction || null,
+            projected: false,
+            drill: null,
+            segments: categorySegments(footprint, reduction)
+        };
+
+        donuts[chartId] = state;
+        build(state);
+        draw(state, targetValues(state));
+    }
+
+    function drillUp(chartId) {
+        const state = donuts[chartId];
+        if (!state || !state.drill) return;
+
+        const category = state.drill;
+        hideTooltip();
+        state.drill = null;
+        state.segments = categorySegments(state.footprint, state.reduction);
+        build(state);
+        draw(state, targetValues(state));
+
+        const index = state.segments.findIndex(segment => segment.id === category);
+        if (state.paths[index]) state.paths[index].focus();
+    }
+
+    // Animates the category slices between the current and projected footprint
+    function showProjected(chartId, projected) {
+        const state = donuts[chartId];
+        if (!state || !state.reduction) return;
+
+        if (state.drill) {
+            state.drill = null;
+            state.segments = categorySegments(state.footprint, state.reduction);
+            state.projected = !projected;
+            build(state);
+            draw(state, targetValues(state));
+        }
+
+        const from = state.values.slice();
+        state.projected = projected;
+        const to = targetValues(state);
+
+        document.getElementById(chartId).querySelector('.donut-caption').textContent =
+            I18n.t(projected ? 'chart.withPlan' : 'chart.current');
+        document.querySelectorAll(`[data-chart="${chartId}"]`).forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.projected === String(projected)));
+        });
+
+        animate(state, progress => {
+            draw(state, from.map((value, i) => value + (to[i] - value) * progress));
+        });
+    }
+
+    // ===== Bar Charts =====
+    // rows: [{ label, value, text, color, className, title, lines, low, high }]
+    // Bars are scaled to the largest value; `text` is drawn after each bar.
+    // Rows with `low` and `high` get a whisker for that range. `label` and
+    // `title` are plain text (they can be names from a file); `text` and
+    // `lines` are markup
+    function renderBars(containerId, rows, ariaLabel) {
+        const container = document.getElementById(containerId);
+        container.innerHTML = '';
+        if (rows.length === 0) return;
+
+        const maxValue = Math.max(...rows.map(row => Math.max(row.value, row.high || 0))) || 1;
+        const plotWidth = BARS.width - BARS.label - BARS.value;
+        const height = rows.length * (BARS.row + BARS.gap) - BARS.gap;
+
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('viewBox', `0 0 ${BARS.width} ${height}`);
+        svg.setAttribute('class', 'bar-chart');
+        svg.setAttribute('role', 'group');
+        svg.setAttribute('aria-label', ariaLabel);
+
+        rows.forEach((row, i) => {
+            const y = i * (BARS.row + BARS.gap);
+            const width = Math.max((row.value / maxValue) * plotWidth, 2);
+            const middle = (y + BARS.row / 2).toFixed(1);
+            const hasRange = row.high !== undefined;
+            const rangeX = value => BARS.label + (value / maxValue) * plotWidth;
+            const textX = hasRange ? Math.max(BARS.label + width, rangeX(row.high)) : BARS.label + width;
+
+            svg.insertAdjacentHTML('beforeend', `
+                <text class="bar-label" x="0" y="${middle}" dominant-baseline="middle">${escapeHTML(shorten(row.label, 24))}</text>
+                <rect class="bar-track" x="${BARS.label}" y="${y}" width="${plotWidth}" height="${BARS.row}" rx="5" />
+                <text class="bar-value" x="${(textX + 6).toFixed(1)}" y="${middle}" dominant-baseline="middle">${row.text}</text>
+            `);
+
+            const bar = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            bar.setAttribute('class', `chart-bar ${row.className || ''}`.trim());
+            bar.setAttribute('x', BARS.label);
+            bar.setAttribute('y', y);
+            bar.setAttribute('width', width.toFixed(1));
+            bar.setAttribute('height', BARS.row);
+            bar.setAttribute('rx', 5);
+            bar.setAttribute('tabindex', '0');
+            bar.setAttribute('role', 'img');
+            bar.setAttribute('aria-label', `${row.label}: ${row.text}`);
+            if (row.color) bar.setAttribute('fill', row.color);
+
+            attachTooltip(bar, () => tooltipHTML(escapeHTML(row.title || row.label), row.lines || []));
+            svg.appendChild(bar);
+
+            // Whisker for the 90% range, drawn over the bar
+            if (hasRange) {
+                const top = y + BARS.row / 4;
+                const bottom = y + (BARS.row * 3) / 4;
+                svg.insertAdjacentHTML('beforeend', `
+                    <g class="bar-interval" aria-hidden="true">
+                        <line x1="${rangeX(row.low).toFixed(1)}" x2="${rangeX(row.high).toFixed(1)}" y1="${middle}" y2="${middle}" />
+                        <line x1="${rangeX(row.low).toFixed(1)}" x2="${rangeX(row.low).toFixed(1)}" y1="${top}" y2="${bottom}" />
+                        <line x1="${rangeX(row.high).toFixed(1)}" x2="${rangeX(row.high).toFixed(1)}" y1="${top}" y2="${bottom}" />
+                    </g>
+                `);
+            }
+        });
+
+        container.appendChild(svg);
+        dataTable(container, ariaLabel,
+            [I18n.t('chart.table.item'), I18n.t('chart.table.value'), I18n.t('chart.table.details')],
+            rows.map(row => [escapeHTML(row.title || row.label), row.text, (row.lines || []).join('<br>')]));
+    }
+
+    // ===== Tornado Chart =====
+    // rows: [{ label, low, high, lowText, highText, title, lines }] where
+    // `low` and `high` are changes from a base value. Bars grow either side
+    // of a centre line, scaled to the largest change; decreases are drawn
+    // as savings and increases as costs
+    function renderTornado(containerId, rows, ariaLabel) {
+        const container = document.getElementById(containerId);
+        container.innerHTML = '';
+        if (rows.length === 0) return;
+
+        const maxValue = Math.max(...rows.map(row => Math.max(Math.abs(row.low), Math.abs(row.high)))) || 1;
+        const half = (BARS.width - BARS.label - 2 * BARS.value) / 2;
+        const centre = BARS.label + BARS.value + half;
+        const height = rows.length * (BARS.row + BARS.gap) - BARS.gap;
+
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('viewBox', `0 0 ${BARS.width} ${height}`);
+        svg.setAttribute('class', 'bar-chart tornado-chart');
+        svg.setAttribute('role', 'group');
+        svg.setAttribute('aria-label', ariaLabel);
+
+        rows.forEach((row, i) => {
+            const y = i * (BARS.row + BARS.gap);
+            const middle = (y + BARS.row / 2).toFixed(1);
+
+            svg.insertAdjacentHTML('beforeend', `
+                <text class="bar-label" x="0" y="${middle}" dominant-baseline="middle">${escapeHTML(shorten(row.label, 24))}</text>
+                <rect class="bar-track" x="${BARS.label + BARS.value}" y="${y}" width="${2 * half}" height="${BARS.row}" rx="5" />
+            `);
+
+            [[row.low, row.lowText], [row.high, row.highText]].forEach(([value, text]) => {
+                const width = Math.max((Math.abs(value) / maxValue) * half, 2);
+                const x = value < 0 ? centre - width : centre;
+                const textX = value < 0 ? x - 6 : x + width + 6;
+
+                svg.insertAdjacentHTML('beforeend', `
+                    <text class="bar-value" x="${textX.toFixed(1)}" y="${middle}" dominant-baseline="middle"
+                          text-anchor="${value < 0 ? 'end' : 'start'}">${text}</text>
+                `);
+
+                const bar = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                bar.setAttribute('class', `chart-bar ${value < 0 ? 'saves' : 'costs'}`);
+                bar.setAttribute('x', x.toFixed(1));
+                bar.setAttribute('y', y);
+                bar.setAttribute('width', width.toFixed(1));
+                bar.setAttribute('height', BARS.row);
+                bar.setAttribute('rx', 5);
+                bar.setAttribute('tabindex', '0');
+                bar.setAttribute('role', 'img');
+                bar.setAttribute('aria-label', `${row.label}: ${text}`);
+
+                attachTooltip(bar, () => tooltipHTML(escapeHTML(row.title || row.label), row.lines || []));
+                svg.appendChild(bar);
+            });
+        });
+
+        svg.insertAdjacentHTML('beforeend',
+            `<line class="tornado-centre" x1="${centre}" x2="${centre}" y1="0" y2="${height}" />`);
+        container.appendChild(svg);
+        dataTable(container, ariaLabel,
+            [I18n.t('chart.table.item'), I18n.t('chart.table.low'), I18n.t('chart.table.high')],
+            rows.map(row => [row.title || row.label, row.lowText, row.highText]));
+    }
+
+    // ===== Data Tables =====
+    // Appends a collapsed table with the chart's figures to `container`.
+    // rows are arrays of cells (HTML); the first cell heads the row
+    function dataTable(container, caption, headers, rows) {
+        if (rows.length === 0) return;
+
+        const details = document.createElement('details');
+        details.className = 'chart-data';
+        details.open = openTables.has(container.id);
+        details.addEventListener('toggle', () => {
+            if (details.open) {
+                openTables.add(container.id);
+            } else {
+                openTables.delete(container.id);
+            }
+        });
+
+        details.innerHTML = `
+            <summary>${I18n.t('chart.table.show')}</summary>
+            <table class="finance-table">
+                <caption>${caption}</caption>
+                <thead>
+                    <tr>${headers.map(header => `<th scope="col">${header}</th>`).join('')}</tr>
+                </thead>
+                <tbody>${rows.map(cells => `
+                    <tr><th scope="row">${cells[0]}</th>${cells.slice(1).map(cell => `<td>${cell}</td>`).join('')}</tr>
+                `).join('')}</tbody>
+            </table>
+        `;
+        container.appendChild(details);
+    }
+
+    function categoryOf(name) {
+        return CATEGORIES.find(cat => cat.name === name);
+    }
+
+    return {
+        renderBreakdown,
+        drillUp,
+        showProjected,
+        renderBars,
+        renderTornado,
+        dataTable,
+        categoryOf,
+        formatKg,
+        formatPercent
+    };
+})();
@@ -0,0 +1,201 @@
+// ===== Co-Benefits =====
+// What an action does besides cutting carbon, from the Co_Benefits column of
+// actionDatabase.csv that the backend joins into each action. The column
+// holds one free-form tag per action (Health_Fitness_Air_Quality,
+// Comfort_Lower_Bills, ...); BENEFIT_TAGS sorts each tag into the benefits
+// shown as badges. Phase 3 can filter by benefit and rank by a score that
+// mixes carbon impact with the benefits the user weights, and Phase 4
+// sums up the plan's non-carbon benefits. Weights live in the sliders, like
+// the ActionFilters toolbar state.
+
+const CoBenefits = (() => {
+    const BENEFITS = {
+        health: '🏃',
+        savings: '💵',
+        airQuality: '🌬️',
+        social: '🤝',
+        comfort: '🛋️',
+        time: '⏳',
+        independence: '🔋',
+        waste: '♻️'
+    };
+
+    // Co_Benefits tag -> benefits
+    const BENEFIT_TAGS = {
+        Health_Fitness_Air_Quality: ['health', 'airQuality'],
+        Health: ['health'],
+        Health_Variety: ['health'],
+        Health_Ethics: ['health'],
+        Health_Cost_Savings: ['health', 'savings'],
+        Health_Lower_Food_Cost: ['health', 'savings'],
+        Less_Fatigue: ['health'],
+        Fresh_Food_Hobby: ['health'],
+        Eye_Comfort_Battery: ['health', 'comfort'],
+        Cost_Savings: ['savings'],
+        Cost_Savings_Productivity: ['savings', 'time'],
+        Cost_Savings_Character: ['savings'],
+        Cost_Savings_Unique_Finds: ['savings'],
+        Cost_Savings_Wardrobe_Curation: ['savings'],
+        Fuel_Savings: ['savings'],
+        Lower_Maintenance: ['savings'],
+        Lower_Bills_Less_Maintenance: ['savings'],
+        Lower_Gas_Bills: ['savings'],
+        Lower_Internet_Bill: ['savings'],
+        Clothes_Last_Longer: ['savings'],
+        Skills_Cost_Savings: ['savings'],
+        Social_Cost_Savings: ['social', 'savings'],
+        Social_Connection: ['social'],
+        Support_Local_Fresh: ['social', 'health'],
+        Comfort_Lower_Bills: ['comfort', 'savings'],
+        Comfort_Automation: ['comfort'],
+        Comfort_Noise_Reduction: ['comfort'],
+        Comfort_Productivity: ['comfort', 'time'],
+        Safety_Lower_Bills: ['comfort', 'savings'],
+        Cooling_Also: ['comfort'],
+        Modern_Features: ['comfort'],
+        Space_Savings: ['comfort'],
+        Less_Clutter_Better_Quality: ['comfort'],
+        Scenic_Travel: ['comfort'],
+        Work_Life_Balance: ['time'],
+        Work_Life_Balance_Commute_Time: ['time'],
+        Time_Savings_Productivity: ['time'],
+        More_Time: ['time'],
+        Organized_Inbox: ['time'],
+        Energy_Independence: ['independence'],
+        Backup_Power_Grid_Independence: ['independence'],
+        Support_Renewables: ['independence'],
+        Less_Plastic_Waste: ['waste']
+    };
+
+    // Slider weights, 0 (don't care) to MAX_WEIGHT
+    const MAX_WEIGHT = 3;
+    const DEFAULT_WEIGHTS = { carbon: 2, health: 1, savings: 1, airQuality: 1, social: 1, comfort: 1, time: 1, independence: 1, waste: 1 };
+
+    // ===== Benefits =====
+    function of(action) {
+        return BENEFIT_TAGS[action.Co_Benefits] || [];
+    }
+
+    function label(benefit) {
+        return I18n.t(`benefits.${benefit}`);
+    }
+
+    // ===== Scoring =====
+    function weight(key) {
+        const slider = document.getElementById(`benefitWeight-${key}`);
+        return slider ? parseInt(slider.value, 10) : DEFAULT_WEIGHTS[key];
+    }
+
+    function benefitPoints(action) {
+        return of(action).reduce((sum, benefit) => sum + weight(benefit), 0);
+    }
+
+    // 0-100: carbon impact relative to the biggest in the list, times its
+    // weight, plus the weights of the action's benefits, over the most an
+    // action in the list could get
+    function score(action) {
+        const maxImpact = Math.max(...availableActions.map(a => a.BaseImpact_kg), 1);
+        const maxPoints = Math.max(...availableActions.map(benefitPoints), 0);
+        const possible = weight('carbon') + maxPoints;
+        if (possible === 0) return 0;
+
+        const carbon = weight('carbon') * Math.min(action.BaseImpact_kg / maxImpact, 1);
+        return ((carbon + benefitPoints(action)) / possible) * 100;
+    }
+
+    function setWeight(key, value) {
+        document.getElementById(`benefitWeight-${key}-value`).textContent = value;
+        if (document.getElementById('actionSort').value === 'benefitScore') {
+            ActionFilters.sort();
+        }
+    }
+
+    function resetWeights() {
+        Object.keys(DEFAULT_WEIGHTS).forEach(key => {
+            const slider = document.getElementById(`benefitWeight-${key}`);
+            if (!slider) return;
+            slider.value = DEFAULT_WEIGHTS[key];
+            document.getElementById(`benefitWeight-${key}-value`).textContent = DEFAULT_WEIGHTS[key];
+        });
+    }
+
+    // ===== Rendering =====
+    // Badges for an action in the Phase 3 list
+    function badges(action) {
+        const benefits = of(action);
+        if (benefits.length === 0) return '';
+        return `<div class="benefit-badges">${benefits.map(benefit =>
+            `<span class="benefit-badge benefit-${benefit}">${BENEFITS[benefit]} ${label(benefit)}</span>`).join('')}</div>`;
+    }
+
+    // Options for the benefit filter and sliders for the weights; built once
+    // and again after a language change
+    function renderControls() {
+        const filter = document.getElementById('actionBenefitFilter');
+        const selected = filter.value;
+        filter.innerHTML = `<option value="">${I18n.t('benefits.any')}</option>` +
+            Object.keys(BENEFITS).map(benefit =>
+                `<option value="${benefit}">${BENEFITS[benefit]} ${label(benefit)}</option>`).join('');
+        filter.value = selected;
+
+        const sliders = document.getElementById('benefitWeights');
+        const values = {};
+        Object.keys(DEFAULT_WEIGHTS).forEach(key => { values[key] = weight(key); });
+        sliders.innerHTML = Object.keys(DEFAULT_WEIGHTS).map(key => `
+            <div class="whatif-row">
+                <label for="benefitWeight-${key}">${key === 'carbon' ? I18n.t('benefits.carbon') : `${BENEFITS[key]} ${label(key)}`}</label>
+                <input type="range" id="benefitWeight-${key}" min="0" max="${MAX_WEIGHT}" step="1" value="${values[key]}"
+                       oninput="CoBenefits.setWeight('${key}', this.value)">
+                <output id="benefitWeight-${key}-value" for="benefitWeight-${key}">${values[key]}</output>
+            </div>
+        `).join('');
+    }
+
+    // Phase 4: the plan's benefits besides carbon, with the actions behind each
+    function renderPlan() {
+        const container = document.getElementById('planBenefits');
+        if (!container) return;
+
+        const actions = availableActions.filter(action => selectedActionIDs.includes(action.ActionID));
+        const rows = Object.keys(BENEFITS).map(benefit => ({
+            benefit,
+            actions: actions.filter(action => of(action).includes(benefit))
+        })).filter(row => row.actions.length > 0);
+
+        if (rows.length === 0) {
+            container.innerHTML = `<p class="finance-note">${I18n.t('benefits.planNone')}</p>`;
+            return;
+        }
+
+        const annualSavings = impactData ? Finance.analyze(impactData, availableActions).totals.annualSavings : 0;
+        const intro = I18n.t('benefits.planIntro', {
+            reduction: Units.tons(impactData ? impactData.totalReduction / 1000 : 0),
+            benefits: rows.map(row => label(row.benefit).toLowerCase()).join(', ')
+        });
+
+        container.innerHTML = `
+            <p class="benefit-plan-intro">${intro}</p>
+            <ul class="benefit-plan-list">
+                ${rows.map(row => `
+                    <li>
+                        <span class="benefit-badge benefit-${row.benefit}">${BENEFITS[row.benefit]} ${label(row.benefit)}</span>
+                        ${row.benefit === 'savings' && annualSavings > 0 ?
+                            `<strong>${I18n.t('benefits.planSavings', { amount: Units.currency(annualSavings) })}</strong>` : ''}
+                        <span class="benefit-plan-actions">${row.actions.map(action =>
+                            escapeHTML(I18n.actionName(action.ActionID, action.ActionName))).join(', ')}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    return {
+        of,
+        score,
+        setWeight,
+        resetWeights,
+        badges,
+        renderControls,
+        renderPlan
+    };
+})();
@@ -0,0 +1,153 @@
+// ===== Excluded Actions =====
+// The backend leaves out actions that don't fit the region (grid too clean
+// or too dirty, wrong climate) or the user's footprint (too little to save
+// in the category). The "Not available for you" section lists them with the
+// reason, and the user can add one back to the list when their situation
+// differs from the regional default, e.g. a cleaner tariff or a different
+// climate. Overrides are kept by ActionID until the app is reset, so they
+// survive recalculating the footprint. Overridden actions join
+// availableActions without their `exclusion`, so every action sent to the
+// backend has the same fields (MATLAB's jsondecode turns a mixed list into a
+// cell array); the reason stays here for the list's warning line.
+
+const ExcludedActions = (() => {
+    // Actions from the last GetExcludedActions reply, each with `exclusion`
+    let excluded = [];
+
+    // ActionIDs the user has added back
+    const overrides = new Set();
+
+    // ===== Loading =====
+    function load(requestData) {
+        return BackendBridge.request('GetExcludedActions', requestData, { channel: 'excluded' })
+            .then(actions => {
+                excluded = [].concat(actions || []);
+                return excluded;
+            });
+    }
+
+    // The action as GetAvailableActions would give it
+    function withoutExclusion(action) {
+        const copy = Object.assign({}, action);
+        delete copy.exclusion;
+        return copy;
+    }
+
+    // Excluded actions the user has added back, for availableActions
+    function overridden() {
+        return excluded.filter(action => overrides.has(action.ActionID)).map(withoutExclusion);
+    }
+
+    // Adds back the excluded actions of a restored plan without asking;
+    // the plan was saved with them
+    function keep(actionIDs) {
+        actionIDs.forEach(id => {
+            if (excluded.some(action => action.ActionID === id)) overrides.add(id);
+        });
+    }
+
+    // ===== UI Actions =====
+    function override(actionID) {
+        const action = excluded.find(a => a.ActionID === actionID);
+        if (!action || overrides.has(actionID)) return;
+
+        askConfirm(I18n.t('excluded.confirm', {
+            action: I18n.actionName(action.ActionID, action.ActionName),
+            reason: reason(action.exclusion)
+        })).then(confirmed => {
+            if (!confirmed || overrides.has(actionID)) return;
+
+            overrides.add(actionID);
+            availableActions = availableActions.concat(withoutExclusion(action));
+            displayActions(availableActions);
+            render();
+        });
+    }
+
+    // Takes an overridden action out of the list again
+    function restore(actionID) {
+        if (!overrides.has(actionID)) return;
+
+        if (selectedActionIDs.includes(actionID)) toggleAction(actionID);
+        overrides.delete(actionID);
+        availableActions = availableActions.filter(action => action.ActionID !== actionID);
+        displayActions(availableActions);
+        render();
+    }
+
+    function reset() {
+        excluded = [];
+        overrides.clear();
+        render();
+    }
+
+    // ===== Rendering =====
+    function climates(list) {
+        return String(list).split(',').map(zone => I18n.term('climate', zone.trim())).join(' / ');
+    }
+
+    function reason(exclusion) {
+        switch (exclusion.reason) {
+            case 'gridClean':
+            case 'gridDirty':
+                return I18n.t(`excluded.${exclusion.reason}`, {
+                    value: Units.number(exclusion.value),
+                    limit: Units.number(exclusion.limit)
+                });
+            case 'climate':
+                return I18n.t('excluded.climate', { value: climates(exclusion.value), limit: climates(exclusion.limit) });
+            case 'lowEmissions':
+                return I18n.t('excluded.lowEmissions', {
+                    value: Units.kg(exclusion.value),
+                    limit: Units.kg(exclusion.limit)
+                });
+            default:
+                return '';
+        }
+    }
+
+    // Warning line for an overridden action in the main list
+    function note(action) {
+        const entry = excluded.find(a => a.ActionID === action.ActionID);
+        if (!entry || !overrides.has(action.ActionID)) return '';
+        return `
+            <div class="action-override-note">
+                ⚠️ ${I18n.t('excluded.note', { reason: reason(entry.exclusion) })}
+                <button type="button" class="secondary-btn small-btn" onclick="event.stopPropagation(); ExcludedActions.restore(${action.ActionID})">
+                    ${I18n.t('excluded.restore')}
+                </button>
+            </div>
+        `;
+    }
+
+    function render() {
+        const panel = document.getElementById('excludedActions');
+        if (!panel) return;
+
+        const remaining = excluded.filter(action => !overrides.has(action.ActionID));
+        panel.hidden = remaining.length === 0;
+
+        document.getElementById('excludedActionsList').innerHTML = remaining.map(action => `
+            <li class="excluded-item">
+                <div class="action-details">
+                    <div class="action-name" title="${escapeHTML(I18n.actionDescription(action.ActionID, action.Description))}">${escapeHTML(I18n.actionName(action.ActionID, action.ActionName))}</div>
+                    <div class="excluded-reason">${reason(action.exclusion)}</div>
+                </div>
+                <button type="button" class="secondary-btn small-btn" onclick="ExcludedActions.override(${action.ActionID})">
+                    ${I18n.t('excluded.override')}
+                </button>
+            </li>
+        `).join('');
+    }
+
+    return {
+        load,
+        overridden,
+        keep,
+        override,
+        restore,
+        reset,
+        note,
+        render
+    };
+})();
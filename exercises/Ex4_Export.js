@@ -0,0 +1,453 @@
+// ===== Plan Export =====
+// Takes the Phase 4 plan home in three formats:
+//   report - self-contained, print-optimised HTML page (print to PDF from the
+//            browser) with every chart drawn as static SVG in a fixed light
+//            palette, so it prints the same from the light and dark themes
+//   CSV    - one row per selected action
+//   JSON   - currentFootprint, impactData and the selected actions; the file
+//            can be opened again later to rebuild the plan, or compared with
+//            others on the Team tab (TeamDashboard)
+
+const PlanExport = (() => {
+    const FILE_FORMAT = 'carbon-tracker-plan';
+    const FILE_VERSION = 1;
+
+    const CATEGORY_COLORS = {
+        Transport: '#2196F3',
+        Home: '#FF9800',
+        Food: '#4CAF50',
+        Digital: '#9C27B0',
+        Consumption: '#795548'
+    };
+
+    // Fixed palette: the report never inherits the app theme
+    const REPORT_CSS = `
+        * { box-sizing: border-box; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #212121; background: #ffffff;
+               max-width: 800px; margin: 0 auto; padding: 24px; line-height: 1.5; }
+        h1 { color: #2E7D32; margin: 0 0 4px; }
+        h2 { color: #2E7D32; border-bottom: 2px solid #4CAF50; padding-bottom: 4px; margin-top: 28px; }
+        .meta { color: #757575; font-size: 0.9rem; }
+        section { page-break-inside: avoid; break-inside: avoid; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+        th, td { padding: 5px 8px; border-bottom: 1px solid #e0e0e0; text-align: end; }
+        th:first-child, td:first-child { text-align: start; }
+        svg { width: 100%; height: auto; }
+        svg text { font-family: inherit; font-size: 11px; fill: #424242; }
+        pre { font-family: 'Courier New', monospace; font-size: 0.8rem; white-space: pre-wrap; }
+        .stat-cards { display: flex; gap: 10px; flex-wrap: wrap; }
+        .stat-card { flex: 1; border: 1px solid #e0e0e0; border-radius: 6px; padding: 8px; text-align: center; }
+        .stat-card .label { display: block; font-size: 0.75rem; color: #757575; }
+        .stat-card .value { display: block; font-weight: bold; color: #2E7D32; }
+        .grid { stroke: #e0e0e0; }
+        .baseline-line { fill: none; stroke: #f44336; stroke-width: 2; stroke-dasharray: 6 4; }
+        .plan-line { fill: none; stroke: #4CAF50; stroke-width: 3; }
+        .paris-line { stroke: #2E7D32; stroke-width: 2; stroke-dasharray: 4 4; }
+        .paris-cross, .milestone { fill: #81C784; stroke: #ffffff; stroke-width: 2; }
+        .avoided-area { fill: #4CAF50; opacity: 0.6; }
+        .mac-bar.saves { fill: #4CAF50; }
+        .mac-bar.costs { fill: #FF9800; }
+        .zero-line { stroke: #212121; }
+        .mac-legend { list-style: none; padding: 0; columns: 2; font-size: 0.8rem; color: #757575; }
+        .no-print { margin-bottom: 16px; }
+        @media print { .no-print { display: none; } body { padding: 0; } }
+    `;
+
+    // ===== Helpers =====
+    function escapeCSV(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function selectedActions() {
+        return availableActions.filter(action => selectedActionIDs.includes(action.ActionID));
+    }
+
+    function fileStamp() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    function ensurePlan() {
+        if (!currentFootprint || !impactData || selectedActionIDs.length === 0) {
+            showError(I18n.t('error.exportNoPlan'));
+            return false;
+        }
+        return true;
+    }
+
+    // ===== Static Charts =====
+    function pieSVG(footprint) {
+        const slices = Object.keys(CATEGORY_COLORS).map(name => ({
+            name,
+            value: footprint[name.toLowerCase()] || 0,
+            color: CATEGORY_COLORS[name]
+        }));
+
+        const cx = 110;
+        const cy = 110;
+        const r = 100;
+        let angle = -Math.PI / 2;
+        let svg = '';
+
+        slices.forEach(slice => {
+            const sweep = (slice.value / footprint.total) * Math.PI * 2;
+            if (sweep <= 0) return;
+
+            if (sweep >= Math.PI * 2 - 1e-6) {
+                svg += `<circle cx="${cx}" cy="${cy}" r="${r}" fill="${slice.color}" />`;
+            } else {
+                const x1 = cx + r * Math.cos(angle);
+                const y1 = cy + r * Math.sin(angle);
+                const x2 = cx + r * Math.cos(angle + sweep);
+                const y2 = cy + r * Math.sin(angle + sweep);
+                const large = sweep > Math.PI ? 1 : 0;
+                svg += `<path d="M${cx},${cy} L${x1.toFixed(2)},${y1.toFixed(2)} ` +
+                    `A${r},${r} 0 ${large} 1 ${x2.toFixed(2)},${y2.toFixed(2)} Z" fill="${slice.color}" />`;
+            }
+            angle += sweep;
+        });
+
+        let legend = '';
+        slices.forEach((slice, i) => {
+            const y = 30 + i * 28;
+            const text = I18n.t('report.legend', {
+                category: I18n.term('category', slice.name),
+                amount: Units.tons(slice.value / 1000, 2),
+                percent: Units.percent((slice.value / footprint.total) * 100, 1)
+            });
+            legend += `<rect x="250" y="${y - 10}" width="14" height="14" rx="3" fill="${slice.color}" />`;
+            legend += `<text x="272" y="${y + 1}">${escapeHTML(text)}</text>`;
+        });
+
+        return `<svg viewBox="0 0 520 220" role="img" aria-label="${escapeHTML(I18n.t('chart.breakdownLabel'))}">${svg}${legend}</svg>`;
+    }
+
+    // Horizontal bars: [{ label, value, text, color }]
+    function barsSVG(bars, ariaLabel) {
+        const rowHeight = 30;
+        const labelWidth = 190;
+        const barWidth = 330;
+        const maxValue = Math.max(...bars.map(b => b.value), 1e-9);
+
+        const rows = bars.map((bar, i) => {
+            const y = i * rowHeight + 4;
+            const width = Math.max((bar.value / maxValue) * barWidth, 1);
+            return `<text x="0" y="${y + 15}">${escapeHTML(bar.label)}</text>` +
+                `<rect x="${labelWidth}" y="${y}" width="${width.toFixed(1)}" height="20" rx="4" fill="${bar.color}" />` +
+                `<text x="${(labelWidth + width + 6).toFixed(1)}" y="${y + 15}">${escapeHTML(bar.text)}</text>`;
+        });
+
+        return `<svg viewBox="0 0 600 ${bars.length * rowHeight + 8}" role="img" aria-label="${escapeHTML(ariaLabel)}">${rows.join('')}</svg>`;
+    }
+
+    function ganttSVG() {
+        const startDate = new Date();
+        startDate.setDate(1);
+        const scheduled = Roadmap.buildSchedule([].concat(impactData.actionDetails), availableActions);
+
+        const months = 6;
+        const rowHeight = 26;
+        const labelWidth = 210;
+        const trackWidth = 370;
+        let svg = '';
+
+        for (let m = 0; m < months; m++) {
+            const x = labelWidth + (m / months) * trackWidth;
+            const date = new Date(startDate.getFullYear(), startDate.getMonth() + m, 1);
+            svg += `<line class="grid" x1="${x}" x2="${x}" y1="0" y2="${(scheduled.length + 1) * rowHeight}" />`;
+            svg += `<text x="${x + 4}" y="14">${Units.date(date, { month: 'short' })}</text>`;
+        }
+
+        scheduled.forEach((action, i) => {
+            const y = (i + 1) * rowHeight;
+            const x = labelWidth + (action.start / months) * trackWidth;
+            const width = Math.max(action.end - action.start, 0.25) / months * trackWidth;
+            svg += `<text x="0" y="${y + 14}">${escapeHTML(I18n.actionName(action.id, action.name))}</text>`;
+            svg += `<rect x="${x.toFixed(1)}" y="${y + 2}" width="${width.toFixed(1)}" height="18" rx="4" ` +
+                `fill="${action.end === 0 ? '#81C784' : '#4CAF50'}" />`;
+        });
+
+        return `<svg viewBox="0 0 600 ${(scheduled.length + 1) * rowHeight + 6}" role="img" aria-label="${escapeHTML(I18n.t('report.timeline'))}">${svg}</svg>`;
+    }
+
+    // ===== Report =====
+    function buildReport() {
+        const footprint = currentFootprint;
+        const actions = selectedActions();
+        const details = [...impactData.actionDetails].sort((a, b) => b.impact - a.impact);
+        const region = I18n.term('region', footprint.region);
+        const text = key => escapeHTML(I18n.t(key));
+
+        const comparison = barsSVG([
+            { label: I18n.t('comparison.you'), value: footprint.totalTons, text: Units.tons(footprint.totalTons), color: '#4CAF50' },
+            { label: I18n.t('comparison.regionalAvg'), value: footprint.regionalAvg || 0, text: Units.tons(footprint.regionalAvg || 0), color: '#9E9E9E' },
+            { label: I18n.t('comparison.globalAvg'), value: footprint.globalAvg, text: Units.tons(footprint.globalAvg), color: '#9E9E9E' },
+            { label: I18n.t('comparison.paris'), value: footprint.parisTarget, text: Units.tons(footprint.parisTarget), color: '#2E7D32' }
+        ], I18n.t('comparison.label'));
+
+        const beforeAfter = barsSVG([
+            { label: I18n.t('phase4.before'), value: footprint.totalTons, text: Units.tons(footprint.totalTons), color: '#f44336' },
+            { label: I18n.t('phase4.after'), value: impactData.newTotal, text: Units.tons(impactData.newTotal), color: '#4CAF50' }
+        ], I18n.t('report.beforeAfter'));
+
+        const waterfall = barsSVG(details.map(d => ({
+            label: I18n.actionName(d.id, d.name), value: d.impact, text: `-${Units.kg(d.impact)}`,
+            color: CATEGORY_COLORS[d.category] || '#4CAF50'
+        })), I18n.t('phase4.byAction'));
+
+        const actionRows = details.map(d => {
+            const action = actions.find(a => a.ActionID === d.id) || {};
+            const cells = [
+                I18n.actionName(d.id, d.name),
+                Units.number(d.impact),
+                action.CostCategory ? I18n.term('cost', action.CostCategory) : '',
+                action.Difficulty ? I18n.term('difficulty', action.Difficulty) : '',
+                action.TimeToImplement ? I18n.term('time', action.TimeToImplement) : ''
+            ];
+            return `<tr>${cells.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`;
+        });
+
+        const headers = ['action', 'impact', 'cost', 'difficulty', 'time']
+            .map(column => `<th>${text(`report.col.${column}`)}</th>`);
+
+        // Rendered Phase 4 sections are reused as-is; their classes are styled by REPORT_CSS
+        const copy = id => {
+            const element = document.getElementById(id);
+            return element ? element.innerHTML : '';
+        };
+
+        return `<!DOCTYPE html>
+<html lang="${I18n.getLanguage()}" dir="${document.documentElement.dir || 'ltr'}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(I18n.t('report.title', { region }))}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+<div class="no-print"><button onclick="window.print()">${text('report.print')}</button></div>
+<h1>${text('report.heading')}</h1>
+<p class="meta">${escapeHTML(I18n.t('report.meta', {
+            region,
+            date: Units.date(new Date(), { year: 'numeric', month: 'long', day: 'numeric' })
+        }))}</p>
+
+<section>
+<h2>${escapeHTML(I18n.t('report.current', { amount: Units.tons(footprint.totalTons) }))}</h2>
+${pieSVG(footprint)}
+${comparison}
+</section>
+
+<section>
+<h2>${escapeHTML(I18n.t('report.plan', {
+            amount: Units.tons(impactData.newTotal),
+            percent: Units.percent(impactData.reductionPercent)
+        }))}</h2>
+${beforeAfter}
+<h3>${text('phase4.byAction')}</h3>
+${waterfall}
+<table>
+<thead><tr>${headers.join('')}</tr></thead>
+<tbody>${actionRows.join('')}</tbody>
+</table>
+</section>
+
+<section>
+<h2>${text('phase4.roadmap')}</h2>
+<p>${escapeHTML(document.getElementById('roadmapParis').textContent)}</p>
+<div class="stat-cards">${copy('roadmapStats')}</div>
+${ganttSVG()}
+<h3>${text('roadmap.annual')}</h3>
+${copy('roadmapTrajectory')}
+<h3>${text('roadmap.cumulative')}</h3>
+${copy('roadmapCumulative')}
+</section>
+
+<section>
+<h2>${text('finance.heading')}</h2>
+<div class="stat-cards">${copy('financePlanStats')}</div>
+${copy('financeTable')}
+<h3>${text('finance.mac')}</h3>
+${copy('macCurve')}
+</section>
+
+<section>
+<h2>${text('phase4.summary')}</h2>
+<pre>${escapeHTML(document.getElementById('summaryText').textContent)}</pre>
+</section>
+</body>
+</html>`;
+    }
+
+    // Opens the report in a new window and prints it; where pop-ups are not
+    // available (e.g. inside MATLAB) the report is downloaded instead
+    function printReport() {
+        if (!ensurePlan()) return;
+
+        const html = buildReport();
+        const reportWindow = window.open('', '_blank');
+
+        if (!reportWindow) {
+            downloadReport();
+            return;
+        }
+
+        reportWindow.document.open();
+        reportWindow.document.write(html);
+        reportWindow.document.close();
+        reportWindow.focus();
+        setTimeout(() => reportWindow.print(), 300);
+    }
+
+    function downloadReport() {
+        if (!ensurePlan()) return;
+        downloadFile(`carbon-action-plan-${fileStamp()}.html`, buildReport(), 'text/html');
+    }
+
+    // ===== CSV =====
+    function buildCSV() {
+        const header = ['ActionID', 'Category', 'Action', 'Impact_kg_per_year', 'CostCategory',
+            'Cost_USD', 'Difficulty', 'TimeToImplement'];
+
+        const rows = [...impactData.actionDetails]
+            .sort((a, b) => b.impact - a.impact)
+            .map(detail => {
+                const action = availableActions.find(a => a.ActionID === detail.id) || {};
+                return [
+                    detail.id,
+                    detail.category,
+                    detail.name,
+                    detail.impact.toFixed(1),
+                    action.CostCategory,
+                    typeof action.Cost_USD === 'number' ? action.Cost_USD : '',
+                    action.Difficulty,
+                    action.TimeToImplement
+                ];
+            });
+
+        return [header].concat(rows).map(row => row.map(escapeCSV).join(',')).join('\r\n') + '\r\n';
+    }
+
+    function downloadCSV() {
+        if (!ensurePlan()) return;
+        downloadFile(`carbon-action-plan-${fileStamp()}.csv`, buildCSV(), 'text/csv');
+    }
+
+    // ===== JSON =====
+    function buildBundle() {
+        return {
+            format: FILE_FORMAT,
+            version: FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            formValues: readFormValues(),
+            currentFootprint,
+            impactData,
+            selectedActions: selectedActions()
+        };
+    }
+
+    function downloadJSON() {
+        if (!ensurePlan()) return;
+        downloadFile(`carbon-action-plan-${fileStamp()}.json`,
+            JSON.stringify(buildBundle(), null, 2), 'application/json');
+    }
+
+    const CATEGORY_KEYS = Object.keys(CATEGORY_COLORS).map(name => name.toLowerCase());
+
+    function isAmount(value) {
+        return typeof value === 'number' && isFinite(value) && value >= 0;
+    }
+
+    // The figures the Team tab reads from a footprint
+    function isFootprint(footprint) {
+        return Boolean(footprint) &&
+            typeof footprint.region === 'string' &&
+            ['total', 'totalTons'].concat(CATEGORY_KEYS).every(key => isAmount(footprint[key])) &&
+            Boolean(footprint.breakdown) && typeof footprint.breakdown === 'object';
+    }
+
+    function isImpact(impact) {
+        return ['totalReduction', 'newTotal', 'reductionPercent'].every(key => typeof impact[key] === 'number' && isFinite(impact[key])) &&
+            Array.isArray(impact.actionDetails) &&
+            impact.actionDetails.every(detail => detail && Number.isInteger(detail.id) && isAmount(detail.impact));
+    }
+
+    function parseBundle(text) {
+        let bundle;
+        try {
+            bundle = JSON.parse(text);
+        } catch (error) {
+            throw new Error(I18n.t('reason.notJSON'));
+        }
+
+        if (!bundle || bundle.format !== FILE_FORMAT) {
+            throw new Error(I18n.t('reason.notPlanFile'));
+        }
+        if (typeof bundle.version !== 'number' || bundle.version > FILE_VERSION) {
+            throw new Error(I18n.t('reason.version', { version: bundle.version }));
+        }
+        if (!bundle.formValues || typeof bundle.formValues !== 'object') {
+            throw new Error(I18n.t('reason.noInputs'));
+        }
+        if (!isFootprint(bundle.currentFootprint)) {
+            throw new Error(I18n.t('reason.noFootprint'));
+        }
+        if (bundle.impactData && !isImpact(bundle.impactData)) {
+            throw new Error(I18n.t('reason.badImpact'));
+        }
+        if (!Array.isArray(bundle.selectedActions) || bundle.selectedActions.length === 0 ||
+            !bundle.selectedActions.every(action => action && Number.isInteger(action.ActionID))) {
+            throw new Error(I18n.t('reason.noActions'));
+        }
+        return bundle;
+    }
+
+    // Rebuilds the plan through the normal flow from the file's inputs, so the
+    // footprint, impacts and summary are recalculated by the current backend
+    // rather than trusted from the file
+    function restoreBundle(bundle) {
+        applyFormValues(bundle.formValues);
+        if (!validateAllInputs()) {
+            return Promise.reject(new Error(I18n.t('error.planIncomplete')));
+        }
+
+        showLoading(true);
+        return requestFootprint().then(footprint => {
+            handleFootprintCalculated(footprint);
+            return restorePlan(bundle.selectedActions.map(a => a.ActionID));
+        });
+    }
+
+    function importFile(input) {
+        const file = input.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            let bundle;
+            try {
+                bundle = parseBundle(reader.result);
+            } catch (error) {
+                showError(I18n.t('error.openPlan', { reason: error.message }));
+                return;
+            }
+            restoreBundle(bundle).catch(handleError);
+        };
+        reader.readAsText(file);
+
+        // Allow opening the same file again
+        input.value = '';
+    }
+
+    return {
+        printReport,
+        downloadReport,
+        downloadCSV,
+        downloadJSON,
+        importFile,
+        buildReport,
+        buildCSV,
+        buildBundle,
+        parseBundle,
+        restoreBundle
+    };
+})();
@@ -0,0 +1,276 @@
+// ===== Financial Analysis =====
+// Upfront cost, annual savings, payback, 10-year net cost and cost per tonne
+// for the selected actions, using Cost_USD and Payback_Years that the backend
+// joins in from actionDatabase.csv. Actions without a database entry
+// (DatabaseAction 'Uncosted' in actionLibrary.csv) are left out of the cost
+// figures, the table and the curve, and listed in the note instead. Actions
+// that share a database entry (both flight cuts, say) pay its cost once.
+// Phase 3 shows the totals; Phase 4 adds a per-action table and a marginal
+// abatement cost (MAC) curve.
+
+const Finance = (() => {
+    const HORIZON_YEARS = 10;
+
+    // Chart geometry (SVG user units)
+    const CHART = { width: 600, height: 240, left: 56, right: 12, top: 12, bottom: 24 };
+
+    // ===== Calculations =====
+    function isCosted(action) {
+        return Boolean(action) && typeof action.Cost_USD === 'number';
+    }
+
+    // Annual savings are implied by the payback period: cost / years. An
+    // action whose database entry is already paid for adds no cost.
+    function analyzeAction(detail, action, charged = true) {
+        const upfront = charged ? action.Cost_USD : 0;
+        const paybackYears = action.Payback_Years > 0 ? action.Payback_Years : null;
+        const annualSavings = paybackYears ? upfront / paybackYears : 0;
+
+        const tonnesPerYear = detail.impact / 1000;
+        const netCost = upfront - annualSavings * HORIZON_YEARS;
+
+        return {
+            id: detail.id,
+            name: detail.name,
+            upfront,
+            annualSavings,
+            paybackYears: upfront === 0 ? 0 : paybackYears,
+            netCost,
+            tonnesPerYear,
+            costPerTonne: tonnesPerYear > 0 ? netCost / (tonnesPerYear * HORIZON_YEARS) : null
+        };
+    }
+
+    // Net cost per tonne of an action in the Phase 3 list at its base impact;
+    // used to rank the list by cost-effectiveness
+    function costPerTonne(action) {
+        if (!isCosted(action)) return null;
+        const detail = { id: action.ActionID, name: action.ActionName, impact: action.BaseImpact_kg };
+        return analyzeAction(detail, action).costPerTonne;
+    }
+
+    function analyze(impact, actions) {
+        const details = [].concat(impact.actionDetails || []);
+        const actionOf = detail => actions.find(a => a.ActionID === detail.id);
+        const paidFor = new Set();
+        const rows = details
+            .filter(detail => isCosted(actionOf(detail)))
+            .map(detail => {
+                const entry = actionOf(detail).DatabaseAction;
+                const charged = !entry || !paidFor.has(entry);
+                paidFor.add(entry);
+                return analyzeAction(detail, actionOf(detail), charged);
+            });
+        const uncosted = details.filter(detail => !isCosted(actionOf(detail)));
+
+        const upfront = rows.reduce((sum, r) => sum + r.upfront, 0);
+        const annualSavings = rows.reduce((sum, r) => sum + r.annualSavings, 0);
+        const netCost = rows.reduce((sum, r) => sum + r.netCost, 0);
+        const tonnesPerYear = rows.reduce((sum, r) => sum + r.tonnesPerYear, 0);
+
+        let paybackYears = null;
+        if (upfront === 0) {
+            paybackYears = 0;
+        } else if (annualSavings > 0) {
+            paybackYears = upfront / annualSavings;
+        }
+
+        return {
+            rows,
+            totals: {
+                upfront,
+                annualSavings,
+                paybackYears,
+                netCost,
+                tonnesPerYear,
+                costPerTonne: tonnesPerYear > 0 ? netCost / (tonnesPerYear * HORIZON_YEARS) : null
+            },
+            uncosted,
+            costLow: impact.totalCostLow || 0,
+            costHigh: impact.totalCostHigh || 0
+        };
+    }
+
+    // ===== Formatting =====
+    function formatUSD(value) {
+        return Units.currency(value);
+    }
+
+    function formatPayback(paybackYears) {
+        if (paybackYears === 0) return I18n.t('finance.now');
+        if (paybackYears === null) return I18n.t('finance.never');
+        return I18n.t('finance.paybackYear', {
+            year: new Date().getFullYear() + Math.ceil(paybackYears),
+            years: Units.number(paybackYears, 1)
+        });
+    }
+
+    function formatCostPerTonne(costPerTonne) {
+        return costPerTonne === null ? '—' : I18n.t('finance.perTonne', { amount: formatUSD(costPerTonne) });
+    }
+
+    // ===== Rendering =====
+    function statsHTML(analysis) {
+        const t = analysis.totals;
+        const stats = [
+            [I18n.t('finance.upfront'), formatUSD(t.upfront)],
+            [I18n.t('finance.annualSavings'), I18n.t('finance.perYear', { amount: formatUSD(t.annualSavings) })],
+            [I18n.t('finance.payback'), formatPayback(t.paybackYears)],
+            [I18n.t('finance.netCost', { years: HORIZON_YEARS }), formatUSD(t.netCost)],
+            [I18n.t('finance.costPerTonne'), formatCostPerTonne(t.costPerTonne)]
+        ];
+
+        return stats.map(([label, value]) => `
+            <div class="stat-card">
+                <span class="label">${label}</span>
+                <span class="value">${value}</span>
+            </div>
+        `).join('');
+    }
+
+    function noteText(analysis) {
+        let note = I18n.t('finance.note', {
+            low: formatUSD(analysis.costLow),
+            high: formatUSD(analysis.costHigh),
+            years: HORIZON_YEARS
+        });
+        if (analysis.uncosted.length > 0) {
+            note += ' ' + I18n.t('finance.uncosted', {
+                count: analysis.uncosted.length,
+                names: analysis.uncosted.map(detail => detail.name).join(', ')
+            });
+        }
+        return note;
+    }
+
+    // Phase 3: totals for the live selection
+    function renderSummary(impact) {
+        const container = document.getElementById('financeSummary');
+        const note = document.getElementById('financeSummaryNote');
+        if (!container) return;
+
+        if (!impact || !impact.actionDetails || impact.actionDetails.length === 0) {
+            container.innerHTML = '';
+            note.textContent = I18n.t('finance.selectActions');
+            return;
+        }
+
+        const analysis = analyze(impact, availableActions);
+        container.innerHTML = statsHTML(analysis);
+        note.textContent = noteText(analysis);
+    }
+
+    // Phase 4: totals, per-action table and MAC curve
+    function render() {
+        if (!impactData || !impactData.actionDetails) return;
+
+        const analysis = analyze(impactData, availableActions);
+        document.getElementById('financePlanStats').innerHTML = statsHTML(analysis);
+        document.getElementById('financePlanNote').textContent = noteText(analysis);
+        renderTable(analysis);
+        renderMACCurve(analysis);
+    }
+
+    function renderTable(analysis) {
+        const rows = analysis.rows
+            .slice()
+            .sort((a, b) => (a.costPerTonne === null) - (b.costPerTonne === null) || a.costPerTonne - b.costPerTonne)
+            .map(r => `
+                <tr>
+                    <td>${escapeHTML(r.name)}</td>
+                    <td>${formatUSD(r.upfront)}</td>
+                    <td>${formatUSD(r.annualSavings)}</td>
+                    <td>${formatPayback(r.paybackYears)}</td>
+                    <td>${formatUSD(r.netCost)}</td>
+                    <td>${formatCostPerTonne(r.costPerTonne)}</td>
+                </tr>
+            `);
+
+        document.getElementById('financeTable').innerHTML = `
+            <table class="finance-table">
+                <thead>
+                    <tr>
+                        <th>${I18n.t('finance.col.action')}</th><th>${I18n.t('finance.col.upfront')}</th>
+                        <th>${I18n.t('finance.col.savings')}</th><th>${I18n.t('finance.col.payback')}</th>
+                        <th>${I18n.t('finance.col.netCost', { years: HORIZON_YEARS })}</th><th>${I18n.t('finance.col.perTonne')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+    }
+
+    // Bars sorted by cost per tonne: width = tonnes avoided per year,
+    // height = $/t. Bars below zero pay for themselves.
+    function renderMACCurve(analysis) {
+        const container = document.getElementById('macCurve');
+        const bars = analysis.rows
+            .filter(r => r.costPerTonne !== null)
+            .sort((a, b) => a.costPerTonne - b.costPerTonne);
+
+        if (bars.length === 0) {
+            container.innerHTML = `<p class="finance-note">${I18n.t('finance.noReduction')}</p>`;
+            return;
+        }
+
+        const totalTonnes = bars.reduce((sum, r) => sum + r.tonnesPerYear, 0);
+        const minValue = Math.min(0, ...bars.map(r => r.costPerTonne));
+        const maxValue = Math.max(0, ...bars.map(r => r.costPerTonne));
+        const span = (maxValue - minValue) || 1;
+
+        const plotWidth = CHART.width - CHART.left - CHART.right;
+        const plotHeight = CHART.height - CHART.top - CHART.bottom;
+        const x = tonnes => CHART.left + (tonnes / totalTonnes) * plotWidth;
+        const y = value => CHART.top + ((maxValue - value) / span) * plotHeight;
+
+        let svg = '';
+        for (let i = 0; i <= 4; i++) {
+            const value = minValue + (span / 4) * i;
+            const yPos = y(value).toFixed(1);
+            svg += `<line class="grid" x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${yPos}" y2="${yPos}" />`;
+            svg += `<text class="axis-label" x="${CHART.left - 6}" y="${yPos}" text-anchor="end" dominant-baseline="middle">${formatUSD(value)}</text>`;
+        }
+
+        let cumulative = 0;
+        bars.forEach((r, i) => {
+            const left = x(cumulative);
+            const width = Math.max(x(cumulative + r.tonnesPerYear) - left - 1, 1);
+            const top = y(Math.max(r.costPerTonne, 0));
+            const height = Math.max(Math.abs(y(r.costPerTonne) - y(0)), 1);
+            const className = r.costPerTonne <= 0 ? 'mac-bar saves' : 'mac-bar costs';
+
+            svg += `<rect class="${className}" x="${left.toFixed(1)}" y="${top.toFixed(1)}" width="${width.toFixed(1)}" height="${height.toFixed(1)}">` +
+                `<title>${I18n.t('finance.barTitle', {
+                    name: escapeHTML(r.name),
+                    cost: formatCostPerTonne(r.costPerTonne),
+                    value: Units.number(r.tonnesPerYear, 2)
+                })}</title></rect>`;
+            if (width > 14) {
+                svg += `<text class="mac-index" x="${(left + width / 2).toFixed(1)}" y="${(y(0) + (r.costPerTonne <= 0 ? -4 : 12)).toFixed(1)}" text-anchor="middle">${i + 1}</text>`;
+            }
+            cumulative += r.tonnesPerYear;
+        });
+
+        const zeroY = y(0).toFixed(1);
+        svg += `<line class="zero-line" x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${zeroY}" y2="${zeroY}" />`;
+        svg += `<text class="axis-label" x="${CHART.width - CHART.right}" y="${CHART.height - 6}" text-anchor="end">${I18n.t('finance.avoided', { value: Units.number(totalTonnes, 1) })}</text>`;
+
+        const legend = bars.map((r, i) =>
+            `<li><strong>${i + 1}.</strong> ${escapeHTML(r.name)} (${formatCostPerTonne(r.costPerTonne)})</li>`);
+
+        container.innerHTML =
+            `<svg viewBox="0 0 ${CHART.width} ${CHART.height}" role="img" aria-label="${I18n.t('finance.mac')}">${svg}</svg>` +
+            `<ul class="mac-legend">${legend.join('')}</ul>`;
+        Charts.dataTable(container, I18n.t('finance.macCaption'),
+            [I18n.t('finance.col.action'), I18n.t('finance.col.perTonne'), I18n.t('finance.col.avoided')],
+            bars.map(r => [escapeHTML(r.name), formatCostPerTonne(r.costPerTonne), Units.number(r.tonnesPerYear, 2)]));
+    }
+
+    return {
+        analyze,
+        costPerTonne,
+        formatCostPerTonne,
+        renderSummary,
+        render
+    };
+})();
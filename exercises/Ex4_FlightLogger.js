@@ -0,0 +1,259 @@
+// ===== Flight Logger =====
+// Lets users enter individual trips by airport code instead of estimating the
+// four average flight fields. A trip is { from, to, tripType, cabin, count }.
+// Each leg is the great-circle distance plus DETOUR_UPLIFT for routing and
+// holding; economy legs are banded by distance like the Aviation rows of
+// transportEmissionFactors.csv, and premium cabins use their own factors.
+// While the log has trips, the four flight fields show derived values and
+// readUserData() sends per-band passenger-km (flightKm) to the backend.
+
+const FlightLogger = (() => {
+    const DETOUR_UPLIFT = 1.08;  // DEFRA: +8% over the great-circle distance
+    const SHORT_HAUL_MAX_KM = 500;
+    const MEDIUM_HAUL_MAX_KM = 1600;
+    const MAX_TRIPS = 50;
+    const MAX_COUNT = 100;
+
+    const BANDS = ['Domestic_Short', 'Domestic_Medium', 'International_Long', 'Business_Class', 'First_Class'];
+    const TRIP_TYPES = ['return', 'oneway'];
+    const CABINS = ['economy', 'business', 'first'];
+    const FLIGHT_FIELDS = ['domesticFlights', 'avgDomesticFlightKm', 'internationalFlights', 'avgInternationalFlightKm'];
+
+    let trips = [];
+
+    // ===== Trip Calculations =====
+    function legKm(trip) {
+        return Airports.distanceKm(Airports.find(trip.from), Airports.find(trip.to)) * DETOUR_UPLIFT;
+    }
+
+    function tripKm(trip) {
+        return legKm(trip) * (trip.tripType === 'return' ? 2 : 1) * trip.count;
+    }
+
+    function isDomestic(trip) {
+        return Airports.find(trip.from).country === Airports.find(trip.to).country;
+    }
+
+    function band(trip) {
+        if (trip.cabin === 'business') return 'Business_Class';
+        if (trip.cabin === 'first') return 'First_Class';
+
+        const km = legKm(trip);
+        if (km < SHORT_HAUL_MAX_KM) return 'Domestic_Short';
+        if (km < MEDIUM_HAUL_MAX_KM) return 'Domestic_Medium';
+        return 'International_Long';
+    }
+
+    function emptyBands() {
+        const totals = {};
+        BANDS.forEach(name => { totals[name] = 0; });
+        return totals;
+    }
+
+    // Passenger-km per year for each emission-factor band, split by
+    // domestic and international so the footprint breakdown keeps both;
+    // `list` defaults to the logged trips
+    function bandTotals(list = trips) {
+        const totals = { domestic: emptyBands(), international: emptyBands() };
+        list.forEach(trip => {
+            totals[isDomestic(trip) ? 'domestic' : 'international'][band(trip)] += tripKm(trip);
+        });
+        return totals;
+    }
+
+    // Round trips and average one-way distance, as the four form fields expect
+    function derivedFields() {
+        const summarize = domestic => {
+            const group = trips.filter(trip => isDomestic(trip) === domestic);
+            const roundTrips = group.reduce((sum, t) => sum + t.count * (t.tripType === 'return' ? 1 : 0.5), 0);
+            const flights = Math.ceil(roundTrips);
+            const km = group.reduce((sum, t) => sum + tripKm(t), 0);
+            return [flights, flights > 0 ? Math.round(km / (2 * flights)) : 0];
+        };
+
+        const [domesticFlights, avgDomesticFlightKm] = summarize(true);
+        const [internationalFlights, avgInternationalFlightKm] = summarize(false);
+        return { domesticFlights, avgDomesticFlightKm, internationalFlights, avgInternationalFlightKm };
+    }
+
+    // ===== Validation =====
+    // Returns a clean copy of the trip, or throws with a message for the user
+    function normalize(trip) {
+        const from = Airports.find(trip.from || '');
+        const to = Airports.find(trip.to || '');
+        const count = Number(trip.count);
+
+        if (!from) throw new Error(I18n.t('flights.unknownAirport', { code: trip.from }));
+        if (!to) throw new Error(I18n.t('flights.unknownAirport', { code: trip.to }));
+        if (from === to) throw new Error(I18n.t('flights.sameAirport'));
+        if (!TRIP_TYPES.includes(trip.tripType)) throw new Error(I18n.t('flights.unknownTripType', { type: trip.tripType }));
+        if (!CABINS.includes(trip.cabin)) throw new Error(I18n.t('flights.unknownCabin', { cabin: trip.cabin }));
+        if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+            throw new Error(I18n.t('flights.countRange', { max: MAX_COUNT }));
+        }
+
+        return { from: from.code, to: to.code, tripType: trip.tripType, cabin: trip.cabin, count };
+    }
+
+    // Drops anything that is not a valid trip; used for saved profiles and files
+    function sanitize(list) {
+        if (!Array.isArray(list)) return [];
+
+        const clean = [];
+        list.slice(0, MAX_TRIPS).forEach(trip => {
+            try {
+                clean.push(normalize(trip || {}));
+            } catch (error) {
+                console.warn('Skipping invalid flight:', error.message);
+            }
+        });
+        return clean;
+    }
+
+    // ===== Share Link Encoding =====
+    // LHR-JFK-r-e-2: from, to, r(eturn)/o(ne-way), cabin initial, count
+    function serialize(list) {
+        return list.map(trip =>
+            [trip.from, trip.to, trip.tripType[0], trip.cabin[0], trip.count].join('-')).join('_');
+    }
+
+    function parse(text) {
+        const parts = text.split('_');
+        if (parts.length > MAX_TRIPS) throw new Error('too many flights');
+
+        return parts.map(part => {
+            const match = /^([A-Z]{3})-([A-Z]{3})-([ro])-([ebf])-(\d{1,3})$/.exec(part);
+            if (!match) throw new Error('invalid flight list');
+
+            return normalize({
+                from: match[1],
+                to: match[2],
+                tripType: TRIP_TYPES.find(type => type[0] === match[3]),
+                cabin: CABINS.find(cabin => cabin[0] === match[4]),
+                count: Number(match[5])
+            });
+        });
+    }
+
+    // ===== State =====
+    function getTrips() {
+        return trips.map(trip => ({ ...trip }));
+    }
+
+    function setTrips(list) {
+        trips = sanitize(list);
+        render();
+    }
+
+    function hasTrips() {
+        return trips.length > 0;
+    }
+
+    // ===== UI Actions =====
+    function initialize() {
+        document.getElementById('airportList').innerHTML = Airports.all()
+            .map(airport => `<option value="${airport.code}">${airport.name} (${airport.country})</option>`)
+            .join('');
+        render();
+    }
+
+    function addFromForm() {
+        const fromInput = document.getElementById('flightFrom');
+        const toInput = document.getElementById('flightTo');
+
+        if (trips.length >= MAX_TRIPS) {
+            showError(I18n.t('flights.full', { max: MAX_TRIPS }));
+            return;
+        }
+
+        let trip;
+        try {
+            trip = normalize({
+                from: fromInput.value,
+                to: toInput.value,
+                tripType: document.getElementById('flightTripType').value,
+                cabin: document.getElementById('flightCabin').value,
+                count: document.getElementById('flightCount').value
+            });
+        } catch (error) {
+            showError(error.message);
+            return;
+        }
+
+        trips.push(trip);
+        fromInput.value = '';
+        toInput.value = '';
+        document.getElementById('flightCount').value = '1';
+        render();
+        fromInput.focus();
+    }
+
+    function remove(index) {
+        trips.splice(index, 1);
+        render();
+    }
+
+    // ===== Rendering =====
+    function render() {
+        const list = document.getElementById('flightList');
+        if (!list) return;
+
+        list.innerHTML = trips.map((trip, i) => `
+            <li>
+                <span>${trip.from} ${trip.tripType === 'return' ? '⇄' : '→'} ${trip.to}</span>
+                <span class="flight-meta">${I18n.t(`flights.${trip.tripType}`)} · ${I18n.t(`flights.${trip.cabin}`)}${trip.count > 1 ? ` · ×${trip.count}` : ''}</span>
+                <span class="flight-meta">${Units.distance(tripKm(trip))}</span>
+                <button class="secondary-btn small-btn" onclick="FlightLogger.remove(${i})"
+                    aria-label="${I18n.t('flights.remove', { from: trip.from, to: trip.to })}">✕</button>
+            </li>
+        `).join('');
+
+        renderTotals();
+        syncFlightFields();
+    }
+
+    function renderTotals() {
+        const totals = document.getElementById('flightTotals');
+        if (trips.length === 0) {
+            totals.textContent = I18n.t('flights.none');
+            return;
+        }
+
+        const bands = bandTotals();
+        const sum = group => Object.values(group).reduce((total, km) => total + km, 0);
+        totals.textContent = I18n.t('flights.totals', {
+            domestic: Units.distance(sum(bands.domestic)),
+            international: Units.distance(sum(bands.international)),
+            uplift: Math.round((DETOUR_UPLIFT - 1) * 100)
+        });
+    }
+
+    // The average fields become read-only summaries while flights are logged
+    function syncFlightFields() {
+        const derived = hasTrips() ? derivedFields() : null;
+
+        FLIGHT_FIELDS.forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            field.readOnly = Boolean(derived);
+            if (derived) {
+                Units.showMetric(fieldId, String(derived[fieldId]));
+                validateInput(fieldId);
+            }
+        });
+        updateProgress();
+    }
+
+    return {
+        initialize,
+        addFromForm,
+        remove,
+        render,
+        getTrips,
+        setTrips,
+        hasTrips,
+        bandTotals,
+        sanitize,
+        serialize,
+        parse
+    };
+})();
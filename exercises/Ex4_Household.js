@@ -0,0 +1,523 @@
+// ===== Household Mode =====
+// Several people sharing one home. Region, home energy and the diet default
+// are shared; each member has their own transport, digital and shopping
+// inputs, and the Phase 1 form shows the member being edited. Each member's
+// footprint comes from the backend with homeShare set to their part of the
+// home bills (equal, or weighted by WEIGHTS), and the members add up to one
+// household footprint whose regional, global and Paris figures are scaled
+// by the household size. Phase 3 actions can be assigned to one member,
+// which caps their impact at that member's emissions. With one member the
+// tracker behaves exactly as the single-person model.
+
+const Household = (() => {
+    const MAX_MEMBERS = 12;
+    const MAX_NAME_LENGTH = 40;
+
+    // Home energy weights for the 'weighted' split (children use less)
+    const WEIGHTS = { adult: 1, child: 0.5 };
+    const SPLIT_RULES = ['equal', 'weighted'];
+    const KINDS = ['adult', 'child'];
+    const DIETS = ['vegan', 'vegetarian', 'balanced', 'meat-heavy'];
+
+    // Phase 1 inputs that belong to each member; the rest are shared
+    const PERSONAL_FIELDS = [
+        'commuteMode', 'dailyCommuteKm', 'commuteDays', 'domesticFlights',
+        'avgDomesticFlightKm', 'internationalFlights', 'avgInternationalFlightKm',
+        'otherTravelKm', 'streamingHoursPerDay', 'aiQueriesPerDay',
+        'cloudStorageGB', 'videoCallHoursPerWeek', 'emailsPerDay',
+        'shoppingFrequency', 'clothingPurchases', 'electronicsPurchases',
+        'furniturePurchases'
+    ];
+
+    const CATEGORY_KEYS = ['transport', 'home', 'food', 'digital', 'consumption'];
+    const AMOUNT_FIELDS = CATEGORY_KEYS.concat('total');
+
+    // member: { name, kind, diet ('' follows the household diet), values }
+    let members = [];
+    let active = 0;
+    let split = 'equal';
+    let view = 'household';
+
+    // ActionID -> member index
+    let assignments = {};
+
+    function newMember(values) {
+        return { name: '', kind: 'adult', diet: '', values: values || null };
+    }
+
+    function isActive() {
+        return members.length > 1;
+    }
+
+    function size() {
+        return members.length;
+    }
+
+    function memberName(index) {
+        return members[index].name || I18n.t('household.memberName', { number: index + 1 });
+    }
+
+    // ===== Member Inputs =====
+    // The form holds the active member's inputs; others are kept here
+    function personalValues() {
+        const values = {};
+        PERSONAL_FIELDS.forEach(fieldId => {
+            values[fieldId] = Units.metricFieldValue(fieldId);
+        });
+        values.flightLog = FlightLogger.getTrips();
+        return values;
+    }
+
+    function storeActive() {
+        members[active].values = personalValues();
+    }
+
+    // Every member's Phase 1 inputs, shared ones included, in the shape of
+    // readFormValues; [] for a single person
+    function memberInputs() {
+        if (!isActive()) return [];
+
+        storeActive();
+        const shared = readFormValues();
+        return members.map(member => Object.assign({}, shared, member.values, {
+            dietType: member.diet || shared.dietType
+        }));
+    }
+
+    function showMember(index) {
+        const values = members[index].values;
+        PERSONAL_FIELDS.forEach(fieldId => {
+            Units.showMetric(fieldId, values[fieldId] || '');
+            validateInput(fieldId);
+        });
+        FlightLogger.setTrips(values.flightLog || []);
+        active = index;
+    }
+
+    // ===== Home Energy Split =====
+    function shares() {
+        const weights = members.map(member => split === 'weighted' ? WEIGHTS[member.kind] : 1);
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        return weights.map(w => w / total);
+    }
+
+    // ===== Calculation =====
+    // One CalculateFootprint request per member, each on its own channel so
+    // they do not supersede one another. `overrides` (typed userData values,
+    // see WhatIf) replace shared inputs for everyone and personal inputs for
+    // the member being edited. `options` go to BackendBridge.request, with
+    // options.channel as the prefix of the member channels.
+    function calculate(overrides = {}, options = {}) {
+        const channel = options.channel || 'household-member';
+        storeActive();
+        const shared = readFormValues();
+        const homeShares = shares();
+
+        return Promise.all(members.map((member, i) => {
+            const userData = toUserData(Object.assign({}, shared, member.values, {
+                dietType: member.diet || shared.dietType,
+                flightLog: member.values.flightLog || []
+            }));
+            Object.keys(overrides).forEach(field => {
+                if (i === active || !PERSONAL_FIELDS.includes(field)) {
+                    userData[field] = overrides[field];
+                }
+            });
+            userData.homeShare = homeShares[i];
+            return BackendBridge.request('CalculateFootprint', userData,
+                Object.assign({}, options, { channel: `${channel}-${i}` }));
+        })).then(footprints => combine(footprints, homeShares));
+    }
+
+    // Adds the member footprints into one footprint with the usual shape;
+    // comparisons are scaled by the household size and the Paris status
+    // uses the same thresholds as handleCalculateFootprint
+    function combine(footprints, homeShares) {
+        const size = footprints.length;
+        const first = footprints[0];
+        const footprint = {};
+
+        AMOUNT_FIELDS.forEach(key => {
+            footprint[key] = footprints.reduce((sum, f) => sum + f[key], 0);
+            footprint[`${key}Tons`] = footprint[key] / 1000;
+        });
+        CATEGORY_KEYS.forEach(key => {
+            footprint[`${key}Percent`] = (footprint[key] / footprint.total) * 100;
+        });
+
+        footprint.breakdown = {};
+        CATEGORY_KEYS.forEach(key => {
+            footprint.breakdown[key] = [].concat(first.breakdown[key] || []).map(part => Object.assign({}, part, {
+                value: footprints.reduce((sum, f) => {
+                    const match = [].concat(f.breakdown[key] || []).find(p => p.key === part.key);
+                    return sum + (match ? match.value : 0);
+                }, 0)
+            }));
+        });
+
+        footprint.region = first.region;
+        footprint.regionalAvg = first.regionalAvg * size;
+        footprint.globalAvg = first.globalAvg * size;
+        footprint.parisTarget = first.parisTarget * size;
+        footprint.vsRegional = ((footprint.totalTons / footprint.regionalAvg) - 1) * 100;
+        footprint.vsGlobal = ((footprint.totalTons / footprint.globalAvg) - 1) * 100;
+        footprint.vsParis = ((footprint.totalTons / footprint.parisTarget) - 1) * 100;
+
+        if (footprint.totalTons <= footprint.parisTarget) {
+            footprint.parisStatus = 'aligned';
+        } else if (footprint.totalTons <= footprint.parisTarget * 1.5) {
+            footprint.parisStatus = 'close';
+        } else {
+            footprint.parisStatus = 'above';
+        }
+
+        footprint.household = {
+            size,
+            split,
+            perCapitaTons: footprint.totalTons / size,
+            members: footprints.map((f, i) => {
+                const member = { name: memberName(i), kind: members[i].kind, homeShare: homeShares[i] };
+                AMOUNT_FIELDS.forEach(key => { member[key] = f[key]; });
+                member.totalTons = f.totalTons;
+                return member;
+            })
+        };
+
+        return footprint;
+    }
+
+    // The per-person view divides every amount by the household size
+    function displayFootprint(footprint) {
+        if (!footprint.household || view === 'household') {
+            return footprint;
+        }
+
+        const factor = 1 / footprint.household.size;
+        const scaled = Object.assign({}, footprint, {
+            regionalAvg: footprint.regionalAvg * factor,
+            globalAvg: footprint.globalAvg * factor,
+            parisTarget: footprint.parisTarget * factor,
+            breakdown: {}
+        });
+        AMOUNT_FIELDS.forEach(key => {
+            scaled[key] = footprint[key] * factor;
+            scaled[`${key}Tons`] = footprint[`${key}Tons`] * factor;
+        });
+        Object.keys(footprint.breakdown).forEach(key => {
+            scaled.breakdown[key] = [].concat(footprint.breakdown[key]).map(part =>
+                Object.assign({}, part, { value: part.value * factor }));
+        });
+        return scaled;
+    }
+
+    // What the "You" bar stands for in Phase 2
+    function subjectLabel(footprint) {
+        if (!footprint.household) return null;
+        return I18n.t(view === 'household' ? 'household.subjectHousehold' : 'household.subjectPerson');
+    }
+
+    // ===== Saving and Restoring =====
+    function serialize() {
+        if (!isActive()) return null;
+
+        storeActive();
+        return {
+            split,
+            active,
+            members: members.map(member => ({
+                name: member.name,
+                kind: member.kind,
+                diet: member.diet,
+                values: member.values
+            }))
+        };
+    }
+
+    // Returns a clean copy of a saved household, or null if it is not one
+    function sanitize(household) {
+        if (!household || !Array.isArray(household.members) || household.members.length < 2) {
+            return null;
+        }
+
+        const clean = household.members.slice(0, MAX_MEMBERS).map(member => {
+            member = member || {};
+            const values = {};
+            PERSONAL_FIELDS.forEach(fieldId => {
+                if (member.values && member.values[fieldId] !== undefined && member.values[fieldId] !== null) {
+                    values[fieldId] = String(member.values[fieldId]);
+                }
+            });
+            values.flightLog = FlightLogger.sanitize(member.values && member.values.flightLog);
+
+            return {
+                name: String(member.name || '').slice(0, MAX_NAME_LENGTH),
+                kind: KINDS.includes(member.kind) ? member.kind : 'adult',
+                diet: DIETS.includes(member.diet) ? member.diet : '',
+                values
+            };
+        });
+
+        const index = Number(household.active);
+        return {
+            split: SPLIT_RULES.includes(household.split) ? household.split : 'equal',
+            active: Number.isInteger(index) && index >= 0 && index < clean.length ? index : 0,
+            members: clean
+        };
+    }
+
+    // The form already shows the saved active member's inputs
+    function restore(household) {
+        const clean = sanitize(household);
+        assignments = {};
+
+        if (!clean) {
+            members = [newMember()];
+            active = 0;
+        } else {
+            members = clean.members;
+            split = clean.split;
+            active = clean.active;
+        }
+        render();
+    }
+
+    function reset() {
+        split = 'equal';
+        view = 'household';
+        restore(null);
+    }
+
+    // ===== UI Actions =====
+    function initialize() {
+        if (members.length === 0) {
+            members = [newMember()];
+        }
+        render();
+    }
+
+    // Switching members requires the current member's inputs to be valid
+    function edit(index) {
+        if (index === active) return;
+
+        const valid = PERSONAL_FIELDS.map(validateInput).every(Boolean);
+        if (!valid) {
+            showError(I18n.t('error.requiredFields'));
+            return;
+        }
+
+        storeActive();
+        showMember(index);
+        updateProgress();
+        render();
+    }
+
+    // New members start from a copy of the current member's inputs
+    function add() {
+        if (members.length >= MAX_MEMBERS) {
+            showError(I18n.t('household.full', { max: MAX_MEMBERS }));
+            return;
+        }
+
+        storeActive();
+        members.push(newMember(Object.assign({}, members[active].values, { flightLog: [] })));
+        render();
+    }
+
+    function remove(index) {
+        if (members.length <= 1) return;
+
+        if (index === active) {
+            showMember(index === 0 ? 1 : 0);
+        }
+        members.splice(index, 1);
+        if (active > index) {
+            active--;
+        }
+
+        // Later members move up one place
+        const remaining = {};
+        Object.keys(assignments).forEach(id => {
+            const member = assignments[id];
+            if (member < index) remaining[id] = member;
+            if (member > index) remaining[id] = member - 1;
+        });
+        assignments = remaining;
+
+        updateProgress();
+        render();
+    }
+
+    function rename(index, name) {
+        members[index].name = name.trim().slice(0, MAX_NAME_LENGTH);
+        render();
+    }
+
+    function setKind(index, kind) {
+        members[index].kind = kind;
+    }
+
+    function setDiet(index, diet) {
+        members[index].diet = diet;
+    }
+
+    function setSplit(rule) {
+        split = rule;
+    }
+
+    function setView(newView) {
+        view = newView;
+        refreshDisplays();
+    }
+
+    // ===== Action Assignment =====
+    function assign(actionID, value) {
+        if (value === '') {
+            delete assignments[actionID];
+        } else {
+            assignments[actionID] = Number(value);
+        }
+
+        // Overlaps only count between actions of the same member
+        ActionRules.markActions(selectedActionIDs);
+        if (selectedActionIDs.includes(actionID)) {
+            calculateImpactRealTime();
+        }
+    }
+
+    // [{ actionID, member }] for the backend; only for a calculated household
+    function assignmentList(actionIDs) {
+        if (!currentFootprint || !currentFootprint.household) return [];
+
+        return actionIDs
+            .filter(id => assignments[id] !== undefined && assignments[id] < currentFootprint.household.size)
+            .map(id => ({ actionID: id, member: assignments[id] }));
+    }
+
+    // Member index the action is assigned to, or null when it is for everyone
+    function assignee(actionID) {
+        const assigned = assignmentList([actionID]);
+        return assigned.length > 0 ? assigned[0].member : null;
+    }
+
+    function assigneeName(actionID) {
+        const index = assignments[actionID];
+        if (index === undefined || !currentFootprint || !currentFootprint.household) return null;
+
+        const member = currentFootprint.household.members[index];
+        return member ? member.name : null;
+    }
+
+    // Home energy is shared, so home actions are always for everyone
+    function assignControl(action) {
+        if (!currentFootprint || !currentFootprint.household || action.Category === 'Home') {
+            return '';
+        }
+
+        const options = [`<option value="">${I18n.t('household.everyone')}</option>`]
+            .concat(currentFootprint.household.members.map((member, i) =>
+                `<option value="${i}"${assignments[action.ActionID] === i ? ' selected' : ''}>${escapeHTML(member.name)}</option>`));
+
+        return `
+            <select class="action-assign" aria-label="${I18n.t('household.assignLabel')}"
+                    onclick="event.stopPropagation()" onchange="Household.assign(${action.ActionID}, this.value)">
+                ${options.join('')}
+            </select>
+        `;
+    }
+
+    // ===== Rendering =====
+    function render() {
+        const list = document.getElementById('householdMembers');
+        if (!list) return;
+
+        const kindOptions = member => KINDS.map(kind =>
+            `<option value="${kind}"${member.kind === kind ? ' selected' : ''}>${I18n.t(`household.${kind}`)}</option>`).join('');
+        const dietOptions = member => [`<option value="">${I18n.t('household.sharedDiet')}</option>`]
+            .concat(DIETS.map(diet =>
+                `<option value="${diet}"${member.diet === diet ? ' selected' : ''}>${I18n.t(`diet.${diet}`)}</option>`)).join('');
+
+        list.innerHTML = members.map((member, i) => `
+            <li class="${i === active ? 'active' : ''}">
+                <input type="text" value="${escapeHTML(member.name)}" maxlength="${MAX_NAME_LENGTH}"
+                       placeholder="${I18n.t('household.memberName', { number: i + 1 })}"
+                       aria-label="${I18n.t('household.nameLabel')}" onchange="Household.rename(${i}, this.value)">
+                <select aria-label="${I18n.t('household.kindLabel')}" onchange="Household.setKind(${i}, this.value)">${kindOptions(member)}</select>
+                <select aria-label="${I18n.t('household.dietLabel')}" onchange="Household.setDiet(${i}, this.value)">${dietOptions(member)}</select>
+                <button class="secondary-btn small-btn" onclick="Household.edit(${i})"
+                        aria-pressed="${i === active}">${I18n.t(i === active ? 'household.editing' : 'household.edit')}</button>
+                ${members.length > 1 ? `<button class="secondary-btn small-btn" onclick="Household.remove(${i})"
+                        aria-label="${escapeHTML(I18n.t('household.remove', { name: memberName(i) }))}">✕</button>` : ''}
+            </li>
+        `).join('');
+
+        document.getElementById('householdSplit').value = split;
+        document.getElementById('householdEditing').textContent = isActive() ?
+            I18n.t('household.editingNote', { name: memberName(active) }) : '';
+    }
+
+    // Phase 2 panel: one bar per member against the regional average
+    function renderSummary(footprint) {
+        const section = document.getElementById('householdSection');
+        section.hidden = !footprint.household;
+        if (!footprint.household) return;
+
+        document.getElementById('householdView').value = view;
+
+        const household = footprint.household;
+        const regionalAvg = footprint.regionalAvg / household.size;
+        const rows = household.members.map(member => ({
+            label: member.name,
+            value: member.totalTons,
+            text: `${Units.number(member.totalTons, 1)}t`,
+            className: 'user',
+            lines: [
+                I18n.t('chart.perYear', { amount: Charts.formatKg(member.total) }),
+                I18n.t('household.homeShare', { percent: Units.percent(member.homeShare * 100), amount: Charts.formatKg(member.home) })
+            ]
+        }));
+        rows.push({
+            label: I18n.t('comparison.regionalAvg'),
+            value: regionalAvg,
+            text: `${Units.number(regionalAvg, 1)}t`,
+            lines: [I18n.t('comparison.regionalInfo', { region: I18n.term('region', footprint.region) })]
+        });
+
+        Charts.renderBars('householdBars', rows, I18n.t('household.barsLabel'));
+
+        document.getElementById('householdNote').textContent = I18n.t('household.summary', {
+            count: household.size,
+            total: Units.tons(footprint.totalTons),
+            perCapita: Units.tons(household.perCapitaTons),
+            regional: Units.tons(regionalAvg)
+        });
+    }
+
+    return {
+        initialize,
+        isActive,
+        size,
+        calculate,
+        displayFootprint,
+        memberInputs,
+        subjectLabel,
+        serialize,
+        sanitize,
+        restore,
+        reset,
+        edit,
+        add,
+        remove,
+        rename,
+        setKind,
+        setDiet,
+        setSplit,
+        setView,
+        assign,
+        assignmentList,
+        assignee,
+        assigneeName,
+        assignControl,
+        render,
+        renderSummary
+    };
+})();
@@ -0,0 +1,699 @@
+// ===== Internationalization =====
+// Keyed message catalogs for the interface. Messages used by the scripts
+// are listed in EN below; elements marked data-i18n keep their English text
+// in the HTML, which becomes the English message for that key on first use.
+// Language packs (Ex4_Lang_*.js) add translations with I18n.register(), and
+// any key a pack leaves out falls back to English. Messages interpolate
+// {name} parameters; a message may instead be an object of plural forms
+// ({ one, other, ... }) chosen by Intl.PluralRules from params.count.
+
+const I18n = (() => {
+    const STORAGE_KEY = 'carbonTrackerLanguage';
+    const DEFAULT_LANGUAGE = 'en';
+
+    // Attributes translated through data-i18n-<attribute>="key"
+    const ATTRIBUTES = ['placeholder', 'aria-label', 'title'];
+
+    const EN = {
+        // Toolbar
+        'theme.light': 'Light',
+        'theme.dark': 'Dark',
+        'units.distance.metric': 'km',
+        'units.distance.us': 'miles',
+        'units.gas.metric': 'kWh',
+        'units.gas.us': 'therms',
+        'units.tons': '{value} tons',
+
+        // Form values shared by the page and the scripts
+        'region.USA': 'USA',
+        'region.Europe': 'Europe',
+        'region.China': 'China',
+        'region.India': 'India',
+        'region.Brazil': 'Brazil',
+        'region.Canada': 'Canada',
+        'region.Norway': 'Norway',
+        'region.Global': 'Global',
+        'region.Australia': 'Australia',
+        'region.Japan': 'Japan',
+        'region.South_Korea': 'South Korea',
+        'region.Mexico': 'Mexico',
+        'region.Argentina': 'Argentina',
+        'region.Chile': 'Chile',
+        'region.Sweden': 'Sweden',
+        'region.Germany': 'Germany',
+        'region.France': 'France',
+        'region.UK': 'UK',
+        'region.Spain': 'Spain',
+        'region.Italy': 'Italy',
+        'region.Poland': 'Poland',
+        'region.Russia': 'Russia',
+        'region.Turkey': 'Turkey',
+        'region.Saudi_Arabia': 'Saudi Arabia',
+        'region.UAE': 'UAE',
+        'region.South_Africa': 'South Africa',
+        'region.Egypt': 'Egypt',
+        'region.Nigeria': 'Nigeria',
+        'region.Kenya': 'Kenya',
+        'region.Thailand': 'Thailand',
+        'region.Vietnam': 'Vietnam',
+        'region.Indonesia': 'Indonesia',
+        'region.Philippines': 'Philippines',
+        'region.Malaysia': 'Malaysia',
+        'region.Singapore': 'Singapore',
+        'region.New_Zealand': 'New Zealand',
+        'region.Colombia': 'Colombia',
+        'region.Peru': 'Peru',
+        'region.Venezuela': 'Venezuela',
+        'cost.Free': 'Free',
+        'cost.Low': 'Low ($0-500)',
+        'cost.Medium': 'Medium ($500-5K)',
+        'cost.High': 'High ($5K+)',
+        'difficulty.Easy': 'Easy',
+        'difficulty.Medium': 'Medium',
+        'difficulty.Hard': 'Hard',
+        'time.Immediate': 'Immediate',
+        'time.1 month': '1 month',
+        'time.1-3 months': '1-3 months',
+        'time.3-6 months': '3-6 months',
+
+        // Categories, as named in actionLibrary.csv and impact breakdowns
+        'category.Transport': 'Transport',
+        'category.Home': 'Home',
+        'category.Food': 'Food',
+        'category.Digital': 'Digital',
+        'category.Consumption': 'Consumption',
+        'categoryInfo.Transport': 'Commuting, flights and other travel',
+        'categoryInfo.Home': 'Electricity and natural gas at home',
+        'categoryInfo.Food': 'Producing and transporting the food in your diet',
+        'categoryInfo.Digital': 'Data centres and networks behind your online activity',
+        'categoryInfo.Consumption': 'Making the goods you buy',
+
+        // Footprint sources (footprint.breakdown keys)
+        'part.commute': 'Commute',
+        'part.domesticFlights': 'Domestic flights',
+        'part.internationalFlights': 'International flights',
+        'part.otherTravel': 'Other travel',
+        'part.electricity': 'Electricity',
+        'part.naturalGas': 'Natural gas',
+        'part.diet': 'Diet',
+        'part.streaming': 'Streaming',
+        'part.aiQueries': 'AI queries',
+        'part.cloudStorage': 'Cloud storage',
+        'part.videoCalls': 'Video calls',
+        'part.email': 'Email',
+        'part.shopping': 'General shopping',
+        'part.clothing': 'Clothing',
+        'part.electronics': 'Electronics',
+        'part.furniture': 'Furniture',
+        'partInfo.commute': 'Round trips to work in your commute mode',
+        'partInfo.domesticFlights': 'Round-trip domestic flights',
+        'partInfo.internationalFlights': 'Round-trip international flights',
+        'partInfo.otherTravel': 'Errands and weekend trips',
+        'partInfo.electricity': 'Grid electricity at your region\'s carbon intensity',
+        'partInfo.naturalGas': 'Gas burned for heating, hot water and cooking',
+        'partInfo.diet': 'Annual emissions of your diet type',
+        'partInfo.streaming': 'HD video streaming',
+        'partInfo.aiQueries': 'Queries to AI models',
+        'partInfo.cloudStorage': 'Files kept in cloud storage',
+        'partInfo.videoCalls': 'Video calls and meetings',
+        'partInfo.email': 'Emails sent and received',
+        'partInfo.shopping': 'Everyday shopping at your shopping frequency',
+        'partInfo.clothing': 'New clothing items',
+        'partInfo.electronics': 'New electronic devices',
+        'partInfo.furniture': 'New furniture',
+
+        // Charts
+        'chart.current': 'Current',
+        'chart.withPlan': 'With plan',
+        'chart.breakdownLabel': 'Footprint breakdown',
+        'chart.allCategories': '← All categories',
+        'chart.perYear': '{amount} CO₂e/yr',
+        'chart.planSaves': 'Your plan saves {amount}',
+        'chart.clickForBreakdown': 'Click for a breakdown',
+        'comparison.you': 'You',
+        'comparison.regionalAvg': 'Regional Avg',
+        'comparison.regional': 'Regional',
+        'comparison.globalAvg': 'Global Avg',
+        'comparison.paris': 'Paris 2030',
+        'comparison.youInfo': 'Your calculated annual footprint',
+        'comparison.regionalInfo': 'Average per person in {region}',
+        'comparison.globalInfo': 'World average per person',
+        'comparison.parisInfo': 'Per-person level in line with the Paris Agreement by 2030',
+        'comparison.share': '{amount} CO₂e/yr · {percent} of your footprint',
+        'comparison.label': 'Comparison with average and target footprints',
+        'waterfall.share': '-{amount} CO₂e/yr · {percent} of your reduction',
+        'waterfall.label': 'Reduction by action',
+
+        // Paris status
+        'paris.aligned': 'You\'re on track! Your footprint of {total} tons is below the 2030 Paris Agreement target of {target} tons.',
+        'paris.close': 'You\'re close! Reduce by {gap} tons to meet the 2030 Paris target.',
+        'paris.above': 'You\'re {gap} tons above the 2030 Paris target. Let\'s find ways to reduce!',
+        'paris.probability': '{percent} chance that your footprint is within the 2030 Paris target of {target} tons.',
+        'paris.estimate': 'Best estimate {total}, 90% range {range}',
+        'live.parisStatus': 'Paris Status:',
+        'live.aligned': '✓ On Track!',
+        'live.close': '⚠ Close',
+        'live.above': 'Still Above Target',
+        'live.selectActions': 'Select actions to see impact',
+        'live.overlapAdjustment': 'Includes -{value} tons for overlapping actions',
+        'finance.uncosted': {
+            one: '{count} action has no cost data and is left out: {names}.',
+            other: '{count} actions have no cost data and are left out: {names}.'
+        },
+        'finance.upfront': 'Upfront investment',
+        'finance.annualSavings': 'Annual savings',
+        'finance.payback': 'Payback',
+        'finance.netCost': '{years}-year net cost',
+        'finance.costPerTonne': 'Cost per tonne avoided',
+        'finance.perYear': '{amount}/yr',
+        'finance.perTonne': '{amount}/t',
+        'finance.now': 'Now',
+        'finance.never': 'Never',
+        'finance.paybackYear': '{year} ({years} yrs)',
+        'finance.note': 'Cost category range: {low} - {high}. Negative net cost means the action pays for itself within {years} years.',
+        'finance.selectActions': 'Select actions to see costs and savings.',
+        'finance.col.action': 'Action',
+        'finance.col.upfront': 'Upfront',
+        'finance.col.savings': 'Savings/yr',
+        'finance.col.payback': 'Payback',
+        'finance.col.netCost': '{years}-yr net',
+        'finance.col.perTonne': '$/t CO₂e',
+        'finance.noReduction': 'No actions with a measurable reduction.',
+        'finance.avoided': '{value} t CO₂e/yr avoided',
+        'finance.barTitle': '{name}: {cost}, {value} t/yr',
+        'live.probability': '{percent} chance of meeting the target',
+        'uncertainty.interval': '90% range: {range}',
+        'uncertainty.withRange': '{value} (90%: {range})',
+
+        // Action list
+        'actions.heading': '{icon} {category} Actions',
+        'actions.impact': '-{amount}/yr',
+        'actions.unknown': 'Action {id}',
+        'rules.alternative': 'Alternative to {names}; selecting it replaces that choice',
+        'rules.included': 'Already included in {names}',
+        'rules.includedSelected': 'Already included in {names}; counts as 0',
+        'rules.overlaps': 'Overlaps with {names}; combined saving is reduced',
+        'rules.explain.exclusive': '{name} can\'t be combined with {other} (-{value} t)',
+        'rules.explain.supersedes': '{name} is already included in {other} (-{value} t)',
+        'rules.explain.overlap': '{name} overlaps with {other}: {reason} (-{value} t)',
+        'rules.reason.ecoDrivingElectric': 'eco-driving saves little once the car is electric',
+        'rules.reason.tiresElectric': 'tire pressure matters less for an electric car',
+        'rules.reason.plugInHybrid': 'a plug-in hybrid burns less fuel to save',
+        'rules.reason.hybrid': 'a hybrid burns less fuel to save',
+        'rules.reason.fewerCarKm': 'fewer car kilometres are left to electrify',
+        'rules.reason.sameCommute': 'both cut the same commute trips',
+        'rules.reason.renewableSolar': 'renewable electricity leaves little for solar to clean up',
+        'rules.reason.insulatedHeatPump': 'a heat pump needs less energy in an insulated home',
+        'rules.reason.heatPumpHeating': 'a heat pump already makes heating low-carbon',
+        'rules.reason.sameHeatLoss': 'both reduce the same heat loss',
+        'rules.reason.sameDevices': 'both avoid the same new devices',
+        'rules.reason.sameClothes': 'both avoid the same new clothes',
+        'rules.reason.samePurchases': 'both avoid the same new purchases',
+        'optimizer.saves': 'saves {amount}/yr ({percent} of the reduction needed)',
+        'optimizer.effort': 'difficulty {difficulty}, cost {cost}',
+        'optimizer.bestFit': 'best fit among {group} options, so not combined with {others}',
+        'optimizer.group.vehicle': 'vehicle replacement',
+        'optimizer.group.transit': 'public transit',
+        'optimizer.group.solar': 'solar panels',
+        'optimizer.group.diet': 'diet change',
+        'optimizer.group.overlapping': 'overlapping',
+        'optimizer.none': 'You already meet this target. No actions needed!',
+        'optimizer.found': {
+            one: 'Plan found: {count} action saving {amount} (target {target}).',
+            other: 'Plan found: {count} actions saving {amount} (target {target}).'
+        },
+        'optimizer.notReached': 'No plan reaches the target within these limits. The strongest plan saves {amount} of {target}; try a higher cost or difficulty limit.',
+        'optimizer.pick': '{name}: {reasons}',
+
+        // Flight logger
+        'flights.return': 'Return',
+        'flights.oneway': 'One-way',
+        'flights.economy': 'Economy',
+        'flights.business': 'Business',
+        'flights.first': 'First',
+        'flights.remove': 'Remove {from} to {to}',
+        'flights.none': 'No flights logged; the averages above are used.',
+        'flights.totals': 'Domestic {domestic}, international {international} per year (includes {uplift}% for routing).',
+        'flights.full': 'The flight log holds up to {max} entries; increase the trip count instead',
+        'flights.unknownAirport': 'Unknown airport "{code}"',
+        'flights.sameAirport': 'Departure and arrival airports must differ',
+        'flights.unknownTripType': 'Unknown trip type "{type}"',
+        'flights.unknownCabin': 'Unknown cabin class "{cabin}"',
+        'flights.countRange': 'Number of trips must be between 1 and {max}',
+
+        // Household
+        'household.memberName': 'Person {number}',
+        'household.adult': 'Adult',
+        'household.child': 'Child',
+        'household.sharedDiet': 'Household diet',
+        'household.nameLabel': 'Member name',
+        'household.kindLabel': 'Adult or child',
+        'household.dietLabel': 'Diet',
+        'household.edit': '✏️ Edit',
+        'household.editing': '✏️ Editing',
+        'household.remove': 'Remove {name}',
+        'household.editingNote': 'Transport, digital and shopping inputs below are for {name}.',
+        'household.full': 'A household can have up to {max} members',
+        'household.everyone': 'Whole household',
+        'household.assignLabel': 'Who takes this action',
+        'household.assignedTo': 'Taken by {name}',
+        'household.subjectHousehold': 'Household',
+        'household.subjectPerson': 'Per person',
+        'household.homeShare': 'Home energy share: {percent} ({amount})',
+        'household.barsLabel': 'Footprint of each household member',
+        'household.summary': {
+            one: '{count} person · {total} in total · {perCapita} per person (regional average {regional})',
+            other: '{count} people · {total} in total · {perCapita} per person (regional average {regional})'
+        },
+
+        // Progress tracker
+        'track.pending': '⏳ Pending',
+        'track.inProgress': '🔧 In progress',
+        'track.done': '✅ Done',
+        'track.statusLabel': 'Status of {name}',
+        'track.committed': {
+            one: 'Committed on {date} to {count} action: {from} a year now, {to} once it is in full effect.',
+            other: 'Committed on {date} to {count} actions: {from} a year now, {to} once they are in full effect.'
+        },
+        'track.confirmReplace': 'Replace your committed plan with this one? Logged months and action statuses are kept.',
+        'track.confirmClear': 'Stop tracking and delete your progress history? Export it first to keep a copy.',
+        'track.monthRequired': 'Choose the month you are logging',
+        'track.beforeCommitment': 'You committed to this plan in {month}; log that month or a later one',
+        'track.futureMonth': 'That month has not started yet',
+        'track.invalidReadings': 'Readings must be positive numbers and flights whole round trips',
+        'track.saved': 'Saved {month}',
+        'track.removed': 'Removed {month}',
+        'track.remove': 'Remove {month}',
+        'track.noneToExport': 'There is no progress history to export',
+        'track.noMonths': 'No months logged yet. Log your first month above to compare it with your plan.',
+        'track.comparisonNote': {
+            one: 'Totals over {count} logged month.',
+            other: 'Totals over {count} logged months.'
+        },
+        'track.month': 'Month',
+        'track.planned': 'Planned',
+        'track.actual': 'Actual',
+        'track.difference': 'Difference',
+        'track.ahead': 'Ahead of plan by',
+        'track.behind': 'Behind plan by',
+        'track.plannedRow': '{category} (plan)',
+        'track.actualRow': '{category} (actual)',
+        'track.plannedInfo': {
+            one: 'Your plan allows {amount} for the logged month',
+            other: 'Your plan allows {amount} for the {count} logged months'
+        },
+        'track.actualInfo': {
+            one: '{amount} in the logged month',
+            other: '{amount} in the {count} logged months'
+        },
+        'track.overPlan': '{amount} more than planned',
+        'track.underPlan': '{amount} less than planned',
+        'track.chartLabel': 'Planned and actual emissions by category',
+
+        // What-if analysis
+        'whatif.dailyCommuteKm': 'Daily commute (one way)',
+        'whatif.commuteDays': 'Commuting days per year',
+        'whatif.domesticFlights': 'Domestic flights per year',
+        'whatif.internationalFlights': 'International flights per year',
+        'whatif.otherTravelKm': 'Other travel per week',
+        'whatif.monthlyElectricityKWh': 'Electricity per month',
+        'whatif.monthlyNaturalGasKWh': 'Natural gas per month',
+        'whatif.streamingHoursPerDay': 'Streaming hours per day',
+        'whatif.clothingPurchases': 'Clothing items per year',
+        'whatif.electronicsPurchases': 'Electronics per year',
+        'whatif.intro': 'Move a slider to see how your footprint would change. Your entered values stay as they are until you choose "Use these values".',
+        'whatif.result': 'With these values: {total} a year ({change}, {percent})',
+        'whatif.householdNote': 'Home energy changes for the whole household; the other sliders change the member you are editing.',
+        'whatif.swing': '{percent} ({value}): {change}',
+        'whatif.tornadoLabel': 'Change in annual footprint when each input is 20% lower or higher',
+
+        // Action search and filters
+        'filters.showing': {
+            one: 'Showing {shown} of {count} action',
+            other: 'Showing {shown} of {count} actions'
+        },
+        'filters.hiddenSelected': {
+            one: '{count} selected action is hidden by the filters but still counts',
+            other: '{count} selected actions are hidden by the filters but still count'
+        },
+        'filters.rankedBy.impact': '🏆 Biggest impact first',
+        'filters.rankedBy.costEffectiveness': '🏆 Most cost-effective first',
+        'filters.rankedBy.footprintShare': '🏆 Biggest share of your footprint first',
+        'filters.costPerTonne': '{cost} over 10 years',
+        'filters.share': '{percent} of your {category} emissions',
+
+        // Excluded actions
+        'excluded.gridClean': 'Your grid is already clean ({value} g CO₂/kWh); this only pays off above {limit} g/kWh',
+        'excluded.gridDirty': 'Your grid is too carbon-intensive ({value} g CO₂/kWh); this only helps below {limit} g/kWh',
+        'excluded.climate': 'Suited to {limit} climates; your region is {value}',
+        'excluded.lowEmissions': 'Your emissions in this category are already low ({value}, under {limit})',
+        'excluded.override': 'Add anyway',
+        'excluded.confirm': '"{action}" was left out: {reason}.\n\nIts savings may be much smaller, or none, in your situation. Add it to your actions anyway?',
+        'excluded.note': 'Added although not recommended: {reason}',
+        'excluded.restore': 'Remove',
+        'climate.Cold': 'cold',
+        'climate.Hot_Arid': 'hot and arid',
+        'climate.Mixed': 'mixed',
+        'climate.Temperate': 'temperate',
+        'climate.Tropical': 'tropical',
+
+        // Co-benefits
+        'benefits.health': 'Health',
+        'benefits.savings': 'Savings',
+        'benefits.airQuality': 'Air quality',
+        'benefits.social': 'Social',
+        'benefits.comfort': 'Comfort',
+        'benefits.time': 'Time',
+        'benefits.independence': 'Energy independence',
+        'benefits.waste': 'Less waste',
+        'benefits.carbon': '🌍 Carbon impact',
+        'benefits.any': 'Any co-benefit',
+        'benefits.score': 'Score {score}/100',
+        'benefits.planIntro': 'Besides cutting {reduction} a year, your plan brings: {benefits}.',
+        'benefits.planSavings': 'about {amount}/yr',
+        'benefits.planNone': 'The actions in this plan have no recorded co-benefits.',
+
+        // Kiosk mode
+        'kiosk.slide.footprint': '🌍 How big is your carbon footprint? Find out in two minutes.',
+        'kiosk.slide.paris': '🎯 Meeting the Paris goal means about 2 tons of CO₂e per person per year.',
+        'kiosk.slide.plan': '🛠️ Pick actions, see what you save, and take your plan home with a QR code.',
+        'kiosk.warning': {
+            one: 'Are you still there? This screen resets in {count} second.',
+            other: 'Are you still there? This screen resets in {count} seconds.'
+        },
+        'kiosk.persona.commuter': 'Car commuter',
+        'kiosk.persona.commuter.detail': 'Drives to work in the USA',
+        'kiosk.persona.flyer': 'Frequent flyer',
+        'kiosk.persona.flyer.detail': 'Takes the train to work in Europe, flies often',
+        'kiosk.persona.student': 'Student',
+        'kiosk.persona.student.detail': 'Takes the bus in India, vegetarian',
+        'kiosk.persona.suburban': 'Suburban home',
+        'kiosk.persona.suburban.detail': 'Heats a house in Canada, drives',
+
+        // Accessibility: chart tables and announcements
+        'chart.table.show': 'Show as table',
+        'chart.table.item': 'Item',
+        'chart.table.value': 'Value',
+        'chart.table.details': 'Details',
+        'chart.table.category': 'Category',
+        'chart.table.share': 'Share',
+        'chart.table.low': '20% lower',
+        'chart.table.high': '20% higher',
+        'finance.macCaption': 'Marginal abatement cost curve, cheapest first',
+        'finance.col.avoided': 't CO₂e/yr',
+        'roadmap.annualLabel': 'Annual emissions by month',
+        'roadmap.annualCaption': 'Annual emissions at the end of each year',
+        'roadmap.cumulativeLabel': 'Cumulative tonnes avoided',
+        'roadmap.cumulativeCaption': 'Cumulative tonnes avoided by the end of each year',
+        'roadmap.col.year': 'Year',
+        'roadmap.col.withoutPlan': 'Without plan',
+        'roadmap.col.paris': 'Paris target',
+        'roadmap.col.avoided': 'Avoided',
+        'roadmap.neverReaches': '❌ This plan levels off at {amount}/yr and never reaches the {target} Paris target.',
+        'roadmap.belowFromStart': '✅ You are below the {target} Paris target from the first month.',
+        'roadmap.crosses': {
+            one: '✅ You cross the {target} Paris target in {date}, {count} month from now.',
+            other: '✅ You cross the {target} Paris target in {date}, {count} months from now.'
+        },
+        'roadmap.parisLabel': 'Paris {value}t',
+        'roadmap.milestone': '{value}t by {year}',
+        'roadmap.avoidedBy': 'Avoided by {year}',
+        'roadmap.ganttValue': '{time} · -{amount}/yr',
+        'live.announce': 'With your plan: {total} a year, {reduction} less. {status}',
+
+        // Team dashboard
+        'team.importFailed': {
+            one: 'Could not open {count} file: {files}',
+            other: 'Could not open {count} files: {files}'
+        },
+        'team.confirmClear': {
+            one: 'Remove the {count} plan from the team dashboard?',
+            other: 'Remove all {count} plans from the team dashboard?'
+        },
+        'team.participant': 'Participant {number}',
+        'team.remove': 'Remove {name}',
+        'team.regionalAvg': '{region} average',
+        'team.regionalAvgMixed': 'Regional average',
+        'team.parisTarget': 'Paris',
+        'team.stat.participants': 'Participants',
+        'team.stat.total': 'Combined footprint',
+        'team.stat.average': 'Average per person',
+        'team.stat.reduction': 'Pledged reduction per year',
+        'team.stat.percent': 'Group reduction',
+        'team.stat.onTarget': 'Within the Paris target',
+        'team.stat.onTargetValue': '{now} now, {planned} with plans',
+        'team.stat.avoidedBy': 'Avoided together by {year}',
+        'team.people': {
+            one: '{count} person',
+            other: '{count} people'
+        },
+        'team.axis': 'tons CO₂e per year',
+        'team.histogramLabel': 'Number of participants by annual footprint',
+        'team.footprintRange': 'Footprint',
+        'team.participants': 'Participants',
+        'team.participantHeading': 'Participant',
+        'team.reductionHeading': 'Pledged reduction',
+        'team.footprintHeading': 'Footprint now → with plan',
+        'team.actionsHeading': 'Actions',
+
+        // Region comparison
+        'regions.tooMany': 'Compare up to {count} regions at a time; remove one first.',
+        'regions.summary': 'Living the same way, your footprint would be {low} in {lowRegion} and {high} in {highRegion}: {spread} depends on where you live, not how you live.',
+        'regions.yours': '{region} (yours)',
+        'regions.transportHome': 'Transport {transport}, home {home}',
+        'regions.grid': 'Grid: {value} g CO₂/kWh',
+        'regions.perCapita': 'Typical resident: {amount}',
+        'regions.barsLabel': 'Your footprint recalculated for each region',
+        'regions.calculating': 'Calculating…',
+        'regions.remove': 'Stop comparing {region}',
+        'regions.region': 'Region',
+        'regions.you': 'You, living there',
+        'regions.gridHeading': 'Grid g CO₂/kWh',
+        'regions.resident': 'Typical resident',
+        'regions.total': 'Total',
+
+        // Profiles
+        'profiles.selectPrompt': 'Select profile...',
+        'profiles.saved': 'Saved "{name}"',
+        'profiles.loaded': 'Loaded "{name}"',
+        'profiles.deleted': 'Deleted "{name}"',
+        'profiles.imported': { one: 'Imported {count} profile', other: 'Imported {count} profiles' },
+        'profiles.nameRequired': 'Enter a name for the profile',
+        'profiles.selectRequired': 'Select a saved profile to load',
+        'profiles.invalid': 'Profile "{name}" has missing or invalid values',
+        'profiles.noneToExport': 'There are no saved profiles to export',
+        'profiles.importFailed': 'Could not import profiles: {reason}',
+        'profiles.saveFailed': 'Could not save profiles: {reason}',
+        'profiles.kioskUnavailable': 'Profiles are not saved on this shared screen',
+
+        // Errors and confirmations
+        'validation.required': 'This field is required',
+        'validation.positive': 'Must be a positive number',
+        'validation.integer': 'Must be a whole number',
+        'validation.max': 'Must be at most {max}',
+        'validation.high': 'More than {value} is unusual, please double-check',
+        'validation.commuteMax': '{mode} commutes can be at most {max} one-way',
+        'validation.commuteHigh': '{mode} commutes over {max} one-way are unusual, please double-check',
+        'validation.flightDistance': 'Enter the average distance of these flights',
+        'validation.regionHigh': 'Far above a typical home in {region} (about {typical}), please double-check',
+        'validation.regionTravel': 'Far above typical travel in {region} (about {typical}), please double-check',
+        'error.requiredFields': 'Please fill in all required fields correctly',
+        'error.selectAction': 'Please select at least one action before viewing summary',
+        'error.actionsSkipped': {
+            one: '{count} saved action is no longer available and was skipped',
+            other: '{count} saved actions are no longer available and were skipped'
+        },
+        'error.generic': 'An error occurred. Please try again.',
+        'error.exportNoPlan': 'Build an action plan before exporting',
+        'report.title': 'Carbon Action Plan - {region}',
+        'report.heading': '🌍 Carbon Action Plan',
+        'report.print': 'Print / Save as PDF',
+        'report.meta': 'Region: {region} · Generated {date}',
+        'report.current': 'Current Footprint: {amount} CO₂e/year',
+        'report.plan': 'Your Plan: {amount} CO₂e/year (-{percent})',
+        'report.beforeAfter': 'Before and after',
+        'report.timeline': 'Implementation timeline',
+        'report.legend': '{category}: {amount} ({percent})',
+        'report.col.action': 'Action',
+        'report.col.impact': 'kg CO₂e/yr',
+        'report.col.cost': 'Cost',
+        'report.col.difficulty': 'Difficulty',
+        'report.col.time': 'Time',
+        'error.openPlan': 'Could not open plan: {reason}',
+        'error.openSharedPlan': 'Could not open shared plan: {reason}',
+        'error.sharedPlanIncomplete': 'The shared plan is missing some inputs; please complete the form',
+        'error.planIncomplete': 'The plan file is missing some inputs or has invalid ones; please check the form',
+        'error.timeout': 'The calculation engine did not respond. Please try again.',
+        'reason.notJSON': 'file is not valid JSON',
+        'reason.version': 'unsupported file version {version}',
+        'reason.notPlanFile': 'not a Carbon Action Tracker plan file',
+        'reason.noInputs': 'file has no inputs',
+        'reason.noFootprint': 'file has no valid footprint',
+        'reason.badImpact': 'file has an invalid plan impact',
+        'reason.noActions': 'file has no selected actions',
+        'reason.notProfileFile': 'not a Carbon Action Tracker profile file',
+        'reason.noProfiles': 'file contains no profiles',
+        'reason.profileName': 'every profile needs a name',
+        'reason.unknownRegion': 'file has a region this app doesn\'t know',
+        'reason.unknownAction': 'file has actions this app doesn\'t know',
+        'reason.unreadable': 'file could not be read',
+        'reason.linkValue': 'invalid value for {field}',
+        'reason.linkActions': 'invalid action list',
+        'reason.linkModified': 'the link is incomplete or has been modified',
+        'reason.linkNewer': 'the link was made by a newer version of the tracker',
+        'share.tooLarge': 'This plan is too large for a QR code; use the link instead.',
+        'share.copied': 'Link copied',
+        'share.pressCopy': 'Press Ctrl+C to copy the selected link',
+        'share.household': 'Links hold one person\'s inputs, so they can\'t share a household plan. Use 💾 Plan (JSON) below to keep every member.',
+        'confirm.reset': 'Are you sure you want to reset? All entered data will be cleared; your progress history is kept.'
+    };
+
+    const languages = {
+        en: { name: 'English', locale: null, dir: 'ltr', messages: EN, actions: {} }
+    };
+
+    let language = DEFAULT_LANGUAGE;
+
+    // ===== Language Packs =====
+    // pack: { name, locale, dir, messages: { key: text }, actions: { id: [name, description] } }
+    function register(code, pack) {
+        languages[code] = Object.assign({ locale: code, dir: 'ltr', messages: {}, actions: {} }, pack);
+    }
+
+    function getLanguage() {
+        return language;
+    }
+
+    // Number format for the language; English follows the browser's region
+    function localeTag() {
+        return languages[language].locale ||
+            (typeof navigator !== 'undefined' && navigator.language) || 'en-US';
+    }
+
+    // ===== Messages =====
+    function lookup(key) {
+        const messages = languages[language].messages;
+        return messages[key] !== undefined ? messages[key] : EN[key];
+    }
+
+    function has(key) {
+        return lookup(key) !== undefined;
+    }
+
+    function t(key, params = {}) {
+        let message = lookup(key);
+        if (message === undefined) {
+            console.warn(`Missing message "${key}"`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const form = new Intl.PluralRules(language).select(params.count);
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined ? String(params[name]) : match);
+    }
+
+    // Display name for a data value (region, difficulty, ...); values
+    // without a message are shown as they are
+    function term(group, value, fallback = value) {
+        const key = `${group}.${value}`;
+        return has(key) ? t(key) : fallback;
+    }
+
+    // Action names and descriptions come from actionLibrary.csv in English
+    function actionText(actionID, index, english) {
+        const entry = languages[language].actions[actionID];
+        return entry && entry[index] ? entry[index] : english;
+    }
+
+    function actionName(actionID, english) {
+        return actionText(actionID, 0, english);
+    }
+
+    function actionDescription(actionID, english) {
+        return actionText(actionID, 1, english);
+    }
+
+    // ===== Static Page Text =====
+    // English text of an element, with its unit span (see Units) as {unit}
+    function template(element) {
+        return Array.from(element.childNodes)
+            .map(node => (node.dataset && node.dataset.unit ? '{unit}' : node.textContent))
+            .join('')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function renderText(element, text) {
+        const unit = element.querySelector('[data-unit]');
+        if (!unit) {
+            element.textContent = text;
+            return;
+        }
+
+        const [before, after = ''] = text.split('{unit}');
+        element.textContent = '';
+        element.append(before, unit, after);
+    }
+
+    function apply(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const key = element.dataset.i18n;
+            if (EN[key] === undefined) EN[key] = template(element);
+            renderText(element, t(key));
+        });
+
+        ATTRIBUTES.forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                const key = element.getAttribute(`data-i18n-${attribute}`);
+                if (EN[key] === undefined) EN[key] = element.getAttribute(attribute);
+                element.setAttribute(attribute, t(key));
+            });
+        });
+    }
+
+    // ===== Preferences =====
+    function updateDocument() {
+        document.documentElement.lang = language;
+        document.documentElement.dir = languages[language].dir;
+        document.getElementById('language').value = language;
+        apply();
+    }
+
+    // Saved choice first, then the browser language if there is a pack for it
+    function load() {
+        document.getElementById('language').innerHTML = Object.keys(languages)
+            .map(code => `<option value="${code}">${languages[code].name}</option>`)
+            .join('');
+
+        const saved = localStorage.getItem(STORAGE_KEY);
+        const browser = typeof navigator !== 'undefined' && navigator.language ?
+            navigator.language.split('-')[0] : DEFAULT_LANGUAGE;
+        language = languages[saved] ? saved : (languages[browser] ? browser : DEFAULT_LANGUAGE);
+
+        updateDocument();
+    }
+
+    function setLanguage(code) {
+        language = languages[code] ? code : DEFAULT_LANGUAGE;
+        localStorage.setItem(STORAGE_KEY, language);
+        updateDocument();
+        refreshLanguage();
+    }
+
+    return {
+        register,
+        load,
+        setLanguage,
+        getLanguage,
+        localeTag,
+        t,
+        term,
+        actionName,
+        actionDescription,
+        apply
+    };
+})();
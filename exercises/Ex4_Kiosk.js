@@ -0,0 +1,253 @@
+// ===== Kiosk Mode =====
+// For shared EXPO screens, turned on with ?kiosk in the URL (?kiosk=120 sets
+// the idle time in seconds). After the idle time a countdown warns the
+// visitor, then the app resets through requestReset/handleAppReset and an
+// attract loop runs until the next visitor touches the screen. Visitors
+// start from a persona preset instead of the default values, confirmations
+// are asked in the page (see askConfirm), and profiles and the progress
+// history are not written to localStorage. Theme, language and unit
+// preferences are kept; they are not personal.
+
+const Kiosk = (() => {
+    const DEFAULT_IDLE_SECONDS = 90;
+    const WARNING_SECONDS = 15;
+    const SLIDE_MS = 6000;
+
+    const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'input', 'wheel', 'touchstart'];
+
+    const SLIDES = ['kiosk.slide.footprint', 'kiosk.slide.paris', 'kiosk.slide.plan'];
+
+    // Phase 1 values (metric) for the quick-start personas
+    const PERSONAS = {
+        commuter: {
+            icon: '🚗',
+            values: {
+                region: 'USA', commuteMode: 'Car_Gasoline', dailyCommuteKm: '30', commuteDays: '230',
+                domesticFlights: '2', avgDomesticFlightKm: '1500', internationalFlights: '0',
+                avgInternationalFlightKm: '8000', otherTravelKm: '100', monthlyElectricityKWh: '900',
+                monthlyNaturalGasKWh: '400', dietType: 'balanced', streamingHoursPerDay: '3',
+                aiQueriesPerDay: '10', cloudStorageGB: '200', videoCallHoursPerWeek: '3', emailsPerDay: '40',
+                shoppingFrequency: 'moderate', clothingPurchases: '12', electronicsPurchases: '2', furniturePurchases: '1'
+            }
+        },
+        flyer: {
+            icon: '✈️',
+            values: {
+                region: 'Europe', commuteMode: 'Train_Rail', dailyCommuteKm: '15', commuteDays: '220',
+                domesticFlights: '6', avgDomesticFlightKm: '1200', internationalFlights: '4',
+                avgInternationalFlightKm: '7000', otherTravelKm: '200', monthlyElectricityKWh: '350',
+                monthlyNaturalGasKWh: '600', dietType: 'meat-heavy', streamingHoursPerDay: '2',
+                aiQueriesPerDay: '30', cloudStorageGB: '500', videoCallHoursPerWeek: '10', emailsPerDay: '120',
+                shoppingFrequency: 'frequent', clothingPurchases: '20', electronicsPurchases: '2', furniturePurchases: '1'
+            }
+        },
+        student: {
+            icon: '🎒',
+            values: {
+                region: 'India', commuteMode: 'Bus', dailyCommuteKm: '8', commuteDays: '200',
+                domesticFlights: '0', avgDomesticFlightKm: '1000', internationalFlights: '0',
+                avgInternationalFlightKm: '6000', otherTravelKm: '30', monthlyElectricityKWh: '120',
+                monthlyNaturalGasKWh: '0', dietType: 'vegetarian', streamingHoursPerDay: '4',
+                aiQueriesPerDay: '40', cloudStorageGB: '50', videoCallHoursPerWeek: '4', emailsPerDay: '20',
+                shoppingFrequency: 'minimal', clothingPurchases: '5', electronicsPurchases: '1', furniturePurchases: '0'
+            }
+        },
+        suburban: {
+            icon: '🏡',
+            values: {
+                region: 'Canada', commuteMode: 'Car_Gasoline', dailyCommuteKm: '25', commuteDays: '240',
+                domesticFlights: '2', avgDomesticFlightKm: '2000', internationalFlights: '1',
+                avgInternationalFlightKm: '6000', otherTravelKm: '300', monthlyElectricityKWh: '1200',
+                monthlyNaturalGasKWh: '1500', dietType: 'balanced', streamingHoursPerDay: '5',
+                aiQueriesPerDay: '5', cloudStorageGB: '300', videoCallHoursPerWeek: '2', emailsPerDay: '30',
+                shoppingFrequency: 'moderate', clothingPurchases: '25', electronicsPurchases: '3', furniturePurchases: '2'
+            }
+        }
+    };
+
+    // ?kiosk or ?kiosk=<idle seconds>
+    const settings = (() => {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('kiosk')) return null;
+        const seconds = parseInt(params.get('kiosk'), 10);
+        return { idleSeconds: seconds > 0 ? seconds : DEFAULT_IDLE_SECONDS };
+    })();
+
+    let idleTimer = null;
+    let countdownTimer = null;
+    let slideTimer = null;
+    let remaining = 0;
+    let slide = 0;
+
+    // Resolves the open in-page dialog
+    let answerDialog = null;
+
+    function isActive() {
+        return settings !== null;
+    }
+
+    function element(id) {
+        return document.getElementById(id);
+    }
+
+    // ===== Idle Timer =====
+    function onActivity() {
+        if (!element('kioskWarning').hidden) {
+            hideWarning();
+        }
+        restartIdleTimer();
+    }
+
+    // No timer while the attract loop runs; it already is the idle state
+    function restartIdleTimer() {
+        clearTimeout(idleTimer);
+        if (!element('kioskAttract').hidden) return;
+        idleTimer = setTimeout(showWarning, settings.idleSeconds * 1000);
+    }
+
+    function showWarning() {
+        remaining = WARNING_SECONDS;
+        element('kioskWarning').hidden = false;
+        renderWarning();
+        countdownTimer = setInterval(() => {
+            remaining--;
+            if (remaining <= 0) {
+                resetForNextVisitor();
+                return;
+            }
+            renderWarning();
+        }, 1000);
+    }
+
+    function hideWarning() {
+        clearInterval(countdownTimer);
+        element('kioskWarning').hidden = true;
+    }
+
+    function resetForNextVisitor() {
+        hideWarning();
+        answer(false);
+        requestReset();
+    }
+
+    // ===== Visitors =====
+    // Called by handleAppReset in place of setDefaultValues
+    function newVisitor() {
+        FORM_FIELDS.forEach(fieldId => {
+            element(fieldId).value = '';
+        });
+        Progress.forget();
+        showAttract();
+    }
+
+    function showAttract() {
+        clearTimeout(idleTimer);
+        element('kioskPersonas').hidden = true;
+        element('kioskAttract').hidden = false;
+
+        slide = 0;
+        renderSlide();
+        clearInterval(slideTimer);
+        slideTimer = setInterval(() => {
+            slide = (slide + 1) % SLIDES.length;
+            renderSlide();
+        }, SLIDE_MS);
+    }
+
+    // First touch on the attract loop: choose a starting point
+    function wake() {
+        clearInterval(slideTimer);
+        element('kioskAttract').hidden = true;
+        renderPersonas();
+        element('kioskPersonas').hidden = false;
+        restartIdleTimer();
+    }
+
+    // Fills the form with the persona and goes straight to the footprint
+    function choosePersona(id) {
+        element('kioskPersonas').hidden = true;
+        applyFormValues(PERSONAS[id].values);
+        calculateFootprint();
+    }
+
+    function startOwn() {
+        element('kioskPersonas').hidden = true;
+        setDefaultValues();
+        updateProgress();
+    }
+
+    // ===== Dialogs =====
+    // In-page replacement for confirm(); resolves to true or false
+    function confirm(message) {
+        answer(false);
+        element('kioskDialogMessage').textContent = message;
+        element('kioskDialog').hidden = false;
+        element('kioskDialogOk').focus();
+        return new Promise(resolve => {
+            answerDialog = resolve;
+        });
+    }
+
+    function answer(confirmed) {
+        if (!answerDialog) return;
+        const resolve = answerDialog;
+        answerDialog = null;
+        element('kioskDialog').hidden = true;
+        resolve(confirmed);
+    }
+
+    // ===== Rendering =====
+    function renderSlide() {
+        element('kioskSlide').textContent = I18n.t(SLIDES[slide]);
+    }
+
+    function renderWarning() {
+        element('kioskWarningText').textContent = I18n.t('kiosk.warning', { count: remaining });
+    }
+
+    function renderPersonas() {
+        element('kioskPersonaList').innerHTML = Object.keys(PERSONAS).map(id => `
+            <button type="button" class="kiosk-persona" onclick="Kiosk.choosePersona('${id}')">
+                <span class="kiosk-persona-icon">${PERSONAS[id].icon}</span>
+                <strong>${I18n.t(`kiosk.persona.${id}`)}</strong>
+                <span>${I18n.t(`kiosk.persona.${id}.detail`)}</span>
+            </button>
+        `).join('');
+    }
+
+    // Redraws the visible kiosk text after a language change
+    function render() {
+        if (!isActive()) return;
+        renderSlide();
+        renderPersonas();
+        if (!element('kioskWarning').hidden) renderWarning();
+    }
+
+    function initialize() {
+        if (!isActive()) return;
+
+        document.body.classList.add('kiosk');
+        ACTIVITY_EVENTS.forEach(type => {
+            document.addEventListener(type, onActivity, { capture: true, passive: true });
+        });
+        document.addEventListener('keydown', event => {
+            if (event.key === 'Escape') answer(false);
+        });
+
+        newVisitor();
+        updateProgress();
+    }
+
+    return {
+        initialize,
+        isActive,
+        newVisitor,
+        wake,
+        choosePersona,
+        startOwn,
+        stayActive: onActivity,
+        confirm,
+        answer,
+        render
+    };
+})();
@@ -0,0 +1,863 @@
+// ===== Arabic Language Pack =====
+// Interface messages and actionLibrary.csv names and descriptions for I18n.
+// dir 'rtl' flips the page layout; keys missing here fall back to English.
+// Plural messages use all six Arabic forms (zero, one, two, few, many, other).
+
+I18n.register('ar', {
+    name: 'العربية',
+    locale: 'ar',
+    dir: 'rtl',
+    messages: {
+        // Toolbar
+        'toolbar.language': 'اللغة',
+        'toolbar.units': 'الوحدات',
+        'toolbar.numberFormat': 'تنسيق الأرقام',
+        'toolbar.metric': 'متري',
+        'toolbar.us': 'أمريكي',
+        'toolbar.languageFormat': 'حسب اللغة',
+        'theme.light': 'فاتح',
+        'theme.dark': 'داكن',
+        'units.distance.metric': 'كم',
+        'units.distance.us': 'ميل',
+        'units.gas.metric': 'كيلوواط ساعة',
+        'units.gas.us': 'ثيرم',
+        'units.tons': '{value} طن',
+
+        // Header and navigation
+        'app.title': '🌍 متتبع الإجراءات المناخية',
+        'app.subtitle': 'قِس أثرك وخطّط لمستقبلك',
+        'tab.input': 'الإدخال',
+        'tab.current': 'الحالي',
+        'tab.actions': 'الإجراءات',
+        'tab.plan': 'الخطة',
+        'app.reset': '🔄 إعادة تعيين',
+        'app.calculating': 'جارٍ الحساب...',
+        'app.scrollForMore': 'مرّر لرؤية المزيد',
+
+        // Phase 1
+        'phase1.heading': '📊 أدخل بياناتك',
+        'phase1.progress': 'تقدّم النموذج:',
+        'phase1.calculate': 'احسب بصمتي ←',
+        'profiles.heading': '👤 الملفات الشخصية',
+        'profiles.namePlaceholder': 'اسم الملف، مثل: طالب في الهند',
+        'profiles.save': '💾 حفظ',
+        'profiles.load': '📂 تحميل',
+        'profiles.delete': '🗑️ حذف',
+        'profiles.autoCalculate': 'احسب البصمة بعد التحميل',
+        'profiles.export': '⬇️ تصدير',
+        'profiles.import': '⬆️ استيراد',
+        'profiles.openPlan': '📄 فتح خطة',
+        'form.location': '🌍 الموقع',
+        'form.region': 'المنطقة:',
+        'form.select': 'اختر...',
+        'region.USA': 'الولايات المتحدة',
+        'region.Europe': 'أوروبا',
+        'region.China': 'الصين',
+        'region.India': 'الهند',
+        'region.Brazil': 'البرازيل',
+        'region.Canada': 'كندا',
+        'region.Norway': 'النرويج',
+        'region.Global': 'العالم',
+        'region.Australia': 'أستراليا',
+        'region.Japan': 'اليابان',
+        'region.South_Korea': 'كوريا الجنوبية',
+        'region.Mexico': 'المكسيك',
+        'region.Argentina': 'الأرجنتين',
+        'region.Chile': 'تشيلي',
+        'region.Sweden': 'السويد',
+        'region.Germany': 'ألمانيا',
+        'region.France': 'فرنسا',
+        'region.UK': 'المملكة المتحدة',
+        'region.Spain': 'إسبانيا',
+        'region.Italy': 'إيطاليا',
+        'region.Poland': 'بولندا',
+        'region.Russia': 'روسيا',
+        'region.Turkey': 'تركيا',
+        'region.Saudi_Arabia': 'السعودية',
+        'region.UAE': 'الإمارات',
+        'region.South_Africa': 'جنوب أفريقيا',
+        'region.Egypt': 'مصر',
+        'region.Nigeria': 'نيجيريا',
+        'region.Kenya': 'كينيا',
+        'region.Thailand': 'تايلاند',
+        'region.Vietnam': 'فيتنام',
+        'region.Indonesia': 'إندونيسيا',
+        'region.Philippines': 'الفلبين',
+        'region.Malaysia': 'ماليزيا',
+        'region.Singapore': 'سنغافورة',
+        'region.New_Zealand': 'نيوزيلندا',
+        'region.Colombia': 'كولومبيا',
+        'region.Peru': 'بيرو',
+        'region.Venezuela': 'فنزويلا',
+        'form.transport': '🚗 النقل',
+        'form.commuteMode': 'وسيلة التنقل:',
+        'commute.Walking': 'المشي',
+        'commute.Cycling': 'الدراجة',
+        'commute.Bus': 'الحافلة',
+        'commute.Train_Rail': 'القطار',
+        'commute.Car_Gasoline': 'سيارة (بنزين)',
+        'commute.Car_Electric_BEV': 'سيارة (كهربائية)',
+        'form.dailyCommute': 'التنقل اليومي ({unit}، اتجاه واحد):',
+        'form.commuteDays': 'أيام التنقل في السنة:',
+        'form.domesticFlights': 'الرحلات الداخلية في السنة:',
+        'form.avgFlightDistance': 'متوسط مسافة الرحلة ({unit}):',
+        'form.internationalFlights': 'الرحلات الدولية في السنة:',
+        'form.otherTravel': 'تنقلات أخرى أسبوعيًا ({unit}):',
+        'form.home': '🏠 طاقة المنزل',
+        'form.electricity': 'الكهرباء (كيلوواط ساعة/شهر):',
+        'form.naturalGas': 'الغاز الطبيعي ({unit}/شهر):',
+        'form.diet': '🍽️ النظام الغذائي',
+        'form.dietType': 'نوع النظام الغذائي:',
+        'diet.vegan': 'نباتي صرف',
+        'diet.vegetarian': 'نباتي',
+        'diet.balanced': 'متوازن',
+        'diet.meat-heavy': 'غني باللحوم',
+        'form.digital': '💻 الاستخدام الرقمي',
+        'form.streaming': 'البث (ساعة/يوم):',
+        'form.aiQueries': 'استعلامات الذكاء الاصطناعي يوميًا:',
+        'form.cloudStorage': 'التخزين السحابي (غيغابايت):',
+        'form.videoCalls': 'مكالمات الفيديو (ساعة/أسبوع):',
+        'form.emails': 'الرسائل الإلكترونية يوميًا:',
+        'form.shopping': '🛍️ التسوق',
+        'form.frequency': 'التكرار:',
+        'shopping.minimal': 'قليل',
+        'shopping.moderate': 'معتدل',
+        'shopping.frequent': 'كثير',
+        'form.clothing': 'قطع الملابس في السنة:',
+        'form.electronics': 'الأجهزة الإلكترونية في السنة:',
+        'form.furniture': 'قطع الأثاث في السنة:',
+        'validation.required': 'هذا الحقل مطلوب',
+        'validation.positive': 'يجب أن يكون رقمًا موجبًا',
+        'validation.integer': 'يجب أن يكون عددًا صحيحًا',
+        'validation.max': 'يجب ألا يتجاوز {max}',
+        'validation.high': 'أكثر من {value} أمر غير معتاد، يرجى التحقق',
+        'validation.commuteMax': 'لا يمكن أن تتجاوز رحلة التنقل بوسيلة {mode} مسافة {max} في الاتجاه الواحد',
+        'validation.commuteHigh': 'رحلة التنقل بوسيلة {mode} لأكثر من {max} في الاتجاه الواحد غير معتادة، يرجى التحقق',
+        'validation.flightDistance': 'أدخل متوسط مسافة هذه الرحلات الجوية',
+        'validation.regionHigh': 'أعلى بكثير من المنزل المعتاد في {region} (حوالي {typical})، يرجى التحقق',
+        'validation.regionTravel': 'أعلى بكثير من التنقل المعتاد في {region} (حوالي {typical})، يرجى التحقق',
+
+        // Flight logger
+        'flights.heading': '✈️ سجّل الرحلات واحدة تلو الأخرى',
+        'flights.intro': 'أضف كل رحلة برمز المطار. ما دامت هناك رحلات مسجلة فإنها تحل محل متوسطات الرحلات أعلاه.',
+        'flights.fromPlaceholder': 'من (مثل CAI)',
+        'flights.toPlaceholder': 'إلى (مثل DXB)',
+        'flights.fromLabel': 'رمز مطار المغادرة',
+        'flights.toLabel': 'رمز مطار الوصول',
+        'flights.tripType': 'نوع الرحلة',
+        'flights.cabin': 'درجة المقصورة',
+        'flights.count': 'عدد الرحلات في السنة',
+        'flights.add': '➕ إضافة',
+        'flights.return': 'ذهاب وعودة',
+        'flights.oneway': 'ذهاب فقط',
+        'flights.economy': 'السياحية',
+        'flights.business': 'رجال الأعمال',
+        'flights.first': 'الأولى',
+        'flights.remove': 'إزالة {from} إلى {to}',
+        'flights.none': 'لا توجد رحلات مسجلة؛ تُستخدم المتوسطات أعلاه.',
+        'flights.totals': 'داخلي {domestic}، دولي {international} سنويًا (يشمل {uplift}٪ لمسار الطيران).',
+        'flights.full': 'يتسع السجل لـ {max} إدخالًا كحد أقصى؛ زِد عدد الرحلات بدلًا من ذلك',
+        'flights.unknownAirport': 'مطار غير معروف "{code}"',
+        'flights.sameAirport': 'يجب أن يختلف مطار المغادرة عن مطار الوصول',
+        'flights.unknownTripType': 'نوع رحلة غير معروف "{type}"',
+        'flights.unknownCabin': 'درجة مقصورة غير معروفة "{cabin}"',
+        'flights.countRange': 'يجب أن يكون عدد الرحلات بين 1 و{max}',
+
+        // Phase 2
+        'phase2.heading': '📊 بصمتك الحالية',
+        'phase2.total': 'إجمالي الانبعاثات السنوية',
+        'phase2.unit': 'طن مكافئ CO₂/سنة',
+        'phase2.breakdown': 'التوزيع',
+        'phase2.comparison': 'المقارنة',
+        'phase2.explore': 'استكشف الإجراءات ←',
+        'category.Transport': 'النقل',
+        'category.Home': 'المنزل',
+        'category.Food': 'الغذاء',
+        'category.Digital': 'الرقمي',
+        'category.Consumption': 'الاستهلاك',
+        'categoryInfo.Transport': 'التنقل اليومي والرحلات الجوية والسفر الآخر',
+        'categoryInfo.Home': 'الكهرباء والغاز الطبيعي في المنزل',
+        'categoryInfo.Food': 'إنتاج ونقل الطعام في نظامك الغذائي',
+        'categoryInfo.Digital': 'مراكز البيانات والشبكات وراء نشاطك على الإنترنت',
+        'categoryInfo.Consumption': 'تصنيع السلع التي تشتريها',
+        'part.commute': 'التنقل اليومي',
+        'part.domesticFlights': 'الرحلات الداخلية',
+        'part.internationalFlights': 'الرحلات الدولية',
+        'part.otherTravel': 'تنقلات أخرى',
+        'part.electricity': 'الكهرباء',
+        'part.naturalGas': 'الغاز الطبيعي',
+        'part.diet': 'النظام الغذائي',
+        'part.streaming': 'البث',
+        'part.aiQueries': 'استعلامات الذكاء الاصطناعي',
+        'part.cloudStorage': 'التخزين السحابي',
+        'part.videoCalls': 'مكالمات الفيديو',
+        'part.email': 'البريد الإلكتروني',
+        'part.shopping': 'التسوق العام',
+        'part.clothing': 'الملابس',
+        'part.electronics': 'الإلكترونيات',
+        'part.furniture': 'الأثاث',
+        'partInfo.commute': 'رحلات العمل اليومية بوسيلة تنقلك',
+        'partInfo.domesticFlights': 'رحلات داخلية ذهابًا وإيابًا',
+        'partInfo.internationalFlights': 'رحلات دولية ذهابًا وإيابًا',
+        'partInfo.otherTravel': 'المشاوير ورحلات نهاية الأسبوع',
+        'partInfo.electricity': 'كهرباء الشبكة بكثافة الكربون في منطقتك',
+        'partInfo.naturalGas': 'الغاز المستخدم للتدفئة والماء الساخن والطهي',
+        'partInfo.diet': 'الانبعاثات السنوية لنوع نظامك الغذائي',
+        'partInfo.streaming': 'بث الفيديو بدقة عالية',
+        'partInfo.aiQueries': 'الطلبات المرسلة إلى نماذج الذكاء الاصطناعي',
+        'partInfo.cloudStorage': 'الملفات المحفوظة على الإنترنت',
+        'partInfo.videoCalls': 'مكالمات الفيديو والاجتماعات',
+        'partInfo.email': 'الرسائل المرسلة والمستلمة',
+        'partInfo.shopping': 'المشتريات اليومية حسب تكرار تسوقك',
+        'partInfo.clothing': 'ملابس جديدة',
+        'partInfo.electronics': 'أجهزة إلكترونية جديدة',
+        'partInfo.furniture': 'أثاث جديد',
+        'chart.current': 'الحالية',
+        'chart.withPlan': 'مع الخطة',
+        'chart.breakdownLabel': 'توزيع البصمة',
+        'chart.allCategories': '→ كل الفئات',
+        'chart.perYear': '{amount} مكافئ CO₂/سنة',
+        'chart.planSaves': 'توفّر خطتك {amount}',
+        'chart.clickForBreakdown': 'انقر لرؤية التفاصيل',
+        'comparison.you': 'أنت',
+        'comparison.regionalAvg': 'المتوسط الإقليمي',
+        'comparison.regional': 'إقليمي',
+        'comparison.globalAvg': 'المتوسط العالمي',
+        'comparison.paris': 'باريس 2030',
+        'comparison.youInfo': 'بصمتك السنوية المحسوبة',
+        'comparison.regionalInfo': 'متوسط الفرد في {region}',
+        'comparison.globalInfo': 'متوسط الفرد عالميًا',
+        'comparison.parisInfo': 'مستوى الفرد المتوافق مع اتفاق باريس في 2030',
+        'comparison.share': '{amount} مكافئ CO₂/سنة · {percent} من بصمتك',
+        'comparison.label': 'مقارنة مع متوسطات البصمة والأهداف',
+        'paris.aligned': 'أنت على المسار الصحيح! بصمتك البالغة {total} طن أقل من هدف اتفاق باريس لعام 2030 البالغ {target} طن.',
+        'paris.close': 'اقتربت! خفّض {gap} طن لتبلغ هدف باريس لعام 2030.',
+        'paris.above': 'أنت أعلى من هدف باريس لعام 2030 بمقدار {gap} طن. لنبحث عن طرق للخفض!',
+        'paris.probability': 'احتمال {percent} أن تكون بصمتك ضمن هدف باريس لعام 2030 البالغ {target} طن.',
+        'paris.estimate': 'أفضل تقدير {total}، ونطاق 90%: {range}',
+
+        // Phase 3
+        'phase3.heading': '🎯 اختر الإجراءات',
+        'phase3.viewSummary': 'عرض الملخص ←',
+        'live.current': 'الحالية:',
+        'live.projected': 'المتوقعة:',
+        'live.reduction': 'الخفض:',
+        'live.parisStatus': 'هدف باريس:',
+        'live.aligned': '✓ على المسار!',
+        'live.close': '⚠ قريب',
+        'live.above': 'ما زلت أعلى من الهدف',
+        'live.selectActions': 'اختر إجراءات لرؤية أثرها',
+        'live.overlapAdjustment': 'يشمل -{value} طن للإجراءات المتداخلة',
+        'finance.uncosted': {
+            zero: 'لا توجد إجراءات بلا بيانات تكلفة.',
+            one: 'إجراء واحد ليست له بيانات تكلفة ولم يُحتسب: {names}.',
+            two: 'إجراءان ليست لهما بيانات تكلفة ولم يُحتسبا: {names}.',
+            few: '{count} إجراءات ليست لها بيانات تكلفة ولم تُحتسب: {names}.',
+            many: '{count} إجراءً ليست لها بيانات تكلفة ولم تُحتسب: {names}.',
+            other: '{count} إجراء ليست لها بيانات تكلفة ولم تُحتسب: {names}.'
+        },
+        'finance.upfront': 'الاستثمار الأولي',
+        'finance.annualSavings': 'الوفورات السنوية',
+        'finance.payback': 'استرداد التكلفة',
+        'finance.netCost': 'صافي التكلفة على {years} سنوات',
+        'finance.costPerTonne': 'التكلفة لكل طن يتم تجنبه',
+        'finance.perYear': '{amount}/سنة',
+        'finance.perTonne': '{amount}/طن',
+        'finance.now': 'فوراً',
+        'finance.never': 'أبداً',
+        'finance.paybackYear': '{year} ({years} سنة)',
+        'finance.note': 'نطاق فئات التكلفة: {low} - {high}. صافي التكلفة السالب يعني أن الإجراء يغطي تكلفته خلال {years} سنوات.',
+        'finance.selectActions': 'اختر إجراءات لعرض التكاليف والوفورات.',
+        'finance.col.action': 'الإجراء',
+        'finance.col.upfront': 'التكلفة الأولية',
+        'finance.col.savings': 'الوفورات/سنة',
+        'finance.col.payback': 'الاسترداد',
+        'finance.col.netCost': 'الصافي على {years} سنوات',
+        'finance.col.perTonne': '$/طن مكافئ CO₂',
+        'finance.noReduction': 'لا توجد إجراءات ذات خفض قابل للقياس.',
+        'finance.avoided': '{value} طن مكافئ CO₂/سنة يتم تجنبها',
+        'finance.barTitle': '{name}: {cost}، {value} طن/سنة',
+        'live.probability': 'احتمال {percent} لتحقيق الهدف',
+        'uncertainty.interval': 'نطاق 90%: {range}',
+        'uncertainty.withRange': '{value} (90%: {range})',
+        'optimizer.heading': '🧭 اقترح لي خطة',
+        'optimizer.target': 'الهدف:',
+        'optimizer.paris': 'هدف باريس (2.0 طن)',
+        'optimizer.cut25': 'خفض بنسبة 25٪',
+        'optimizer.cut50': 'خفض بنسبة 50٪',
+        'optimizer.cut75': 'خفض بنسبة 75٪',
+        'optimizer.maxCost': 'أقصى تكلفة:',
+        'optimizer.maxDifficulty': 'أقصى صعوبة:',
+        'optimizer.find': 'اقترح لي خطة',
+        'finance.heading': '💵 التكاليف والوفورات',
+        'cost.Free': 'مجاني',
+        'cost.Low': 'منخفضة (0-500 دولار)',
+        'cost.Medium': 'متوسطة (500-5000 دولار)',
+        'cost.High': 'مرتفعة (أكثر من 5000 دولار)',
+        'difficulty.Easy': 'سهل',
+        'difficulty.Medium': 'متوسط',
+        'difficulty.Hard': 'صعب',
+        'time.Immediate': 'فوري',
+        'time.1 month': 'شهر واحد',
+        'time.1-3 months': '1-3 أشهر',
+        'time.3-6 months': '3-6 أشهر',
+        'actions.heading': '{icon} إجراءات {category}',
+        'actions.impact': '-{amount}/سنة',
+        'actions.unknown': 'الإجراء {id}',
+        'rules.alternative': 'بديل لـ {names}؛ اختياره يستبدل ذلك الاختيار',
+        'rules.included': 'مشمول بالفعل في {names}',
+        'rules.includedSelected': 'مشمول بالفعل في {names}؛ يُحتسب صفرًا',
+        'rules.overlaps': 'يتداخل مع {names}؛ يُخفَّض التوفير المشترك',
+        'rules.explain.exclusive': 'لا يمكن الجمع بين {name} و{other} (-{value} طن)',
+        'rules.explain.supersedes': '{name} مشمول بالفعل في {other} (-{value} طن)',
+        'rules.explain.overlap': '{name} يتداخل مع {other}: {reason} (-{value} طن)',
+        'rules.reason.ecoDrivingElectric': 'القيادة الاقتصادية توفر القليل عندما تكون السيارة كهربائية',
+        'rules.reason.tiresElectric': 'ضغط الإطارات أقل أهمية للسيارة الكهربائية',
+        'rules.reason.plugInHybrid': 'السيارة الهجينة القابلة للشحن تحرق وقودًا أقل يمكن توفيره',
+        'rules.reason.hybrid': 'السيارة الهجينة تحرق وقودًا أقل يمكن توفيره',
+        'rules.reason.fewerCarKm': 'يتبقى عدد أقل من كيلومترات السيارة لتحويلها إلى الكهرباء',
+        'rules.reason.sameCommute': 'كلاهما يقلل رحلات التنقل نفسها',
+        'rules.reason.renewableSolar': 'الكهرباء المتجددة لا تترك الكثير لتنظفه الطاقة الشمسية',
+        'rules.reason.insulatedHeatPump': 'المضخة الحرارية تحتاج طاقة أقل في منزل معزول',
+        'rules.reason.heatPumpHeating': 'المضخة الحرارية تجعل التدفئة منخفضة الكربون بالفعل',
+        'rules.reason.sameHeatLoss': 'كلاهما يقلل فقدان الحرارة نفسه',
+        'rules.reason.sameDevices': 'كلاهما يتجنب الأجهزة الجديدة نفسها',
+        'rules.reason.sameClothes': 'كلاهما يتجنب الملابس الجديدة نفسها',
+        'rules.reason.samePurchases': 'كلاهما يتجنب المشتريات الجديدة نفسها',
+        'optimizer.saves': 'يوفر {amount}/سنة ({percent} من الخفض المطلوب)',
+        'optimizer.effort': 'الصعوبة {difficulty}، التكلفة {cost}',
+        'optimizer.bestFit': 'الخيار الأنسب بين خيارات {group}، لذا لا يُجمع مع {others}',
+        'optimizer.group.vehicle': 'استبدال المركبة',
+        'optimizer.group.transit': 'النقل العام',
+        'optimizer.group.solar': 'الألواح الشمسية',
+        'optimizer.group.diet': 'تغيير النظام الغذائي',
+        'optimizer.group.overlapping': 'الإجراءات المتداخلة',
+        'optimizer.none': 'أنت تحقق هذا الهدف بالفعل. لا حاجة لأي إجراء!',
+        'optimizer.found': {
+            zero: 'لم يُعثر على خطة.',
+            one: 'تم العثور على خطة: إجراء واحد يوفر {amount} (الهدف {target}).',
+            two: 'تم العثور على خطة: إجراءان يوفران {amount} (الهدف {target}).',
+            few: 'تم العثور على خطة: {count} إجراءات توفر {amount} (الهدف {target}).',
+            many: 'تم العثور على خطة: {count} إجراءً توفر {amount} (الهدف {target}).',
+            other: 'تم العثور على خطة: {count} إجراء توفر {amount} (الهدف {target}).'
+        },
+        'optimizer.notReached': 'لا توجد خطة تبلغ الهدف ضمن هذه الحدود. أقوى خطة توفر {amount} من {target}؛ جرّب حداً أعلى للتكلفة أو الصعوبة.',
+        'optimizer.pick': '{name}: {reasons}',
+
+        // Phase 4
+        'phase4.heading': '📋 خطة العمل',
+        'phase4.before': 'قبل',
+        'phase4.after': 'بعد',
+        'phase4.byCategory': 'البصمة حسب الفئة',
+        'phase4.byAction': 'الأثر حسب الإجراء',
+        'phase4.roadmap': 'الجدول الزمني للتنفيذ',
+        'phase4.finance': 'التحليل المالي',
+        'phase4.summary': 'الملخص',
+        'phase4.newCalculation': '→ حساب جديد',
+        'waterfall.share': '-{amount} مكافئ CO₂/سنة · {percent} من الخفض',
+        'waterfall.label': 'الخفض حسب الإجراء',
+        'roadmap.horizon': 'عرض المسار حتى',
+        'roadmap.annual': 'الانبعاثات السنوية (طن مكافئ CO₂/سنة)',
+        'roadmap.cumulative': 'الانبعاثات المتجنبة التراكمية (طن مكافئ CO₂)',
+        'finance.mac': 'منحنى التكلفة الحدية للخفض',
+        'share.heading': '🔗 شارك هذه الخطة',
+        'share.intro': 'امسح الرمز لفتح هذه الخطة على هاتفك، أو انسخ الرابط.',
+        'share.copy': '📋 نسخ',
+        'export.heading': '📤 خذ خطتك معك',
+        'export.print': '🖨️ طباعة / PDF',
+        'export.report': '📄 تقرير (HTML)',
+        'export.csv': '📊 الإجراءات (CSV)',
+        'export.json': '💾 الخطة (JSON)',
+        'export.note': 'يمكن إعادة فتح ملفات الخطة من قسم الملفات الشخصية في صفحة الإدخال.',
+
+        // Household
+        'household.heading': '👪 الأسرة',
+        'household.intro': 'أضف الأشخاص الذين تعيش معهم لتقسيم طاقة المنزل بإنصاف. المنطقة وطاقة المنزل والنظام الغذائي الافتراضي مشتركة؛ أما بيانات النقل والاستخدام الرقمي والتسوق أدناه فتخص الفرد الذي تحرّر بياناته.',
+        'household.add': '➕ إضافة فرد',
+        'household.split': 'تقسيم طاقة المنزل',
+        'household.splitEqual': 'تقسيم طاقة المنزل بالتساوي',
+        'household.splitWeighted': 'تقسيم طاقة المنزل حسب العمر (الطفل = نصف بالغ)',
+        'household.membersHeading': '👪 أفراد الأسرة',
+        'household.viewLabel': 'عرض البصمة لـ',
+        'household.viewHousehold': 'الأسرة كاملة',
+        'household.viewPerCapita': 'لكل فرد',
+        'household.memberName': 'الفرد {number}',
+        'household.adult': 'بالغ',
+        'household.child': 'طفل',
+        'household.sharedDiet': 'نظام الأسرة الغذائي',
+        'household.nameLabel': 'اسم الفرد',
+        'household.kindLabel': 'بالغ أو طفل',
+        'household.dietLabel': 'النظام الغذائي',
+        'household.edit': '✏️ تحرير',
+        'household.editing': '✏️ قيد التحرير',
+        'household.remove': 'إزالة {name}',
+        'household.editingNote': 'بيانات النقل والاستخدام الرقمي والتسوق أدناه تخص {name}.',
+        'household.full': 'يمكن أن تضم الأسرة {max} فردًا كحد أقصى',
+        'household.everyone': 'الأسرة كاملة',
+        'household.assignLabel': 'من يتولى هذا الإجراء',
+        'household.assignedTo': 'يتولاه {name}',
+        'household.subjectHousehold': 'الأسرة',
+        'household.subjectPerson': 'لكل فرد',
+        'household.homeShare': 'حصة طاقة المنزل: {percent} ({amount})',
+        'household.barsLabel': 'بصمة كل فرد في الأسرة',
+        'household.summary': {
+            zero: 'لا أفراد',
+            one: 'فرد واحد · {total} إجمالًا',
+            two: 'فردان · {total} إجمالًا · {perCapita} لكل فرد (المتوسط الإقليمي {regional})',
+            few: '{count} أفراد · {total} إجمالًا · {perCapita} لكل فرد (المتوسط الإقليمي {regional})',
+            many: '{count} فردًا · {total} إجمالًا · {perCapita} لكل فرد (المتوسط الإقليمي {regional})',
+            other: '{count} فرد · {total} إجمالًا · {perCapita} لكل فرد (المتوسط الإقليمي {regional})'
+        },
+
+        // Progress tracker
+        'tab.track': 'المتابعة',
+        'phase4.commit': 'ألتزم بهذه الخطة ←',
+        'phase5.heading': '📈 تابع تقدّمك',
+        'track.logHeading': '🗓️ تسجيل شهر',
+        'track.logIntro': 'أدخل قراءات العدادات والمسافة التي قدتها والرحلات الجوية التي قمت بها. يتبع الغذاء والاستخدام الرقمي والتسوق خطتك، مطروحًا منها الإجراءات المنجزة.',
+        'track.monthLabel': 'الشهر:',
+        'track.electricity': 'الكهرباء (كيلوواط ساعة):',
+        'track.naturalGas': 'الغاز الطبيعي ({unit}):',
+        'track.driven': 'المسافة المقطوعة بالسيارة ({unit}):',
+        'track.vehicle': 'السيارة:',
+        'track.domesticFlights': 'الرحلات الداخلية (ذهابًا وإيابًا):',
+        'track.internationalFlights': 'الرحلات الدولية (ذهابًا وإيابًا):',
+        'track.save': '💾 حفظ الشهر',
+        'track.actionsHeading': 'الإجراءات',
+        'track.comparisonHeading': 'المخطط مقابل الفعلي',
+        'track.historyHeading': 'السجل',
+        'track.exportCSV': '📊 السجل (CSV)',
+        'track.exportJSON': '💾 السجل (JSON)',
+        'track.clear': '🗑️ إيقاف المتابعة',
+        'track.pending': '⏳ لم يبدأ',
+        'track.inProgress': '🔧 قيد التنفيذ',
+        'track.done': '✅ منجز',
+        'track.statusLabel': 'حالة {name}',
+        'track.committed': {
+            zero: 'التزام بتاريخ {date} بلا إجراءات: {from} سنويًا.',
+            one: 'التزام بتاريخ {date} بإجراء واحد: {from} سنويًا الآن، و{to} عند تطبيقه بالكامل.',
+            two: 'التزام بتاريخ {date} بإجراءين: {from} سنويًا الآن، و{to} عند تطبيقهما بالكامل.',
+            few: 'التزام بتاريخ {date} بـ {count} إجراءات: {from} سنويًا الآن، و{to} عند تطبيقها بالكامل.',
+            many: 'التزام بتاريخ {date} بـ {count} إجراءً: {from} سنويًا الآن، و{to} عند تطبيقها بالكامل.',
+            other: 'التزام بتاريخ {date} بـ {count} إجراء: {from} سنويًا الآن، و{to} عند تطبيقها بالكامل.'
+        },
+        'track.confirmReplace': 'هل تريد استبدال خطتك الملتزم بها بهذه الخطة؟ ستبقى الأشهر المسجلة وحالات الإجراءات.',
+        'track.confirmClear': 'هل تريد إيقاف المتابعة وحذف سجل تقدّمك؟ صدّره أولًا للاحتفاظ بنسخة.',
+        'track.monthRequired': 'اختر الشهر الذي تسجّله',
+        'track.beforeCommitment': 'التزمت بهذه الخطة في {month}؛ سجّل ذلك الشهر أو شهرًا لاحقًا',
+        'track.futureMonth': 'هذا الشهر لم يبدأ بعد',
+        'track.invalidReadings': 'يجب أن تكون القراءات أرقامًا موجبة والرحلات أعدادًا صحيحة من رحلات الذهاب والعودة',
+        'track.saved': 'تم حفظ {month}',
+        'track.removed': 'تمت إزالة {month}',
+        'track.remove': 'إزالة {month}',
+        'track.noneToExport': 'لا يوجد سجل تقدّم لتصديره',
+        'track.noMonths': 'لم تُسجَّل أي أشهر بعد. سجّل شهرك الأول أعلاه لمقارنته بخطتك.',
+        'track.comparisonNote': {
+            zero: 'لا أشهر مسجلة.',
+            one: 'الإجماليات لشهر واحد مسجل.',
+            two: 'الإجماليات لشهرين مسجلين.',
+            few: 'الإجماليات لـ {count} أشهر مسجلة.',
+            many: 'الإجماليات لـ {count} شهرًا مسجلًا.',
+            other: 'الإجماليات لـ {count} شهر مسجل.'
+        },
+        'track.month': 'الشهر',
+        'track.planned': 'المخطط',
+        'track.actual': 'الفعلي',
+        'track.difference': 'الفرق',
+        'track.ahead': 'متقدم على الخطة بمقدار',
+        'track.behind': 'متأخر عن الخطة بمقدار',
+        'track.plannedRow': '{category} (المخطط)',
+        'track.actualRow': '{category} (الفعلي)',
+        'track.plannedInfo': {
+            zero: 'تسمح خطتك بـ {amount}',
+            one: 'تسمح خطتك بـ {amount} للشهر المسجل',
+            two: 'تسمح خطتك بـ {amount} للشهرين المسجلين',
+            few: 'تسمح خطتك بـ {amount} للأشهر الـ {count} المسجلة',
+            many: 'تسمح خطتك بـ {amount} للـ {count} شهرًا المسجلة',
+            other: 'تسمح خطتك بـ {amount} للـ {count} شهر المسجلة'
+        },
+        'track.actualInfo': {
+            zero: '{amount}',
+            one: '{amount} في الشهر المسجل',
+            two: '{amount} في الشهرين المسجلين',
+            few: '{amount} في الأشهر الـ {count} المسجلة',
+            many: '{amount} في الـ {count} شهرًا المسجلة',
+            other: '{amount} في الـ {count} شهر المسجلة'
+        },
+        'track.overPlan': '{amount} أكثر من المخطط',
+        'track.underPlan': '{amount} أقل من المخطط',
+        'track.chartLabel': 'الانبعاثات المخططة والفعلية حسب الفئة',
+
+        // What-if analysis
+        'whatif.heading': '🎚️ ماذا لو؟',
+        'whatif.reset': 'إعادة ضبط المؤشرات',
+        'whatif.apply': 'استخدام هذه القيم',
+        'whatif.tornadoHeading': 'المدخلات الأكثر تأثيرًا',
+        'whatif.tornadoIntro': 'التغير في بصمتك السنوية عندما تنخفض كل قيمة أو ترتفع بنسبة 20%.',
+        'whatif.dailyCommuteKm': 'التنقل اليومي (ذهابًا فقط)',
+        'whatif.commuteDays': 'أيام التنقل في السنة',
+        'whatif.domesticFlights': 'الرحلات الداخلية في السنة',
+        'whatif.internationalFlights': 'الرحلات الدولية في السنة',
+        'whatif.otherTravelKm': 'تنقلات أخرى في الأسبوع',
+        'whatif.monthlyElectricityKWh': 'الكهرباء شهريًا',
+        'whatif.monthlyNaturalGasKWh': 'الغاز الطبيعي شهريًا',
+        'whatif.streamingHoursPerDay': 'ساعات البث يوميًا',
+        'whatif.clothingPurchases': 'قطع الملابس في السنة',
+        'whatif.electronicsPurchases': 'الأجهزة الإلكترونية في السنة',
+        'whatif.intro': 'حرّك أحد المؤشرات لترى كيف ستتغير بصمتك. تبقى القيم التي أدخلتها كما هي حتى تختار "استخدام هذه القيم".',
+        'whatif.result': 'بهذه القيم: {total} سنويًا ({change}، {percent})',
+        'whatif.householdNote': 'تتغير طاقة المنزل للأسرة كلها؛ أما المؤشرات الأخرى فتغيّر العضو الذي تحرره.',
+        'whatif.swing': '{percent} ({value}): {change}',
+        'whatif.tornadoLabel': 'التغير في البصمة السنوية عندما تنخفض كل قيمة أو ترتفع بنسبة 20%',
+
+        // Action search and filters
+        'filters.label': 'البحث في الإجراءات وتصفيتها',
+        'filters.search': 'ابحث في الإجراءات…',
+        'filters.cost': 'التكلفة',
+        'filters.anyCost': 'أي تكلفة',
+        'filters.difficulty': 'الصعوبة',
+        'filters.anyDifficulty': 'أي صعوبة',
+        'filters.time': 'مدة التنفيذ',
+        'filters.anyTime': 'أي مدة تنفيذ',
+        'filters.infrastructure': 'البنية التحتية',
+        'filters.anyInfrastructure': 'مع بنية تحتية أو بدونها',
+        'filters.noInfrastructure': 'لا تحتاج إلى بنية تحتية',
+        'filters.needsInfrastructure': 'تحتاج إلى بنية تحتية',
+        'filters.sort': 'الترتيب حسب',
+        'filters.sortCategory': 'الترتيب حسب الفئة',
+        'filters.sortImpact': 'الأكبر أثرًا أولًا',
+        'filters.sortCostEffectiveness': 'الأعلى جدوى من حيث التكلفة أولًا',
+        'filters.sortFootprintShare': 'الأكبر حصة من بصمتي أولًا',
+        'filters.clear': 'مسح عوامل التصفية',
+        'filters.empty': 'لا توجد إجراءات تطابق عوامل التصفية هذه.',
+        'filters.showing': {
+            zero: 'لا توجد إجراءات',
+            one: 'عرض {shown} من إجراء واحد',
+            two: 'عرض {shown} من إجراءين',
+            few: 'عرض {shown} من {count} إجراءات',
+            many: 'عرض {shown} من {count} إجراءً',
+            other: 'عرض {shown} من {count} إجراء'
+        },
+        'filters.hiddenSelected': {
+            zero: 'لا توجد إجراءات محددة مخفية',
+            one: 'إجراء محدد واحد مخفي بسبب عوامل التصفية لكنه ما زال محسوبًا',
+            two: 'إجراءان محددان مخفيان بسبب عوامل التصفية لكنهما ما زالا محسوبين',
+            few: '{count} إجراءات محددة مخفية بسبب عوامل التصفية لكنها ما زالت محسوبة',
+            many: '{count} إجراءً محددًا مخفيًا بسبب عوامل التصفية لكنها ما زالت محسوبة',
+            other: '{count} إجراء محدد مخفي بسبب عوامل التصفية لكنها ما زالت محسوبة'
+        },
+        'filters.rankedBy.impact': '🏆 الأكبر أثرًا أولًا',
+        'filters.rankedBy.costEffectiveness': '🏆 الأعلى جدوى من حيث التكلفة أولًا',
+        'filters.rankedBy.footprintShare': '🏆 الأكبر حصة من بصمتك أولًا',
+        'filters.costPerTonne': '{cost} على مدى 10 سنوات',
+        'filters.share': '{percent} من انبعاثاتك في فئة {category}',
+
+        // Excluded actions
+        'excluded.heading': '🚫 غير متاحة لك',
+        'excluded.intro': 'استُبعدت هذه الإجراءات بسبب منطقتك أو بصمتك. إذا كان وضعك مختلفًا، يمكنك إعادة إضافة أي منها.',
+        'excluded.gridClean': 'شبكة الكهرباء لديك نظيفة أصلًا ({value} غ CO₂/كيلوواط ساعة)؛ لا يكون هذا الإجراء مجديًا إلا فوق {limit} غ/كيلوواط ساعة',
+        'excluded.gridDirty': 'شبكة الكهرباء لديك كثيفة الكربون ({value} غ CO₂/كيلوواط ساعة)؛ لا يفيد هذا الإجراء إلا دون {limit} غ/كيلوواط ساعة',
+        'excluded.climate': 'مناسب للمناخات: {limit}؛ مناخ منطقتك {value}',
+        'excluded.lowEmissions': 'انبعاثاتك في هذه الفئة منخفضة أصلًا ({value}، أقل من {limit})',
+        'excluded.override': 'أضفه على أي حال',
+        'excluded.confirm': 'استُبعد "{action}": {reason}.\n\nقد تكون وفوراته أقل بكثير أو معدومة في وضعك. هل تريد إضافته إلى إجراءاتك على أي حال؟',
+        'excluded.note': 'أُضيف رغم أنه غير موصى به: {reason}',
+        'excluded.restore': 'إزالة',
+        'climate.Cold': 'بارد',
+        'climate.Hot_Arid': 'حار وجاف',
+        'climate.Mixed': 'مختلط',
+        'climate.Temperate': 'معتدل',
+        'climate.Tropical': 'استوائي',
+
+        // Co-benefits
+        'filters.sortBenefitScore': 'الأعلى في درجة الكربون + الفوائد أولًا',
+        'benefits.filter': 'فائدة إضافية',
+        'benefits.weightsHeading': '⚖️ ما يهمك',
+        'benefits.weightsIntro': 'حدّد وزن الكربون وكل فائدة إضافية من 0 (لا يهمني) إلى 3 (مهم جدًا)، ثم رتّب حسب درجة الكربون + الفوائد.',
+        'benefits.planHeading': '🌱 ما بعد الكربون',
+        'benefits.health': 'الصحة',
+        'benefits.savings': 'التوفير',
+        'benefits.airQuality': 'جودة الهواء',
+        'benefits.social': 'الروابط الاجتماعية',
+        'benefits.comfort': 'الراحة',
+        'benefits.time': 'الوقت',
+        'benefits.independence': 'الاستقلال في الطاقة',
+        'benefits.waste': 'نفايات أقل',
+        'benefits.carbon': '🌍 الأثر الكربوني',
+        'benefits.any': 'أي فائدة إضافية',
+        'benefits.score': 'الدرجة {score}/100',
+        'benefits.planIntro': 'إلى جانب خفض {reduction} سنويًا، تجلب خطتك: {benefits}.',
+        'benefits.planSavings': 'نحو {amount} سنويًا',
+        'benefits.planNone': 'لا توجد فوائد إضافية مسجلة لإجراءات هذه الخطة.',
+
+        // Kiosk mode
+        'kiosk.touch': '👆 المس الشاشة للبدء',
+        'kiosk.personasHeading': 'من يشبهك أكثر؟',
+        'kiosk.personasIntro': 'اختر نقطة بداية. يمكنك تغيير أي إجابة بعد ذلك.',
+        'kiosk.startOwn': '✏️ ابدأ بقيم نموذجية',
+        'kiosk.stay': 'ما زلت هنا',
+        'kiosk.cancel': 'إلغاء',
+        'kiosk.ok': 'موافق',
+        'kiosk.slide.footprint': '🌍 ما حجم بصمتك الكربونية؟ اكتشف ذلك في دقيقتين.',
+        'kiosk.slide.paris': '🎯 تحقيق هدف باريس يعني نحو طنين من مكافئ CO₂ للشخص سنويًا.',
+        'kiosk.slide.plan': '🛠️ اختر إجراءات، وشاهد ما توفره، وخذ خطتك معك برمز QR.',
+        'kiosk.warning': {
+            zero: 'هل ما زلت هنا؟ ستُعاد تهيئة هذه الشاشة الآن.',
+            one: 'هل ما زلت هنا؟ ستُعاد تهيئة هذه الشاشة خلال ثانية واحدة.',
+            two: 'هل ما زلت هنا؟ ستُعاد تهيئة هذه الشاشة خلال ثانيتين.',
+            few: 'هل ما زلت هنا؟ ستُعاد تهيئة هذه الشاشة خلال {count} ثوانٍ.',
+            many: 'هل ما زلت هنا؟ ستُعاد تهيئة هذه الشاشة خلال {count} ثانية.',
+            other: 'هل ما زلت هنا؟ ستُعاد تهيئة هذه الشاشة خلال {count} ثانية.'
+        },
+        'kiosk.persona.commuter': 'يتنقل بالسيارة',
+        'kiosk.persona.commuter.detail': 'يقود السيارة إلى العمل في الولايات المتحدة',
+        'kiosk.persona.flyer': 'مسافر دائم',
+        'kiosk.persona.flyer.detail': 'يذهب إلى العمل بالقطار في أوروبا ويسافر جوًا كثيرًا',
+        'kiosk.persona.student': 'طالب',
+        'kiosk.persona.student.detail': 'يستقل الحافلة في الهند، نباتي',
+        'kiosk.persona.suburban': 'منزل في الضواحي',
+        'kiosk.persona.suburban.detail': 'يدفئ منزلًا في كندا ويتنقل بالسيارة',
+
+        // Accessibility: chart tables and announcements
+        'tab.list': 'المراحل',
+        'chart.table.show': 'عرض كجدول',
+        'chart.table.item': 'العنصر',
+        'chart.table.value': 'القيمة',
+        'chart.table.details': 'التفاصيل',
+        'chart.table.category': 'الفئة',
+        'chart.table.share': 'النسبة',
+        'chart.table.low': 'أقل بنسبة 20%',
+        'chart.table.high': 'أعلى بنسبة 20%',
+        'finance.macCaption': 'منحنى التكلفة الحدية للخفض، من الأرخص إلى الأغلى',
+        'finance.col.avoided': 'طن مكافئ CO₂/سنة',
+        'roadmap.annualLabel': 'الانبعاثات السنوية حسب الشهر',
+        'roadmap.annualCaption': 'الانبعاثات السنوية في نهاية كل عام',
+        'roadmap.cumulativeLabel': 'الأطنان المتجنبة التراكمية',
+        'roadmap.cumulativeCaption': 'الأطنان المتجنبة التراكمية بنهاية كل عام',
+        'roadmap.col.year': 'السنة',
+        'roadmap.col.withoutPlan': 'بدون خطة',
+        'roadmap.col.paris': 'هدف باريس',
+        'roadmap.col.avoided': 'المتجنب',
+        'roadmap.neverReaches': '❌ تستقر هذه الخطة عند {amount}/سنة ولا تبلغ أبداً هدف باريس البالغ {target}.',
+        'roadmap.belowFromStart': '✅ أنت دون هدف باريس البالغ {target} منذ الشهر الأول.',
+        'roadmap.crosses': {
+            zero: '✅ تبلغ هدف باريس البالغ {target} في {date}.',
+            one: '✅ تبلغ هدف باريس البالغ {target} في {date}، بعد شهر واحد من الآن.',
+            two: '✅ تبلغ هدف باريس البالغ {target} في {date}، بعد شهرين من الآن.',
+            few: '✅ تبلغ هدف باريس البالغ {target} في {date}، بعد {count} أشهر من الآن.',
+            many: '✅ تبلغ هدف باريس البالغ {target} في {date}، بعد {count} شهراً من الآن.',
+            other: '✅ تبلغ هدف باريس البالغ {target} في {date}، بعد {count} شهر من الآن.'
+        },
+        'roadmap.parisLabel': 'باريس {value} طن',
+        'roadmap.milestone': '{value} طن بحلول {year}',
+        'roadmap.avoidedBy': 'المتجنب بحلول {year}',
+        'roadmap.ganttValue': '{time} · -{amount}/سنة',
+        'live.announce': 'مع خطتك: {total} سنويًا، أي أقل بمقدار {reduction}. {status}',
+
+        // Team dashboard
+        'tab.team': 'الفريق',
+        'team.heading': '👥 لوحة الفريق',
+        'team.intro': 'قارن بين أفراد صف أو فريق: افتح ملفات الخطط (💾 الخطة (JSON) في المرحلة 4) التي نزّلها المشاركون. تبقى الملفات على هذا الحاسوب ولا يُرفع أي شيء.',
+        'team.open': '📂 فتح ملفات الخطط',
+        'team.clear': '🗑️ مسح',
+        'team.anonymous': 'إخفاء الأسماء',
+        'team.empty': 'لم تُفتح أي خطة بعد.',
+        'team.byCategory': 'بصمة المجموعة حسب الفئة',
+        'team.distribution': 'توزّع البصمات',
+        'team.show': 'عرض',
+        'team.leaderboard': 'التخفيضات المتعهَّد بها',
+        'team.importFailed': {
+            zero: 'تعذّر فتح الملفات: {files}',
+            one: 'تعذّر فتح ملف واحد: {files}',
+            two: 'تعذّر فتح ملفين: {files}',
+            few: 'تعذّر فتح {count} ملفات: {files}',
+            many: 'تعذّر فتح {count} ملفًا: {files}',
+            other: 'تعذّر فتح {count} ملف: {files}'
+        },
+        'team.confirmClear': {
+            zero: 'هل تريد إزالة الخطط من لوحة الفريق؟',
+            one: 'هل تريد إزالة الخطة من لوحة الفريق؟',
+            two: 'هل تريد إزالة الخطتين من لوحة الفريق؟',
+            few: 'هل تريد إزالة الخطط الـ{count} من لوحة الفريق؟',
+            many: 'هل تريد إزالة الخطط الـ{count} من لوحة الفريق؟',
+            other: 'هل تريد إزالة الخطط الـ{count} من لوحة الفريق؟'
+        },
+        'team.participant': 'المشارك {number}',
+        'team.remove': 'إزالة {name}',
+        'team.regionalAvg': 'متوسط {region}',
+        'team.regionalAvgMixed': 'المتوسط الإقليمي',
+        'team.parisTarget': 'باريس',
+        'team.stat.participants': 'المشاركون',
+        'team.stat.total': 'البصمة المجمّعة',
+        'team.stat.average': 'المتوسط للفرد',
+        'team.stat.reduction': 'التخفيض المتعهَّد به سنويًا',
+        'team.stat.percent': 'تخفيض المجموعة',
+        'team.stat.onTarget': 'ضمن هدف باريس',
+        'team.stat.onTargetValue': '{now} الآن، {planned} مع الخطط',
+        'team.stat.avoidedBy': 'ما تتجنّبه المجموعة حتى {year}',
+        'team.people': {
+            zero: 'لا أحد',
+            one: 'شخص واحد',
+            two: 'شخصان',
+            few: '{count} أشخاص',
+            many: '{count} شخصًا',
+            other: '{count} شخص'
+        },
+        'team.axis': 'أطنان مكافئ CO₂ سنويًا',
+        'team.histogramLabel': 'عدد المشاركين حسب البصمة السنوية',
+        'team.footprintRange': 'البصمة',
+        'team.participants': 'المشاركون',
+        'team.participantHeading': 'المشارك',
+        'team.reductionHeading': 'التخفيض المتعهَّد به',
+        'team.footprintHeading': 'البصمة الآن ← مع الخطة',
+        'team.actionsHeading': 'الإجراءات',
+
+        // Region comparison
+        'regions.heading': '🌐 ماذا لو كنت تعيش في…',
+        'regions.intro': 'إجاباتك نفسها، محسوبة من جديد بشبكة الكهرباء وعوامل انبعاثات النقل في كل منطقة. لا يتغير الطعام والاستخدام الرقمي والتسوق، لذا يأتي الفرق من مكان عيشك لا من طريقة عيشك.',
+        'regions.pick': 'منطقة للمقارنة',
+        'regions.add': '➕ قارن',
+        'regions.tooMany': 'يمكنك مقارنة {count} مناطق كحد أقصى في المرة الواحدة؛ أزل واحدة أولًا.',
+        'regions.summary': 'بنمط الحياة نفسه، ستكون بصمتك {low} في {lowRegion} و{high} في {highRegion}: {spread} منها يعتمد على مكان عيشك لا على طريقة عيشك.',
+        'regions.yours': '{region} (منطقتك)',
+        'regions.transportHome': 'النقل {transport}، المنزل {home}',
+        'regions.grid': 'الشبكة: {value} غ CO₂/كيلوواط ساعة',
+        'regions.perCapita': 'المقيم النموذجي: {amount}',
+        'regions.barsLabel': 'بصمتك محسوبة من جديد لكل منطقة',
+        'regions.calculating': 'جارٍ الحساب…',
+        'regions.remove': 'إيقاف مقارنة {region}',
+        'regions.region': 'المنطقة',
+        'regions.you': 'أنت، إن عشت هناك',
+        'regions.gridHeading': 'الشبكة غ CO₂/كيلوواط ساعة',
+        'regions.resident': 'المقيم النموذجي',
+        'regions.total': 'الإجمالي',
+
+        // Profiles
+        'profiles.selectPrompt': 'اختر ملفًا...',
+        'profiles.saved': 'تم حفظ "{name}"',
+        'profiles.loaded': 'تم تحميل "{name}"',
+        'profiles.deleted': 'تم حذف "{name}"',
+        'profiles.imported': {
+            zero: 'لم يُستورد أي ملف',
+            one: 'تم استيراد ملف واحد',
+            two: 'تم استيراد ملفين',
+            few: 'تم استيراد {count} ملفات',
+            many: 'تم استيراد {count} ملفًا',
+            other: 'تم استيراد {count} ملف'
+        },
+        'profiles.nameRequired': 'أدخل اسمًا للملف',
+        'profiles.selectRequired': 'اختر ملفًا محفوظًا لتحميله',
+        'profiles.invalid': 'يحتوي الملف "{name}" على قيم مفقودة أو غير صالحة',
+        'profiles.noneToExport': 'لا توجد ملفات محفوظة للتصدير',
+        'profiles.importFailed': 'تعذّر استيراد الملفات: {reason}',
+        'profiles.saveFailed': 'تعذّر حفظ الملفات الشخصية: {reason}',
+        'profiles.kioskUnavailable': 'لا تُحفظ الملفات الشخصية على هذه الشاشة المشتركة',
+
+        // Errors and confirmations
+        'error.requiredFields': 'يرجى ملء جميع الحقول المطلوبة بشكل صحيح',
+        'error.selectAction': 'اختر إجراءً واحدًا على الأقل قبل عرض الملخص',
+        'error.actionsSkipped': {
+            zero: 'لم يُتجاوز أي إجراء محفوظ',
+            one: 'إجراء محفوظ واحد لم يعد متاحًا وتم تجاوزه',
+            two: 'إجراءان محفوظان لم يعودا متاحين وتم تجاوزهما',
+            few: '{count} إجراءات محفوظة لم تعد متاحة وتم تجاوزها',
+            many: '{count} إجراءً محفوظًا لم يعد متاحًا وتم تجاوزه',
+            other: '{count} إجراء محفوظ لم يعد متاحًا وتم تجاوزه'
+        },
+        'error.generic': 'حدث خطأ. يرجى المحاولة مرة أخرى.',
+        'error.exportNoPlan': 'أنشئ خطة عمل قبل التصدير',
+        'report.title': 'خطة العمل المناخي - {region}',
+        'report.heading': '🌍 خطة العمل المناخي',
+        'report.print': 'طباعة / حفظ بصيغة PDF',
+        'report.meta': 'المنطقة: {region} · أُنشئ في {date}',
+        'report.current': 'البصمة الحالية: {amount} مكافئ CO₂/سنة',
+        'report.plan': 'خطتك: {amount} مكافئ CO₂/سنة (-{percent})',
+        'report.beforeAfter': 'قبل وبعد',
+        'report.timeline': 'الجدول الزمني للتنفيذ',
+        'report.legend': '{category}: {amount} ({percent})',
+        'report.col.action': 'الإجراء',
+        'report.col.impact': 'كغ مكافئ CO₂/سنة',
+        'report.col.cost': 'التكلفة',
+        'report.col.difficulty': 'الصعوبة',
+        'report.col.time': 'المدة',
+        'error.openPlan': 'تعذّر فتح الخطة: {reason}',
+        'error.openSharedPlan': 'تعذّر فتح الخطة المشتركة: {reason}',
+        'error.sharedPlanIncomplete': 'الخطة المشتركة تنقصها بيانات؛ يرجى إكمال النموذج',
+        'error.planIncomplete': 'ملف الخطة تنقصه بعض المدخلات أو يحتوي على مدخلات غير صالحة؛ يرجى مراجعة النموذج',
+        'error.timeout': 'لم يستجب محرك الحساب. يُرجى المحاولة مرة أخرى.',
+        'reason.notJSON': 'الملف ليس بصيغة JSON صالحة',
+        'reason.version': 'إصدار ملف غير مدعوم: {version}',
+        'reason.notPlanFile': 'ليس ملف خطة من Carbon Action Tracker',
+        'reason.noInputs': 'لا يحتوي الملف على مدخلات',
+        'reason.noFootprint': 'لا يحتوي الملف على بصمة صالحة',
+        'reason.badImpact': 'يحتوي الملف على أثر خطة غير صالح',
+        'reason.noActions': 'لا يحتوي الملف على إجراءات مختارة',
+        'reason.notProfileFile': 'ليس ملف ملفات تعريف من Carbon Action Tracker',
+        'reason.noProfiles': 'لا يحتوي الملف على ملفات تعريف',
+        'reason.profileName': 'يجب أن يكون لكل ملف تعريف اسم',
+        'reason.unknownRegion': 'يحتوي الملف على منطقة لا يعرفها هذا التطبيق',
+        'reason.unknownAction': 'يحتوي الملف على إجراءات لا يعرفها هذا التطبيق',
+        'reason.unreadable': 'تعذّرت قراءة الملف',
+        'reason.linkValue': 'قيمة غير صالحة لـ {field}',
+        'reason.linkActions': 'قائمة إجراءات غير صالحة',
+        'reason.linkModified': 'الرابط غير مكتمل أو تم تعديله',
+        'reason.linkNewer': 'أُنشئ الرابط بإصدار أحدث من الأداة',
+        'share.tooLarge': 'هذه الخطة أكبر من أن تُعرض في رمز QR؛ استخدم الرابط بدلاً من ذلك.',
+        'share.copied': 'تم نسخ الرابط',
+        'share.pressCopy': 'اضغط Ctrl+C لنسخ الرابط المحدد',
+        'share.household': 'تحمل الروابط مدخلات شخص واحد فقط، لذا لا يمكنها مشاركة خطة أسرة. استخدم 💾 الخطة (JSON) أدناه للاحتفاظ بجميع الأفراد.',
+        'confirm.reset': 'هل تريد إعادة التعيين؟ سيتم مسح جميع البيانات المدخلة، مع الاحتفاظ بسجل تقدّمك.'
+    },
+    actions: {
+        1: ['التحول إلى سيارة كهربائية', 'استبدال سيارة البنزين بسيارة كهربائية بالبطارية'],
+        2: ['التحول إلى سيارة هجينة قابلة للشحن', 'استبدال سيارة البنزين بسيارة هجينة قابلة للشحن'],
+        3: ['النقل العام 3 أيام أسبوعيًا', 'استبدال السيارة بالحافلة أو القطار 3 أيام في الأسبوع'],
+        4: ['النقل العام 5 أيام أسبوعيًا', 'استبدال السيارة بالحافلة أو القطار يوميًا'],
+        5: ['الدراجة للرحلات الأقل من 5 كم', 'استبدال رحلات السيارة القصيرة بالدراجة'],
+        6: ['مشاركة السيارة 3 أيام أسبوعيًا', 'مشاركة السيارة مع الزملاء 3 أيام في الأسبوع'],
+        7: ['خفض الرحلات الداخلية بنسبة 50٪', 'خفض السفر الجوي الداخلي إلى النصف'],
+        8: ['خفض الرحلات الدولية بنسبة 50٪', 'خفض السفر الجوي الدولي إلى النصف'],
+        9: ['العمل من المنزل يومين إضافيين أسبوعيًا', 'تقليل التنقل بالعمل عن بُعد'],
+        10: ['التحول إلى سيارة هجينة', 'استبدال سيارة البنزين بسيارة هجينة عادية'],
+        11: ['اتباع القيادة الاقتصادية', 'خفض استهلاك الوقود بأسلوب القيادة'],
+        12: ['الحفاظ على ضغط الإطارات الصحيح', 'خفض استهلاك الوقود بصيانة الإطارات'],
+        13: ['تركيب ألواح شمسية (5 كيلوواط)', 'نظام شمسي على سطح المنزل'],
+        14: ['تركيب ألواح شمسية (10 كيلوواط)', 'نظام شمسي كبير على سطح المنزل'],
+        15: ['التحول إلى مضخة حرارية', 'استبدال مرجل الغاز بمضخة حرارية كهربائية'],
+        16: ['تحسين عزل المنزل', 'تحسين عزل العلية والجدران'],
+        17: ['تركيب منظم حرارة ذكي', 'ضبط مبرمج للتدفئة والتبريد'],
+        18: ['التحول إلى إضاءة LED', 'استبدال جميع المصابيح بمصابيح LED'],
+        19: ['التحول إلى أجهزة موفرة للطاقة', 'استبدال الأجهزة القديمة بطرازات موفرة'],
+        20: ['تركيب زجاج مزدوج', 'الترقية إلى نوافذ موفرة للطاقة'],
+        21: ['خفض التدفئة درجتين في الشتاء', 'خفض إعداد منظم الحرارة'],
+        22: ['رفع التبريد درجتين في الصيف', 'رفع إعداد منظم الحرارة'],
+        23: ['تركيب سخان مياه شمسي', 'تسخين المياه بالطاقة الشمسية'],
+        24: ['الاشتراك في تعرفة الكهرباء الخضراء', 'شراء كهرباء متجددة من المزوّد'],
+        25: ['تركيب بطارية منزلية', 'بطارية لتحسين الاستفادة من الطاقة الشمسية أو الشبكة'],
+        26: ['تجفيف الملابس في الهواء', 'التوقف عن استخدام المجفف الكهربائي'],
+        27: ['يوم بلا لحوم أسبوعيًا', 'تقليل اللحوم يومًا واحدًا في الأسبوع'],
+        28: ['يومان بلا لحوم أسبوعيًا', 'تقليل اللحوم يومين في الأسبوع'],
+        29: ['التحول إلى نظام نباتي', 'التخلي عن اللحوم والأسماك'],
+        30: ['التحول إلى نظام نباتي صرف', 'التخلي عن جميع المنتجات الحيوانية'],
+        31: ['خفض لحم البقر بنسبة 75٪', 'تناول لحم البقر مرة في الشهر على الأكثر'],
+        32: ['شراء الأغذية المحلية والموسمية', 'تقليل انبعاثات نقل الطعام'],
+        33: ['خفض هدر الطعام بنسبة 30٪', 'تخطيط أفضل للوجبات وتخزين الطعام'],
+        34: ['التسميد المنزلي', 'إبعاد النفايات العضوية عن المكبات'],
+        35: ['خفض جودة البث (من HD إلى SD)', 'تقليل دقة الفيديو لتوفير عرض النطاق'],
+        36: ['خفض مكالمات الفيديو بنسبة 25٪', 'استخدام المكالمات الصوتية أو البريد عند الإمكان'],
+        37: ['تنظيف التخزين السحابي', 'حذف الملفات والصور غير المستخدمة'],
+        38: ['ترشيد استخدام الذكاء الاصطناعي', 'استخدام مساعدات الذكاء الاصطناعي بوعي أكبر'],
+        39: ['إلغاء الاشتراك في الرسائل غير المرغوبة', 'تقليل تخزين البريد ومعالجته'],
+        40: ['شراء إلكترونيات مستعملة أو مجددة', 'اختيار الأجهزة المستعملة بدل الجديدة'],
+        41: ['إصلاح الإلكترونيات بدل استبدالها', 'إصلاح الهواتف والحواسيب بدل الترقية'],
+        42: ['شراء ملابس أقل بنسبة 50٪', 'خفض مشتريات الملابس الجديدة إلى النصف'],
+        43: ['شراء ملابس مستعملة', 'اختيار الملابس المستعملة بدل الموضة السريعة'],
+        44: ['الجودة قبل الكمية', 'الاستثمار في منتجات تدوم طويلًا'],
+        45: ['أشهر "لا شيء جديد"', 'الالتزام بعدم شراء أي جديد شهرًا كل ربع سنة'],
+        46: ['الاستعارة أو الاستئجار بدل الشراء', 'استخدام مكتبات الأدوات وخدمات التأجير'],
+        47: ['التحول إلى المنتجات القابلة لإعادة الاستخدام', 'استبدال المنتجات أحادية الاستخدام ببدائل دائمة'],
+        48: ['اختيار علامات تجارية مستدامة', 'دعم الشركات ذات الممارسات منخفضة الكربون'],
+        49: ['تقليل نفايات التغليف', 'الشراء بالجملة ومن دون تغليف'],
+        50: ['إلغاء الاشتراكات غير المستخدمة', 'إلغاء الخدمات التي لا تستخدمها']
+    }
+});
@@ -0,0 +1,795 @@
+// ===== Spanish Language Pack =====
+// Interface messages and actionLibrary.csv names and descriptions for I18n.
+// Keys missing here fall back to English.
+
+I18n.register('es', {
+    name: 'Español',
+    locale: 'es-ES',
+    dir: 'ltr',
+    messages: {
+        // Toolbar
+        'toolbar.language': 'Idioma',
+        'toolbar.units': 'Unidades',
+        'toolbar.numberFormat': 'Formato de números',
+        'toolbar.metric': 'Métrico',
+        'toolbar.us': 'Anglosajón (EE. UU.)',
+        'toolbar.languageFormat': 'Según el idioma',
+        'theme.light': 'Claro',
+        'theme.dark': 'Oscuro',
+        'units.distance.metric': 'km',
+        'units.distance.us': 'millas',
+        'units.gas.metric': 'kWh',
+        'units.gas.us': 'termias',
+        'units.tons': '{value} t',
+
+        // Header and navigation
+        'app.title': '🌍 Rastreador de Acción Climática',
+        'app.subtitle': 'Mide tu impacto, planifica tu futuro',
+        'tab.input': 'Datos',
+        'tab.current': 'Actual',
+        'tab.actions': 'Acciones',
+        'tab.plan': 'Plan',
+        'app.reset': '🔄 Reiniciar',
+        'app.calculating': 'Calculando...',
+        'app.scrollForMore': 'Desplázate para ver más',
+
+        // Phase 1
+        'phase1.heading': '📊 Introduce tus datos',
+        'phase1.progress': 'Progreso del formulario:',
+        'phase1.calculate': 'Calcular mi huella →',
+        'profiles.heading': '👤 Perfiles',
+        'profiles.namePlaceholder': 'Nombre del perfil, p. ej. Estudiante en la India',
+        'profiles.save': '💾 Guardar',
+        'profiles.load': '📂 Cargar',
+        'profiles.delete': '🗑️ Eliminar',
+        'profiles.autoCalculate': 'Calcular la huella al cargar',
+        'profiles.export': '⬇️ Exportar',
+        'profiles.import': '⬆️ Importar',
+        'profiles.openPlan': '📄 Abrir plan',
+        'form.location': '🌍 Ubicación',
+        'form.region': 'Región:',
+        'form.select': 'Selecciona...',
+        'region.USA': 'EE. UU.',
+        'region.Europe': 'Europa',
+        'region.China': 'China',
+        'region.India': 'India',
+        'region.Brazil': 'Brasil',
+        'region.Canada': 'Canadá',
+        'region.Norway': 'Noruega',
+        'region.Global': 'Mundial',
+        'region.Australia': 'Australia',
+        'region.Japan': 'Japón',
+        'region.South_Korea': 'Corea del Sur',
+        'region.Mexico': 'México',
+        'region.Argentina': 'Argentina',
+        'region.Chile': 'Chile',
+        'region.Sweden': 'Suecia',
+        'region.Germany': 'Alemania',
+        'region.France': 'Francia',
+        'region.UK': 'Reino Unido',
+        'region.Spain': 'España',
+        'region.Italy': 'Italia',
+        'region.Poland': 'Polonia',
+        'region.Russia': 'Rusia',
+        'region.Turkey': 'Turquía',
+        'region.Saudi_Arabia': 'Arabia Saudí',
+        'region.UAE': 'EAU',
+        'region.South_Africa': 'Sudáfrica',
+        'region.Egypt': 'Egipto',
+        'region.Nigeria': 'Nigeria',
+        'region.Kenya': 'Kenia',
+        'region.Thailand': 'Tailandia',
+        'region.Vietnam': 'Vietnam',
+        'region.Indonesia': 'Indonesia',
+        'region.Philippines': 'Filipinas',
+        'region.Malaysia': 'Malasia',
+        'region.Singapore': 'Singapur',
+        'region.New_Zealand': 'Nueva Zelanda',
+        'region.Colombia': 'Colombia',
+        'region.Peru': 'Perú',
+        'region.Venezuela': 'Venezuela',
+        'form.transport': '🚗 Transporte',
+        'form.commuteMode': 'Medio de desplazamiento:',
+        'commute.Walking': 'A pie',
+        'commute.Cycling': 'En bicicleta',
+        'commute.Bus': 'Autobús',
+        'commute.Train_Rail': 'Tren',
+        'commute.Car_Gasoline': 'Coche (gasolina)',
+        'commute.Car_Electric_BEV': 'Coche (eléctrico)',
+        'form.dailyCommute': 'Trayecto diario ({unit}, solo ida):',
+        'form.commuteDays': 'Días al año:',
+        'form.domesticFlights': 'Vuelos nacionales al año:',
+        'form.avgFlightDistance': 'Distancia media por vuelo ({unit}):',
+        'form.internationalFlights': 'Vuelos internacionales al año:',
+        'form.otherTravel': 'Otros desplazamientos por semana ({unit}):',
+        'form.home': '🏠 Energía en casa',
+        'form.electricity': 'Electricidad (kWh/mes):',
+        'form.naturalGas': 'Gas natural ({unit}/mes):',
+        'form.diet': '🍽️ Alimentación',
+        'form.dietType': 'Tipo de dieta:',
+        'diet.vegan': 'Vegana',
+        'diet.vegetarian': 'Vegetariana',
+        'diet.balanced': 'Equilibrada',
+        'diet.meat-heavy': 'Rica en carne',
+        'form.digital': '💻 Digital',
+        'form.streaming': 'Streaming (h/día):',
+        'form.aiQueries': 'Consultas de IA al día:',
+        'form.cloudStorage': 'Almacenamiento en la nube (GB):',
+        'form.videoCalls': 'Videollamadas (h/semana):',
+        'form.emails': 'Correos al día:',
+        'form.shopping': '🛍️ Compras',
+        'form.frequency': 'Frecuencia:',
+        'shopping.minimal': 'Mínima',
+        'shopping.moderate': 'Moderada',
+        'shopping.frequent': 'Frecuente',
+        'form.clothing': 'Prendas de ropa al año:',
+        'form.electronics': 'Aparatos electrónicos al año:',
+        'form.furniture': 'Muebles al año:',
+        'validation.required': 'Este campo es obligatorio',
+        'validation.positive': 'Debe ser un número positivo',
+        'validation.integer': 'Debe ser un número entero',
+        'validation.max': 'Debe ser como máximo {max}',
+        'validation.high': 'Más de {value} es poco habitual, compruébalo',
+        'validation.commuteMax': 'Desplazamiento ({mode}): como máximo {max} por trayecto',
+        'validation.commuteHigh': 'Desplazamiento ({mode}) de más de {max} por trayecto: poco habitual, compruébalo',
+        'validation.flightDistance': 'Indica la distancia media de estos vuelos',
+        'validation.regionHigh': 'Muy por encima de un hogar típico en {region} (unos {typical}), compruébalo',
+        'validation.regionTravel': 'Muy por encima de los desplazamientos típicos en {region} (unos {typical}), compruébalo',
+
+        // Flight logger
+        'flights.heading': '✈️ Registrar vuelos uno a uno',
+        'flights.intro': 'Añade cada viaje con el código del aeropuerto. Mientras haya vuelos registrados, sustituyen a las medias de vuelos anteriores.',
+        'flights.fromPlaceholder': 'Origen (p. ej. MAD)',
+        'flights.toPlaceholder': 'Destino (p. ej. JFK)',
+        'flights.fromLabel': 'Código del aeropuerto de salida',
+        'flights.toLabel': 'Código del aeropuerto de llegada',
+        'flights.tripType': 'Tipo de viaje',
+        'flights.cabin': 'Clase',
+        'flights.count': 'Viajes al año',
+        'flights.add': '➕ Añadir',
+        'flights.return': 'Ida y vuelta',
+        'flights.oneway': 'Solo ida',
+        'flights.economy': 'Turista',
+        'flights.business': 'Business',
+        'flights.first': 'Primera',
+        'flights.remove': 'Eliminar {from} a {to}',
+        'flights.none': 'No hay vuelos registrados; se usan las medias anteriores.',
+        'flights.totals': 'Nacionales {domestic}, internacionales {international} al año (incluye un {uplift} % por la ruta).',
+        'flights.full': 'El registro admite hasta {max} entradas; aumenta el número de viajes en su lugar',
+        'flights.unknownAirport': 'Aeropuerto desconocido «{code}»',
+        'flights.sameAirport': 'Los aeropuertos de salida y llegada deben ser distintos',
+        'flights.unknownTripType': 'Tipo de viaje desconocido «{type}»',
+        'flights.unknownCabin': 'Clase desconocida «{cabin}»',
+        'flights.countRange': 'El número de viajes debe estar entre 1 y {max}',
+
+        // Phase 2
+        'phase2.heading': '📊 Tu huella actual',
+        'phase2.total': 'Emisiones anuales totales',
+        'phase2.unit': 't CO₂e/año',
+        'phase2.breakdown': 'Desglose',
+        'phase2.comparison': 'Comparación',
+        'phase2.explore': 'Explorar acciones →',
+        'category.Transport': 'Transporte',
+        'category.Home': 'Hogar',
+        'category.Food': 'Alimentación',
+        'category.Digital': 'Digital',
+        'category.Consumption': 'Consumo',
+        'categoryInfo.Transport': 'Desplazamientos al trabajo, vuelos y otros viajes',
+        'categoryInfo.Home': 'Electricidad y gas natural en casa',
+        'categoryInfo.Food': 'Producción y transporte de los alimentos de tu dieta',
+        'categoryInfo.Digital': 'Centros de datos y redes detrás de tu actividad en línea',
+        'categoryInfo.Consumption': 'Fabricación de los productos que compras',
+        'part.commute': 'Trayecto al trabajo',
+        'part.domesticFlights': 'Vuelos nacionales',
+        'part.internationalFlights': 'Vuelos internacionales',
+        'part.otherTravel': 'Otros desplazamientos',
+        'part.electricity': 'Electricidad',
+        'part.naturalGas': 'Gas natural',
+        'part.diet': 'Dieta',
+        'part.streaming': 'Streaming',
+        'part.aiQueries': 'Consultas de IA',
+        'part.cloudStorage': 'Almacenamiento en la nube',
+        'part.videoCalls': 'Videollamadas',
+        'part.email': 'Correo electrónico',
+        'part.shopping': 'Compras generales',
+        'part.clothing': 'Ropa',
+        'part.electronics': 'Electrónica',
+        'part.furniture': 'Muebles',
+        'partInfo.commute': 'Viajes de ida y vuelta al trabajo en tu medio de transporte',
+        'partInfo.domesticFlights': 'Vuelos nacionales de ida y vuelta',
+        'partInfo.internationalFlights': 'Vuelos internacionales de ida y vuelta',
+        'partInfo.otherTravel': 'Recados y escapadas de fin de semana',
+        'partInfo.electricity': 'Electricidad de la red con la intensidad de carbono de tu región',
+        'partInfo.naturalGas': 'Gas quemado para calefacción, agua caliente y cocina',
+        'partInfo.diet': 'Emisiones anuales de tu tipo de dieta',
+        'partInfo.streaming': 'Vídeo en streaming en HD',
+        'partInfo.aiQueries': 'Consultas a modelos de IA',
+        'partInfo.cloudStorage': 'Archivos guardados en la nube',
+        'partInfo.videoCalls': 'Videollamadas y reuniones',
+        'partInfo.email': 'Correos enviados y recibidos',
+        'partInfo.shopping': 'Compras cotidianas según tu frecuencia de compra',
+        'partInfo.clothing': 'Prendas de ropa nuevas',
+        'partInfo.electronics': 'Aparatos electrónicos nuevos',
+        'partInfo.furniture': 'Muebles nuevos',
+        'chart.current': 'Actual',
+        'chart.withPlan': 'Con el plan',
+        'chart.breakdownLabel': 'Desglose de la huella',
+        'chart.allCategories': '← Todas las categorías',
+        'chart.perYear': '{amount} CO₂e/año',
+        'chart.planSaves': 'Tu plan ahorra {amount}',
+        'chart.clickForBreakdown': 'Haz clic para ver el desglose',
+        'comparison.you': 'Tú',
+        'comparison.regionalAvg': 'Media regional',
+        'comparison.regional': 'Regional',
+        'comparison.globalAvg': 'Media mundial',
+        'comparison.paris': 'París 2030',
+        'comparison.youInfo': 'Tu huella anual calculada',
+        'comparison.regionalInfo': 'Media por persona en {region}',
+        'comparison.globalInfo': 'Media mundial por persona',
+        'comparison.parisInfo': 'Nivel por persona acorde con el Acuerdo de París para 2030',
+        'comparison.share': '{amount} CO₂e/año · {percent} de tu huella',
+        'comparison.label': 'Comparación con las huellas media y objetivo',
+        'paris.aligned': '¡Vas por buen camino! Tu huella de {total} t está por debajo del objetivo del Acuerdo de París para 2030 de {target} t.',
+        'paris.close': '¡Estás cerca! Reduce {gap} t para alcanzar el objetivo de París para 2030.',
+        'paris.above': 'Estás {gap} t por encima del objetivo de París para 2030. ¡Busquemos formas de reducirlo!',
+        'paris.probability': '{percent} de probabilidad de que tu huella esté dentro del objetivo de París para 2030 de {target} t.',
+        'paris.estimate': 'Mejor estimación {total}, rango del 90%: {range}',
+
+        // Phase 3
+        'phase3.heading': '🎯 Elige acciones',
+        'phase3.viewSummary': 'Ver resumen →',
+        'live.current': 'Actual:',
+        'live.projected': 'Prevista:',
+        'live.reduction': 'Reducción:',
+        'live.parisStatus': 'Estado respecto a París:',
+        'live.aligned': '✓ ¡En camino!',
+        'live.close': '⚠ Cerca',
+        'live.above': 'Aún por encima del objetivo',
+        'live.selectActions': 'Elige acciones para ver su impacto',
+        'live.overlapAdjustment': 'Incluye -{value} t por acciones que se solapan',
+        'finance.uncosted': {
+            one: '{count} acción no tiene datos de coste y queda fuera: {names}.',
+            other: '{count} acciones no tienen datos de coste y quedan fuera: {names}.'
+        },
+        'finance.upfront': 'Inversión inicial',
+        'finance.annualSavings': 'Ahorro anual',
+        'finance.payback': 'Amortización',
+        'finance.netCost': 'Coste neto a {years} años',
+        'finance.costPerTonne': 'Coste por tonelada evitada',
+        'finance.perYear': '{amount}/año',
+        'finance.perTonne': '{amount}/t',
+        'finance.now': 'Ya',
+        'finance.never': 'Nunca',
+        'finance.paybackYear': '{year} ({years} años)',
+        'finance.note': 'Rango por categoría de coste: {low} - {high}. Un coste neto negativo significa que la acción se paga sola en {years} años.',
+        'finance.selectActions': 'Selecciona acciones para ver costes y ahorros.',
+        'finance.col.action': 'Acción',
+        'finance.col.upfront': 'Inicial',
+        'finance.col.savings': 'Ahorro/año',
+        'finance.col.payback': 'Amortización',
+        'finance.col.netCost': 'Neto a {years} años',
+        'finance.col.perTonne': '$/t CO₂e',
+        'finance.noReduction': 'Ninguna acción tiene una reducción medible.',
+        'finance.avoided': '{value} t CO₂e/año evitadas',
+        'finance.barTitle': '{name}: {cost}, {value} t/año',
+        'live.probability': '{percent} de probabilidad de cumplir el objetivo',
+        'uncertainty.interval': 'Rango del 90%: {range}',
+        'uncertainty.withRange': '{value} (90%: {range})',
+        'optimizer.heading': '🧭 Búscame un plan',
+        'optimizer.target': 'Objetivo:',
+        'optimizer.paris': 'Objetivo de París (2,0 t)',
+        'optimizer.cut25': 'Reducir un 25 %',
+        'optimizer.cut50': 'Reducir un 50 %',
+        'optimizer.cut75': 'Reducir un 75 %',
+        'optimizer.maxCost': 'Coste máximo:',
+        'optimizer.maxDifficulty': 'Dificultad máxima:',
+        'optimizer.find': 'Búscame un plan',
+        'finance.heading': '💵 Costes y ahorros',
+        'cost.Free': 'Gratis',
+        'cost.Low': 'Bajo (0-500 $)',
+        'cost.Medium': 'Medio (500-5000 $)',
+        'cost.High': 'Alto (más de 5000 $)',
+        'difficulty.Easy': 'Fácil',
+        'difficulty.Medium': 'Media',
+        'difficulty.Hard': 'Difícil',
+        'time.Immediate': 'Inmediato',
+        'time.1 month': '1 mes',
+        'time.1-3 months': '1-3 meses',
+        'time.3-6 months': '3-6 meses',
+        'actions.heading': '{icon} Acciones de {category}',
+        'actions.impact': '-{amount}/año',
+        'actions.unknown': 'Acción {id}',
+        'rules.alternative': 'Alternativa a {names}; elegirla sustituye esa opción',
+        'rules.included': 'Ya incluida en {names}',
+        'rules.includedSelected': 'Ya incluida en {names}; cuenta como 0',
+        'rules.overlaps': 'Se solapa con {names}; el ahorro conjunto es menor',
+        'rules.explain.exclusive': '{name} no se puede combinar con {other} (-{value} t)',
+        'rules.explain.supersedes': '{name} ya está incluida en {other} (-{value} t)',
+        'rules.explain.overlap': '{name} se solapa con {other}: {reason} (-{value} t)',
+        'rules.reason.ecoDrivingElectric': 'la conducción eficiente ahorra poco con un coche eléctrico',
+        'rules.reason.tiresElectric': 'la presión de los neumáticos importa menos en un coche eléctrico',
+        'rules.reason.plugInHybrid': 'un híbrido enchufable quema menos combustible que ahorrar',
+        'rules.reason.hybrid': 'un híbrido quema menos combustible que ahorrar',
+        'rules.reason.fewerCarKm': 'quedan menos kilómetros en coche que electrificar',
+        'rules.reason.sameCommute': 'ambas reducen los mismos desplazamientos',
+        'rules.reason.renewableSolar': 'con electricidad renovable la solar tiene poco que limpiar',
+        'rules.reason.insulatedHeatPump': 'una bomba de calor necesita menos energía en una casa aislada',
+        'rules.reason.heatPumpHeating': 'una bomba de calor ya hace que la calefacción sea baja en carbono',
+        'rules.reason.sameHeatLoss': 'ambas reducen la misma pérdida de calor',
+        'rules.reason.sameDevices': 'ambas evitan los mismos dispositivos nuevos',
+        'rules.reason.sameClothes': 'ambas evitan la misma ropa nueva',
+        'rules.reason.samePurchases': 'ambas evitan las mismas compras nuevas',
+        'optimizer.saves': 'ahorra {amount}/año ({percent} de la reducción necesaria)',
+        'optimizer.effort': 'dificultad {difficulty}, coste {cost}',
+        'optimizer.bestFit': 'la mejor opción de {group}, por eso no se combina con {others}',
+        'optimizer.group.vehicle': 'cambio de vehículo',
+        'optimizer.group.transit': 'transporte público',
+        'optimizer.group.solar': 'paneles solares',
+        'optimizer.group.diet': 'cambio de dieta',
+        'optimizer.group.overlapping': 'acciones solapadas',
+        'optimizer.none': 'Ya cumples este objetivo. ¡No hace falta ninguna acción!',
+        'optimizer.found': {
+            one: 'Plan encontrado: {count} acción que ahorra {amount} (objetivo {target}).',
+            other: 'Plan encontrado: {count} acciones que ahorran {amount} (objetivo {target}).'
+        },
+        'optimizer.notReached': 'Ningún plan alcanza el objetivo con estos límites. El plan más fuerte ahorra {amount} de {target}; prueba un límite de coste o dificultad más alto.',
+        'optimizer.pick': '{name}: {reasons}',
+
+        // Phase 4
+        'phase4.heading': '📋 Plan de acción',
+        'phase4.before': 'Antes',
+        'phase4.after': 'Después',
+        'phase4.byCategory': 'Huella por categoría',
+        'phase4.byAction': 'Impacto por acción',
+        'phase4.roadmap': 'Hoja de ruta de implantación',
+        'phase4.finance': 'Análisis financiero',
+        'phase4.summary': 'Resumen',
+        'phase4.newCalculation': '← Nuevo cálculo',
+        'waterfall.share': '-{amount} CO₂e/año · {percent} de tu reducción',
+        'waterfall.label': 'Reducción por acción',
+        'roadmap.horizon': 'Mostrar trayectoria hasta',
+        'roadmap.annual': 'Emisiones anuales (t CO₂e/año)',
+        'roadmap.cumulative': 'Emisiones evitadas acumuladas (t CO₂e)',
+        'finance.mac': 'Curva de costes marginales de reducción',
+        'share.heading': '🔗 Comparte este plan',
+        'share.intro': 'Escanea el código para abrir este plan en tu móvil o copia el enlace.',
+        'share.copy': '📋 Copiar',
+        'export.heading': '📤 Llévate tu plan',
+        'export.print': '🖨️ Imprimir / PDF',
+        'export.report': '📄 Informe (HTML)',
+        'export.csv': '📊 Acciones (CSV)',
+        'export.json': '💾 Plan (JSON)',
+        'export.note': 'Los archivos de plan se pueden volver a abrir desde la sección Perfiles de Datos.',
+
+        // Household
+        'household.heading': '👪 Hogar',
+        'household.intro': 'Añade a las personas con las que vives para repartir la energía del hogar de forma justa. La región, la energía del hogar y la dieta por defecto son compartidas; los datos de transporte, digitales y de compras de abajo pertenecen al miembro que estás editando.',
+        'household.add': '➕ Añadir miembro',
+        'household.split': 'Reparto de la energía del hogar',
+        'household.splitEqual': 'Repartir la energía del hogar a partes iguales',
+        'household.splitWeighted': 'Repartir la energía del hogar por edad (niño = medio adulto)',
+        'household.membersHeading': '👪 Miembros del hogar',
+        'household.viewLabel': 'Mostrar la huella de',
+        'household.viewHousehold': 'Todo el hogar',
+        'household.viewPerCapita': 'Por persona',
+        'household.memberName': 'Persona {number}',
+        'household.adult': 'Adulto',
+        'household.child': 'Niño',
+        'household.sharedDiet': 'Dieta del hogar',
+        'household.nameLabel': 'Nombre del miembro',
+        'household.kindLabel': 'Adulto o niño',
+        'household.dietLabel': 'Dieta',
+        'household.edit': '✏️ Editar',
+        'household.editing': '✏️ Editando',
+        'household.remove': 'Quitar a {name}',
+        'household.editingNote': 'Los datos de transporte, digitales y de compras de abajo son de {name}.',
+        'household.full': 'Un hogar puede tener hasta {max} miembros',
+        'household.everyone': 'Todo el hogar',
+        'household.assignLabel': 'Quién realiza esta acción',
+        'household.assignedTo': 'La realiza {name}',
+        'household.subjectHousehold': 'Hogar',
+        'household.subjectPerson': 'Por persona',
+        'household.homeShare': 'Parte de la energía del hogar: {percent} ({amount})',
+        'household.barsLabel': 'Huella de cada miembro del hogar',
+        'household.summary': {
+            one: '{count} persona · {total} en total · {perCapita} por persona (media regional {regional})',
+            other: '{count} personas · {total} en total · {perCapita} por persona (media regional {regional})'
+        },
+
+        // Progress tracker
+        'tab.track': 'Seguimiento',
+        'phase4.commit': 'Comprometerme con este plan →',
+        'phase5.heading': '📈 Sigue tu progreso',
+        'track.logHeading': '🗓️ Registrar un mes',
+        'track.logIntro': 'Introduce las lecturas de tus contadores, la distancia que has conducido y los vuelos que has tomado. La alimentación, lo digital y las compras siguen tu plan, menos las acciones marcadas como hechas.',
+        'track.monthLabel': 'Mes:',
+        'track.electricity': 'Electricidad (kWh):',
+        'track.naturalGas': 'Gas natural ({unit}):',
+        'track.driven': 'Distancia conducida ({unit}):',
+        'track.vehicle': 'Coche:',
+        'track.domesticFlights': 'Vuelos nacionales (ida y vuelta):',
+        'track.internationalFlights': 'Vuelos internacionales (ida y vuelta):',
+        'track.save': '💾 Guardar mes',
+        'track.actionsHeading': 'Acciones',
+        'track.comparisonHeading': 'Previsto frente a real',
+        'track.historyHeading': 'Historial',
+        'track.exportCSV': '📊 Historial (CSV)',
+        'track.exportJSON': '💾 Historial (JSON)',
+        'track.clear': '🗑️ Dejar de hacer seguimiento',
+        'track.pending': '⏳ Pendiente',
+        'track.inProgress': '🔧 En curso',
+        'track.done': '✅ Hecha',
+        'track.statusLabel': 'Estado de {name}',
+        'track.committed': {
+            one: 'Compromiso del {date} con {count} acción: {from} al año ahora, {to} cuando esté plenamente en vigor.',
+            other: 'Compromiso del {date} con {count} acciones: {from} al año ahora, {to} cuando estén plenamente en vigor.'
+        },
+        'track.confirmReplace': '¿Sustituir tu plan comprometido por este? Se conservan los meses registrados y el estado de las acciones.',
+        'track.confirmClear': '¿Dejar de hacer seguimiento y borrar tu historial? Expórtalo antes para guardar una copia.',
+        'track.monthRequired': 'Elige el mes que estás registrando',
+        'track.beforeCommitment': 'Te comprometiste con este plan en {month}; registra ese mes o uno posterior',
+        'track.futureMonth': 'Ese mes todavía no ha empezado',
+        'track.invalidReadings': 'Las lecturas deben ser números positivos y los vuelos viajes completos de ida y vuelta',
+        'track.saved': 'Guardado {month}',
+        'track.removed': 'Eliminado {month}',
+        'track.remove': 'Eliminar {month}',
+        'track.noneToExport': 'No hay historial de progreso para exportar',
+        'track.noMonths': 'Aún no hay meses registrados. Registra tu primer mes arriba para compararlo con tu plan.',
+        'track.comparisonNote': {
+            one: 'Totales de {count} mes registrado.',
+            other: 'Totales de {count} meses registrados.'
+        },
+        'track.month': 'Mes',
+        'track.planned': 'Previsto',
+        'track.actual': 'Real',
+        'track.difference': 'Diferencia',
+        'track.ahead': 'Por delante del plan en',
+        'track.behind': 'Por detrás del plan en',
+        'track.plannedRow': '{category} (plan)',
+        'track.actualRow': '{category} (real)',
+        'track.plannedInfo': {
+            one: 'Tu plan permite {amount} en el mes registrado',
+            other: 'Tu plan permite {amount} en los {count} meses registrados'
+        },
+        'track.actualInfo': {
+            one: '{amount} en el mes registrado',
+            other: '{amount} en los {count} meses registrados'
+        },
+        'track.overPlan': '{amount} más de lo previsto',
+        'track.underPlan': '{amount} menos de lo previsto',
+        'track.chartLabel': 'Emisiones previstas y reales por categoría',
+
+        // What-if analysis
+        'whatif.heading': '🎚️ ¿Y si…?',
+        'whatif.reset': 'Restablecer controles',
+        'whatif.apply': 'Usar estos valores',
+        'whatif.tornadoHeading': 'Qué datos pesan más',
+        'whatif.tornadoIntro': 'Cambio en tu huella anual cuando cada dato es un 20% menor o mayor.',
+        'whatif.dailyCommuteKm': 'Trayecto diario (solo ida)',
+        'whatif.commuteDays': 'Días de trayecto al año',
+        'whatif.domesticFlights': 'Vuelos nacionales al año',
+        'whatif.internationalFlights': 'Vuelos internacionales al año',
+        'whatif.otherTravelKm': 'Otros desplazamientos por semana',
+        'whatif.monthlyElectricityKWh': 'Electricidad al mes',
+        'whatif.monthlyNaturalGasKWh': 'Gas natural al mes',
+        'whatif.streamingHoursPerDay': 'Horas de streaming al día',
+        'whatif.clothingPurchases': 'Prendas de ropa al año',
+        'whatif.electronicsPurchases': 'Aparatos electrónicos al año',
+        'whatif.intro': 'Mueve un control para ver cómo cambiaría tu huella. Los valores que has introducido no cambian hasta que elijas "Usar estos valores".',
+        'whatif.result': 'Con estos valores: {total} al año ({change}, {percent})',
+        'whatif.householdNote': 'La energía del hogar cambia para todo el hogar; los demás controles cambian al miembro que estás editando.',
+        'whatif.swing': '{percent} ({value}): {change}',
+        'whatif.tornadoLabel': 'Cambio en la huella anual cuando cada dato es un 20% menor o mayor',
+
+        // Action search and filters
+        'filters.label': 'Buscar y filtrar acciones',
+        'filters.search': 'Buscar acciones…',
+        'filters.cost': 'Coste',
+        'filters.anyCost': 'Cualquier coste',
+        'filters.difficulty': 'Dificultad',
+        'filters.anyDifficulty': 'Cualquier dificultad',
+        'filters.time': 'Tiempo de implantación',
+        'filters.anyTime': 'Cualquier tiempo de implantación',
+        'filters.infrastructure': 'Infraestructura',
+        'filters.anyInfrastructure': 'Con o sin infraestructura',
+        'filters.noInfrastructure': 'Sin infraestructura',
+        'filters.needsInfrastructure': 'Necesita infraestructura',
+        'filters.sort': 'Ordenar por',
+        'filters.sortCategory': 'Ordenar por categoría',
+        'filters.sortImpact': 'Mayor impacto primero',
+        'filters.sortCostEffectiveness': 'Más rentables primero',
+        'filters.sortFootprintShare': 'Mayor parte de mi huella primero',
+        'filters.clear': 'Quitar filtros',
+        'filters.empty': 'Ninguna acción coincide con estos filtros.',
+        'filters.showing': {
+            one: 'Mostrando {shown} de {count} acción',
+            other: 'Mostrando {shown} de {count} acciones'
+        },
+        'filters.hiddenSelected': {
+            one: '{count} acción seleccionada está oculta por los filtros pero sigue contando',
+            other: '{count} acciones seleccionadas están ocultas por los filtros pero siguen contando'
+        },
+        'filters.rankedBy.impact': '🏆 Mayor impacto primero',
+        'filters.rankedBy.costEffectiveness': '🏆 Más rentables primero',
+        'filters.rankedBy.footprintShare': '🏆 Mayor parte de tu huella primero',
+        'filters.costPerTonne': '{cost} en 10 años',
+        'filters.share': '{percent} de tus emisiones de {category}',
+
+        // Excluded actions
+        'excluded.heading': '🚫 No disponibles para ti',
+        'excluded.intro': 'Estas acciones se han omitido por tu región o tu huella. Si tu situación es distinta, puedes volver a añadir alguna.',
+        'excluded.gridClean': 'Tu red eléctrica ya es limpia ({value} g CO₂/kWh); solo compensa por encima de {limit} g/kWh',
+        'excluded.gridDirty': 'Tu red eléctrica es demasiado intensiva en carbono ({value} g CO₂/kWh); solo ayuda por debajo de {limit} g/kWh',
+        'excluded.climate': 'Pensada para climas {limit}; tu región tiene clima {value}',
+        'excluded.lowEmissions': 'Tus emisiones en esta categoría ya son bajas ({value}, menos de {limit})',
+        'excluded.override': 'Añadir igualmente',
+        'excluded.confirm': 'Se omitió «{action}»: {reason}.\n\nSu ahorro puede ser mucho menor, o nulo, en tu situación. ¿Añadirla igualmente a tus acciones?',
+        'excluded.note': 'Añadida aunque no se recomienda: {reason}',
+        'excluded.restore': 'Quitar',
+        'climate.Cold': 'frío',
+        'climate.Hot_Arid': 'cálido y árido',
+        'climate.Mixed': 'mixto',
+        'climate.Temperate': 'templado',
+        'climate.Tropical': 'tropical',
+
+        // Co-benefits
+        'filters.sortBenefitScore': 'Mejor puntuación carbono + beneficios primero',
+        'benefits.filter': 'Beneficio adicional',
+        'benefits.weightsHeading': '⚖️ Lo que te importa',
+        'benefits.weightsIntro': 'Da un peso al carbono y a cada beneficio adicional de 0 (no me importa) a 3 (muy importante) y ordena por la puntuación carbono + beneficios.',
+        'benefits.planHeading': '🌱 Más allá del carbono',
+        'benefits.health': 'Salud',
+        'benefits.savings': 'Ahorro',
+        'benefits.airQuality': 'Calidad del aire',
+        'benefits.social': 'Social',
+        'benefits.comfort': 'Comodidad',
+        'benefits.time': 'Tiempo',
+        'benefits.independence': 'Independencia energética',
+        'benefits.waste': 'Menos residuos',
+        'benefits.carbon': '🌍 Impacto de carbono',
+        'benefits.any': 'Cualquier beneficio adicional',
+        'benefits.score': 'Puntuación {score}/100',
+        'benefits.planIntro': 'Además de reducir {reduction} al año, tu plan aporta: {benefits}.',
+        'benefits.planSavings': 'unos {amount}/año',
+        'benefits.planNone': 'Las acciones de este plan no tienen beneficios adicionales registrados.',
+
+        // Kiosk mode
+        'kiosk.touch': '👆 Toca la pantalla para empezar',
+        'kiosk.personasHeading': '¿A quién te pareces más?',
+        'kiosk.personasIntro': 'Elige un punto de partida. Después puedes cambiar cualquier respuesta.',
+        'kiosk.startOwn': '✏️ Empezar con valores típicos',
+        'kiosk.stay': 'Sigo aquí',
+        'kiosk.cancel': 'Cancelar',
+        'kiosk.ok': 'Aceptar',
+        'kiosk.slide.footprint': '🌍 ¿Qué tamaño tiene tu huella de carbono? Descúbrelo en dos minutos.',
+        'kiosk.slide.paris': '🎯 Cumplir el objetivo de París supone unas 2 toneladas de CO₂e por persona al año.',
+        'kiosk.slide.plan': '🛠️ Elige acciones, mira cuánto ahorras y llévate tu plan con un código QR.',
+        'kiosk.warning': {
+            one: '¿Sigues ahí? Esta pantalla se reiniciará en {count} segundo.',
+            other: '¿Sigues ahí? Esta pantalla se reiniciará en {count} segundos.'
+        },
+        'kiosk.persona.commuter': 'Va al trabajo en coche',
+        'kiosk.persona.commuter.detail': 'Conduce al trabajo en EE. UU.',
+        'kiosk.persona.flyer': 'Viajero frecuente',
+        'kiosk.persona.flyer.detail': 'Va al trabajo en tren en Europa y vuela a menudo',
+        'kiosk.persona.student': 'Estudiante',
+        'kiosk.persona.student.detail': 'Va en autobús en la India, vegetariano',
+        'kiosk.persona.suburban': 'Casa en las afueras',
+        'kiosk.persona.suburban.detail': 'Calienta una casa en Canadá y conduce',
+
+        // Accessibility: chart tables and announcements
+        'tab.list': 'Fases',
+        'chart.table.show': 'Ver como tabla',
+        'chart.table.item': 'Elemento',
+        'chart.table.value': 'Valor',
+        'chart.table.details': 'Detalles',
+        'chart.table.category': 'Categoría',
+        'chart.table.share': 'Proporción',
+        'chart.table.low': '20 % menos',
+        'chart.table.high': '20 % más',
+        'finance.macCaption': 'Curva de costes marginales de reducción, de más barata a más cara',
+        'finance.col.avoided': 't CO₂e/año',
+        'roadmap.annualLabel': 'Emisiones anuales por mes',
+        'roadmap.annualCaption': 'Emisiones anuales al final de cada año',
+        'roadmap.cumulativeLabel': 'Toneladas evitadas acumuladas',
+        'roadmap.cumulativeCaption': 'Toneladas evitadas acumuladas al final de cada año',
+        'roadmap.col.year': 'Año',
+        'roadmap.col.withoutPlan': 'Sin plan',
+        'roadmap.col.paris': 'Objetivo de París',
+        'roadmap.col.avoided': 'Evitadas',
+        'roadmap.neverReaches': '❌ Este plan se estabiliza en {amount}/año y nunca alcanza el objetivo de París de {target}.',
+        'roadmap.belowFromStart': '✅ Estás por debajo del objetivo de París de {target} desde el primer mes.',
+        'roadmap.crosses': {
+            one: '✅ Alcanzas el objetivo de París de {target} en {date}, dentro de {count} mes.',
+            other: '✅ Alcanzas el objetivo de París de {target} en {date}, dentro de {count} meses.'
+        },
+        'roadmap.parisLabel': 'París {value} t',
+        'roadmap.milestone': '{value} t en {year}',
+        'roadmap.avoidedBy': 'Evitado hasta {year}',
+        'roadmap.ganttValue': '{time} · -{amount}/año',
+        'live.announce': 'Con tu plan: {total} al año, {reduction} menos. {status}',
+
+        // Team dashboard
+        'tab.team': 'Equipo',
+        'team.heading': '👥 Panel del equipo',
+        'team.intro': 'Compara una clase o un equipo: abre los archivos de plan (💾 Plan (JSON) en la fase 4) que descargaron los participantes. Los archivos se quedan en este ordenador; no se sube nada.',
+        'team.open': '📂 Abrir archivos de plan',
+        'team.clear': '🗑️ Vaciar',
+        'team.anonymous': 'Ocultar nombres',
+        'team.empty': 'Todavía no se ha abierto ningún plan.',
+        'team.byCategory': 'Huella del grupo por categoría',
+        'team.distribution': 'Distribución de las huellas',
+        'team.show': 'Mostrar',
+        'team.leaderboard': 'Reducciones comprometidas',
+        'team.importFailed': {
+            one: 'No se pudo abrir {count} archivo: {files}',
+            other: 'No se pudieron abrir {count} archivos: {files}'
+        },
+        'team.confirmClear': {
+            one: '¿Quitar el plan del panel del equipo?',
+            other: '¿Quitar los {count} planes del panel del equipo?'
+        },
+        'team.participant': 'Participante {number}',
+        'team.remove': 'Quitar {name}',
+        'team.regionalAvg': 'Media de {region}',
+        'team.regionalAvgMixed': 'Media regional',
+        'team.parisTarget': 'París',
+        'team.stat.participants': 'Participantes',
+        'team.stat.total': 'Huella conjunta',
+        'team.stat.average': 'Media por persona',
+        'team.stat.reduction': 'Reducción comprometida al año',
+        'team.stat.percent': 'Reducción del grupo',
+        'team.stat.onTarget': 'Dentro del objetivo de París',
+        'team.stat.onTargetValue': '{now} ahora, {planned} con los planes',
+        'team.stat.avoidedBy': 'Evitado en conjunto hasta {year}',
+        'team.people': {
+            one: '{count} persona',
+            other: '{count} personas'
+        },
+        'team.axis': 'toneladas de CO₂e al año',
+        'team.histogramLabel': 'Número de participantes según su huella anual',
+        'team.footprintRange': 'Huella',
+        'team.participants': 'Participantes',
+        'team.participantHeading': 'Participante',
+        'team.reductionHeading': 'Reducción comprometida',
+        'team.footprintHeading': 'Huella actual → con el plan',
+        'team.actionsHeading': 'Acciones',
+
+        // Region comparison
+        'regions.heading': '🌐 ¿Y si vivieras en…?',
+        'regions.intro': 'Tus respuestas, recalculadas con la red eléctrica y los factores de emisión del transporte de cada región. La alimentación, lo digital y las compras no cambian, así que la diferencia depende de dónde vives, no de cómo vives.',
+        'regions.pick': 'Región para comparar',
+        'regions.add': '➕ Comparar',
+        'regions.tooMany': 'Puedes comparar hasta {count} regiones a la vez; quita una primero.',
+        'regions.summary': 'Con el mismo estilo de vida, tu huella sería de {low} en {lowRegion} y de {high} en {highRegion}: {spread} dependen de dónde vives, no de cómo vives.',
+        'regions.yours': '{region} (la tuya)',
+        'regions.transportHome': 'Transporte {transport}, hogar {home}',
+        'regions.grid': 'Red: {value} g CO₂/kWh',
+        'regions.perCapita': 'Residente típico: {amount}',
+        'regions.barsLabel': 'Tu huella recalculada para cada región',
+        'regions.calculating': 'Calculando…',
+        'regions.remove': 'Dejar de comparar {region}',
+        'regions.region': 'Región',
+        'regions.you': 'Tú, viviendo allí',
+        'regions.gridHeading': 'Red g CO₂/kWh',
+        'regions.resident': 'Residente típico',
+        'regions.total': 'Total',
+
+        // Profiles
+        'profiles.selectPrompt': 'Selecciona un perfil...',
+        'profiles.saved': 'Guardado «{name}»',
+        'profiles.loaded': 'Cargado «{name}»',
+        'profiles.deleted': 'Eliminado «{name}»',
+        'profiles.imported': { one: '{count} perfil importado', other: '{count} perfiles importados' },
+        'profiles.nameRequired': 'Escribe un nombre para el perfil',
+        'profiles.selectRequired': 'Selecciona un perfil guardado para cargarlo',
+        'profiles.invalid': 'Al perfil «{name}» le faltan valores o tiene valores no válidos',
+        'profiles.noneToExport': 'No hay perfiles guardados para exportar',
+        'profiles.importFailed': 'No se pudieron importar los perfiles: {reason}',
+        'profiles.saveFailed': 'No se pudieron guardar los perfiles: {reason}',
+        'profiles.kioskUnavailable': 'En esta pantalla compartida no se guardan perfiles',
+
+        // Errors and confirmations
+        'error.requiredFields': 'Rellena correctamente todos los campos obligatorios',
+        'error.selectAction': 'Elige al menos una acción antes de ver el resumen',
+        'error.actionsSkipped': {
+            one: '{count} acción guardada ya no está disponible y se ha omitido',
+            other: '{count} acciones guardadas ya no están disponibles y se han omitido'
+        },
+        'error.generic': 'Se ha producido un error. Inténtalo de nuevo.',
+        'error.exportNoPlan': 'Crea un plan de acción antes de exportar',
+        'report.title': 'Plan de acción climática - {region}',
+        'report.heading': '🌍 Plan de acción climática',
+        'report.print': 'Imprimir / Guardar como PDF',
+        'report.meta': 'Región: {region} · Generado el {date}',
+        'report.current': 'Huella actual: {amount} CO₂e/año',
+        'report.plan': 'Tu plan: {amount} CO₂e/año (-{percent})',
+        'report.beforeAfter': 'Antes y después',
+        'report.timeline': 'Calendario de implementación',
+        'report.legend': '{category}: {amount} ({percent})',
+        'report.col.action': 'Acción',
+        'report.col.impact': 'kg CO₂e/año',
+        'report.col.cost': 'Coste',
+        'report.col.difficulty': 'Dificultad',
+        'report.col.time': 'Tiempo',
+        'error.openPlan': 'No se pudo abrir el plan: {reason}',
+        'error.openSharedPlan': 'No se pudo abrir el plan compartido: {reason}',
+        'error.sharedPlanIncomplete': 'Al plan compartido le faltan datos; completa el formulario',
+        'error.planIncomplete': 'Al archivo del plan le faltan datos o tiene datos no válidos; revisa el formulario',
+        'error.timeout': 'El motor de cálculo no respondió. Inténtalo de nuevo.',
+        'reason.notJSON': 'el archivo no es JSON válido',
+        'reason.version': 'versión de archivo no compatible: {version}',
+        'reason.notPlanFile': 'no es un archivo de plan de Carbon Action Tracker',
+        'reason.noInputs': 'el archivo no tiene datos de entrada',
+        'reason.noFootprint': 'el archivo no tiene una huella válida',
+        'reason.badImpact': 'el archivo tiene un impacto del plan no válido',
+        'reason.noActions': 'el archivo no tiene acciones seleccionadas',
+        'reason.notProfileFile': 'no es un archivo de perfiles de Carbon Action Tracker',
+        'reason.noProfiles': 'el archivo no contiene perfiles',
+        'reason.profileName': 'cada perfil necesita un nombre',
+        'reason.unknownRegion': 'el archivo tiene una región que esta aplicación no conoce',
+        'reason.unknownAction': 'el archivo tiene acciones que esta aplicación no conoce',
+        'reason.unreadable': 'no se pudo leer el archivo',
+        'reason.linkValue': 'valor no válido para {field}',
+        'reason.linkActions': 'lista de acciones no válida',
+        'reason.linkModified': 'el enlace está incompleto o ha sido modificado',
+        'reason.linkNewer': 'el enlace se creó con una versión más reciente del tracker',
+        'share.tooLarge': 'Este plan es demasiado grande para un código QR; usa el enlace.',
+        'share.copied': 'Enlace copiado',
+        'share.pressCopy': 'Pulsa Ctrl+C para copiar el enlace seleccionado',
+        'share.household': 'Los enlaces guardan los datos de una sola persona, así que no pueden compartir un plan de hogar. Usa 💾 Plan (JSON) abajo para conservar a todos los miembros.',
+        'confirm.reset': '¿Seguro que quieres reiniciar? Se borrarán todos los datos introducidos; tu historial de progreso se conserva.'
+    },
+    actions: {
+        1: ['Cambiar a un vehículo eléctrico (BEV)', 'Sustituir el coche de gasolina por un vehículo eléctrico de batería'],
+        2: ['Cambiar a un híbrido enchufable (PHEV)', 'Sustituir el coche de gasolina por un híbrido enchufable'],
+        3: ['Transporte público 3 días por semana', 'Sustituir el coche por autobús o tren 3 días por semana para ir al trabajo'],
+        4: ['Transporte público 5 días por semana', 'Sustituir el coche por autobús o tren para ir al trabajo a diario'],
+        5: ['Ir en bici en trayectos de menos de 5 km', 'Sustituir los trayectos cortos en coche por la bicicleta'],
+        6: ['Compartir coche 3 días por semana', 'Compartir el coche con compañeros 3 días por semana'],
+        7: ['Reducir los vuelos nacionales un 50 %', 'Reducir a la mitad los viajes en avión dentro del país'],
+        8: ['Reducir los vuelos internacionales un 50 %', 'Reducir a la mitad los viajes internacionales en avión'],
+        9: ['Teletrabajar 2 días más por semana', 'Reducir los desplazamientos trabajando a distancia'],
+        10: ['Cambiar a un vehículo híbrido', 'Sustituir el coche de gasolina por un híbrido convencional'],
+        11: ['Conducción eficiente', 'Mejorar el consumo de combustible con la técnica de conducción'],
+        12: ['Mantener la presión correcta de los neumáticos', 'Reducir el consumo de combustible cuidando los neumáticos'],
+        13: ['Instalar paneles solares (5 kW)', 'Instalación solar en el tejado de la vivienda'],
+        14: ['Instalar paneles solares (10 kW)', 'Instalación solar grande en el tejado de la vivienda'],
+        15: ['Cambiar a una bomba de calor', 'Sustituir la caldera de gas por una bomba de calor eléctrica'],
+        16: ['Mejorar el aislamiento de la vivienda', 'Mejorar el aislamiento del tejado y las paredes'],
+        17: ['Instalar un termostato inteligente', 'Optimización programable de la climatización'],
+        18: ['Cambiar a iluminación LED', 'Sustituir todas las bombillas por LED'],
+        19: ['Cambiar a electrodomésticos eficientes', 'Sustituir los electrodomésticos antiguos por modelos eficientes'],
+        20: ['Instalar ventanas de doble acristalamiento', 'Cambiar a ventanas energéticamente eficientes'],
+        21: ['Bajar la calefacción 2 °C en invierno', 'Bajar la temperatura del termostato'],
+        22: ['Subir el aire acondicionado 2 °C en verano', 'Subir la temperatura del termostato'],
+        23: ['Instalar un calentador solar de agua', 'Energía solar térmica para el agua caliente'],
+        24: ['Contratar una tarifa de energía verde', 'Comprar electricidad renovable a la compañía eléctrica'],
+        25: ['Instalar baterías domésticas', 'Sistema de baterías para optimizar la energía solar o de la red'],
+        26: ['Secar la ropa al aire en lugar de en secadora', 'Dejar de usar la secadora eléctrica'],
+        27: ['Un día sin carne por semana (lunes sin carne)', 'Reducir el consumo de carne un día a la semana'],
+        28: ['Dos días sin carne por semana', 'Reducir el consumo de carne dos días a la semana'],
+        29: ['Cambiar a una dieta vegetariana', 'Eliminar toda la carne y el pescado'],
+        30: ['Cambiar a una dieta vegana', 'Eliminar todos los productos de origen animal'],
+        31: ['Reducir el consumo de ternera un 75 %', 'Comer ternera como mucho una vez al mes'],
+        32: ['Comprar productos locales y de temporada', 'Reducir las emisiones del transporte de alimentos'],
+        33: ['Reducir el desperdicio de comida un 30 %', 'Planificar mejor las comidas y conservar mejor los alimentos'],
+        34: ['Hacer compost en casa', 'Evitar que los residuos orgánicos acaben en vertederos'],
+        35: ['Bajar la calidad del streaming (de HD a SD)', 'Reducir la resolución de vídeo para ahorrar ancho de banda'],
+        36: ['Reducir las videollamadas un 25 %', 'Usar llamadas de voz o correo cuando sea posible'],
+        37: ['Limpiar el almacenamiento en la nube', 'Borrar archivos y fotos que no se usan'],
+        38: ['Optimizar el uso de consultas de IA', 'Usar los asistentes de IA de forma más consciente'],
+        39: ['Darse de baja de correos innecesarios', 'Reducir el almacenamiento y el procesamiento de correo'],
+        40: ['Comprar electrónica usada o reacondicionada', 'Elegir dispositivos de segunda mano en lugar de nuevos'],
+        41: ['Reparar la electrónica en lugar de sustituirla', 'Arreglar móviles y portátiles en lugar de renovarlos'],
+        42: ['Comprar un 50 % menos de ropa', 'Comprar la mitad de ropa nueva'],
+        43: ['Comprar ropa de segunda mano', 'Elegir ropa de segunda mano o vintage frente a la moda rápida'],
+        44: ['Calidad antes que cantidad', 'Invertir en artículos duraderos'],
+        45: ['Meses de «no comprar nada nuevo»', 'Comprometerse a no comprar nada nuevo un mes cada trimestre'],
+        46: ['Pedir prestado o alquilar en lugar de comprar', 'Usar bibliotecas de herramientas y servicios de alquiler'],
+        47: ['Cambiar a productos reutilizables', 'Sustituir los productos de un solo uso por alternativas reutilizables'],
+        48: ['Elegir marcas sostenibles', 'Apoyar a empresas con prácticas bajas en carbono'],
+        49: ['Reducir los residuos de envases', 'Comprar a granel y productos sin envase'],
+        50: ['Cancelar suscripciones que no se usan', 'Dar de baja los servicios de suscripción que no utilizas']
+    }
+});
@@ -0,0 +1,795 @@
+// ===== French Language Pack =====
+// Interface messages and actionLibrary.csv names and descriptions for I18n.
+// Keys missing here fall back to English.
+
+I18n.register('fr', {
+    name: 'Français',
+    locale: 'fr-FR',
+    dir: 'ltr',
+    messages: {
+        // Toolbar
+        'toolbar.language': 'Langue',
+        'toolbar.units': 'Unités',
+        'toolbar.numberFormat': 'Format des nombres',
+        'toolbar.metric': 'Métrique',
+        'toolbar.us': 'Impérial (États-Unis)',
+        'toolbar.languageFormat': 'Selon la langue',
+        'theme.light': 'Clair',
+        'theme.dark': 'Sombre',
+        'units.distance.metric': 'km',
+        'units.distance.us': 'miles',
+        'units.gas.metric': 'kWh',
+        'units.gas.us': 'thermies US',
+        'units.tons': '{value} t',
+
+        // Header and navigation
+        'app.title': '🌍 Suivi des actions climat',
+        'app.subtitle': 'Mesurez votre impact, planifiez votre avenir',
+        'tab.input': 'Saisie',
+        'tab.current': 'Actuel',
+        'tab.actions': 'Actions',
+        'tab.plan': 'Plan',
+        'app.reset': '🔄 Réinitialiser',
+        'app.calculating': 'Calcul en cours...',
+        'app.scrollForMore': 'Faites défiler pour en voir plus',
+
+        // Phase 1
+        'phase1.heading': '📊 Saisissez vos données',
+        'phase1.progress': 'Progression du formulaire :',
+        'phase1.calculate': 'Calculer mon empreinte →',
+        'profiles.heading': '👤 Profils',
+        'profiles.namePlaceholder': 'Nom du profil, p. ex. Étudiant en Inde',
+        'profiles.save': '💾 Enregistrer',
+        'profiles.load': '📂 Charger',
+        'profiles.delete': '🗑️ Supprimer',
+        'profiles.autoCalculate': 'Calculer l\'empreinte après le chargement',
+        'profiles.export': '⬇️ Exporter',
+        'profiles.import': '⬆️ Importer',
+        'profiles.openPlan': '📄 Ouvrir un plan',
+        'form.location': '🌍 Localisation',
+        'form.region': 'Région :',
+        'form.select': 'Choisir...',
+        'region.USA': 'États-Unis',
+        'region.Europe': 'Europe',
+        'region.China': 'Chine',
+        'region.India': 'Inde',
+        'region.Brazil': 'Brésil',
+        'region.Canada': 'Canada',
+        'region.Norway': 'Norvège',
+        'region.Global': 'Monde',
+        'region.Australia': 'Australie',
+        'region.Japan': 'Japon',
+        'region.South_Korea': 'Corée du Sud',
+        'region.Mexico': 'Mexique',
+        'region.Argentina': 'Argentine',
+        'region.Chile': 'Chili',
+        'region.Sweden': 'Suède',
+        'region.Germany': 'Allemagne',
+        'region.France': 'France',
+        'region.UK': 'Royaume-Uni',
+        'region.Spain': 'Espagne',
+        'region.Italy': 'Italie',
+        'region.Poland': 'Pologne',
+        'region.Russia': 'Russie',
+        'region.Turkey': 'Turquie',
+        'region.Saudi_Arabia': 'Arabie saoudite',
+        'region.UAE': 'Émirats arabes unis',
+        'region.South_Africa': 'Afrique du Sud',
+        'region.Egypt': 'Égypte',
+        'region.Nigeria': 'Nigeria',
+        'region.Kenya': 'Kenya',
+        'region.Thailand': 'Thaïlande',
+        'region.Vietnam': 'Viêt Nam',
+        'region.Indonesia': 'Indonésie',
+        'region.Philippines': 'Philippines',
+        'region.Malaysia': 'Malaisie',
+        'region.Singapore': 'Singapour',
+        'region.New_Zealand': 'Nouvelle-Zélande',
+        'region.Colombia': 'Colombie',
+        'region.Peru': 'Pérou',
+        'region.Venezuela': 'Venezuela',
+        'form.transport': '🚗 Transports',
+        'form.commuteMode': 'Mode de trajet :',
+        'commute.Walking': 'À pied',
+        'commute.Cycling': 'À vélo',
+        'commute.Bus': 'Bus',
+        'commute.Train_Rail': 'Train',
+        'commute.Car_Gasoline': 'Voiture (essence)',
+        'commute.Car_Electric_BEV': 'Voiture (électrique)',
+        'form.dailyCommute': 'Trajet quotidien ({unit}, aller simple) :',
+        'form.commuteDays': 'Jours par an :',
+        'form.domesticFlights': 'Vols intérieurs par an :',
+        'form.avgFlightDistance': 'Distance moyenne par vol ({unit}) :',
+        'form.internationalFlights': 'Vols internationaux par an :',
+        'form.otherTravel': 'Autres déplacements par semaine ({unit}) :',
+        'form.home': '🏠 Énergie du logement',
+        'form.electricity': 'Électricité (kWh/mois) :',
+        'form.naturalGas': 'Gaz naturel ({unit}/mois) :',
+        'form.diet': '🍽️ Alimentation',
+        'form.dietType': 'Type de régime :',
+        'diet.vegan': 'Végétalien',
+        'diet.vegetarian': 'Végétarien',
+        'diet.balanced': 'Équilibré',
+        'diet.meat-heavy': 'Riche en viande',
+        'form.digital': '💻 Numérique',
+        'form.streaming': 'Streaming (h/jour) :',
+        'form.aiQueries': 'Requêtes d\'IA par jour :',
+        'form.cloudStorage': 'Stockage en ligne (Go) :',
+        'form.videoCalls': 'Visioconférences (h/semaine) :',
+        'form.emails': 'E-mails par jour :',
+        'form.shopping': '🛍️ Achats',
+        'form.frequency': 'Fréquence :',
+        'shopping.minimal': 'Minimale',
+        'shopping.moderate': 'Modérée',
+        'shopping.frequent': 'Fréquente',
+        'form.clothing': 'Vêtements par an :',
+        'form.electronics': 'Appareils électroniques par an :',
+        'form.furniture': 'Meubles par an :',
+        'validation.required': 'Ce champ est obligatoire',
+        'validation.positive': 'Doit être un nombre positif',
+        'validation.integer': 'Doit être un nombre entier',
+        'validation.max': 'Doit être au maximum {max}',
+        'validation.high': 'Plus de {value}, c\'est inhabituel, vérifiez la valeur',
+        'validation.commuteMax': 'Trajet domicile-travail ({mode}) : {max} aller simple au maximum',
+        'validation.commuteHigh': 'Trajet domicile-travail ({mode}) de plus de {max} aller simple : inhabituel, vérifiez la valeur',
+        'validation.flightDistance': 'Indiquez la distance moyenne de ces vols',
+        'validation.regionHigh': 'Bien au-dessus d\'un logement typique en {region} (environ {typical}), vérifiez la valeur',
+        'validation.regionTravel': 'Bien au-dessus des déplacements typiques en {region} (environ {typical}), vérifiez la valeur',
+
+        // Flight logger
+        'flights.heading': '✈️ Saisir les vols un par un',
+        'flights.intro': 'Ajoutez chaque voyage avec le code de l\'aéroport. Tant que des vols sont saisis, ils remplacent les moyennes de vols ci-dessus.',
+        'flights.fromPlaceholder': 'Départ (p. ex. CDG)',
+        'flights.toPlaceholder': 'Arrivée (p. ex. JFK)',
+        'flights.fromLabel': 'Code de l\'aéroport de départ',
+        'flights.toLabel': 'Code de l\'aéroport d\'arrivée',
+        'flights.tripType': 'Type de voyage',
+        'flights.cabin': 'Classe',
+        'flights.count': 'Voyages par an',
+        'flights.add': '➕ Ajouter',
+        'flights.return': 'Aller-retour',
+        'flights.oneway': 'Aller simple',
+        'flights.economy': 'Économique',
+        'flights.business': 'Affaires',
+        'flights.first': 'Première',
+        'flights.remove': 'Supprimer {from} vers {to}',
+        'flights.none': 'Aucun vol saisi ; les moyennes ci-dessus sont utilisées.',
+        'flights.totals': 'Intérieur {domestic}, international {international} par an ({uplift} % inclus pour l\'itinéraire).',
+        'flights.full': 'Le journal accepte jusqu\'à {max} entrées ; augmentez plutôt le nombre de voyages',
+        'flights.unknownAirport': 'Aéroport inconnu « {code} »',
+        'flights.sameAirport': 'Les aéroports de départ et d\'arrivée doivent être différents',
+        'flights.unknownTripType': 'Type de voyage inconnu « {type} »',
+        'flights.unknownCabin': 'Classe inconnue « {cabin} »',
+        'flights.countRange': 'Le nombre de voyages doit être compris entre 1 et {max}',
+
+        // Phase 2
+        'phase2.heading': '📊 Votre empreinte actuelle',
+        'phase2.total': 'Émissions annuelles totales',
+        'phase2.unit': 't CO₂e/an',
+        'phase2.breakdown': 'Répartition',
+        'phase2.comparison': 'Comparaison',
+        'phase2.explore': 'Explorer les actions →',
+        'category.Transport': 'Transports',
+        'category.Home': 'Logement',
+        'category.Food': 'Alimentation',
+        'category.Digital': 'Numérique',
+        'category.Consumption': 'Consommation',
+        'categoryInfo.Transport': 'Trajets domicile-travail, vols et autres déplacements',
+        'categoryInfo.Home': 'Électricité et gaz naturel du logement',
+        'categoryInfo.Food': 'Production et transport des aliments de votre régime',
+        'categoryInfo.Digital': 'Centres de données et réseaux derrière votre activité en ligne',
+        'categoryInfo.Consumption': 'Fabrication des biens que vous achetez',
+        'part.commute': 'Trajet domicile-travail',
+        'part.domesticFlights': 'Vols intérieurs',
+        'part.internationalFlights': 'Vols internationaux',
+        'part.otherTravel': 'Autres déplacements',
+        'part.electricity': 'Électricité',
+        'part.naturalGas': 'Gaz naturel',
+        'part.diet': 'Régime alimentaire',
+        'part.streaming': 'Streaming',
+        'part.aiQueries': 'Requêtes d\'IA',
+        'part.cloudStorage': 'Stockage en ligne',
+        'part.videoCalls': 'Visioconférences',
+        'part.email': 'E-mail',
+        'part.shopping': 'Achats courants',
+        'part.clothing': 'Vêtements',
+        'part.electronics': 'Électronique',
+        'part.furniture': 'Meubles',
+        'partInfo.commute': 'Allers-retours au travail avec votre mode de trajet',
+        'partInfo.domesticFlights': 'Vols intérieurs aller-retour',
+        'partInfo.internationalFlights': 'Vols internationaux aller-retour',
+        'partInfo.otherTravel': 'Courses et sorties du week-end',
+        'partInfo.electricity': 'Électricité du réseau à l\'intensité carbone de votre région',
+        'partInfo.naturalGas': 'Gaz brûlé pour le chauffage, l\'eau chaude et la cuisine',
+        'partInfo.diet': 'Émissions annuelles de votre type de régime',
+        'partInfo.streaming': 'Streaming vidéo en HD',
+        'partInfo.aiQueries': 'Requêtes adressées à des modèles d\'IA',
+        'partInfo.cloudStorage': 'Fichiers conservés en ligne',
+        'partInfo.videoCalls': 'Appels vidéo et réunions',
+        'partInfo.email': 'E-mails envoyés et reçus',
+        'partInfo.shopping': 'Achats courants selon votre fréquence d\'achat',
+        'partInfo.clothing': 'Vêtements neufs',
+        'partInfo.electronics': 'Appareils électroniques neufs',
+        'partInfo.furniture': 'Meubles neufs',
+        'chart.current': 'Actuelle',
+        'chart.withPlan': 'Avec le plan',
+        'chart.breakdownLabel': 'Répartition de l\'empreinte',
+        'chart.allCategories': '← Toutes les catégories',
+        'chart.perYear': '{amount} CO₂e/an',
+        'chart.planSaves': 'Votre plan économise {amount}',
+        'chart.clickForBreakdown': 'Cliquez pour le détail',
+        'comparison.you': 'Vous',
+        'comparison.regionalAvg': 'Moyenne régionale',
+        'comparison.regional': 'Régional',
+        'comparison.globalAvg': 'Moyenne mondiale',
+        'comparison.paris': 'Paris 2030',
+        'comparison.youInfo': 'Votre empreinte annuelle calculée',
+        'comparison.regionalInfo': 'Moyenne par personne : {region}',
+        'comparison.globalInfo': 'Moyenne mondiale par personne',
+        'comparison.parisInfo': 'Niveau par personne compatible avec l\'Accord de Paris en 2030',
+        'comparison.share': '{amount} CO₂e/an · {percent} de votre empreinte',
+        'comparison.label': 'Comparaison avec les empreintes moyennes et cibles',
+        'paris.aligned': 'Vous êtes sur la bonne voie ! Votre empreinte de {total} t est inférieure à l\'objectif 2030 de l\'Accord de Paris de {target} t.',
+        'paris.close': 'Vous y êtes presque ! Réduisez de {gap} t pour atteindre l\'objectif de Paris pour 2030.',
+        'paris.above': 'Vous êtes {gap} t au-dessus de l\'objectif de Paris pour 2030. Cherchons des moyens de réduire !',
+        'paris.probability': '{percent} de chances que votre empreinte respecte l\'objectif de Paris pour 2030 de {target} t.',
+        'paris.estimate': 'Meilleure estimation {total}, intervalle à 90 % : {range}',
+
+        // Phase 3
+        'phase3.heading': '🎯 Choisissez des actions',
+        'phase3.viewSummary': 'Voir le résumé →',
+        'live.current': 'Actuelle :',
+        'live.projected': 'Prévue :',
+        'live.reduction': 'Réduction :',
+        'live.parisStatus': 'Objectif de Paris :',
+        'live.aligned': '✓ Sur la bonne voie !',
+        'live.close': '⚠ Presque',
+        'live.above': 'Encore au-dessus de l\'objectif',
+        'live.selectActions': 'Choisissez des actions pour voir leur impact',
+        'live.overlapAdjustment': 'Inclut -{value} t pour les actions qui se recoupent',
+        'finance.uncosted': {
+            one: '{count} action n\'a pas de données de coût et n\'est pas comptée : {names}.',
+            other: '{count} actions n\'ont pas de données de coût et ne sont pas comptées : {names}.'
+        },
+        'finance.upfront': 'Investissement initial',
+        'finance.annualSavings': 'Économies annuelles',
+        'finance.payback': 'Retour sur investissement',
+        'finance.netCost': 'Coût net sur {years} ans',
+        'finance.costPerTonne': 'Coût par tonne évitée',
+        'finance.perYear': '{amount}/an',
+        'finance.perTonne': '{amount}/t',
+        'finance.now': 'Immédiat',
+        'finance.never': 'Jamais',
+        'finance.paybackYear': '{year} ({years} ans)',
+        'finance.note': 'Fourchette des catégories de coût : {low} - {high}. Un coût net négatif signifie que l\'action est rentabilisée en {years} ans.',
+        'finance.selectActions': 'Sélectionnez des actions pour voir les coûts et les économies.',
+        'finance.col.action': 'Action',
+        'finance.col.upfront': 'Initial',
+        'finance.col.savings': 'Économies/an',
+        'finance.col.payback': 'Retour',
+        'finance.col.netCost': 'Net sur {years} ans',
+        'finance.col.perTonne': '$/t CO₂e',
+        'finance.noReduction': 'Aucune action n\'a de réduction mesurable.',
+        'finance.avoided': '{value} t CO₂e/an évitées',
+        'finance.barTitle': '{name} : {cost}, {value} t/an',
+        'live.probability': '{percent} de chances d\'atteindre l\'objectif',
+        'uncertainty.interval': 'Intervalle à 90 % : {range}',
+        'uncertainty.withRange': '{value} (90 % : {range})',
+        'optimizer.heading': '🧭 Trouvez-moi un plan',
+        'optimizer.target': 'Objectif :',
+        'optimizer.paris': 'Objectif de Paris (2,0 t)',
+        'optimizer.cut25': 'Réduire de 25 %',
+        'optimizer.cut50': 'Réduire de 50 %',
+        'optimizer.cut75': 'Réduire de 75 %',
+        'optimizer.maxCost': 'Coût maximal :',
+        'optimizer.maxDifficulty': 'Difficulté maximale :',
+        'optimizer.find': 'Trouvez-moi un plan',
+        'finance.heading': '💵 Coûts et économies',
+        'cost.Free': 'Gratuit',
+        'cost.Low': 'Faible (0-500 $)',
+        'cost.Medium': 'Moyen (500-5 000 $)',
+        'cost.High': 'Élevé (plus de 5 000 $)',
+        'difficulty.Easy': 'Facile',
+        'difficulty.Medium': 'Moyenne',
+        'difficulty.Hard': 'Difficile',
+        'time.Immediate': 'Immédiat',
+        'time.1 month': '1 mois',
+        'time.1-3 months': '1 à 3 mois',
+        'time.3-6 months': '3 à 6 mois',
+        'actions.heading': '{icon} Actions : {category}',
+        'actions.impact': '-{amount}/an',
+        'actions.unknown': 'Action {id}',
+        'rules.alternative': 'Alternative à {names} ; la choisir remplace ce choix',
+        'rules.included': 'Déjà incluse dans {names}',
+        'rules.includedSelected': 'Déjà incluse dans {names} ; compte pour 0',
+        'rules.overlaps': 'Recoupe {names} ; l\'économie combinée est réduite',
+        'rules.explain.exclusive': '{name} ne peut pas être combinée avec {other} (-{value} t)',
+        'rules.explain.supersedes': '{name} est déjà comprise dans {other} (-{value} t)',
+        'rules.explain.overlap': '{name} recoupe {other} : {reason} (-{value} t)',
+        'rules.reason.ecoDrivingElectric': 'l\'écoconduite économise peu avec une voiture électrique',
+        'rules.reason.tiresElectric': 'la pression des pneus compte moins pour une voiture électrique',
+        'rules.reason.plugInHybrid': 'une hybride rechargeable brûle moins de carburant à économiser',
+        'rules.reason.hybrid': 'une hybride brûle moins de carburant à économiser',
+        'rules.reason.fewerCarKm': 'il reste moins de kilomètres en voiture à électrifier',
+        'rules.reason.sameCommute': 'les deux réduisent les mêmes trajets domicile-travail',
+        'rules.reason.renewableSolar': 'avec une électricité renouvelable, le solaire a peu à décarboner',
+        'rules.reason.insulatedHeatPump': 'une pompe à chaleur consomme moins dans un logement isolé',
+        'rules.reason.heatPumpHeating': 'une pompe à chaleur rend déjà le chauffage bas carbone',
+        'rules.reason.sameHeatLoss': 'les deux réduisent les mêmes pertes de chaleur',
+        'rules.reason.sameDevices': 'les deux évitent les mêmes appareils neufs',
+        'rules.reason.sameClothes': 'les deux évitent les mêmes vêtements neufs',
+        'rules.reason.samePurchases': 'les deux évitent les mêmes achats neufs',
+        'optimizer.saves': 'économise {amount}/an ({percent} de la réduction nécessaire)',
+        'optimizer.effort': 'difficulté {difficulty}, coût {cost}',
+        'optimizer.bestFit': 'meilleur choix parmi les options de {group}, donc non combiné avec {others}',
+        'optimizer.group.vehicle': 'changement de véhicule',
+        'optimizer.group.transit': 'transports en commun',
+        'optimizer.group.solar': 'panneaux solaires',
+        'optimizer.group.diet': 'changement d\'alimentation',
+        'optimizer.group.overlapping': 'actions qui se recoupent',
+        'optimizer.none': 'Vous atteignez déjà cet objectif. Aucune action nécessaire !',
+        'optimizer.found': {
+            one: 'Plan trouvé : {count} action qui économise {amount} (objectif {target}).',
+            other: 'Plan trouvé : {count} actions qui économisent {amount} (objectif {target}).'
+        },
+        'optimizer.notReached': 'Aucun plan n\'atteint l\'objectif avec ces limites. Le plan le plus efficace économise {amount} sur {target} ; essayez une limite de coût ou de difficulté plus élevée.',
+        'optimizer.pick': '{name} : {reasons}',
+
+        // Phase 4
+        'phase4.heading': '📋 Plan d\'action',
+        'phase4.before': 'Avant',
+        'phase4.after': 'Après',
+        'phase4.byCategory': 'Empreinte par catégorie',
+        'phase4.byAction': 'Impact par action',
+        'phase4.roadmap': 'Calendrier de mise en œuvre',
+        'phase4.finance': 'Analyse financière',
+        'phase4.summary': 'Résumé',
+        'phase4.newCalculation': '← Nouveau calcul',
+        'waterfall.share': '-{amount} CO₂e/an · {percent} de votre réduction',
+        'waterfall.label': 'Réduction par action',
+        'roadmap.horizon': 'Afficher la trajectoire jusqu\'en',
+        'roadmap.annual': 'Émissions annuelles (t CO₂e/an)',
+        'roadmap.cumulative': 'Émissions évitées cumulées (t CO₂e)',
+        'finance.mac': 'Courbe des coûts marginaux d\'abattement',
+        'share.heading': '🔗 Partager ce plan',
+        'share.intro': 'Scannez le code pour rouvrir ce plan sur votre téléphone, ou copiez le lien.',
+        'share.copy': '📋 Copier',
+        'export.heading': '📤 Emportez votre plan',
+        'export.print': '🖨️ Imprimer / PDF',
+        'export.report': '📄 Rapport (HTML)',
+        'export.csv': '📊 Actions (CSV)',
+        'export.json': '💾 Plan (JSON)',
+        'export.note': 'Les fichiers de plan peuvent être rouverts depuis la section Profils de la Saisie.',
+
+        // Household
+        'household.heading': '👪 Foyer',
+        'household.intro': 'Ajoutez les personnes avec qui vous vivez pour répartir équitablement l\'énergie du logement. La région, l\'énergie du logement et le régime par défaut sont partagés ; les données de transport, de numérique et d\'achats ci-dessous sont celles du membre en cours de modification.',
+        'household.add': '➕ Ajouter un membre',
+        'household.split': 'Répartition de l\'énergie du logement',
+        'household.splitEqual': 'Répartir l\'énergie du logement à parts égales',
+        'household.splitWeighted': 'Répartir l\'énergie du logement selon l\'âge (enfant = moitié d\'un adulte)',
+        'household.membersHeading': '👪 Membres du foyer',
+        'household.viewLabel': 'Afficher l\'empreinte pour',
+        'household.viewHousehold': 'Tout le foyer',
+        'household.viewPerCapita': 'Par personne',
+        'household.memberName': 'Personne {number}',
+        'household.adult': 'Adulte',
+        'household.child': 'Enfant',
+        'household.sharedDiet': 'Régime du foyer',
+        'household.nameLabel': 'Nom du membre',
+        'household.kindLabel': 'Adulte ou enfant',
+        'household.dietLabel': 'Régime',
+        'household.edit': '✏️ Modifier',
+        'household.editing': '✏️ En cours',
+        'household.remove': 'Retirer {name}',
+        'household.editingNote': 'Les données de transport, de numérique et d\'achats ci-dessous sont celles de {name}.',
+        'household.full': 'Un foyer peut compter jusqu\'à {max} membres',
+        'household.everyone': 'Tout le foyer',
+        'household.assignLabel': 'Qui réalise cette action',
+        'household.assignedTo': 'Réalisée par {name}',
+        'household.subjectHousehold': 'Foyer',
+        'household.subjectPerson': 'Par personne',
+        'household.homeShare': 'Part de l\'énergie du logement : {percent} ({amount})',
+        'household.barsLabel': 'Empreinte de chaque membre du foyer',
+        'household.summary': {
+            one: '{count} personne · {total} au total · {perCapita} par personne (moyenne régionale {regional})',
+            other: '{count} personnes · {total} au total · {perCapita} par personne (moyenne régionale {regional})'
+        },
+
+        // Progress tracker
+        'tab.track': 'Suivi',
+        'phase4.commit': 'M\'engager sur ce plan →',
+        'phase5.heading': '📈 Suivez vos progrès',
+        'track.logHeading': '🗓️ Saisir un mois',
+        'track.logIntro': 'Saisissez vos relevés de compteur, la distance parcourue en voiture et les vols effectués. L\'alimentation, le numérique et les achats suivent votre plan, moins les actions marquées comme faites.',
+        'track.monthLabel': 'Mois :',
+        'track.electricity': 'Électricité (kWh) :',
+        'track.naturalGas': 'Gaz naturel ({unit}) :',
+        'track.driven': 'Distance en voiture ({unit}) :',
+        'track.vehicle': 'Voiture :',
+        'track.domesticFlights': 'Vols intérieurs (allers-retours) :',
+        'track.internationalFlights': 'Vols internationaux (allers-retours) :',
+        'track.save': '💾 Enregistrer le mois',
+        'track.actionsHeading': 'Actions',
+        'track.comparisonHeading': 'Prévu et réel',
+        'track.historyHeading': 'Historique',
+        'track.exportCSV': '📊 Historique (CSV)',
+        'track.exportJSON': '💾 Historique (JSON)',
+        'track.clear': '🗑️ Arrêter le suivi',
+        'track.pending': '⏳ À faire',
+        'track.inProgress': '🔧 En cours',
+        'track.done': '✅ Faite',
+        'track.statusLabel': 'Statut de {name}',
+        'track.committed': {
+            one: 'Engagement du {date} sur {count} action : {from} par an aujourd\'hui, {to} une fois pleinement en place.',
+            other: 'Engagement du {date} sur {count} actions : {from} par an aujourd\'hui, {to} une fois pleinement en place.'
+        },
+        'track.confirmReplace': 'Remplacer votre plan par celui-ci ? Les mois saisis et le statut des actions sont conservés.',
+        'track.confirmClear': 'Arrêter le suivi et supprimer votre historique ? Exportez-le d\'abord pour en garder une copie.',
+        'track.monthRequired': 'Choisissez le mois à saisir',
+        'track.beforeCommitment': 'Vous vous êtes engagé sur ce plan en {month} ; saisissez ce mois ou un mois suivant',
+        'track.futureMonth': 'Ce mois n\'a pas encore commencé',
+        'track.invalidReadings': 'Les relevés doivent être des nombres positifs et les vols des allers-retours entiers',
+        'track.saved': '{month} enregistré',
+        'track.removed': '{month} supprimé',
+        'track.remove': 'Supprimer {month}',
+        'track.noneToExport': 'Aucun historique de suivi à exporter',
+        'track.noMonths': 'Aucun mois saisi pour l\'instant. Saisissez votre premier mois ci-dessus pour le comparer à votre plan.',
+        'track.comparisonNote': {
+            one: 'Totaux sur {count} mois saisi.',
+            other: 'Totaux sur {count} mois saisis.'
+        },
+        'track.month': 'Mois',
+        'track.planned': 'Prévu',
+        'track.actual': 'Réel',
+        'track.difference': 'Écart',
+        'track.ahead': 'En avance sur le plan de',
+        'track.behind': 'En retard sur le plan de',
+        'track.plannedRow': '{category} (prévu)',
+        'track.actualRow': '{category} (réel)',
+        'track.plannedInfo': {
+            one: 'Votre plan prévoit {amount} pour le mois saisi',
+            other: 'Votre plan prévoit {amount} pour les {count} mois saisis'
+        },
+        'track.actualInfo': {
+            one: '{amount} pour le mois saisi',
+            other: '{amount} pour les {count} mois saisis'
+        },
+        'track.overPlan': '{amount} de plus que prévu',
+        'track.underPlan': '{amount} de moins que prévu',
+        'track.chartLabel': 'Émissions prévues et réelles par catégorie',
+
+        // What-if analysis
+        'whatif.heading': '🎚️ Et si… ?',
+        'whatif.reset': 'Réinitialiser les curseurs',
+        'whatif.apply': 'Utiliser ces valeurs',
+        'whatif.tornadoHeading': 'Les données qui comptent le plus',
+        'whatif.tornadoIntro': 'Variation de votre empreinte annuelle quand chaque donnée baisse ou augmente de 20 %.',
+        'whatif.dailyCommuteKm': 'Trajet quotidien (aller simple)',
+        'whatif.commuteDays': 'Jours de trajet par an',
+        'whatif.domesticFlights': 'Vols intérieurs par an',
+        'whatif.internationalFlights': 'Vols internationaux par an',
+        'whatif.otherTravelKm': 'Autres déplacements par semaine',
+        'whatif.monthlyElectricityKWh': 'Électricité par mois',
+        'whatif.monthlyNaturalGasKWh': 'Gaz naturel par mois',
+        'whatif.streamingHoursPerDay': 'Heures de streaming par jour',
+        'whatif.clothingPurchases': 'Vêtements par an',
+        'whatif.electronicsPurchases': 'Appareils électroniques par an',
+        'whatif.intro': 'Déplacez un curseur pour voir comment votre empreinte changerait. Les valeurs saisies restent inchangées tant que vous ne choisissez pas « Utiliser ces valeurs ».',
+        'whatif.result': 'Avec ces valeurs : {total} par an ({change}, {percent})',
+        'whatif.householdNote': 'L\'énergie du logement change pour tout le foyer ; les autres curseurs modifient le membre en cours d\'édition.',
+        'whatif.swing': '{percent} ({value}) : {change}',
+        'whatif.tornadoLabel': 'Variation de l\'empreinte annuelle quand chaque donnée baisse ou augmente de 20 %',
+
+        // Action search and filters
+        'filters.label': 'Rechercher et filtrer les actions',
+        'filters.search': 'Rechercher des actions…',
+        'filters.cost': 'Coût',
+        'filters.anyCost': 'Tous les coûts',
+        'filters.difficulty': 'Difficulté',
+        'filters.anyDifficulty': 'Toutes les difficultés',
+        'filters.time': 'Délai de mise en œuvre',
+        'filters.anyTime': 'Tous les délais de mise en œuvre',
+        'filters.infrastructure': 'Infrastructure',
+        'filters.anyInfrastructure': 'Avec ou sans infrastructure',
+        'filters.noInfrastructure': 'Sans infrastructure',
+        'filters.needsInfrastructure': 'Nécessite une infrastructure',
+        'filters.sort': 'Trier par',
+        'filters.sortCategory': 'Trier par catégorie',
+        'filters.sortImpact': 'Plus fort impact d\'abord',
+        'filters.sortCostEffectiveness': 'Plus rentables d\'abord',
+        'filters.sortFootprintShare': 'Plus grande part de mon empreinte d\'abord',
+        'filters.clear': 'Effacer les filtres',
+        'filters.empty': 'Aucune action ne correspond à ces filtres.',
+        'filters.showing': {
+            one: '{shown} action affichée sur {count}',
+            other: '{shown} actions affichées sur {count}'
+        },
+        'filters.hiddenSelected': {
+            one: '{count} action sélectionnée est masquée par les filtres mais reste comptée',
+            other: '{count} actions sélectionnées sont masquées par les filtres mais restent comptées'
+        },
+        'filters.rankedBy.impact': '🏆 Plus fort impact d\'abord',
+        'filters.rankedBy.costEffectiveness': '🏆 Plus rentables d\'abord',
+        'filters.rankedBy.footprintShare': '🏆 Plus grande part de votre empreinte d\'abord',
+        'filters.costPerTonne': '{cost} sur 10 ans',
+        'filters.share': '{percent} de vos émissions (catégorie {category})',
+
+        // Excluded actions
+        'excluded.heading': '🚫 Non disponibles pour vous',
+        'excluded.intro': 'Ces actions ont été écartées en raison de votre région ou de votre empreinte. Si votre situation est différente, vous pouvez en rajouter une.',
+        'excluded.gridClean': 'Votre réseau électrique est déjà peu carboné ({value} g CO₂/kWh) ; cette action n\'est rentable qu\'au-delà de {limit} g/kWh',
+        'excluded.gridDirty': 'Votre réseau électrique est trop carboné ({value} g CO₂/kWh) ; cette action n\'aide qu\'en dessous de {limit} g/kWh',
+        'excluded.climate': 'Adaptée aux climats : {limit} ; le climat de votre région est {value}',
+        'excluded.lowEmissions': 'Vos émissions dans cette catégorie sont déjà faibles ({value}, moins de {limit})',
+        'excluded.override': 'Ajouter quand même',
+        'excluded.confirm': '« {action} » a été écartée : {reason}.\n\nSes économies peuvent être bien plus faibles, voire nulles, dans votre situation. L\'ajouter quand même à vos actions ?',
+        'excluded.note': 'Ajoutée bien que déconseillée : {reason}',
+        'excluded.restore': 'Retirer',
+        'climate.Cold': 'froid',
+        'climate.Hot_Arid': 'chaud et aride',
+        'climate.Mixed': 'mixte',
+        'climate.Temperate': 'tempéré',
+        'climate.Tropical': 'tropical',
+
+        // Co-benefits
+        'filters.sortBenefitScore': 'Meilleur score carbone + bénéfices d\'abord',
+        'benefits.filter': 'Co-bénéfice',
+        'benefits.weightsHeading': '⚖️ Ce qui compte pour vous',
+        'benefits.weightsIntro': 'Pondérez le carbone et chaque co-bénéfice de 0 (sans importance) à 3 (très important), puis triez par score carbone + bénéfices.',
+        'benefits.planHeading': '🌱 Au-delà du carbone',
+        'benefits.health': 'Santé',
+        'benefits.savings': 'Économies',
+        'benefits.airQuality': 'Qualité de l\'air',
+        'benefits.social': 'Lien social',
+        'benefits.comfort': 'Confort',
+        'benefits.time': 'Temps',
+        'benefits.independence': 'Indépendance énergétique',
+        'benefits.waste': 'Moins de déchets',
+        'benefits.carbon': '🌍 Impact carbone',
+        'benefits.any': 'Tous les co-bénéfices',
+        'benefits.score': 'Score {score}/100',
+        'benefits.planIntro': 'En plus de réduire vos émissions de {reduction} par an, votre plan apporte : {benefits}.',
+        'benefits.planSavings': 'environ {amount}/an',
+        'benefits.planNone': 'Les actions de ce plan n\'ont pas de co-bénéfices enregistrés.',
+
+        // Kiosk mode
+        'kiosk.touch': '👆 Touchez l\'écran pour commencer',
+        'kiosk.personasHeading': 'Qui vous ressemble le plus ?',
+        'kiosk.personasIntro': 'Choisissez un point de départ. Vous pourrez modifier chaque réponse ensuite.',
+        'kiosk.startOwn': '✏️ Partir de valeurs typiques',
+        'kiosk.stay': 'Je suis toujours là',
+        'kiosk.cancel': 'Annuler',
+        'kiosk.ok': 'OK',
+        'kiosk.slide.footprint': '🌍 Quelle est la taille de votre empreinte carbone ? Découvrez-le en deux minutes.',
+        'kiosk.slide.paris': '🎯 Atteindre l\'objectif de Paris, c\'est environ 2 tonnes de CO₂e par personne et par an.',
+        'kiosk.slide.plan': '🛠️ Choisissez des actions, voyez ce que vous économisez et emportez votre plan grâce à un QR code.',
+        'kiosk.warning': {
+            one: 'Êtes-vous toujours là ? Cet écran sera réinitialisé dans {count} seconde.',
+            other: 'Êtes-vous toujours là ? Cet écran sera réinitialisé dans {count} secondes.'
+        },
+        'kiosk.persona.commuter': 'Trajets en voiture',
+        'kiosk.persona.commuter.detail': 'Va au travail en voiture aux États-Unis',
+        'kiosk.persona.flyer': 'Grand voyageur',
+        'kiosk.persona.flyer.detail': 'Va au travail en train en Europe, prend souvent l\'avion',
+        'kiosk.persona.student': 'Étudiant',
+        'kiosk.persona.student.detail': 'Prend le bus en Inde, végétarien',
+        'kiosk.persona.suburban': 'Maison en banlieue',
+        'kiosk.persona.suburban.detail': 'Chauffe une maison au Canada, se déplace en voiture',
+
+        // Accessibility: chart tables and announcements
+        'tab.list': 'Étapes',
+        'chart.table.show': 'Afficher sous forme de tableau',
+        'chart.table.item': 'Élément',
+        'chart.table.value': 'Valeur',
+        'chart.table.details': 'Détails',
+        'chart.table.category': 'Catégorie',
+        'chart.table.share': 'Part',
+        'chart.table.low': '20 % de moins',
+        'chart.table.high': '20 % de plus',
+        'finance.macCaption': 'Courbe des coûts marginaux d\'abattement, de la moins chère à la plus chère',
+        'finance.col.avoided': 't CO₂e/an',
+        'roadmap.annualLabel': 'Émissions annuelles par mois',
+        'roadmap.annualCaption': 'Émissions annuelles à la fin de chaque année',
+        'roadmap.cumulativeLabel': 'Tonnes évitées cumulées',
+        'roadmap.cumulativeCaption': 'Tonnes évitées cumulées à la fin de chaque année',
+        'roadmap.col.year': 'Année',
+        'roadmap.col.withoutPlan': 'Sans plan',
+        'roadmap.col.paris': 'Objectif de Paris',
+        'roadmap.col.avoided': 'Évitées',
+        'roadmap.neverReaches': '❌ Ce plan se stabilise à {amount}/an et n\'atteint jamais l\'objectif de Paris de {target}.',
+        'roadmap.belowFromStart': '✅ Vous êtes sous l\'objectif de Paris de {target} dès le premier mois.',
+        'roadmap.crosses': {
+            one: '✅ Vous passez sous l\'objectif de Paris de {target} en {date}, dans {count} mois.',
+            other: '✅ Vous passez sous l\'objectif de Paris de {target} en {date}, dans {count} mois.'
+        },
+        'roadmap.parisLabel': 'Paris {value} t',
+        'roadmap.milestone': '{value} t d\'ici {year}',
+        'roadmap.avoidedBy': 'Évité d\'ici {year}',
+        'roadmap.ganttValue': '{time} · -{amount}/an',
+        'live.announce': 'Avec votre plan : {total} par an, {reduction} de moins. {status}',
+
+        // Team dashboard
+        'tab.team': 'Équipe',
+        'team.heading': '👥 Tableau de bord de l’équipe',
+        'team.intro': 'Comparez une classe ou une équipe : ouvrez les fichiers de plan (💾 Plan (JSON) à l’étape 4) téléchargés par les participants. Les fichiers restent sur cet ordinateur ; rien n’est envoyé.',
+        'team.open': '📂 Ouvrir des fichiers de plan',
+        'team.clear': '🗑️ Vider',
+        'team.anonymous': 'Masquer les noms',
+        'team.empty': 'Aucun plan ouvert pour l’instant.',
+        'team.byCategory': 'Empreinte du groupe par catégorie',
+        'team.distribution': 'Répartition des empreintes',
+        'team.show': 'Afficher',
+        'team.leaderboard': 'Réductions promises',
+        'team.importFailed': {
+            one: 'Impossible d’ouvrir {count} fichier : {files}',
+            other: 'Impossible d’ouvrir {count} fichiers : {files}'
+        },
+        'team.confirmClear': {
+            one: 'Retirer le plan du tableau de bord de l’équipe ?',
+            other: 'Retirer les {count} plans du tableau de bord de l’équipe ?'
+        },
+        'team.participant': 'Participant {number}',
+        'team.remove': 'Retirer {name}',
+        'team.regionalAvg': 'Moyenne {region}',
+        'team.regionalAvgMixed': 'Moyenne régionale',
+        'team.parisTarget': 'Paris',
+        'team.stat.participants': 'Participants',
+        'team.stat.total': 'Empreinte cumulée',
+        'team.stat.average': 'Moyenne par personne',
+        'team.stat.reduction': 'Réduction promise par an',
+        'team.stat.percent': 'Réduction du groupe',
+        'team.stat.onTarget': 'Dans l’objectif de Paris',
+        'team.stat.onTargetValue': '{now} aujourd’hui, {planned} avec les plans',
+        'team.stat.avoidedBy': 'Évité ensemble d’ici {year}',
+        'team.people': {
+            one: '{count} personne',
+            other: '{count} personnes'
+        },
+        'team.axis': 'tonnes de CO₂e par an',
+        'team.histogramLabel': 'Nombre de participants selon leur empreinte annuelle',
+        'team.footprintRange': 'Empreinte',
+        'team.participants': 'Participants',
+        'team.participantHeading': 'Participant',
+        'team.reductionHeading': 'Réduction promise',
+        'team.footprintHeading': 'Empreinte actuelle → avec le plan',
+        'team.actionsHeading': 'Actions',
+
+        // Region comparison
+        'regions.heading': '🌐 Et si vous viviez à…',
+        'regions.intro': 'Vos réponses, recalculées avec le réseau électrique et les facteurs d’émission des transports de chaque région. L’alimentation, le numérique et les achats ne changent pas : l’écart vient de l’endroit où vous vivez, pas de votre façon de vivre.',
+        'regions.pick': 'Région à comparer',
+        'regions.add': '➕ Comparer',
+        'regions.tooMany': 'Comparez jusqu’à {count} régions à la fois ; retirez-en une d’abord.',
+        'regions.summary': 'Avec le même mode de vie, votre empreinte serait de {low} en {lowRegion} et de {high} en {highRegion} : {spread} dépendent de l’endroit où vous vivez, pas de votre façon de vivre.',
+        'regions.yours': '{region} (la vôtre)',
+        'regions.transportHome': 'Transport {transport}, logement {home}',
+        'regions.grid': 'Réseau : {value} g CO₂/kWh',
+        'regions.perCapita': 'Habitant type : {amount}',
+        'regions.barsLabel': 'Votre empreinte recalculée pour chaque région',
+        'regions.calculating': 'Calcul en cours…',
+        'regions.remove': 'Ne plus comparer {region}',
+        'regions.region': 'Région',
+        'regions.you': 'Vous, en y vivant',
+        'regions.gridHeading': 'Réseau g CO₂/kWh',
+        'regions.resident': 'Habitant type',
+        'regions.total': 'Total',
+
+        // Profiles
+        'profiles.selectPrompt': 'Choisir un profil...',
+        'profiles.saved': '« {name} » enregistré',
+        'profiles.loaded': '« {name} » chargé',
+        'profiles.deleted': '« {name} » supprimé',
+        'profiles.imported': { one: '{count} profil importé', other: '{count} profils importés' },
+        'profiles.nameRequired': 'Saisissez un nom pour le profil',
+        'profiles.selectRequired': 'Choisissez un profil enregistré à charger',
+        'profiles.invalid': 'Le profil « {name} » contient des valeurs manquantes ou non valides',
+        'profiles.noneToExport': 'Aucun profil enregistré à exporter',
+        'profiles.importFailed': 'Impossible d\'importer les profils : {reason}',
+        'profiles.saveFailed': 'Impossible d\'enregistrer les profils : {reason}',
+        'profiles.kioskUnavailable': 'Les profils ne sont pas enregistrés sur cet écran partagé',
+
+        // Errors and confirmations
+        'error.requiredFields': 'Veuillez remplir correctement tous les champs obligatoires',
+        'error.selectAction': 'Choisissez au moins une action avant d\'afficher le résumé',
+        'error.actionsSkipped': {
+            one: '{count} action enregistrée n\'est plus disponible et a été ignorée',
+            other: '{count} actions enregistrées ne sont plus disponibles et ont été ignorées'
+        },
+        'error.generic': 'Une erreur s\'est produite. Veuillez réessayer.',
+        'error.exportNoPlan': 'Créez un plan d\'action avant d\'exporter',
+        'report.title': 'Plan d\'action climat - {region}',
+        'report.heading': '🌍 Plan d\'action climat',
+        'report.print': 'Imprimer / Enregistrer en PDF',
+        'report.meta': 'Région : {region} · Généré le {date}',
+        'report.current': 'Empreinte actuelle : {amount} CO₂e/an',
+        'report.plan': 'Votre plan : {amount} CO₂e/an (-{percent})',
+        'report.beforeAfter': 'Avant et après',
+        'report.timeline': 'Calendrier de mise en œuvre',
+        'report.legend': '{category} : {amount} ({percent})',
+        'report.col.action': 'Action',
+        'report.col.impact': 'kg CO₂e/an',
+        'report.col.cost': 'Coût',
+        'report.col.difficulty': 'Difficulté',
+        'report.col.time': 'Délai',
+        'error.openPlan': 'Impossible d\'ouvrir le plan : {reason}',
+        'error.openSharedPlan': 'Impossible d\'ouvrir le plan partagé : {reason}',
+        'error.sharedPlanIncomplete': 'Il manque des données au plan partagé ; veuillez compléter le formulaire',
+        'error.planIncomplete': 'Le fichier du plan a des données manquantes ou invalides ; vérifiez le formulaire',
+        'error.timeout': 'Le moteur de calcul n\'a pas répondu. Veuillez réessayer.',
+        'reason.notJSON': 'le fichier n\'est pas un JSON valide',
+        'reason.version': 'version de fichier non prise en charge : {version}',
+        'reason.notPlanFile': 'ce n\'est pas un fichier de plan Carbon Action Tracker',
+        'reason.noInputs': 'le fichier ne contient aucune saisie',
+        'reason.noFootprint': 'le fichier ne contient pas d\'empreinte valide',
+        'reason.badImpact': 'le fichier contient un impact de plan non valide',
+        'reason.noActions': 'le fichier ne contient aucune action sélectionnée',
+        'reason.notProfileFile': 'ce n\'est pas un fichier de profils Carbon Action Tracker',
+        'reason.noProfiles': 'le fichier ne contient aucun profil',
+        'reason.profileName': 'chaque profil doit avoir un nom',
+        'reason.unknownRegion': 'le fichier contient une région que cette application ne connaît pas',
+        'reason.unknownAction': 'le fichier contient des actions que cette application ne connaît pas',
+        'reason.unreadable': 'le fichier n\'a pas pu être lu',
+        'reason.linkValue': 'valeur non valide pour {field}',
+        'reason.linkActions': 'liste d\'actions non valide',
+        'reason.linkModified': 'le lien est incomplet ou a été modifié',
+        'reason.linkNewer': 'le lien a été créé par une version plus récente du tracker',
+        'share.tooLarge': 'Ce plan est trop volumineux pour un code QR ; utilisez plutôt le lien.',
+        'share.copied': 'Lien copié',
+        'share.pressCopy': 'Appuyez sur Ctrl+C pour copier le lien sélectionné',
+        'share.household': 'Les liens contiennent les données d\'une seule personne et ne peuvent donc pas partager un plan de foyer. Utilisez 💾 Plan (JSON) ci-dessous pour conserver tous les membres.',
+        'confirm.reset': 'Voulez-vous vraiment réinitialiser ? Toutes les données saisies seront effacées ; votre historique de suivi est conservé.'
+    },
+    actions: {
+        1: ['Passer à une voiture électrique (VE)', 'Remplacer la voiture à essence par une voiture électrique à batterie'],
+        2: ['Passer à un hybride rechargeable (PHEV)', 'Remplacer la voiture à essence par un hybride rechargeable'],
+        3: ['Transports en commun 3 jours par semaine', 'Remplacer la voiture par le bus ou le train 3 jours par semaine'],
+        4: ['Transports en commun 5 jours par semaine', 'Remplacer la voiture par le bus ou le train tous les jours'],
+        5: ['Vélo pour les trajets de moins de 5 km', 'Remplacer les petits trajets en voiture par le vélo'],
+        6: ['Covoiturage 3 jours par semaine', 'Partager la voiture avec des collègues 3 jours par semaine'],
+        7: ['Réduire les vols intérieurs de 50 %', 'Diviser par deux les voyages en avion à l\'intérieur du pays'],
+        8: ['Réduire les vols internationaux de 50 %', 'Diviser par deux les voyages internationaux en avion'],
+        9: ['Télétravailler 2 jours de plus par semaine', 'Réduire les trajets grâce au télétravail'],
+        10: ['Passer à une voiture hybride', 'Remplacer la voiture à essence par un hybride classique'],
+        11: ['Adopter l\'écoconduite', 'Réduire la consommation de carburant grâce à la conduite'],
+        12: ['Maintenir une bonne pression des pneus', 'Réduire la consommation de carburant en entretenant les pneus'],
+        13: ['Installer des panneaux solaires (5 kW)', 'Installation solaire sur le toit du logement'],
+        14: ['Installer des panneaux solaires (10 kW)', 'Grande installation solaire sur le toit du logement'],
+        15: ['Passer à une pompe à chaleur', 'Remplacer la chaudière à gaz par une pompe à chaleur électrique'],
+        16: ['Améliorer l\'isolation du logement', 'Renforcer l\'isolation des combles et des murs'],
+        17: ['Installer un thermostat connecté', 'Optimisation programmable du chauffage et de la climatisation'],
+        18: ['Passer à l\'éclairage LED', 'Remplacer toutes les ampoules par des LED'],
+        19: ['Passer à des appareils économes', 'Remplacer les vieux appareils par des modèles efficaces'],
+        20: ['Installer du double vitrage', 'Passer à des fenêtres économes en énergie'],
+        21: ['Baisser le chauffage de 2 °C en hiver', 'Baisser la consigne du thermostat'],
+        22: ['Remonter la climatisation de 2 °C en été', 'Augmenter la consigne du thermostat'],
+        23: ['Installer un chauffe-eau solaire', 'Solaire thermique pour l\'eau chaude'],
+        24: ['Souscrire une offre d\'électricité verte', 'Acheter de l\'électricité renouvelable à son fournisseur'],
+        25: ['Installer une batterie domestique', 'Batterie pour optimiser le solaire ou le réseau'],
+        26: ['Sécher le linge à l\'air libre', 'Ne plus utiliser le sèche-linge électrique'],
+        27: ['Un jour sans viande par semaine (lundi vert)', 'Réduire la viande un jour par semaine'],
+        28: ['Deux jours sans viande par semaine', 'Réduire la viande deux jours par semaine'],
+        29: ['Passer à un régime végétarien', 'Supprimer toute viande et tout poisson'],
+        30: ['Passer à un régime végétalien', 'Supprimer tous les produits d\'origine animale'],
+        31: ['Réduire le bœuf de 75 %', 'Manger du bœuf une fois par mois au plus'],
+        32: ['Acheter local et de saison', 'Réduire les émissions liées au transport des aliments'],
+        33: ['Réduire le gaspillage alimentaire de 30 %', 'Mieux planifier les repas et conserver les aliments'],
+        34: ['Composter à la maison', 'Détourner les déchets organiques des décharges'],
+        35: ['Baisser la qualité du streaming (HD à SD)', 'Réduire la résolution vidéo pour économiser de la bande passante'],
+        36: ['Réduire les visioconférences de 25 %', 'Privilégier les appels audio ou l\'e-mail quand c\'est possible'],
+        37: ['Faire le tri dans son stockage en ligne', 'Supprimer les fichiers et photos inutilisés'],
+        38: ['Optimiser l\'usage des requêtes d\'IA', 'Utiliser les assistants d\'IA de façon plus réfléchie'],
+        39: ['Se désabonner des e-mails inutiles', 'Réduire le stockage et le traitement des e-mails'],
+        40: ['Acheter de l\'électronique d\'occasion ou reconditionnée', 'Préférer les appareils d\'occasion aux neufs'],
+        41: ['Réparer l\'électronique au lieu de la remplacer', 'Faire réparer téléphones et ordinateurs plutôt que de changer'],
+        42: ['Acheter 50 % de vêtements en moins', 'Acheter deux fois moins de vêtements neufs'],
+        43: ['Acheter des vêtements d\'occasion', 'Préférer la friperie et le vintage à la mode éphémère'],
+        44: ['Privilégier la qualité à la quantité', 'Investir dans des objets durables'],
+        45: ['Des mois « rien de neuf »', 'S\'engager à ne rien acheter de neuf un mois par trimestre'],
+        46: ['Emprunter ou louer plutôt qu\'acheter', 'Utiliser les outilthèques et les services de location'],
+        47: ['Passer aux produits réutilisables', 'Remplacer le jetable par des alternatives réutilisables'],
+        48: ['Choisir des marques durables', 'Soutenir les entreprises aux pratiques bas carbone'],
+        49: ['Réduire les déchets d\'emballage', 'Acheter en vrac et sans emballage'],
+        50: ['Résilier les abonnements inutilisés', 'Supprimer les abonnements que vous n\'utilisez pas']
+    }
+});
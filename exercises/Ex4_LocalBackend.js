@@ -0,0 +1,793 @@
+// ===== Local Backend (Standalone Browser Mode) =====
+// Pure-JavaScript port of the MATLAB backend used by Ex4_CarbonActionTracker.m.
+// It mimics the uihtml component: sendEventToMATLAB() receives the same event
+// names (CalculateFootprint, GetAvailableActions, GetExcludedActions,
+// GetRegions, CalculateActionImpact, GenerateSummary, ResetApp) and replies with the same events and data shapes,
+// so the tracker can run on a kiosk or a plain web page without MATLAB.
+
+const LocalBackend = (() => {
+    // Location of the CSV files relative to the HTML page
+    let dataPath = '../data/';
+    let dataPromise = null;
+
+    const GLOBAL_AVG_TONS = 4.7;
+    const PARIS_TARGET_TONS = 2.0;
+    const NATURAL_GAS_FACTOR = 200;  // g CO₂/kWh (IPCC 2019)
+
+    const DIET_FACTORS = {
+        'meat-heavy': 2500,
+        'balanced': 1800,
+        'vegetarian': 1200,
+        'vegan': 1000
+    };
+
+    const SHOPPING_FACTORS = {
+        'minimal': 800,
+        'moderate': 1500,
+        'frequent': 2500
+    };
+
+    const COMMUTE_MODES = [
+        'Car_Gasoline', 'Car_Diesel', 'Car_Electric_BEV', 'Bus',
+        'Train_Rail', 'Motorcycle', 'Cycling', 'Walking'
+    ];
+
+    const CATEGORIES = ['Transport', 'Home', 'Food', 'Digital', 'Consumption'];
+
+    // ===== CSV Loading =====
+    function setDataPath(path) {
+        dataPath = path.endsWith('/') ? path : path + '/';
+        dataPromise = null;
+    }
+
+    function parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"' && field === '') {
+                quoted = true;
+            } else if (ch === ',') {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Convert rows to objects keyed by the header, typed like readtable()
+        const header = rows.shift();
+        return rows
+            .filter(r => r.length > 1 || r[0] !== '')
+            .map(r => {
+                const record = {};
+                header.forEach((name, col) => {
+                    record[name] = convertValue(r[col] === undefined ? '' : r[col]);
+                });
+                return record;
+            });
+    }
+
+    function convertValue(raw) {
+        const value = raw.trim();
+        if (value === 'TRUE') return true;
+        if (value === 'FALSE') return false;
+        if (value !== '' && !isNaN(Number(value))) return Number(value);
+        return value;
+    }
+
+    function loadTable(fileName) {
+        return fetch(dataPath + fileName).then(response => {
+            if (!response.ok) {
+                throw new Error(`Data file not found: ${dataPath}${fileName}`);
+            }
+            return response.text();
+        }).then(parseCSV);
+    }
+
+    function loadData() {
+        if (!dataPromise) {
+            dataPromise = Promise.all([
+                loadTable('transportEmissionFactors.csv'),
+                loadTable('regionalAverages.csv'),
+                loadTable('actionLibrary.csv'),
+                loadTable('regionalActionModifiers.csv'),
+                loadTable('actionDatabase.csv')
+            ]).then(([transportFactors, regionalAverages, actionLibrary, actionModifiers, actionDatabase]) => ({
+                transportFactors,
+                regionalAverages,
+                actionLibrary,
+                actionModifiers,
+                actionDatabase
+            }));
+
+            // Allow a retry after a failed load
+            dataPromise.catch(() => { dataPromise = null; });
+        }
+        return dataPromise;
+    }
+
+    // ===== Emission Calculations (ports of functions/*.m) =====
+    function findRegion(data, region) {
+        const name = String(region).toLowerCase();
+        let row = data.regionalAverages.find(r => r.Region.toLowerCase() === name);
+
+        if (!row) {
+            console.warn(`Region "${region}" not found, using Global average`);
+            row = data.regionalAverages.find(r => r.Region === 'Global');
+        }
+
+        if (!row) {
+            throw new Error('Could not find Global fallback data');
+        }
+        return row;
+    }
+
+    function getGridIntensity(data, region) {
+        return findRegion(data, region).GridIntensity_gCO2_per_kWh;
+    }
+
+    function findTransportFactor(data, mode, region, vehicleType) {
+        const matches = r => r.Transport_Mode === mode &&
+            (vehicleType === undefined || r.Vehicle_Type === vehicleType);
+
+        const row = data.transportFactors.find(r => matches(r) && r.Region === region) ||
+            data.transportFactors.find(r => matches(r) && r.Region === 'Global');
+
+        return row ? row.CO2e_Factor_g_per_unit : null;
+    }
+
+    function calculateTransportEmissions(data, region, commuteMode, dailyCommuteKm,
+        commuteDaysPerYear, domesticFlightsPerYear, avgDomesticFlightKm,
+        internationalFlightsPerYear, avgInternationalFlightKm, otherTravelKmPerWeek) {
+
+        if (!COMMUTE_MODES.includes(commuteMode)) {
+            throw new Error(`Commute mode "${commuteMode}" is not supported`);
+        }
+
+        const zeroEmissionMode = commuteMode === 'Walking' || commuteMode === 'Cycling';
+
+        // Daily commute (round trip)
+        let commuteEmissions_g = 0;
+        if (!zeroEmissionMode) {
+            const factor = findTransportFactor(data, commuteMode, region);
+            if (factor === null) {
+                throw new Error(`Commute mode "${commuteMode}" not found in emission factors database for region "${region}"`);
+            }
+            commuteEmissions_g = dailyCommuteKm * 2 * factor * commuteDaysPerYear;
+        }
+
+        // Flights (round trips, Global aviation factors)
+        const domesticFactor = findTransportFactor(data, 'Aviation', 'Global', 'Domestic_Medium') || 0;
+        const internationalFactor = findTransportFactor(data, 'Aviation', 'Global', 'International_Long') || 0;
+        const domesticFlightEmissions_g = domesticFlightsPerYear * 2 * avgDomesticFlightKm * domesticFactor;
+        const internationalFlightEmissions_g = internationalFlightsPerYear * 2 * avgInternationalFlightKm * internationalFactor;
+
+        // Other travel uses the commute mode, or a car for walkers and cyclists
+        const otherTravelMode = zeroEmissionMode ? 'Car_Gasoline' : commuteMode;
+        const otherFactor = findTransportFactor(data, otherTravelMode, region) || 0;
+        const otherTravelEmissions_g = otherTravelKmPerWeek * 52 * otherFactor;
+
+        const totalEmissions_g = commuteEmissions_g + domesticFlightEmissions_g +
+            internationalFlightEmissions_g + otherTravelEmissions_g;
+
+        return totalEmissions_g / 1000;
+    }
+
+    // Logged flights: passenger-km per Aviation band (Domestic_Short,
+    // Domestic_Medium, International_Long, Business_Class, First_Class)
+    function calculateFlightEmissions(data, region, bandKm) {
+        if (!bandKm || typeof bandKm !== 'object') {
+            throw new Error('Invalid flight log data');
+        }
+
+        let totalEmissions_g = 0;
+
+        Object.keys(bandKm).forEach(band => {
+            const km = bandKm[band];
+            if (typeof km !== 'number' || !(km >= 0)) {
+                throw new Error(`Invalid flight distance for "${band}"`);
+            }
+
+            const factor = findTransportFactor(data, 'Aviation', region, band);
+            if (factor === null) {
+                throw new Error(`Flight band "${band}" not found in emission factors database`);
+            }
+            totalEmissions_g += km * factor;
+        });
+
+        return totalEmissions_g / 1000;
+    }
+
+    function calculateHomeEmissions(data, region, annualElectricityKWh, annualNaturalGasKWh) {
+        const electricityEmissions_g = annualElectricityKWh * getGridIntensity(data, region);
+        const naturalGasEmissions_g = annualNaturalGasKWh * NATURAL_GAS_FACTOR;
+
+        return (electricityEmissions_g + naturalGasEmissions_g) / 1000;
+    }
+
+    function calculateFoodEmissions(dietType) {
+        if (!(dietType in DIET_FACTORS)) {
+            throw new Error(`Unknown diet type "${dietType}"`);
+        }
+        return DIET_FACTORS[dietType];
+    }
+
+    function calculateDigitalEmissions(streamingHoursPerDay, aiQueriesPerDay, cloudStorageGB,
+        videoCallHoursPerWeek, emailsPerDay) {
+
+        const streamingFactor = 55;   // g CO₂/hour (HD streaming)
+        const aiFactor = 10;          // g CO₂/query (LLM inference)
+        const storageFactor = 0.2;    // g CO₂/GB/year
+        const videoCallFactor = 150;  // g CO₂/hour
+        const emailFactor = 4;        // g CO₂/email
+
+        const totalEmissions_g = streamingHoursPerDay * 365 * streamingFactor +
+            aiQueriesPerDay * 365 * aiFactor +
+            cloudStorageGB * storageFactor +
+            videoCallHoursPerWeek * 52 * videoCallFactor +
+            emailsPerDay * 365 * emailFactor;
+
+        return totalEmissions_g / 1000;
+    }
+
+    function calculateConsumptionEmissions(shoppingFrequency, clothingPurchases,
+        electronicsPurchases, furniturePurchases) {
+
+        if (!(shoppingFrequency in SHOPPING_FACTORS)) {
+            throw new Error(`Unknown shopping frequency "${shoppingFrequency}"`);
+        }
+
+        const clothingFactor = 20;
+        const electronicsFactor = 200;
+        const furnitureFactor = 300;
+
+        return SHOPPING_FACTORS[shoppingFrequency] +
+            clothingPurchases * clothingFactor +
+            electronicsPurchases * electronicsFactor +
+            furniturePurchases * furnitureFactor;
+    }
+
+    function homeShareOf(userData) {
+        return 'homeShare' in userData ? userData.homeShare : 1;
+    }
+
+    function calculateCurrentFootprint(data, userData) {
+        // Logged flights replace the average flight fields
+        const flightKm = userData.flightKm;
+
+        let transport = calculateTransportEmissions(data,
+            userData.region,
+            userData.commuteMode,
+            userData.dailyCommuteKm,
+            userData.commuteDays,
+            flightKm ? 0 : userData.domesticFlights,
+            userData.avgDomesticFlightKm,
+            flightKm ? 0 : userData.internationalFlights,
+            userData.avgInternationalFlightKm,
+            userData.otherTravelKm);
+
+        if (flightKm) {
+            transport += calculateFlightEmissions(data, userData.region, flightKm.domestic) +
+                calculateFlightEmissions(data, userData.region, flightKm.international);
+        }
+
+        // A household member pays homeShare of the household's home energy
+        const home = calculateHomeEmissions(data,
+            userData.region,
+            userData.monthlyElectricityKWh * 12,
+            userData.monthlyNaturalGasKWh * 12) * homeShareOf(userData);
+
+        const food = calculateFoodEmissions(userData.dietType);
+
+        const digital = calculateDigitalEmissions(
+            userData.streamingHoursPerDay,
+            userData.aiQueriesPerDay,
+            userData.cloudStorageGB,
+            userData.videoCallHoursPerWeek,
+            userData.emailsPerDay);
+
+        const consumption = calculateConsumptionEmissions(
+            userData.shoppingFrequency,
+            userData.clothingPurchases,
+            userData.electronicsPurchases,
+            userData.furniturePurchases);
+
+        const total = transport + home + food + digital + consumption;
+
+        return {
+            transport,
+            home,
+            food,
+            digital,
+            consumption,
+            total,
+            transportTons: transport / 1000,
+            homeTons: home / 1000,
+            foodTons: food / 1000,
+            digitalTons: digital / 1000,
+            consumptionTons: consumption / 1000,
+            totalTons: total / 1000,
+            transportPercent: (transport / total) * 100,
+            homePercent: (home / total) * 100,
+            foodPercent: (food / total) * 100,
+            digitalPercent: (digital / total) * 100,
+            consumptionPercent: (consumption / total) * 100
+        };
+    }
+
+    // Each part reuses the category function with the other inputs set to
+    // zero, so the parts use the same factors as the category total
+    function calculateFootprintBreakdown(data, userData) {
+        const region = userData.region;
+        const mode = userData.commuteMode;
+        const part = (key, name, value) => ({ key, name, value });
+
+        const flightKm = userData.flightKm;
+
+        const transport = [
+            part('commute', 'Commute', calculateTransportEmissions(data, region, mode,
+                userData.dailyCommuteKm, userData.commuteDays, 0, 0, 0, 0, 0)),
+            part('domesticFlights', 'Domestic flights', flightKm ?
+                calculateFlightEmissions(data, region, flightKm.domestic) :
+                calculateTransportEmissions(data, region, mode,
+                    0, 0, userData.domesticFlights, userData.avgDomesticFlightKm, 0, 0, 0)),
+            part('internationalFlights', 'International flights', flightKm ?
+                calculateFlightEmissions(data, region, flightKm.international) :
+                calculateTransportEmissions(data, region, mode,
+                    0, 0, 0, 0, userData.internationalFlights, userData.avgInternationalFlightKm, 0)),
+            part('otherTravel', 'Other travel', calculateTransportEmissions(data, region, mode,
+                0, 0, 0, 0, 0, 0, userData.otherTravelKm))
+        ];
+
+        const homeShare = homeShareOf(userData);
+        const home = [
+            part('electricity', 'Electricity',
+                calculateHomeEmissions(data, region, userData.monthlyElectricityKWh * 12, 0) * homeShare),
+            part('naturalGas', 'Natural gas',
+                calculateHomeEmissions(data, region, 0, userData.monthlyNaturalGasKWh * 12) * homeShare)
+        ];
+
+        const food = [part('diet', 'Diet', calculateFoodEmissions(userData.dietType))];
+
+        const digital = [
+            part('streaming', 'Streaming', calculateDigitalEmissions(userData.streamingHoursPerDay, 0, 0, 0, 0)),
+            part('aiQueries', 'AI queries', calculateDigitalEmissions(0, userData.aiQueriesPerDay, 0, 0, 0)),
+            part('cloudStorage', 'Cloud storage', calculateDigitalEmissions(0, 0, userData.cloudStorageGB, 0, 0)),
+            part('videoCalls', 'Video calls', calculateDigitalEmissions(0, 0, 0, userData.videoCallHoursPerWeek, 0)),
+            part('email', 'Email', calculateDigitalEmissions(0, 0, 0, 0, userData.emailsPerDay))
+        ];
+
+        const frequency = userData.shoppingFrequency;
+        const shopping = calculateConsumptionEmissions(frequency, 0, 0, 0);
+        const consumption = [
+            part('shopping', 'General shopping', shopping),
+            part('clothing', 'Clothing',
+                calculateConsumptionEmissions(frequency, userData.clothingPurchases, 0, 0) - shopping),
+            part('electronics', 'Electronics',
+                calculateConsumptionEmissions(frequency, 0, userData.electronicsPurchases, 0) - shopping),
+            part('furniture', 'Furniture',
+                calculateConsumptionEmissions(frequency, 0, 0, userData.furniturePurchases) - shopping)
+        ];
+
+        return { transport, home, food, digital, consumption };
+    }
+
+    // ===== Actions (ports of getAvailableActions / calculateActionImpact) =====
+    function getAvailableActions(data, region, currentFootprint) {
+        const regionRow = findRegion(data, region);
+        const actions = data.actionLibrary.filter(action => !exclusionOf(action, regionRow, currentFootprint));
+
+        console.log(`Filtered to ${actions.length} applicable actions from ${data.actionLibrary.length} total`);
+
+        return actions.map(action => withCosts(data, action));
+    }
+
+    // The actions getAvailableActions leaves out, each with `exclusion`
+    function getExcludedActions(data, region, currentFootprint) {
+        const regionRow = findRegion(data, region);
+        const excluded = [];
+        data.actionLibrary.forEach(action => {
+            const exclusion = exclusionOf(action, regionRow, currentFootprint);
+            if (exclusion) {
+                excluded.push(Object.assign(withCosts(data, action), { exclusion }));
+            }
+        });
+        return excluded;
+    }
+
+    // Why an action doesn't apply to the user, or null when it does:
+    // { reason, value, limit } with reason 'gridClean', 'gridDirty',
+    // 'climate' (value is the region's climate zone, limit the action's
+    // climates) or 'lowEmissions' (value is the category's emissions, kg)
+    function exclusionOf(action, regionRow, currentFootprint) {
+        const gridIntensity = regionRow.GridIntensity_gCO2_per_kWh;
+        const climateZone = regionRow.ClimateZone;
+
+        // Grid intensity requirements
+        if (typeof action.MinGridIntensity === 'number' && gridIntensity < action.MinGridIntensity) {
+            return { reason: 'gridClean', value: gridIntensity, limit: action.MinGridIntensity };
+        }
+        if (typeof action.MaxGridIntensity === 'number' && gridIntensity > action.MaxGridIntensity) {
+            return { reason: 'gridDirty', value: gridIntensity, limit: action.MaxGridIntensity };
+        }
+
+        // Climate zone applicability
+        const climates = String(action.ApplicableClimates);
+        if (climates !== 'All' && !climates.includes(climateZone)) {
+            return { reason: 'climate', value: climateZone, limit: climates };
+        }
+
+        // Relevance to the current footprint
+        const minimum = { Transport: 100, Home: 100, Food: 500 }[action.Category];
+        const emissions = currentFootprint[String(action.Category).toLowerCase()];
+        if (minimum !== undefined && emissions < minimum) {
+            return { reason: 'lowEmissions', value: emissions, limit: minimum };
+        }
+        return null;
+    }
+
+    function withCosts(data, action) {
+        return Object.assign({}, action, getCostRange(action.CostCategory), getFinancials(data, action.DatabaseAction));
+    }
+
+    // Upfront cost, payback and co-benefits from actionDatabase.csv; null for
+    // actions marked 'Uncosted'
+    function getFinancials(data, databaseAction) {
+        const row = data.actionDatabase.find(r => r.Action === databaseAction);
+        if (!row) {
+            return { Cost_USD: null, Payback_Years: null, Co_Benefits: '' };
+        }
+        return { Cost_USD: row.Cost_USD, Payback_Years: row.Payback_Years, Co_Benefits: row.Co_Benefits };
+    }
+
+    function getCostRange(costCategory) {
+        switch (costCategory) {
+            case 'Free':
+                return { costLabel: 'Free', costLow: 0, costHigh: 0 };
+            case 'Low':
+                return { costLabel: 'Low ($0-500)', costLow: 0, costHigh: 500 };
+            case 'Medium':
+                return { costLabel: 'Medium ($500-5K)', costLow: 500, costHigh: 5000 };
+            case 'High':
+                return { costLabel: 'High ($5K+)', costLow: 5000, costHigh: 50000 };
+            default:
+                return {};
+        }
+    }
+
+    function getRegionalMultiplier(data, region, actionID, category) {
+        const row = data.actionModifiers.find(r => r.Region.toLowerCase() === String(region).toLowerCase());
+        if (!row) return 1.0;
+
+        const actionCol = `Action_${actionID}_Multiplier`;
+        if (actionCol in row) return row[actionCol];
+
+        const categoryCol = `${category}_Multiplier`;
+        if (categoryCol in row) return row[categoryCol];
+
+        return 1.0;
+    }
+
+    // assignments: optional [{ actionID, member }] giving the index of the
+    // household member (currentFootprint.household.members) taking an action
+    function calculateActionImpact(data, region, currentFootprint, selectedActionIDs, allActions, assignments) {
+        const members = currentFootprint.household ? [].concat(currentFootprint.household.members) : [];
+
+        const impact = {
+            totalReduction: 0,
+            actionDetails: [],
+            categoryBreakdown: { Transport: 0, Home: 0, Food: 0, Digital: 0, Consumption: 0 }
+        };
+
+        selectedActionIDs.forEach(actionID => {
+            const action = allActions.find(a => a.ActionID === actionID);
+            if (!action) {
+                console.warn(`Action ID ${actionID} not found`);
+                return;
+            }
+
+            const multiplier = getRegionalMultiplier(data, region, action.ActionID, action.Category);
+
+            // Cap impact at current category emissions, or at the assigned
+            // household member's emissions
+            const assignment = (assignments || []).find(a => a.actionID === actionID);
+            const emissions = (assignment && members[assignment.member]) || currentFootprint;
+            const category = action.Category;
+            const categoryEmissions = emissions[category.toLowerCase()];
+            const actualImpact = Math.min(action.BaseImpact_kg * multiplier, categoryEmissions);
+
+            impact.totalReduction += actualImpact;
+            impact.categoryBreakdown[category] += actualImpact;
+
+            impact.actionDetails.push({
+                id: action.ActionID,
+                name: action.ActionName,
+                category: category,
+                impact: actualImpact,
+                costCategory: action.CostCategory,
+                costLow: action.costLow,
+                costHigh: action.costHigh
+            });
+        });
+
+        // Sort actions by impact (highest first)
+        impact.actionDetails.sort((a, b) => b.impact - a.impact);
+
+        return impact;
+    }
+
+    // ===== Summary (port of generateActionSummary) =====
+    function formatCurrency(num) {
+        return num >= 1000 ? Math.round(num).toLocaleString('en-US') : num.toFixed(0);
+    }
+
+    function generateActionSummary(currentFootprint, impact, selectedActions, region) {
+        const lines = [];
+        const rule = '========================================';
+        const parisTarget = currentFootprint.parisTarget || PARIS_TARGET_TONS;
+
+        lines.push(rule, '  YOUR CARBON ACTION PLAN', rule, '');
+        lines.push(`Region: ${region}`);
+        if (currentFootprint.household) {
+            lines.push(`Household: ${currentFootprint.household.size} people ` +
+                `(${currentFootprint.household.perCapitaTons.toFixed(2)} tons CO2e/year each)`);
+        }
+        lines.push('');
+
+        lines.push('--- EMISSIONS SUMMARY ---');
+        lines.push(`Current Footprint:  ${currentFootprint.totalTons.toFixed(2)} tons CO2e/year`);
+        lines.push(`Projected Footprint: ${impact.newTotal.toFixed(2)} tons CO2e/year`);
+        lines.push(`Total Reduction:     ${(impact.totalReduction / 1000).toFixed(2)} tons (${impact.reductionPercent.toFixed(0)}%)`, '');
+
+        lines.push('--- PARIS AGREEMENT STATUS ---');
+        if (impact.newTotal <= parisTarget) {
+            lines.push('✓ ON TRACK!', `You are below the ${parisTarget.toFixed(1)} tons/year target`, '');
+        } else if (impact.newTotal <= parisTarget * 1.5) {
+            lines.push('⚠ CLOSE TO TARGET',
+                `You are ${(impact.newTotal - parisTarget).toFixed(2)} tons above the ${parisTarget.toFixed(1)} target`, '');
+        } else {
+            lines.push('✗ ABOVE TARGET',
+                `You need to reduce by ${(impact.newTotal - parisTarget).toFixed(2)} more tons`, '');
+        }
+
+        lines.push('--- REDUCTION BY CATEGORY ---');
+        CATEGORIES.forEach(catName => {
+            const reduction = impact.categoryBreakdown[catName] || 0;
+            if (reduction > 0) {
+                lines.push(`${(catName + ':').padEnd(15)} -${reduction.toFixed(1)} kg/year`);
+            }
+        });
+        lines.push('');
+
+        const details = impact.actionDetails || [];
+        lines.push(`--- SELECTED ACTIONS (${details.length} total) ---`, '');
+
+        if (details.length > 0) {
+            const sorted = details.slice().sort((a, b) => b.impact - a.impact);
+            sorted.forEach((action, i) => {
+                lines.push(`${i + 1}. ${action.name}`);
+                lines.push(`   Impact: -${action.impact.toFixed(0)} kg CO2/year`);
+                lines.push(`   Cost:   ${action.costCategory}`);
+                if (i < sorted.length - 1) lines.push('');
+            });
+        } else {
+            lines.push('No actions selected');
+        }
+        lines.push('');
+
+        lines.push('--- ESTIMATED INVESTMENT ---');
+        if (impact.totalCostLow === 0 && impact.totalCostHigh === 0) {
+            lines.push('Total Cost: FREE', '(Behavioral changes only)');
+        } else if (impact.totalCostLow === impact.totalCostHigh) {
+            lines.push(`Total Cost: ~$${formatCurrency(impact.totalCostLow)}`);
+        } else {
+            lines.push(`Total Cost Range: $${formatCurrency(impact.totalCostLow)} - $${formatCurrency(impact.totalCostHigh)}`);
+        }
+        lines.push('');
+
+        lines.push(rule, '  Next Steps:',
+            '  1. Review your action plan',
+            '  2. Start with easiest actions first',
+            '  3. Track your progress monthly',
+            '  4. Adjust as needed',
+            rule);
+
+        return lines.join('\n') + '\n';
+    }
+
+    // ===== Event Handlers (ports of Ex4_CarbonActionTracker.m) =====
+    function isValidInput(userData) {
+        const requiredFields = ['region', 'commuteMode', 'dailyCommuteKm',
+            'commuteDays', 'monthlyElectricityKWh', 'dietType'];
+
+        for (const field of requiredFields) {
+            if (!(field in userData)) {
+                console.log(`Missing required field: ${field}`);
+                return false;
+            }
+        }
+
+        const numericFields = ['dailyCommuteKm', 'commuteDays', 'monthlyElectricityKWh',
+            'monthlyNaturalGasKWh', 'domesticFlights', 'internationalFlights', 'homeShare'];
+
+        for (const field of numericFields) {
+            if (field in userData) {
+                const value = userData[field];
+                if (typeof value !== 'number' || isNaN(value) || value < 0) {
+                    console.log(`Invalid value for ${field}: must be positive number`);
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    function handleCalculateFootprint(data, userData) {
+        if (!isValidInput(userData)) {
+            throw new Error('Invalid input data received');
+        }
+
+        const footprint = calculateCurrentFootprint(data, userData);
+        footprint.breakdown = calculateFootprintBreakdown(data, userData);
+        const regionalData = findRegion(data, userData.region);
+
+        footprint.region = userData.region;
+        footprint.regionalAvg = regionalData.PerCapita_Total_Tons;
+        footprint.globalAvg = GLOBAL_AVG_TONS;
+        footprint.parisTarget = PARIS_TARGET_TONS;
+
+        footprint.vsRegional = ((footprint.total / footprint.regionalAvg) - 1) * 100;
+        footprint.vsGlobal = ((footprint.total / footprint.globalAvg) - 1) * 100;
+        footprint.vsParis = ((footprint.total / footprint.parisTarget) - 1) * 100;
+
+        if (footprint.totalTons <= footprint.parisTarget) {
+            footprint.parisStatus = 'aligned';
+        } else if (footprint.totalTons <= footprint.parisTarget * 1.5) {
+            footprint.parisStatus = 'close';
+        } else {
+            footprint.parisStatus = 'above';
+        }
+
+        return footprint;
+    }
+
+    function handleCalculateActionImpact(data, request) {
+        const impact = calculateActionImpact(data, request.region, request.currentFootprint,
+            request.selectedActionIDs, request.allActions, request.assignments);
+
+        impact.newTotal = (request.currentFootprint.total - impact.totalReduction) / 1000;
+        impact.reductionPercent = (impact.totalReduction / request.currentFootprint.total) * 100;
+
+        // Households carry a Paris target scaled by their size
+        const parisTarget = request.currentFootprint.parisTarget || PARIS_TARGET_TONS;
+        if (impact.newTotal <= parisTarget) {
+            impact.parisStatus = 'aligned';
+        } else if (impact.newTotal <= parisTarget * 1.5) {
+            impact.parisStatus = 'close';
+        } else {
+            impact.parisStatus = 'above';
+        }
+
+        impact.totalCostLow = impact.actionDetails.reduce((sum, a) => sum + a.costLow, 0);
+        impact.totalCostHigh = impact.actionDetails.reduce((sum, a) => sum + a.costHigh, 0);
+
+        return impact;
+    }
+
+    function processEvent(eventName, request, data) {
+        switch (eventName) {
+            case 'CalculateFootprint':
+                return ['FootprintCalculated', handleCalculateFootprint(data, request)];
+
+            case 'GetAvailableActions':
+                return ['ActionsLoaded', getAvailableActions(data, request.region, request.currentFootprint)];
+
+            case 'GetExcludedActions':
+                return ['ExcludedActionsLoaded', getExcludedActions(data, request.region, request.currentFootprint)];
+
+            case 'GetRegions':
+                return ['RegionsLoaded', data.regionalAverages];
+
+            case 'CalculateActionImpact':
+                return ['ImpactCalculated', handleCalculateActionImpact(data, request)];
+
+            case 'GenerateSummary':
+                return ['SummaryGenerated', generateActionSummary(request.currentFootprint,
+                    request.impact, request.selectedActions, request.region)];
+
+            case 'ResetApp':
+                return ['AppReset', { success: true }];
+
+            default:
+                console.warn(`Unknown event: ${eventName}`);
+                return null;
+        }
+    }
+
+    // ===== uihtml-Compatible Component =====
+    // Replies echo the request's requestId the same way the MATLAB side does
+    function wrapReply(payload, request) {
+        return 'requestId' in request ? { requestId: request.requestId, payload } : payload;
+    }
+
+    function createComponent() {
+        const listeners = {};
+
+        function dispatch(eventName, payload) {
+            (listeners[eventName] || []).forEach(handler => {
+                handler({ HTMLEventName: eventName, Data: payload });
+            });
+        }
+
+        return {
+            isLocalBackend: true,
+
+            addEventListener(eventName, handler) {
+                (listeners[eventName] = listeners[eventName] || []).push(handler);
+            },
+
+            removeEventListener(eventName, handler) {
+                listeners[eventName] = (listeners[eventName] || []).filter(h => h !== handler);
+            },
+
+            sendEventToMATLAB(eventName, eventData) {
+                console.log(`Event received: ${eventName}`);
+
+                // Round-trip through JSON like the real MATLAB bridge does
+                const request = eventData === undefined ? {} : JSON.parse(JSON.stringify(eventData));
+
+                loadData()
+                    .then(data => processEvent(eventName, request, data))
+                    .then(reply => reply && [reply[0], JSON.parse(JSON.stringify(wrapReply(reply[1], request)))])
+                    .catch(error => {
+                        console.error(`Error in ${eventName}:`, error);
+                        const errorData = { message: error.message };
+                        if ('requestId' in request) errorData.requestId = request.requestId;
+                        return ['Error', errorData];
+                    })
+                    .then(message => {
+                        // Outside the chain, so an exception in a UI listener
+                        // is reported as itself rather than as a backend Error
+                        if (message) setTimeout(() => dispatch(message[0], message[1]), 0);
+                    });
+            }
+        };
+    }
+
+    return {
+        createComponent,
+        setDataPath,
+        loadData,
+        parseCSV,
+        calculateCurrentFootprint,
+        getAvailableActions,
+        getExcludedActions,
+        calculateActionImpact,
+        generateActionSummary
+    };
+})();
@@ -0,0 +1,297 @@
+// ===== Action Plan Optimizer =====
+// "Find me a plan": picks the lowest-effort set of available actions that
+// reaches a reduction target within a cost ceiling and maximum difficulty,
+// never combining mutually exclusive actions, then selects them through
+// toggleAction() so the normal real-time impact path takes over.
+
+const PlanOptimizer = (() => {
+    const COST_ORDER = ['Free', 'Low', 'Medium', 'High'];
+    const DIFFICULTY_ORDER = ['Easy', 'Medium', 'Hard'];
+
+    // Effort points: how much a visitor has to spend or change
+    const COST_EFFORT = { Free: 0, Low: 1, Medium: 2, High: 4 };
+    const DIFFICULTY_EFFORT = { Easy: 1, Medium: 2, Hard: 4 };
+
+    // Impact resolution of the search (kg CO₂e)
+    const STEP_KG = 10;
+
+    function effortOf(action) {
+        return (COST_EFFORT[action.CostCategory] || 0) + (DIFFICULTY_EFFORT[action.Difficulty] || 0);
+    }
+
+    // ===== Target =====
+    function requiredReduction(footprint, target) {
+        if (target.type === 'paris') {
+            return Math.max(0, footprint.total - footprint.parisTarget * 1000);
+        }
+        return footprint.total * target.percent / 100;
+    }
+
+    // ===== Candidates =====
+    function filterCandidates(actions, impacts, constraints) {
+        const maxCost = COST_ORDER.indexOf(constraints.maxCost);
+        const maxDifficulty = DIFFICULTY_ORDER.indexOf(constraints.maxDifficulty);
+
+        return actions
+            .filter(a => COST_ORDER.indexOf(a.CostCategory) <= maxCost)
+            .filter(a => DIFFICULTY_ORDER.indexOf(a.Difficulty) <= maxDifficulty)
+            .map(a => ({ action: a, impact: impacts[a.ActionID] || 0, effort: effortOf(a) }))
+            .filter(c => c.impact > 0);
+    }
+
+    // Split candidates into exclusive groups; unconstrained actions are singletons
+    function groupCandidates(candidates) {
+        const groups = [];
+        const grouped = new Set();
+
+        ActionRules.exclusiveComponents().forEach(group => {
+            const members = candidates.filter(c => group.ids.includes(c.action.ActionID));
+            if (members.length > 0) {
+                groups.push({ name: group.name, members });
+                members.forEach(c => grouped.add(c.action.ActionID));
+            }
+        });
+
+        candidates
+            .filter(c => !grouped.has(c.action.ActionID))
+            .forEach(c => groups.push({ name: null, members: [c] }));
+
+        return groups;
+    }
+
+    // ===== Search =====
+    // Group knapsack: minimum effort to reach each reduction level (capped at
+    // the target), choosing at most one member per group. Larger impact breaks
+    // effort ties so plans overshoot rather than undershoot.
+    function solve(groups, required) {
+        const levels = Math.ceil(required / STEP_KG);
+        const score = c => c.effort - c.impact * 1e-6;
+
+        let best = new Array(levels + 1).fill(Infinity);
+        best[0] = 0;
+        const choices = [];
+
+        groups.forEach(group => {
+            const next = best.slice();
+            const choice = new Array(levels + 1).fill(-1);
+
+            for (let level = 0; level <= levels; level++) {
+                if (best[level] === Infinity) continue;
+
+                group.members.forEach((c, memberIndex) => {
+                    const reached = Math.min(levels, level + Math.floor(c.impact / STEP_KG));
+                    const cost = best[level] + score(c);
+                    if (cost < next[reached]) {
+                        next[reached] = cost;
+                        choice[reached] = { memberIndex, from: level };
+                    }
+                });
+            }
+
+            choices.push(choice);
+            best = next;
+        });
+
+        if (best[levels] === Infinity) {
+            return null;
+        }
+
+        // Walk the choices back from the target level
+        const picked = [];
+        let level = levels;
+        for (let g = groups.length - 1; g >= 0; g--) {
+            const choice = choices[g][level];
+            if (choice !== -1) {
+                picked.push(groups[g].members[choice.memberIndex]);
+                level = choice.from;
+            }
+        }
+        return picked.reverse();
+    }
+
+    // Target out of reach: take the biggest saver from every group
+    function maximize(groups) {
+        return groups.map(group => group.members.reduce((a, b) => (b.impact > a.impact ? b : a)));
+    }
+
+    // Combined saving once overlapping actions are accounted for
+    function combinedImpact(picked, footprint) {
+        const impact = {
+            totalReduction: picked.reduce((sum, c) => sum + c.impact, 0),
+            actionDetails: picked.map(c => ({
+                id: c.action.ActionID,
+                name: c.action.ActionName,
+                category: c.action.Category,
+                impact: c.impact
+            }))
+        };
+        return ActionRules.applyInteractions(impact, footprint).totalReduction;
+    }
+
+    // Overlaps can leave the plan short; add the cheapest remaining savers
+    function topUp(picked, groups, required, footprint) {
+        const plan = picked.slice();
+        const remaining = groups
+            .filter(group => !group.members.some(c => plan.includes(c)))
+            .map(group => group.members.reduce((a, b) => (b.impact > a.impact ? b : a)))
+            .sort((a, b) => (a.effort / a.impact) - (b.effort / b.impact));
+
+        while (combinedImpact(plan, footprint) < required && remaining.length > 0) {
+            plan.push(remaining.shift());
+        }
+        return plan;
+    }
+
+    function optimize(actions, impacts, footprint, constraints) {
+        const required = requiredReduction(footprint, constraints.target);
+        const groups = groupCandidates(filterCandidates(actions, impacts, constraints));
+
+        if (required <= 0) {
+            return { required, picked: [], reached: true, groups };
+        }
+
+        const solution = solve(groups, required);
+        const picked = solution ? topUp(solution, groups, required, footprint) : maximize(groups);
+        const total = combinedImpact(picked, footprint);
+
+        return {
+            required,
+            picked,
+            total,
+            reached: total >= required,
+            groups
+        };
+    }
+
+    // ===== Explanations =====
+    function actionName(action) {
+        return I18n.actionName(action.ActionID, action.ActionName);
+    }
+
+    function explain(pick, result) {
+        const share = result.required > 0 ? (pick.impact / result.required) * 100 : 0;
+        const reasons = [
+            I18n.t('optimizer.saves', { amount: Units.kg(pick.impact), percent: Units.percent(share) }),
+            I18n.t('optimizer.effort', {
+                difficulty: I18n.term('difficulty', pick.action.Difficulty),
+                cost: I18n.term('cost', pick.action.CostCategory)
+            })
+        ];
+
+        const group = result.groups.find(g => g.members.includes(pick));
+        if (group && group.members.length > 1) {
+            const others = group.members.filter(c => c !== pick).map(c => actionName(c.action));
+            reasons.push(I18n.t('optimizer.bestFit', {
+                group: I18n.t(`optimizer.group.${group.name}`),
+                others: others.join(', ')
+            }));
+        }
+
+        return reasons.join('; ');
+    }
+
+    // ===== UI =====
+    function readConstraints() {
+        const targetValue = document.getElementById('optimizerTarget').value;
+        return {
+            target: targetValue === 'paris' ?
+                { type: 'paris' } :
+                { type: 'percent', percent: parseFloat(targetValue) },
+            maxCost: document.getElementById('optimizerMaxCost').value,
+            maxDifficulty: document.getElementById('optimizerMaxDifficulty').value
+        };
+    }
+
+    function findPlan() {
+        if (!currentFootprint || availableActions.length === 0) return;
+
+        const constraints = readConstraints();
+        showLoading(true);
+
+        // Ask the backend for every action's regional impact in one request
+        const requestData = {
+            region: currentFootprint.region || document.getElementById('region').value,
+            currentFootprint: currentFootprint,
+            selectedActionIDs: availableActions.map(a => a.ActionID),
+            allActions: availableActions
+        };
+
+        BackendBridge.request("CalculateActionImpact", requestData, { channel: 'optimizer' })
+            .then(impact => {
+                const impacts = {};
+                [].concat(impact.actionDetails || []).forEach(d => { impacts[d.id] = d.impact; });
+
+                const result = optimize(availableActions, impacts, currentFootprint, constraints);
+                applyPlan(result);
+                renderResult(result);
+                showLoading(false);
+            })
+            .catch(handleError);
+    }
+
+    function applyPlan(result) {
+        const pickedIDs = result.picked.map(c => c.action.ActionID);
+
+        // Deselect what is not in the plan, then select the plan
+        selectedActionIDs.slice()
+            .filter(id => !pickedIDs.includes(id))
+            .forEach(toggleAction);
+        pickedIDs
+            .filter(id => !selectedActionIDs.includes(id))
+            .forEach(toggleAction);
+    }
+
+    function renderResult(result) {
+        const container = document.getElementById('optimizerResult');
+        const total = result.total || 0;
+
+        let heading;
+        if (result.required <= 0) {
+            heading = I18n.t('optimizer.none');
+        } else if (result.reached) {
+            heading = I18n.t('optimizer.found', {
+                count: result.picked.length,
+                amount: Units.tons(total / 1000),
+                target: Units.tons(result.required / 1000)
+            });
+        } else {
+            heading = I18n.t('optimizer.notReached', {
+                amount: Units.tons(total / 1000),
+                target: Units.tons(result.required / 1000)
+            });
+        }
+
+        container.innerHTML = '';
+
+        const summary = document.createElement('p');
+        summary.className = 'optimizer-summary';
+        summary.textContent = heading;
+        container.appendChild(summary);
+
+        const list = document.createElement('ul');
+        list.className = 'optimizer-reasons';
+        result.picked
+            .slice()
+            .sort((a, b) => b.impact - a.impact)
+            .forEach(pick => {
+                const item = document.createElement('li');
+                item.innerHTML = I18n.t('optimizer.pick', {
+                    name: `<strong>${escapeHTML(actionName(pick.action))}</strong>`,
+                    reasons: escapeHTML(explain(pick, result))
+                });
+                list.appendChild(item);
+            });
+        container.appendChild(list);
+    }
+
+    function clearResult() {
+        const container = document.getElementById('optimizerResult');
+        if (container) container.innerHTML = '';
+    }
+
+    return {
+        optimize,
+        findPlan,
+        clearResult
+    };
+})();
@@ -0,0 +1,239 @@
+// ===== Named Profiles =====
+// Saves the Phase 1 form under a name in localStorage (next to the theme
+// preference) and exports/imports profiles as versioned JSON files. Kiosk
+// screens keep no profiles.
+
+const Profiles = (() => {
+    const STORAGE_KEY = 'carbonTrackerProfiles';
+    const FILE_FORMAT = 'carbon-tracker-profiles';
+    const FILE_VERSION = 1;
+
+    // ===== Storage =====
+    function loadAll() {
+        if (Kiosk.isActive()) return [];
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.warn("Could not read saved profiles:", error);
+            return [];
+        }
+    }
+
+    // Storage can be full or switched off (private browsing); returns
+    // whether the profiles were saved
+    function saveAll(profiles) {
+        if (Kiosk.isActive()) return false;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+            return true;
+        } catch (error) {
+            showError(I18n.t('profiles.saveFailed', { reason: error.message }));
+            return false;
+        }
+    }
+
+    function find(name) {
+        return loadAll().find(p => p.name === name) || null;
+    }
+
+    // Keep only known form fields, as strings the form can display, valid
+    // logged flights and household members
+    function sanitizeValues(values) {
+        const clean = {};
+        FORM_FIELDS.forEach(fieldId => {
+            if (values && values[fieldId] !== undefined && values[fieldId] !== null) {
+                clean[fieldId] = String(values[fieldId]);
+            }
+        });
+        if (values && values.flightLog) {
+            clean.flightLog = FlightLogger.sanitize(values.flightLog);
+        }
+        const household = values && Household.sanitize(values.household);
+        if (household) {
+            clean.household = household;
+        }
+        return clean;
+    }
+
+    function upsert(profile) {
+        const profiles = loadAll().filter(p => p.name !== profile.name);
+        profiles.push(profile);
+        profiles.sort((a, b) => a.name.localeCompare(b.name));
+        return saveAll(profiles);
+    }
+
+    // Kiosk screens keep nothing; say so instead of pretending to save
+    function available() {
+        if (!Kiosk.isActive()) return true;
+        showError(I18n.t('profiles.kioskUnavailable'));
+        return false;
+    }
+
+    // ===== UI Actions =====
+    function saveCurrent() {
+        if (!available()) return;
+
+        const nameInput = document.getElementById('profileName');
+        const name = nameInput.value.trim();
+
+        if (!name) {
+            showError(I18n.t('profiles.nameRequired'));
+            return;
+        }
+
+        if (!upsert({ name, savedAt: new Date().toISOString(), values: readFormValues() })) return;
+        renderList(name);
+        setStatus(I18n.t('profiles.saved', { name }));
+    }
+
+    function loadSelected() {
+        const name = document.getElementById('profileSelect').value;
+        const profile = find(name);
+
+        if (!profile) {
+            showError(I18n.t('profiles.selectRequired'));
+            return;
+        }
+
+        applyProfile(profile);
+    }
+
+    function applyProfile(profile) {
+        applyFormValues(profile.values);
+        document.getElementById('profileName').value = profile.name;
+
+        if (!validateAllInputs()) {
+            showError(I18n.t('profiles.invalid', { name: profile.name }));
+            return;
+        }
+
+        setStatus(I18n.t('profiles.loaded', { name: profile.name }));
+
+        if (document.getElementById('profileAutoCalculate').checked) {
+            calculateFootprint();
+        }
+    }
+
+    function deleteSelected() {
+        const name = document.getElementById('profileSelect').value;
+        if (!name) return;
+
+        if (!saveAll(loadAll().filter(p => p.name !== name))) return;
+        renderList();
+        setStatus(I18n.t('profiles.deleted', { name }));
+    }
+
+    // ===== Import / Export =====
+    function exportAll() {
+        const profiles = loadAll();
+        if (profiles.length === 0) {
+            showError(I18n.t('profiles.noneToExport'));
+            return;
+        }
+
+        const file = {
+            format: FILE_FORMAT,
+            version: FILE_VERSION,
+            exportedAt: new Date().toISOString(),
+            profiles: profiles
+        };
+
+        downloadFile('carbon-tracker-profiles.json', JSON.stringify(file, null, 2), 'application/json');
+    }
+
+    function importFile(input) {
+        const file = input.files[0];
+        if (!file) return;
+        if (!available()) {
+            input.value = '';
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const profiles = parseFile(reader.result);
+                if (!profiles.every(upsert)) {
+                    renderList();
+                    return;
+                }
+                renderList(profiles[0].name);
+                setStatus(I18n.t('profiles.imported', { count: profiles.length }));
+            } catch (error) {
+                showError(I18n.t('profiles.importFailed', { reason: error.message }));
+            }
+        };
+        reader.readAsText(file);
+
+        // Allow importing the same file again
+        input.value = '';
+    }
+
+    function parseFile(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            throw new Error(I18n.t('reason.notJSON'));
+        }
+
+        if (!file || file.format !== FILE_FORMAT) {
+            throw new Error(I18n.t('reason.notProfileFile'));
+        }
+        if (typeof file.version !== 'number' || file.version > FILE_VERSION) {
+            throw new Error(I18n.t('reason.version', { version: file.version }));
+        }
+        if (!Array.isArray(file.profiles) || file.profiles.length === 0) {
+            throw new Error(I18n.t('reason.noProfiles'));
+        }
+
+        return file.profiles.map(p => {
+            if (!p || typeof p.name !== 'string' || !p.name.trim()) {
+                throw new Error(I18n.t('reason.profileName'));
+            }
+            return {
+                name: p.name.trim(),
+                savedAt: p.savedAt || new Date().toISOString(),
+                values: sanitizeValues(p.values)
+            };
+        });
+    }
+
+    // ===== Rendering =====
+    // Keeps the current selection unless another profile is named
+    function renderList(selectedName) {
+        const select = document.getElementById('profileSelect');
+        if (!select) return;
+
+        selectedName = selectedName || select.value;
+        select.innerHTML = `<option value="">${I18n.t('profiles.selectPrompt')}</option>`;
+        loadAll().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.name;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+
+        if (selectedName) {
+            select.value = selectedName;
+        }
+    }
+
+    function setStatus(message) {
+        document.getElementById('profileStatus').textContent = message;
+    }
+
+    function initialize() {
+        renderList();
+    }
+
+    return {
+        initialize,
+        saveCurrent,
+        loadSelected,
+        deleteSelected,
+        exportAll,
+        importFile
+    };
+})();
@@ -0,0 +1,541 @@
+// ===== Progress Tracker =====
+// Phase 5. Committing to the Phase 4 plan stores its baseline footprint and
+// action schedule (see Roadmap). Each month the user logs meter readings,
+// distance driven and flights taken, and marks each action pending, in
+// progress or done. The logged home energy, driving and flights go through
+// the backend's CalculateFootprint as a year of such months; food, digital
+// and shopping are not metered, so their actual emissions are the baseline
+// less the actions marked done. Every logged month keeps the plan's figure
+// for that month next to the actual one. The history is saved in
+// localStorage (next to the profiles), survives Reset, and exports as CSV
+// or JSON. In kiosk mode it stays in memory and goes with the visitor.
+
+const Progress = (() => {
+    const STORAGE_KEY = 'carbonTrackerProgress';
+    const FILE_FORMAT = 'carbon-tracker-progress';
+    const FILE_VERSION = 1;
+
+    const STATUSES = ['pending', 'inProgress', 'done'];
+    const VEHICLES = ['Car_Gasoline', 'Car_Electric_BEV'];
+
+    // Bus and train commuting is not logged as driving; its baseline carries
+    // over into the actual footprint
+    const TRANSIT_MODES = ['Bus', 'Train_Rail'];
+
+    // Monthly reading -> log input; distance and gas are shown in the
+    // chosen units like the Phase 1 form (see Units)
+    const READINGS = {
+        electricityKWh: 'trackElectricityKWh',
+        naturalGasKWh: 'trackNaturalGasKWh',
+        drivenKm: 'trackDrivenKm',
+        domesticFlights: 'trackDomesticFlights',
+        internationalFlights: 'trackInternationalFlights'
+    };
+    const COUNT_READINGS = ['domesticFlights', 'internationalFlights'];
+
+    const CATEGORY_NAMES = ['Transport', 'Home', 'Food', 'Digital', 'Consumption'];
+    const AMOUNT_FIELDS = CATEGORY_NAMES.map(name => name.toLowerCase()).concat('total');
+
+    // { commitment: { committedAt, month, values, baseline, transit, actions },
+    //   statuses: { actionID: status }, months: [{ month, readings, planned, actual }] }
+    // Amounts are kg CO2e; the baseline per year, months per month
+    let state = null;
+
+    // ===== Storage =====
+    function load() {
+        if (Kiosk.isActive()) return null;
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return saved && saved.commitment && Array.isArray(saved.months) ? saved : null;
+        } catch (error) {
+            console.warn("Could not read progress history:", error);
+            return null;
+        }
+    }
+
+    function save() {
+        if (Kiosk.isActive()) return;
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    }
+
+    function isCommitted() {
+        return state !== null;
+    }
+
+    // ===== Months =====
+    // Months are 'YYYY-MM' strings, as <input type="month"> uses
+    function monthKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    }
+
+    function monthDate(key) {
+        const [year, month] = key.split('-').map(Number);
+        return new Date(year, month - 1, 1);
+    }
+
+    function monthsBetween(fromKey, toKey) {
+        const from = monthDate(fromKey);
+        const to = monthDate(toKey);
+        return (to.getFullYear() - from.getFullYear()) * 12 + (to.getMonth() - from.getMonth());
+    }
+
+    function monthLabel(key) {
+        return Units.date(monthDate(key), { month: 'long', year: 'numeric' });
+    }
+
+    // ===== Emissions =====
+    function amounts(source) {
+        const result = {};
+        AMOUNT_FIELDS.forEach(field => {
+            result[field] = source[field] || 0;
+        });
+        return result;
+    }
+
+    function withTotal(result) {
+        result.total = CATEGORY_NAMES.reduce((sum, name) => sum + result[name.toLowerCase()], 0);
+        return result;
+    }
+
+    // Baseline commute and other travel of bus and train commuters (kg/yr)
+    function transitBaseline(footprint, values) {
+        if (!TRANSIT_MODES.includes(values.commuteMode) || !footprint.breakdown) {
+            return 0;
+        }
+        return [].concat(footprint.breakdown.transport || [])
+            .filter(part => part.key === 'commute' || part.key === 'otherTravel')
+            .reduce((sum, part) => sum + part.value, 0);
+    }
+
+    // The plan's emissions in `month`, with savings ramping up on the
+    // Roadmap schedule from the month of commitment
+    function plannedAmounts(month) {
+        const commitment = state.commitment;
+        const m = Math.max(monthsBetween(commitment.month, month), 0);
+        const planned = {};
+
+        CATEGORY_NAMES.forEach(name => {
+            const saving = commitment.actions
+                .filter(action => action.category === name)
+                .reduce((sum, action) => sum + action.impact * Roadmap.rampFraction(action, m), 0);
+            planned[name.toLowerCase()] = Math.max(commitment.baseline[name.toLowerCase()] - saving, 0) / 12;
+        });
+        return withTotal(planned);
+    }
+
+    // Annual savings of the actions marked done, by category
+    function doneSavings() {
+        const savings = {};
+        CATEGORY_NAMES.forEach(name => { savings[name] = 0; });
+        state.commitment.actions
+            .filter(action => state.statuses[action.id] === 'done')
+            .forEach(action => { savings[action.category] += action.impact; });
+        return savings;
+    }
+
+    // Logged readings as Phase 1 values for a year of identical months: all
+    // driving is other travel in the chosen car, and flights are round trips
+    // of the committed average distances
+    function readingValues(readings) {
+        const values = Object.assign({}, state.commitment.values, {
+            commuteMode: readings.vehicle,
+            dailyCommuteKm: 0,
+            otherTravelKm: readings.drivenKm * 12 / 52,
+            domesticFlights: readings.domesticFlights * 12,
+            internationalFlights: readings.internationalFlights * 12,
+            monthlyElectricityKWh: readings.electricityKWh,
+            monthlyNaturalGasKWh: readings.naturalGasKWh
+        });
+        delete values.flightLog;
+        delete values.household;
+        return values;
+    }
+
+    function requestActual(readings) {
+        const commitment = state.commitment;
+        return BackendBridge.request("CalculateFootprint", toUserData(readingValues(readings)), { channel: 'progress' })
+            .then(footprint => {
+                const done = doneSavings();
+                const actual = {
+                    transport: (footprint.transport + commitment.transit) / 12,
+                    home: footprint.home / 12
+                };
+                ['Food', 'Digital', 'Consumption'].forEach(name => {
+                    const key = name.toLowerCase();
+                    actual[key] = Math.max(commitment.baseline[key] - done[name], 0) / 12;
+                });
+                return withTotal(actual);
+            });
+    }
+
+    // ===== UI Actions =====
+    function commit() {
+        if (!currentFootprint || !impactData || selectedActionIDs.length === 0) {
+            showError(I18n.t('error.selectAction'));
+            return;
+        }
+        if (state) {
+            askConfirm(I18n.t('track.confirmReplace')).then(confirmed => {
+                if (confirmed) commitPlan();
+            });
+            return;
+        }
+        commitPlan();
+    }
+
+    function commitPlan() {
+        const values = readFormValues();
+        const scheduled = Roadmap.buildSchedule([].concat(impactData.actionDetails), availableActions);
+        const previous = state ? state.statuses : {};
+        const statuses = {};
+        scheduled.forEach(action => {
+            statuses[action.id] = previous[action.id] || 'pending';
+        });
+
+        state = {
+            commitment: {
+                committedAt: new Date().toISOString(),
+                month: monthKey(new Date()),
+                values,
+                baseline: amounts(currentFootprint),
+                transit: transitBaseline(currentFootprint, values),
+                actions: scheduled.map(action => {
+                    const details = availableActions.find(a => a.ActionID === action.id);
+                    return {
+                        id: action.id,
+                        name: details ? details.ActionName : action.name,
+                        category: action.category,
+                        impact: action.impact,
+                        timeToImplement: action.timeToImplement,
+                        start: action.start,
+                        end: action.end
+                    };
+                })
+            },
+            statuses,
+            months: state ? state.months : []
+        };
+        save();
+
+        document.getElementById('trackMonth').value = '';
+        unlockTab(5);
+        render();
+        switchTab(5);
+    }
+
+    // Fills the log inputs with what was saved for `month`, if anything
+    function showMonth(month) {
+        const entry = state && state.months.find(m => m.month === month);
+        Object.keys(READINGS).forEach(reading => {
+            const fieldId = READINGS[reading];
+            if (entry) {
+                Units.showMetric(fieldId, String(entry.readings[reading]));
+            } else {
+                document.getElementById(fieldId).value = '';
+            }
+        });
+        document.getElementById('trackVehicle').value = entry ? entry.readings.vehicle : defaultVehicle();
+    }
+
+    function defaultVehicle() {
+        const mode = state.commitment.values.commuteMode;
+        return VEHICLES.includes(mode) ? mode : VEHICLES[0];
+    }
+
+    function readLog() {
+        const month = document.getElementById('trackMonth').value;
+        if (!/^\d{4}-\d{2}$/.test(month)) {
+            throw new Error(I18n.t('track.monthRequired'));
+        }
+        if (monthsBetween(state.commitment.month, month) < 0) {
+            throw new Error(I18n.t('track.beforeCommitment', { month: monthLabel(state.commitment.month) }));
+        }
+        if (monthsBetween(monthKey(new Date()), month) > 0) {
+            throw new Error(I18n.t('track.futureMonth'));
+        }
+
+        const readings = { vehicle: document.getElementById('trackVehicle').value };
+        Object.keys(READINGS).forEach(reading => {
+            const value = parseFloat(Units.metricFieldValue(READINGS[reading]));
+            if (isNaN(value) || value < 0 ||
+                (COUNT_READINGS.includes(reading) && !Number.isInteger(value))) {
+                throw new Error(I18n.t('track.invalidReadings'));
+            }
+            readings[reading] = value;
+        });
+        if (!VEHICLES.includes(readings.vehicle)) {
+            readings.vehicle = VEHICLES[0];
+        }
+        return { month, readings };
+    }
+
+    function saveMonth() {
+        let log;
+        try {
+            log = readLog();
+        } catch (error) {
+            showError(error.message);
+            return;
+        }
+
+        requestActual(log.readings)
+            .then(actual => {
+                state.months = state.months.filter(m => m.month !== log.month);
+                state.months.push({
+                    month: log.month,
+                    loggedAt: new Date().toISOString(),
+                    readings: log.readings,
+                    planned: plannedAmounts(log.month),
+                    actual
+                });
+                state.months.sort((a, b) => a.month.localeCompare(b.month));
+                save();
+                render();
+                setStatus(I18n.t('track.saved', { month: monthLabel(log.month) }));
+            })
+            .catch(handleError);
+    }
+
+    function removeMonth(month) {
+        state.months = state.months.filter(m => m.month !== month);
+        save();
+        render();
+        setStatus(I18n.t('track.removed', { month: monthLabel(month) }));
+    }
+
+    function setActionStatus(actionID, status) {
+        if (!STATUSES.includes(status)) return;
+        state.statuses[actionID] = status;
+        save();
+        renderActions();
+    }
+
+    function clearHistory() {
+        askConfirm(I18n.t('track.confirmClear')).then(confirmed => {
+            if (!confirmed) return;
+
+            forget();
+            localStorage.removeItem(STORAGE_KEY);
+            switchTab(isTabUnlocked(4) ? 4 : 1);
+        });
+    }
+
+    // Drops the history from the page without asking (kiosk visitors)
+    function forget() {
+        state = null;
+        lockTab(5);
+    }
+
+    // ===== Export =====
+    function exportCSV() {
+        if (!state || state.months.length === 0) {
+            showError(I18n.t('track.noneToExport'));
+            return;
+        }
+
+        const header = ['month'].concat(Object.keys(READINGS), ['vehicle'],
+            AMOUNT_FIELDS.map(field => `planned_${field}_kg`),
+            AMOUNT_FIELDS.map(field => `actual_${field}_kg`));
+        const rows = state.months.map(entry => [entry.month]
+            .concat(Object.keys(READINGS).map(reading => entry.readings[reading]), [entry.readings.vehicle],
+                AMOUNT_FIELDS.map(field => entry.planned[field].toFixed(1)),
+                AMOUNT_FIELDS.map(field => entry.actual[field].toFixed(1))));
+
+        const csv = [header].concat(rows).map(row => row.join(',')).join('\n') + '\n';
+        downloadFile('carbon-tracker-progress.csv', csv, 'text/csv');
+    }
+
+    function exportJSON() {
+        if (!state) {
+            showError(I18n.t('track.noneToExport'));
+            return;
+        }
+
+        const file = Object.assign({
+            format: FILE_FORMAT,
+            version: FILE_VERSION,
+            exportedAt: new Date().toISOString()
+        }, state);
+
+        downloadFile('carbon-tracker-progress.json', JSON.stringify(file, null, 2), 'application/json');
+    }
+
+    // ===== Rendering =====
+    function categoryLabel(name) {
+        const category = Charts.categoryOf(name);
+        return `${category.icon} ${I18n.term('category', name)}`;
+    }
+
+    function renderActions() {
+        const options = status => STATUSES.map(value =>
+            `<option value="${value}"${status === value ? ' selected' : ''}>${I18n.t(`track.${value}`)}</option>`).join('');
+
+        document.getElementById('trackActions').innerHTML = state.commitment.actions.map(action => {
+            const status = state.statuses[action.id] || 'pending';
+            const name = I18n.actionName(action.id, action.name);
+            return `
+                <li class="${status}">
+                    <span class="track-action-name">${name}</span>
+                    <span class="track-action-meta">${categoryLabel(action.category)} · ⏱️ ${I18n.term('time', action.timeToImplement)} · -${Units.kg(action.impact)}/yr</span>
+                    <select aria-label="${I18n.t('track.statusLabel', { name })}"
+                            onchange="Progress.setActionStatus(${action.id}, this.value)">${options(status)}</select>
+                </li>
+            `;
+        }).join('');
+    }
+
+    // Planned and actual totals over all logged months
+    function totals() {
+        const sum = key => {
+            const result = {};
+            AMOUNT_FIELDS.forEach(field => {
+                result[field] = state.months.reduce((total, entry) => total + entry[key][field], 0);
+            });
+            return result;
+        };
+        return { planned: sum('planned'), actual: sum('actual') };
+    }
+
+    function renderComparison() {
+        const count = state.months.length;
+        document.getElementById('trackNote').textContent = count === 0 ?
+            I18n.t('track.noMonths') : I18n.t('track.comparisonNote', { count });
+
+        if (count === 0) {
+            document.getElementById('trackStats').innerHTML = '';
+            Charts.renderBars('trackChart', [], '');
+            return;
+        }
+
+        const { planned, actual } = totals();
+        const difference = actual.total - planned.total;
+        const stats = [
+            { label: I18n.t('track.planned'), value: Units.tons(planned.total / 1000, 2) },
+            { label: I18n.t('track.actual'), value: Units.tons(actual.total / 1000, 2) },
+            {
+                label: I18n.t(difference > 0 ? 'track.behind' : 'track.ahead'),
+                value: Units.tons(Math.abs(difference) / 1000, 2)
+            }
+        ];
+        document.getElementById('trackStats').innerHTML = stats.map(stat => `
+            <div class="stat-card">
+                <span class="label">${stat.label}</span>
+                <span class="value">${stat.value}</span>
+            </div>
+        `).join('');
+
+        const rows = [];
+        CATEGORY_NAMES.forEach(name => {
+            const key = name.toLowerCase();
+            if (planned[key] === 0 && actual[key] === 0) return;
+
+            const category = Charts.categoryOf(name);
+            const label = categoryLabel(name);
+            rows.push({
+                label: I18n.t('track.plannedRow', { category: label }),
+                value: planned[key],
+                text: Units.kg(planned[key]),
+                className: 'target',
+                lines: [I18n.t('track.plannedInfo', { amount: Charts.formatKg(planned[key]), count })]
+            }, {
+                label: I18n.t('track.actualRow', { category: label }),
+                value: actual[key],
+                text: Units.kg(actual[key]),
+                color: category.color,
+                lines: [
+                    I18n.t('track.actualInfo', { amount: Charts.formatKg(actual[key]), count }),
+                    I18n.t(actual[key] > planned[key] ? 'track.overPlan' : 'track.underPlan', {
+                        amount: Charts.formatKg(Math.abs(actual[key] - planned[key]))
+                    })
+                ]
+            });
+        });
+        Charts.renderBars('trackChart', rows, I18n.t('track.chartLabel'));
+    }
+
+    function renderHistory() {
+        const container = document.getElementById('trackHistory');
+        if (state.months.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const rows = state.months.slice().reverse().map(entry => {
+            const difference = entry.actual.total - entry.planned.total;
+            return `
+                <tr>
+                    <td>${monthLabel(entry.month)}</td>
+                    <td>${Units.kg(entry.planned.total)}</td>
+                    <td>${Units.kg(entry.actual.total)}</td>
+                    <td class="${difference > 0 ? 'track-behind' : 'track-ahead'}">${difference > 0 ? '+' : '-'}${Units.kg(Math.abs(difference))}</td>
+                    <td><button class="secondary-btn small-btn" onclick="Progress.removeMonth('${entry.month}')"
+                                aria-label="${I18n.t('track.remove', { month: monthLabel(entry.month) })}">✕</button></td>
+                </tr>
+            `;
+        });
+
+        container.innerHTML = `
+            <table class="finance-table">
+                <thead>
+                    <tr>
+                        <th>${I18n.t('track.month')}</th><th>${I18n.t('track.planned')}</th>
+                        <th>${I18n.t('track.actual')}</th><th>${I18n.t('track.difference')}</th><th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+    }
+
+    function render() {
+        if (!state) return;
+
+        const commitment = state.commitment;
+        const saving = commitment.actions.reduce((sum, action) => sum + action.impact, 0);
+        document.getElementById('trackCommitment').textContent = I18n.t('track.committed', {
+            date: Units.date(new Date(commitment.committedAt), { day: 'numeric', month: 'long', year: 'numeric' }),
+            count: commitment.actions.length,
+            from: Units.tons(commitment.baseline.total / 1000),
+            to: Units.tons((commitment.baseline.total - saving) / 1000)
+        });
+
+        const monthInput = document.getElementById('trackMonth');
+        if (!monthInput.value) {
+            monthInput.value = monthKey(new Date());
+            showMonth(monthInput.value);
+        }
+        monthInput.min = commitment.month;
+        monthInput.max = monthKey(new Date());
+
+        renderActions();
+        renderComparison();
+        renderHistory();
+    }
+
+    function setStatus(message) {
+        document.getElementById('trackStatus').textContent = message;
+    }
+
+    function initialize() {
+        state = load();
+        if (!state) return;
+
+        unlockTab(5);
+        render();
+    }
+
+    return {
+        initialize,
+        isCommitted,
+        commit,
+        showMonth,
+        saveMonth,
+        removeMonth,
+        setActionStatus,
+        clearHistory,
+        forget,
+        exportCSV,
+        exportJSON,
+        render
+    };
+})();
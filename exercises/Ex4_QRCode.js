@@ -0,0 +1,389 @@
+// ===== QR Code Generator =====
+// Minimal QR Code (Model 2) encoder so share links can be scanned without
+// calling an external service. Byte mode only, versions 1-20, error
+// correction level M (falling back to L for long text). Follows the layout
+// of ISO/IEC 18004; the mask with the lowest penalty score is chosen.
+
+const QRCode = (() => {
+    const MAX_VERSION = 20;
+
+    // Per version (index 0 unused), from ISO/IEC 18004 Table 9
+    const ECC_CODEWORDS_PER_BLOCK = {
+        L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28],
+        M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26]
+    };
+    const NUM_ECC_BLOCKS = {
+        L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8],
+        M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16]
+    };
+    const FORMAT_BITS = { L: 1, M: 0 };
+
+    // ===== Reed-Solomon over GF(256), polynomial 0x11D =====
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function rsDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function rsRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+        });
+        return result;
+    }
+
+    // ===== Capacity =====
+    function rawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function dataCodewords(version, ecl) {
+        return Math.floor(rawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[ecl][version] * NUM_ECC_BLOCKS[ecl][version];
+    }
+
+    function alignmentPositions(version) {
+        if (version === 1) return [];
+        const size = version * 4 + 17;
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    // ===== Data Encoding =====
+    function utf8Bytes(text) {
+        const encoded = encodeURIComponent(text);
+        const bytes = [];
+        for (let i = 0; i < encoded.length; i++) {
+            if (encoded[i] === '%') {
+                bytes.push(parseInt(encoded.substr(i + 1, 2), 16));
+                i += 2;
+            } else {
+                bytes.push(encoded.charCodeAt(i));
+            }
+        }
+        return bytes;
+    }
+
+    function chooseVersion(byteCount) {
+        for (const ecl of ['M', 'L']) {
+            for (let version = 1; version <= MAX_VERSION; version++) {
+                const countBits = version <= 9 ? 8 : 16;
+                if (4 + countBits + byteCount * 8 <= dataCodewords(version, ecl) * 8) {
+                    return { version, ecl };
+                }
+            }
+        }
+        throw new Error('Text is too long for a QR code');
+    }
+
+    function encodeData(bytes, version, ecl) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0x4, 4);                                  // byte mode
+        append(bytes.length, version <= 9 ? 8 : 16);
+        bytes.forEach(b => append(b, 8));
+
+        const capacity = dataCodewords(version, ecl) * 8;
+        append(0, Math.min(4, capacity - bits.length));  // terminator
+        append(0, (8 - bits.length % 8) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+        for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+            codewords.push(pad);
+        }
+        return codewords;
+    }
+
+    // Split into blocks, add error correction and interleave
+    function addErrorCorrection(data, version, ecl) {
+        const numBlocks = NUM_ECC_BLOCKS[ecl][version];
+        const eccLength = ECC_CODEWORDS_PER_BLOCK[ecl][version];
+        const rawCodewords = Math.floor(rawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = rsDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const block = data.slice(k, k + shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1));
+            k += block.length;
+            const ecc = rsRemainder(block, divisor);
+            if (i < numShortBlocks) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte of short blocks
+                if (i !== shortBlockLength - eccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    // ===== Matrix =====
+    function createMatrix(version) {
+        const size = version * 4 + 17;
+        const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+        return { version, size, modules: grid(), isFunction: grid() };
+    }
+
+    function setFunction(matrix, x, y, dark) {
+        matrix.modules[y][x] = dark;
+        matrix.isFunction[y][x] = true;
+    }
+
+    function drawFunctionPatterns(matrix) {
+        const size = matrix.size;
+
+        // Timing patterns
+        for (let i = 0; i < size; i++) {
+            setFunction(matrix, 6, i, i % 2 === 0);
+            setFunction(matrix, i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns with separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                        setFunction(matrix, x, y, dist !== 2 && dist !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap the finders
+        const positions = alignmentPositions(matrix.version);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        setFunction(matrix, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas; real bits are drawn once the mask is known
+        drawFormatBits(matrix, 'M', 0);
+        drawVersionBits(matrix);
+    }
+
+    function bit(value, i) {
+        return ((value >>> i) & 1) !== 0;
+    }
+
+    function drawFormatBits(matrix, ecl, mask) {
+        const size = matrix.size;
+        const data = (FORMAT_BITS[ecl] << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+
+        for (let i = 0; i <= 5; i++) setFunction(matrix, 8, i, bit(bits, i));
+        setFunction(matrix, 8, 7, bit(bits, 6));
+        setFunction(matrix, 8, 8, bit(bits, 7));
+        setFunction(matrix, 7, 8, bit(bits, 8));
+        for (let i = 9; i < 15; i++) setFunction(matrix, 14 - i, 8, bit(bits, i));
+
+        for (let i = 0; i < 8; i++) setFunction(matrix, size - 1 - i, 8, bit(bits, i));
+        for (let i = 8; i < 15; i++) setFunction(matrix, 8, size - 15 + i, bit(bits, i));
+        setFunction(matrix, 8, size - 8, true);
+    }
+
+    function drawVersionBits(matrix) {
+        if (matrix.version < 7) return;
+
+        let rem = matrix.version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (matrix.version << 12) | rem;
+
+        for (let i = 0; i < 18; i++) {
+            const a = matrix.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            setFunction(matrix, a, b, bit(bits, i));
+            setFunction(matrix, b, a, bit(bits, i));
+        }
+    }
+
+    // Zigzag placement from the bottom-right corner, two columns at a time
+    function drawCodewords(matrix, codewords) {
+        const size = matrix.size;
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vert = 0; vert < size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vert : vert;
+                    if (!matrix.isFunction[y][x] && i < codewords.length * 8) {
+                        matrix.modules[y][x] = bit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x, y) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    // Masking is its own inverse, so applying it twice undoes it
+    function applyMask(matrix, mask) {
+        for (let y = 0; y < matrix.size; y++) {
+            for (let x = 0; x < matrix.size; x++) {
+                if (!matrix.isFunction[y][x] && MASKS[mask](x, y)) {
+                    matrix.modules[y][x] = !matrix.modules[y][x];
+                }
+            }
+        }
+    }
+
+    // ===== Mask Penalty (ISO/IEC 18004 section 8.8.2) =====
+    function lineScore(line) {
+        let score = 0;
+        let run = 1;
+        for (let i = 1; i <= line.length; i++) {
+            if (i < line.length && line[i] === line[i - 1]) {
+                run++;
+            } else {
+                if (run >= 5) score += run - 2;
+                run = 1;
+            }
+        }
+
+        // Finder-like 1:1:3:1:1 runs with four light modules on either side
+        const text = line.map(dark => (dark ? '1' : '0')).join('');
+        const finderLike = /(?=(00001011101|10111010000))/g;
+        score += (text.match(finderLike) || []).length * 40;
+        return score;
+    }
+
+    function penalty(matrix) {
+        const size = matrix.size;
+        const m = matrix.modules;
+        let score = 0;
+
+        for (let i = 0; i < size; i++) {
+            score += lineScore(m[i]);
+            score += lineScore(m.map(row => row[i]));
+        }
+
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const c = m[y][x];
+                if (c === m[y][x + 1] && c === m[y + 1][x] && c === m[y + 1][x + 1]) score += 3;
+            }
+        }
+
+        const dark = m.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = size * size;
+        score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return score;
+    }
+
+    // ===== Public API =====
+    // Returns { size, modules } where modules[y][x] is true for dark
+    function encode(text) {
+        const bytes = utf8Bytes(text);
+        const { version, ecl } = chooseVersion(bytes.length);
+        const codewords = addErrorCorrection(encodeData(bytes, version, ecl), version, ecl);
+
+        const matrix = createMatrix(version);
+        drawFunctionPatterns(matrix);
+        drawCodewords(matrix, codewords);
+
+        let bestMask = 0;
+        let bestScore = Infinity;
+        for (let mask = 0; mask < 8; mask++) {
+            applyMask(matrix, mask);
+            drawFormatBits(matrix, ecl, mask);
+            const score = penalty(matrix);
+            if (score < bestScore) {
+                bestMask = mask;
+                bestScore = score;
+            }
+            applyMask(matrix, mask);
+        }
+
+        applyMask(matrix, bestMask);
+        drawFormatBits(matrix, ecl, bestMask);
+
+        return { size: matrix.size, modules: matrix.modules };
+    }
+
+    // Dark modules as one SVG path, with the required 4-module quiet zone
+    function toSVG(text, border = 4) {
+        const qr = encode(text);
+        const dimension = qr.size + border * 2;
+        let path = '';
+        qr.modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) path += `M${x + border},${y + border}h1v1h-1z`;
+            });
+        });
+
+        return `<svg viewBox="0 0 ${dimension} ${dimension}" shape-rendering="crispEdges" role="img" aria-label="QR code">` +
+            `<rect width="100%" height="100%" fill="#ffffff" /><path d="${path}" fill="#000000" /></svg>`;
+    }
+
+    return {
+        encode,
+        toSVG
+    };
+})();
@@ -0,0 +1,235 @@
+// ===== Region Comparison =====
+// "What if I lived in…": the Phase 2 footprint recalculated with another
+// region's grid intensity and transport emission factors, for a few regions
+// the user picks from regionalAverages.csv (GetRegions). Food, digital and
+// shopping don't depend on the region, so the spread between the regions is
+// the part of the footprint that comes from where the user lives rather than
+// how. Each region is shown next to its per-capita average and the
+// transport and home shares of it.
+
+const RegionCompare = (() => {
+    const MAX_REGIONS = 6;
+
+    // Rows of regionalAverages.csv, loaded once
+    let regions = null;
+
+    // Region names in the order the user added them
+    let chosen = [];
+
+    // Region -> footprint for `reference`, the Phase 2 footprint they were
+    // calculated for
+    let results = {};
+    let reference = null;
+
+    // ===== Loading =====
+    function loadRegions() {
+        if (regions) return Promise.resolve(regions);
+        return BackendBridge.request('GetRegions', {}).then(rows => {
+            regions = [].concat(rows || []);
+            return regions;
+        });
+    }
+
+    function regionRow(name) {
+        return regions.find(row => row.Region === name);
+    }
+
+    function regionName(name) {
+        return I18n.term('region', name, name.replace(/_/g, ' '));
+    }
+
+    // The user's region, then the cleanest and the dirtiest grid
+    function defaultRegions(home) {
+        const byGrid = regions
+            .filter(row => row.Region !== 'Global')
+            .sort((a, b) => a.GridIntensity_gCO2_per_kWh - b.GridIntensity_gCO2_per_kWh);
+        const picks = [home, byGrid[0].Region, byGrid[byGrid.length - 1].Region];
+        return picks.filter((name, i) => regionRow(name) && picks.indexOf(name) === i);
+    }
+
+    // ===== Calculation =====
+    function calculate(region) {
+        if (region === currentFootprint.region) {
+            results[region] = currentFootprint;
+            return Promise.resolve();
+        }
+
+        const footprint = reference;
+        return requestFootprint({ region }, { channel: `region-${region}` }).then(result => {
+            // Recalculated or reset while this was on its way
+            if (reference !== footprint) return;
+            results[region] = result;
+        });
+    }
+
+    // Starts over for the footprint just calculated in Phase 1
+    function initialize() {
+        reference = currentFootprint;
+        results = {};
+
+        loadRegions()
+            .then(() => {
+                if (chosen.length === 0) chosen = defaultRegions(currentFootprint.region);
+                render();
+                return Promise.all(chosen.map(calculate));
+            })
+            .then(render)
+            .catch(handleError);
+    }
+
+    // ===== UI Actions =====
+    function add(region) {
+        if (!region || chosen.includes(region)) return;
+        if (chosen.length >= MAX_REGIONS) {
+            showError(I18n.t('regions.tooMany', { count: MAX_REGIONS }));
+            return;
+        }
+
+        chosen.push(region);
+        render();
+        calculate(region).then(render).catch(handleError);
+    }
+
+    function addSelected() {
+        add(document.getElementById('regionComparePick').value);
+    }
+
+    function remove(region) {
+        chosen = chosen.filter(name => name !== region);
+        delete results[region];
+        render();
+    }
+
+    function reset() {
+        chosen = [];
+        results = {};
+        reference = null;
+        render();
+    }
+
+    // ===== Rendering =====
+    function tons(kg) {
+        return Units.tons(kg / 1000);
+    }
+
+    function renderPicker() {
+        const pick = document.getElementById('regionComparePick');
+        const options = regions
+            .filter(row => !chosen.includes(row.Region))
+            .map(row => ({ value: row.Region, label: regionName(row.Region) }))
+            .sort((a, b) => a.label.localeCompare(b.label));
+
+        pick.innerHTML = options.map(option => `<option value="${option.value}">${option.label}</option>`).join('');
+        pick.disabled = chosen.length >= MAX_REGIONS;
+        document.getElementById('regionCompareAdd').disabled = chosen.length >= MAX_REGIONS;
+    }
+
+    // Lowest and highest footprint among the regions calculated so far
+    function renderSummary(done) {
+        const summary = document.getElementById('regionCompareSummary');
+        if (done.length < 2) {
+            summary.textContent = '';
+            return;
+        }
+
+        const sorted = done.slice().sort((a, b) => results[a].total - results[b].total);
+        const low = sorted[0];
+        const high = sorted[sorted.length - 1];
+        summary.textContent = I18n.t('regions.summary', {
+            low: tons(results[low].total),
+            lowRegion: regionName(low),
+            high: tons(results[high].total),
+            highRegion: regionName(high),
+            spread: tons(results[high].total - results[low].total)
+        });
+    }
+
+    function renderBars(done) {
+        Charts.renderBars('regionCompareBars', done.map(region => {
+            const footprint = results[region];
+            const row = regionRow(region);
+            const home = region === currentFootprint.region;
+
+            return {
+                label: home ? I18n.t('regions.yours', { region: regionName(region) }) : regionName(region),
+                value: footprint.totalTons,
+                text: `${Units.number(footprint.totalTons, 1)}t`,
+                className: home ? 'user' : '',
+                lines: [
+                    I18n.t('regions.transportHome', { transport: tons(footprint.transport), home: tons(footprint.home) }),
+                    I18n.t('regions.grid', { value: Units.number(row.GridIntensity_gCO2_per_kWh) }),
+                    I18n.t('regions.perCapita', { amount: Units.tons(row.PerCapita_Total_Tons) })
+                ]
+            };
+        }), I18n.t('regions.barsLabel'));
+    }
+
+    // One row per region: the user's footprint there next to a typical resident's
+    function renderTable() {
+        const rows = chosen.map(region => {
+            const footprint = results[region];
+            const row = regionRow(region);
+            const perCapita = row.PerCapita_Total_Tons;
+            const pending = `<td colspan="3" class="region-pending">${I18n.t('regions.calculating')}</td>`;
+
+            return `
+                <tr${region === currentFootprint.region ? ' class="region-home"' : ''}>
+                    <td>${regionName(region)}</td>
+                    ${footprint ? `
+                        <td>${Units.tons(footprint.totalTons)}</td>
+                        <td>${tons(footprint.transport)}</td>
+                        <td>${tons(footprint.home)}</td>
+                    ` : pending}
+                    <td>${Units.number(row.GridIntensity_gCO2_per_kWh)}</td>
+                    <td>${Units.tons(perCapita)}</td>
+                    <td>${Units.tons(perCapita * row.Transport_Percent / 100)} (${Units.percent(row.Transport_Percent)})</td>
+                    <td>${Units.tons(perCapita * row.Home_Percent / 100)} (${Units.percent(row.Home_Percent)})</td>
+                    <td>
+                        <button type="button" class="secondary-btn small-btn" onclick="RegionCompare.remove('${region}')"
+                                aria-label="${I18n.t('regions.remove', { region: regionName(region) })}">✕</button>
+                    </td>
+                </tr>
+            `;
+        });
+
+        document.getElementById('regionCompareTable').innerHTML = `
+            <table class="finance-table">
+                <thead>
+                    <tr>
+                        <th rowspan="2">${I18n.t('regions.region')}</th>
+                        <th colspan="3">${I18n.t('regions.you')}</th>
+                        <th rowspan="2">${I18n.t('regions.gridHeading')}</th>
+                        <th colspan="3">${I18n.t('regions.resident')}</th>
+                        <th rowspan="2"></th>
+                    </tr>
+                    <tr>
+                        <th>${I18n.t('regions.total')}</th><th>${I18n.term('category', 'Transport')}</th><th>${I18n.term('category', 'Home')}</th>
+                        <th>${I18n.t('regions.total')}</th><th>${I18n.term('category', 'Transport')}</th><th>${I18n.term('category', 'Home')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+    }
+
+    function render() {
+        const section = document.getElementById('regionCompare');
+        section.hidden = !regions || !reference;
+        if (section.hidden) return;
+
+        const done = chosen.filter(region => results[region]);
+        renderPicker();
+        renderSummary(done);
+        renderBars(done);
+        renderTable();
+    }
+
+    return {
+        initialize,
+        add,
+        addSelected,
+        remove,
+        reset,
+        render
+    };
+})();
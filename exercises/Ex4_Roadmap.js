@@ -0,0 +1,267 @@
+// ===== Implementation Roadmap =====
+// Schedules the selected actions by TimeToImplement and projects the
+// month-by-month emissions path from the current month to the end of 2050:
+// a Gantt-style timeline, the annual emission rate against the Paris line,
+// and the cumulative tonnes avoided by 2030 and 2050.
+
+const Roadmap = (() => {
+    // Months until an action starts saving and until it saves in full;
+    // savings ramp up linearly in between
+    const SCHEDULE = {
+        'Immediate': { start: 0, end: 0 },
+        '1 month': { start: 0, end: 1 },
+        '1-3 months': { start: 1, end: 3 },
+        '3-6 months': { start: 3, end: 6 }
+    };
+
+    const GANTT_MONTHS = 6;
+    const MILESTONE_YEARS = [2030, 2050];
+    const DEFAULT_PARIS_TARGET = 2.0;
+
+    // Chart geometry (SVG user units)
+    const CHART = { width: 600, height: 220, left: 44, right: 12, top: 12, bottom: 28 };
+
+    // ===== Schedule =====
+    function scheduleOf(timeToImplement) {
+        return SCHEDULE[timeToImplement] || SCHEDULE['Immediate'];
+    }
+
+    // Share of an action's saving in effect during month m (0 = this month)
+    function rampFraction(schedule, m) {
+        if (m >= schedule.end) return 1;
+        if (m < schedule.start) return 0;
+        return (m - schedule.start) / (schedule.end - schedule.start);
+    }
+
+    function buildSchedule(actionDetails, actions) {
+        return actionDetails
+            .map(detail => {
+                const action = actions.find(a => a.ActionID === detail.id);
+                const timeToImplement = action ? action.TimeToImplement : 'Immediate';
+                return Object.assign({ timeToImplement }, detail, scheduleOf(timeToImplement));
+            })
+            .sort((a, b) => (a.start - b.start) || (a.end - b.end) || (b.impact - a.impact));
+    }
+
+    // ===== Trajectory =====
+    // One point per month until December of the last milestone year
+    function project(footprint, scheduled, startDate) {
+        const lastYear = MILESTONE_YEARS[MILESTONE_YEARS.length - 1];
+        const months = (lastYear - startDate.getFullYear()) * 12 + (12 - startDate.getMonth());
+        const parisTarget = footprint.parisTarget || DEFAULT_PARIS_TARGET;
+
+        const points = [];
+        let cumulativeAvoided = 0;
+        let parisMonth = null;
+
+        for (let m = 0; m < months; m++) {
+            const saving = scheduled.reduce((sum, a) => sum + a.impact * rampFraction(a, m), 0);
+            const annualTons = (footprint.total - saving) / 1000;
+            cumulativeAvoided += saving / 12 / 1000;
+
+            if (parisMonth === null && annualTons <= parisTarget) {
+                parisMonth = m;
+            }
+
+            points.push({
+                date: new Date(startDate.getFullYear(), startDate.getMonth() + m, 1),
+                annualTons,
+                cumulativeAvoided
+            });
+        }
+
+        const milestones = MILESTONE_YEARS
+            .filter(year => year >= startDate.getFullYear())
+            .map(year => {
+                const last = points.filter(p => p.date.getFullYear() <= year).pop();
+                return { year, avoided: last ? last.cumulativeAvoided : 0 };
+            });
+
+        return { points, parisTarget, parisMonth, milestones, baselineTons: footprint.totalTons };
+    }
+
+    // ===== Formatting =====
+    function monthLabel(date) {
+        return Units.date(date, { month: 'short', year: 'numeric' });
+    }
+
+    function parisMessage(trajectory) {
+        const target = Units.tons(trajectory.parisTarget);
+        if (trajectory.parisMonth === null) {
+            const final = trajectory.points[trajectory.points.length - 1].annualTons;
+            return I18n.t('roadmap.neverReaches', { amount: Units.tons(final), target });
+        }
+        if (trajectory.parisMonth === 0) {
+            return I18n.t('roadmap.belowFromStart', { target });
+        }
+        const date = trajectory.points[trajectory.parisMonth].date;
+        return I18n.t('roadmap.crosses', { target, date: monthLabel(date), count: trajectory.parisMonth });
+    }
+
+    // ===== Rendering =====
+    function renderGantt(scheduled, startDate) {
+        const container = document.getElementById('roadmapGantt');
+        container.innerHTML = '';
+
+        const axis = document.createElement('div');
+        axis.className = 'gantt-row gantt-axis';
+        let ticks = '';
+        for (let m = 0; m < GANTT_MONTHS; m++) {
+            const date = new Date(startDate.getFullYear(), startDate.getMonth() + m, 1);
+            ticks += `<span>${Units.date(date, { month: 'short' })}</span>`;
+        }
+        axis.innerHTML = `<div class="gantt-label"></div><div class="gantt-track gantt-ticks">${ticks}</div>`;
+        container.appendChild(axis);
+
+        scheduled.forEach(action => {
+            const left = (action.start / GANTT_MONTHS) * 100;
+            const width = Math.max(action.end - action.start, 0.25) / GANTT_MONTHS * 100;
+
+            const row = document.createElement('div');
+            row.className = 'gantt-row';
+            row.innerHTML = `
+                <div class="gantt-label">${action.name}</div>
+                <div class="gantt-track">
+                    <div class="gantt-bar ${action.end === 0 ? 'immediate' : ''}" style="left: ${left}%; width: ${width}%"></div>
+                    <span class="gantt-value">${I18n.t('roadmap.ganttValue', {
+                        time: I18n.term('time', action.timeToImplement),
+                        amount: Units.kg(action.impact)
+                    })}</span>
+                </div>
+            `;
+            container.appendChild(row);
+        });
+    }
+
+    function chartScale(points, maxValue) {
+        const plotWidth = CHART.width - CHART.left - CHART.right;
+        const plotHeight = CHART.height - CHART.top - CHART.bottom;
+        return {
+            x: i => CHART.left + (points.length > 1 ? i / (points.length - 1) : 0) * plotWidth,
+            y: value => CHART.top + plotHeight - (value / maxValue) * plotHeight
+        };
+    }
+
+    function polyline(points, scale, valueOf, className) {
+        const coords = points.map((p, i) => `${scale.x(i).toFixed(1)},${scale.y(valueOf(p)).toFixed(1)}`);
+        return `<polyline class="${className}" points="${coords.join(' ')}" />`;
+    }
+
+    // Y gridlines plus one x label per January
+    function chartAxes(points, scale, maxValue, unit) {
+        let svg = '';
+        for (let i = 0; i <= 4; i++) {
+            const value = (maxValue / 4) * i;
+            const y = scale.y(value).toFixed(1);
+            svg += `<line class="grid" x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${y}" y2="${y}" />`;
+            svg += `<text class="axis-label" x="${CHART.left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle">${Units.number(value, value < 10 ? 1 : 0)}${unit}</text>`;
+        }
+
+        const years = points.length > 120 ? 5 : 1;
+        points.forEach((p, i) => {
+            if (p.date.getMonth() === 0 && p.date.getFullYear() % years === 0) {
+                svg += `<text class="axis-label" x="${scale.x(i).toFixed(1)}" y="${CHART.height - 8}" text-anchor="middle">${p.date.getFullYear()}</text>`;
+            }
+        });
+        return svg;
+    }
+
+    // The last month of each year, for the data tables
+    function yearEnds(points) {
+        return points.filter((p, i) => i === points.length - 1 || points[i + 1].date.getFullYear() !== p.date.getFullYear());
+    }
+
+    function renderTrajectory(trajectory, horizon) {
+        const points = trajectory.points.filter(p => p.date.getFullYear() <= horizon);
+        const maxValue = Math.max(trajectory.baselineTons, trajectory.parisTarget) * 1.1;
+        const scale = chartScale(points, maxValue);
+        const parisY = scale.y(trajectory.parisTarget).toFixed(1);
+
+        let svg = chartAxes(points, scale, maxValue, 't');
+        svg += polyline(points, scale, () => trajectory.baselineTons, 'baseline-line');
+        svg += `<line class="paris-line" x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${parisY}" y2="${parisY}" />`;
+        svg += `<text class="paris-label" x="${CHART.width - CHART.right}" y="${parisY - 4}" text-anchor="end">${I18n.t('roadmap.parisLabel', { value: Units.number(trajectory.parisTarget, 1) })}</text>`;
+        svg += polyline(points, scale, p => p.annualTons, 'plan-line');
+
+        if (trajectory.parisMonth !== null && trajectory.parisMonth < points.length) {
+            const i = trajectory.parisMonth;
+            svg += `<circle class="paris-cross" cx="${scale.x(i).toFixed(1)}" cy="${scale.y(points[i].annualTons).toFixed(1)}" r="5" />`;
+        }
+
+        const container = document.getElementById('roadmapTrajectory');
+        container.innerHTML =
+            `<svg viewBox="0 0 ${CHART.width} ${CHART.height}" role="img" aria-label="${I18n.t('roadmap.annualLabel')}">${svg}</svg>`;
+        Charts.dataTable(container, I18n.t('roadmap.annualCaption'),
+            [I18n.t('roadmap.col.year'), I18n.t('chart.withPlan'), I18n.t('roadmap.col.withoutPlan'), I18n.t('roadmap.col.paris')],
+            yearEnds(points).map(p => [p.date.getFullYear(), Units.tons(p.annualTons, 2),
+                Units.tons(trajectory.baselineTons, 2), Units.tons(trajectory.parisTarget)]));
+    }
+
+    function renderCumulative(trajectory, horizon) {
+        const points = trajectory.points.filter(p => p.date.getFullYear() <= horizon);
+        const maxValue = Math.max(points[points.length - 1].cumulativeAvoided, 0.1) * 1.1;
+        const scale = chartScale(points, maxValue);
+
+        let svg = chartAxes(points, scale, maxValue, 't');
+        const baseY = scale.y(0).toFixed(1);
+        const area = points.map((p, i) => `${scale.x(i).toFixed(1)},${scale.y(p.cumulativeAvoided).toFixed(1)}`);
+        svg += `<polygon class="avoided-area" points="${CHART.left},${baseY} ${area.join(' ')} ${scale.x(points.length - 1).toFixed(1)},${baseY}" />`;
+
+        trajectory.milestones
+            .filter(milestone => milestone.year <= horizon)
+            .forEach(milestone => {
+                const i = points.filter(p => p.date.getFullYear() <= milestone.year).length - 1;
+                const x = scale.x(i).toFixed(1);
+                const y = scale.y(milestone.avoided).toFixed(1);
+                svg += `<circle class="milestone" cx="${x}" cy="${y}" r="4" />`;
+                svg += `<text class="milestone-label" x="${x}" y="${y - 8}" text-anchor="end">${I18n.t('roadmap.milestone', {
+                    value: Units.number(milestone.avoided, 1),
+                    year: milestone.year
+                })}</text>`;
+            });
+
+        const container = document.getElementById('roadmapCumulative');
+        container.innerHTML =
+            `<svg viewBox="0 0 ${CHART.width} ${CHART.height}" role="img" aria-label="${I18n.t('roadmap.cumulativeLabel')}">${svg}</svg>`;
+        Charts.dataTable(container, I18n.t('roadmap.cumulativeCaption'),
+            [I18n.t('roadmap.col.year'), I18n.t('roadmap.col.avoided')],
+            yearEnds(points).map(p => [p.date.getFullYear(), Units.tons(p.cumulativeAvoided)]));
+    }
+
+    function renderStats(trajectory) {
+        const stats = trajectory.milestones.map(milestone => `
+            <div class="stat-card">
+                <span class="label">${I18n.t('roadmap.avoidedBy', { year: milestone.year })}</span>
+                <span class="value">${Units.tons(milestone.avoided)}</span>
+            </div>
+        `);
+        document.getElementById('roadmapStats').innerHTML = stats.join('');
+
+        const status = document.getElementById('roadmapParis');
+        status.className = `paris-status ${trajectory.parisMonth === null ? 'above' : 'aligned'}`;
+        status.textContent = parisMessage(trajectory);
+    }
+
+    function render() {
+        if (!currentFootprint || !impactData || !impactData.actionDetails) return;
+
+        const startDate = new Date();
+        startDate.setDate(1);
+
+        const scheduled = buildSchedule([].concat(impactData.actionDetails), availableActions);
+        const trajectory = project(currentFootprint, scheduled, startDate);
+        const horizon = parseInt(document.getElementById('roadmapHorizon').value, 10);
+
+        renderGantt(scheduled, startDate);
+        renderStats(trajectory);
+        renderTrajectory(trajectory, horizon);
+        renderCumulative(trajectory, horizon);
+    }
+
+    return {
+        buildSchedule,
+        rampFraction,
+        project,
+        render
+    };
+})();
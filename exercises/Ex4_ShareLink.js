@@ -0,0 +1,244 @@
+// ===== Shareable Plan Links =====
+// Encodes the Phase 1 inputs, logged flights and selectedActionIDs in the URL
+// fragment, e.g.
+//   #v=1&r=USA&m=Car_Gasoline&ck=20&...&fl=LHR-JFK-r-e-2&a=1.16.28&h=1x9k2f
+// Every field has a short key that is never reused for anything else, so old
+// links keep working as fields are added: unknown keys are ignored and
+// missing fields keep their form defaults. `h` is a checksum over the rest of
+// the fragment; links with a bad checksum or out-of-range values are rejected.
+// A link holds one person's inputs, so there is none for a household; the
+// panel points to the plan file instead, which keeps every member.
+
+const ShareLink = (() => {
+    const LINK_VERSION = 1;
+    const MAX_ACTIONS = 100;
+    const MAX_ACTION_ID = 9999;
+
+    // Numeric limits are deliberately generous; they only reject nonsense
+    const FIELDS = [
+        { id: 'region', key: 'r', type: 'option' },
+        { id: 'commuteMode', key: 'm', type: 'option' },
+        { id: 'dailyCommuteKm', key: 'ck', type: 'number', max: 1000 },
+        { id: 'commuteDays', key: 'cd', type: 'integer', max: 365 },
+        { id: 'domesticFlights', key: 'df', type: 'integer', max: 500 },
+        { id: 'avgDomesticFlightKm', key: 'dk', type: 'number', max: 10000 },
+        { id: 'internationalFlights', key: 'if', type: 'integer', max: 500 },
+        { id: 'avgInternationalFlightKm', key: 'ik', type: 'number', max: 20000 },
+        { id: 'otherTravelKm', key: 'ot', type: 'number', max: 1000000 },
+        { id: 'monthlyElectricityKWh', key: 'el', type: 'number', max: 100000 },
+        { id: 'monthlyNaturalGasKWh', key: 'ng', type: 'number', max: 100000 },
+        { id: 'dietType', key: 'd', type: 'option' },
+        { id: 'streamingHoursPerDay', key: 'st', type: 'number', max: 24 },
+        { id: 'aiQueriesPerDay', key: 'ai', type: 'integer', max: 100000 },
+        { id: 'cloudStorageGB', key: 'cs', type: 'number', max: 1000000 },
+        { id: 'videoCallHoursPerWeek', key: 'vc', type: 'number', max: 168 },
+        { id: 'emailsPerDay', key: 'em', type: 'integer', max: 100000 },
+        { id: 'shoppingFrequency', key: 'sf', type: 'option' },
+        { id: 'clothingPurchases', key: 'cp', type: 'integer', max: 10000 },
+        { id: 'electronicsPurchases', key: 'ep', type: 'integer', max: 1000 },
+        { id: 'furniturePurchases', key: 'fp', type: 'integer', max: 1000 }
+    ];
+
+    const ACTIONS_KEY = 'a';
+    const FLIGHTS_KEY = 'fl';
+    const VERSION_KEY = 'v';
+    const CHECKSUM_KEY = 'h';
+
+    // ===== Checksum =====
+    // FNV-1a (32-bit), written in base 36
+    function checksum(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash.toString(36);
+    }
+
+    // ===== Encoding =====
+    function encode(values, actionIDs) {
+        const params = new URLSearchParams();
+        params.set(VERSION_KEY, String(LINK_VERSION));
+        FIELDS.forEach(field => {
+            if (values[field.id] !== undefined && values[field.id] !== '') {
+                params.set(field.key, String(values[field.id]));
+            }
+        });
+        if (values.flightLog && values.flightLog.length > 0) {
+            params.set(FLIGHTS_KEY, FlightLogger.serialize(values.flightLog));
+        }
+        params.set(ACTIONS_KEY, actionIDs.join('.'));
+
+        const body = params.toString();
+        return `${body}&${CHECKSUM_KEY}=${checksum(body)}`;
+    }
+
+    function buildURL() {
+        // A link from a kiosk screen opens the normal app
+        const url = new URL(window.location.href);
+        url.hash = '';
+        url.searchParams.delete('kiosk');
+        const base = url.toString();
+        return `${base}#${encode(readFormValues(), selectedActionIDs)}`;
+    }
+
+    // ===== Decoding =====
+    function optionValues(fieldId) {
+        return Array.from(document.getElementById(fieldId).options).map(option => option.value);
+    }
+
+    // Names the field by its form label, without the trailing colon
+    function invalidValue(field) {
+        const label = document.querySelector(`label[for="${field.id}"]`);
+        const name = label ? label.textContent.replace(/\s*:\s*$/, '') : field.id;
+        return new Error(I18n.t('reason.linkValue', { field: name }));
+    }
+
+    function decodeValue(field, raw) {
+        if (field.type === 'option') {
+            if (!optionValues(field.id).includes(raw)) {
+                throw invalidValue(field);
+            }
+            return raw;
+        }
+
+        const pattern = field.type === 'integer' ? /^\d+$/ : /^\d+(\.\d+)?$/;
+        const value = Number(raw);
+        if (!pattern.test(raw) || value > field.max) {
+            throw invalidValue(field);
+        }
+        return raw;
+    }
+
+    function decodeActions(raw) {
+        if (!raw) return [];
+
+        const ids = raw.split('.').map(part => {
+            if (!/^\d+$/.test(part) || Number(part) < 1 || Number(part) > MAX_ACTION_ID) {
+                throw new Error(I18n.t('reason.linkActions'));
+            }
+            return Number(part);
+        });
+
+        if (ids.length > MAX_ACTIONS || new Set(ids).size !== ids.length) {
+            throw new Error(I18n.t('reason.linkActions'));
+        }
+        return ids;
+    }
+
+    // Returns { values, actionIDs }, or null when the fragment holds no plan;
+    // throws for links that are damaged, tampered with or too new
+    function decode(fragment) {
+        const text = fragment.replace(/^#/, '');
+        if (!text) return null;
+
+        const params = new URLSearchParams(text);
+        if (!params.has(VERSION_KEY)) return null;
+
+        const marker = `&${CHECKSUM_KEY}=`;
+        const split = text.lastIndexOf(marker);
+        if (split === -1 || checksum(text.slice(0, split)) !== text.slice(split + marker.length)) {
+            throw new Error(I18n.t('reason.linkModified'));
+        }
+
+        const version = Number(params.get(VERSION_KEY));
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(I18n.t('reason.linkModified'));
+        }
+        if (version > LINK_VERSION) {
+            throw new Error(I18n.t('reason.linkNewer'));
+        }
+
+        const values = {};
+        FIELDS.forEach(field => {
+            if (params.has(field.key)) {
+                values[field.id] = decodeValue(field, params.get(field.key));
+            }
+        });
+
+        if (params.has(FLIGHTS_KEY)) {
+            values.flightLog = FlightLogger.parse(params.get(FLIGHTS_KEY));
+        }
+
+        return { values, actionIDs: decodeActions(params.get(ACTIONS_KEY)) };
+    }
+
+    // ===== Restore on Load =====
+    // Rebuilds the shared plan through the normal request flow, so the
+    // footprint and impacts are recalculated rather than read from the link
+    function restoreFromLocation() {
+        let plan;
+        try {
+            plan = decode(window.location.hash);
+        } catch (error) {
+            showError(I18n.t('error.openSharedPlan', { reason: error.message }));
+            return;
+        }
+        if (!plan) return;
+
+        applyFormValues(plan.values);
+        if (!validateAllInputs()) {
+            showError(I18n.t('error.sharedPlanIncomplete'));
+            return;
+        }
+
+        showLoading(true);
+        requestFootprint()
+            .then(footprint => {
+                handleFootprintCalculated(footprint);
+                if (plan.actionIDs.length > 0) {
+                    return restorePlan(plan.actionIDs);
+                }
+            })
+            .catch(handleError);
+    }
+
+    // ===== Phase 4 Panel =====
+    function render() {
+        const household = Household.isActive();
+        const notice = document.getElementById('shareHousehold');
+        notice.hidden = !household;
+        notice.textContent = household ? I18n.t('share.household') : '';
+        document.getElementById('shareContent').hidden = household;
+        document.getElementById('shareStatus').textContent = '';
+        if (household) {
+            document.getElementById('shareLink').value = '';
+            document.getElementById('shareQR').innerHTML = '';
+            return;
+        }
+
+        const url = buildURL();
+        document.getElementById('shareLink').value = url;
+
+        const qrContainer = document.getElementById('shareQR');
+        try {
+            qrContainer.innerHTML = QRCode.toSVG(url);
+        } catch (error) {
+            qrContainer.textContent = I18n.t('share.tooLarge');
+        }
+    }
+
+    function copyLink() {
+        const input = document.getElementById('shareLink');
+        const status = document.getElementById('shareStatus');
+
+        const copied = navigator.clipboard ?
+            navigator.clipboard.writeText(input.value) :
+            Promise.reject(new Error('Clipboard not available'));
+
+        copied
+            .then(() => { status.textContent = I18n.t('share.copied'); })
+            .catch(() => {
+                input.select();
+                status.textContent = I18n.t('share.pressCopy');
+            });
+    }
+
+    return {
+        encode,
+        decode,
+        restoreFromLocation,
+        render,
+        copyLink
+    };
+})();
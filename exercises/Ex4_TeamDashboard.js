@@ -0,0 +1,345 @@
+// ===== Team Dashboard =====
+// For workshops with a class or company team: the facilitator opens the plan
+// files (PlanExport JSON) that participants downloaded from Phase 4, and the
+// Team tab compares them without a server. It adds up the footprints and
+// category breakdowns, draws the spread of footprints against the regional
+// average and the Paris target, ranks the pledged reductions (names can be
+// hidden for projection), and projects the tonnes the group avoids with
+// Roadmap's schedule. Participants are kept in the page only, named after
+// their file; opening a file with the same name again replaces it. Files
+// whose region or actions the backend doesn't know are turned away.
+
+const TeamDashboard = (() => {
+    const CATEGORIES = ['Transport', 'Home', 'Food', 'Digital', 'Consumption'];
+
+    // Histogram geometry (SVG user units) and bin widths to choose from
+    const CHART = { width: 600, height: 240, left: 36, right: 12, top: 28, bottom: 36 };
+    const BIN_STEPS = [0.5, 1, 2, 5, 10, 20];
+    const MAX_BINS = 10;
+
+    // { id, name, footprint, impact, actions } in the order they were opened
+    let participants = [];
+
+    // Promise of the region names and ActionIDs the backend knows, loaded
+    // with the first file; every file is checked against them
+    let known = null;
+
+    // ===== Importing =====
+    function readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(new Error(I18n.t('reason.unreadable')));
+            reader.readAsText(file);
+        });
+    }
+
+    function loadKnown(footprint) {
+        if (known) return known;
+
+        const requestData = { region: footprint.region, currentFootprint: footprint };
+        known = Promise.all([
+            BackendBridge.request('GetRegions', {}, { channel: 'team-regions' }),
+            BackendBridge.request('GetAvailableActions', requestData, { channel: 'team-actions' }),
+            BackendBridge.request('GetExcludedActions', requestData, { channel: 'team-excluded' })
+        ]).then(([regions, available, excluded]) => ({
+            regions: new Set([].concat(regions || []).map(row => row.Region)),
+            actionIDs: new Set([].concat(available || [], excluded || []).map(action => action.ActionID))
+        }));
+        // Try again with the next file
+        known.catch(() => { known = null; });
+        return known;
+    }
+
+    // Rejects a file whose region or actions the backend doesn't know
+    function check(bundle) {
+        return loadKnown(bundle.currentFootprint).then(({ regions, actionIDs }) => {
+            if (!regions.has(bundle.currentFootprint.region)) {
+                throw new Error(I18n.t('reason.unknownRegion'));
+            }
+            const ids = bundle.selectedActions.map(action => action.ActionID)
+                .concat(bundle.impactData ? bundle.impactData.actionDetails.map(detail => detail.id) : []);
+            if (!ids.every(id => actionIDs.has(id))) {
+                throw new Error(I18n.t('reason.unknownAction'));
+            }
+            return bundle;
+        });
+    }
+
+    // Parses, checks and adds one plan file's text
+    function importText(fileName, text) {
+        return Promise.resolve()
+            .then(() => check(PlanExport.parseBundle(text)))
+            .then(bundle => add(fileName, bundle));
+    }
+
+    function importFiles(input) {
+        const files = Array.from(input.files);
+        if (files.length === 0) return;
+
+        Promise.all(files.map(file => readFile(file)
+            .then(text => importText(file.name, text))
+            .then(() => null)
+            .catch(error => `${file.name} (${error.message})`)))
+            .then(failures => {
+                failures = failures.filter(Boolean);
+                if (failures.length > 0) {
+                    showError(I18n.t('team.importFailed', { count: failures.length, files: failures.join(', ') }));
+                }
+                render();
+            });
+
+        // Allow opening the same files again
+        input.value = '';
+    }
+
+    // Adds a parsed plan bundle; a file with the same name replaces the earlier one
+    function add(fileName, bundle) {
+        const participant = {
+            id: fileName,
+            name: fileName.replace(/\.json$/i, ''),
+            footprint: bundle.currentFootprint,
+            impact: bundle.impactData || null,
+            actions: bundle.selectedActions
+        };
+
+        const index = participants.findIndex(p => p.id === fileName);
+        if (index === -1) {
+            participants.push(participant);
+        } else {
+            participants[index] = participant;
+        }
+    }
+
+    function remove(id) {
+        participants = participants.filter(p => p.id !== id);
+        render();
+    }
+
+    function clear() {
+        if (participants.length === 0) return;
+
+        askConfirm(I18n.t('team.confirmClear', { count: participants.length })).then(confirmed => {
+            if (!confirmed) return;
+            participants = [];
+            render();
+        });
+    }
+
+    // ===== Aggregates =====
+    function reductionOf(participant) {
+        return participant.impact ? participant.impact.totalReduction : 0;
+    }
+
+    function newTotalOf(participant) {
+        return participant.impact ? participant.impact.newTotal : participant.footprint.totalTons;
+    }
+
+    // The group as one footprint, in the shape Charts.renderBreakdown takes
+    function groupFootprint() {
+        const footprint = { total: 0, totalTons: 0 };
+        CATEGORIES.forEach(category => {
+            footprint[category.toLowerCase()] = participants.reduce((sum, p) => sum + (p.footprint[category.toLowerCase()] || 0), 0);
+        });
+        footprint.total = participants.reduce((sum, p) => sum + p.footprint.total, 0);
+        footprint.totalTons = footprint.total / 1000;
+        return footprint;
+    }
+
+    function groupReduction() {
+        const reduction = {};
+        CATEGORIES.forEach(category => {
+            reduction[category] = participants.reduce((sum, p) =>
+                sum + (p.impact && p.impact.categoryBreakdown ? p.impact.categoryBreakdown[category] || 0 : 0), 0);
+        });
+        return reduction;
+    }
+
+    // Tonnes the group avoids by each Roadmap milestone year, with every
+    // participant starting their plan this month
+    function groupMilestones() {
+        const startDate = new Date();
+        startDate.setDate(1);
+
+        const totals = {};
+        participants.forEach(p => {
+            if (!p.impact || !p.impact.actionDetails) return;
+            const scheduled = Roadmap.buildSchedule([].concat(p.impact.actionDetails), p.actions);
+            Roadmap.project(p.footprint, scheduled, startDate).milestones.forEach(milestone => {
+                totals[milestone.year] = (totals[milestone.year] || 0) + milestone.avoided;
+            });
+        });
+        return Object.keys(totals).map(year => ({ year, avoided: totals[year] }));
+    }
+
+    // The regional average line: the region's figure when everyone is in the
+    // same region, otherwise the mean of the participants' regional figures
+    function regionalReference() {
+        const known = participants.filter(p => p.footprint.regionalAvg);
+        if (known.length === 0) return null;
+
+        const regions = new Set(known.map(p => p.footprint.region));
+        return {
+            value: known.reduce((sum, p) => sum + p.footprint.regionalAvg, 0) / known.length,
+            label: regions.size === 1 ?
+                I18n.t('team.regionalAvg', { region: I18n.term('region', known[0].footprint.region) }) :
+                I18n.t('team.regionalAvgMixed')
+        };
+    }
+
+    function parisTarget() {
+        const known = participants.filter(p => p.footprint.parisTarget);
+        return known.length > 0 ? known[0].footprint.parisTarget : 2.0;
+    }
+
+    function displayName(participant) {
+        if (!document.getElementById('teamAnonymous').checked) return participant.name;
+        return I18n.t('team.participant', { number: participants.indexOf(participant) + 1 });
+    }
+
+    // ===== Rendering =====
+    function renderStats() {
+        const footprint = groupFootprint();
+        const reduction = participants.reduce((sum, p) => sum + reductionOf(p), 0);
+        const target = parisTarget();
+
+        const stats = [
+            [I18n.t('team.stat.participants'), Units.number(participants.length)],
+            [I18n.t('team.stat.total'), Units.tons(footprint.totalTons)],
+            [I18n.t('team.stat.average'), Units.tons(footprint.totalTons / participants.length)],
+            [I18n.t('team.stat.reduction'), Units.tons(reduction / 1000)],
+            [I18n.t('team.stat.percent'), Units.percent(footprint.total > 0 ? (reduction / footprint.total) * 100 : 0)],
+            [I18n.t('team.stat.onTarget'), I18n.t('team.stat.onTargetValue', {
+                now: participants.filter(p => p.footprint.totalTons <= target).length,
+                planned: participants.filter(p => newTotalOf(p) <= target).length
+            })]
+        ].concat(groupMilestones().map(milestone =>
+            [I18n.t('team.stat.avoidedBy', { year: milestone.year }), Units.tons(milestone.avoided)]));
+
+        document.getElementById('teamStats').innerHTML = stats.map(([label, value]) => `
+            <div class="stat-card">
+                <span class="label">${label}</span>
+                <span class="value">${value}</span>
+            </div>
+        `).join('');
+    }
+
+    // Footprints (current or with plans) binned into a histogram with lines
+    // for the regional average and the Paris target
+    function renderHistogram() {
+        const withPlans = document.getElementById('teamDistribution').value === 'withPlan';
+        const values = participants.map(p => withPlans ? newTotalOf(p) : p.footprint.totalTons);
+        const regional = regionalReference();
+        const target = parisTarget();
+
+        const maxValue = Math.max(...values, target, regional ? regional.value : 0);
+        const step = BIN_STEPS.find(s => Math.ceil(maxValue / s) <= MAX_BINS) || BIN_STEPS[BIN_STEPS.length - 1];
+        const bins = Array.from({ length: Math.max(Math.ceil(maxValue / step), 1) }, (_, i) => ({
+            low: i * step,
+            high: (i + 1) * step,
+            count: 0
+        }));
+        values.forEach(value => {
+            bins[Math.min(Math.floor(value / step), bins.length - 1)].count++;
+        });
+
+        const maxCount = Math.max(...bins.map(bin => bin.count), 1);
+        const plotWidth = CHART.width - CHART.left - CHART.right;
+        const plotHeight = CHART.height - CHART.top - CHART.bottom;
+        const top = bins.length * step;
+        const x = tons => CHART.left + (tons / top) * plotWidth;
+        const y = count => CHART.top + (1 - count / maxCount) * plotHeight;
+        const digits = step < 1 ? 1 : 0;
+        const range = bin => `${Units.number(bin.low, digits)}–${Units.number(bin.high, digits)} t`;
+
+        let svg = '';
+        for (let count = 0; count <= maxCount; count += Math.ceil(maxCount / 4)) {
+            const yPos = y(count).toFixed(1);
+            svg += `<line class="grid" x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${yPos}" y2="${yPos}" />`;
+            svg += `<text class="axis-label" x="${CHART.left - 6}" y="${yPos}" text-anchor="end" dominant-baseline="middle">${count}</text>`;
+        }
+
+        bins.forEach(bin => {
+            const left = x(bin.low) + 1;
+            const width = x(bin.high) - x(bin.low) - 2;
+            svg += `<rect class="team-bar" x="${left.toFixed(1)}" y="${y(bin.count).toFixed(1)}" width="${width.toFixed(1)}" ` +
+                `height="${(y(0) - y(bin.count)).toFixed(1)}"><title>${range(bin)}: ${I18n.t('team.people', { count: bin.count })}</title></rect>`;
+            svg += `<text class="axis-label" x="${(left + width / 2).toFixed(1)}" y="${CHART.height - CHART.bottom + 14}" text-anchor="middle">${Units.number(bin.low, digits)}</text>`;
+        });
+        svg += `<text class="axis-label" x="${CHART.width - CHART.right}" y="${CHART.height - 4}" text-anchor="end">${I18n.t('team.axis')}</text>`;
+
+        const references = [{ className: 'paris-line', value: target, label: I18n.t('team.parisTarget') }]
+            .concat(regional ? [{ className: 'baseline-line', value: regional.value, label: regional.label }] : []);
+        references.forEach((reference, i) => {
+            const xPos = x(reference.value).toFixed(1);
+            svg += `<line class="${reference.className}" x1="${xPos}" x2="${xPos}" y1="${CHART.top - 6}" y2="${y(0)}" />`;
+            svg += `<text class="paris-label" x="${xPos}" y="${CHART.top - 10 - i * 12}" text-anchor="middle">` +
+                `${escapeHTML(reference.label)} ${Units.number(reference.value, 1)} t</text>`;
+        });
+
+        const container = document.getElementById('teamHistogram');
+        container.innerHTML =
+            `<svg viewBox="0 0 ${CHART.width} ${CHART.height}" role="img" aria-label="${I18n.t('team.histogramLabel')}">${svg}</svg>`;
+        Charts.dataTable(container, I18n.t('team.histogramLabel'),
+            [I18n.t('team.footprintRange'), I18n.t('team.participants')],
+            bins.map(bin => [range(bin), bin.count]));
+    }
+
+    // Ranked by pledged reduction, largest first
+    function renderLeaderboard() {
+        const ranked = participants.slice().sort((a, b) => reductionOf(b) - reductionOf(a));
+
+        const rows = ranked.map((p, i) => `
+            <tr>
+                <td>${i + 1}</td>
+                <td>${escapeHTML(displayName(p))}</td>
+                <td>${Units.tons(reductionOf(p) / 1000)}</td>
+                <td>${Units.percent(p.impact ? p.impact.reductionPercent : 0)}</td>
+                <td>${Units.tons(p.footprint.totalTons)} → ${Units.tons(newTotalOf(p))}</td>
+                <td>${Units.number(p.actions.length)}</td>
+                <td>
+                    <button type="button" class="secondary-btn small-btn" onclick="TeamDashboard.remove(this.dataset.id)"
+                            data-id="${escapeHTML(p.id)}" aria-label="${escapeHTML(I18n.t('team.remove', { name: displayName(p) }))}">✕</button>
+                </td>
+            </tr>
+        `);
+
+        document.getElementById('teamLeaderboard').innerHTML = `
+            <table class="finance-table">
+                <thead>
+                    <tr>
+                        <th>#</th><th>${I18n.t('team.participantHeading')}</th><th>${I18n.t('team.reductionHeading')}</th>
+                        <th>%</th><th>${I18n.t('team.footprintHeading')}</th><th>${I18n.t('team.actionsHeading')}</th><th></th>
+                    </tr>
+                </thead>
+                <tbody>${rows.join('')}</tbody>
+            </table>
+        `;
+    }
+
+    function render() {
+        const empty = participants.length === 0;
+        document.getElementById('teamEmpty').hidden = !empty;
+        document.getElementById('teamResults').hidden = empty;
+        if (empty) return;
+
+        // Redrawing starts the breakdown at the current footprint; keep the toggle's choice
+        const projected = document.querySelector('[data-chart="teamPieChart"][data-projected="true"]')
+            .getAttribute('aria-pressed') === 'true';
+
+        renderStats();
+        Charts.renderBreakdown('teamPieChart', 'teamPieLegend', groupFootprint(), groupReduction());
+        if (projected) Charts.showProjected('teamPieChart', true);
+        renderHistogram();
+        renderLeaderboard();
+    }
+
+    return {
+        importFiles,
+        importText,
+        add,
+        remove,
+        clear,
+        render
+    };
+})();
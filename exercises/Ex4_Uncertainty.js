@@ -0,0 +1,297 @@
+// ===== Uncertainty =====
+// Emission factors and action estimates are far from exact (digital factors
+// vary 4-8x with streaming quality), so every source in footprint.breakdown
+// and every action impact carries a rough 90% range, given as multipliers
+// of the central value. A Monte Carlo run draws each multiplier from a
+// log-normal with that 5th-95th percentile range and adds the samples up;
+// action savings are capped at the sampled emissions of their category.
+// Sources and actions are drawn independently.
+//
+// The simulation runs in a Web Worker started from this same file. Where
+// workers are unavailable (file:// pages, some uihtml sandboxes) it runs
+// on the page instead. Results are attached to the footprint or impact as
+// `uncertainty`, with ranges stored as multipliers of the central values so
+// they still hold when Household.displayFootprint scales a footprint.
+
+const Uncertainty = (() => {
+    // 90% ranges for the footprint.breakdown parts, by part key
+    const SOURCE_RANGES = {
+        commute: [0.75, 1.3],
+        domesticFlights: [0.7, 1.7],
+        internationalFlights: [0.7, 1.7],
+        otherTravel: [0.75, 1.3],
+        electricity: [0.8, 1.25],
+        naturalGas: [0.9, 1.1],
+        diet: [0.7, 1.4],
+        streaming: [0.4, 2.0],
+        aiQueries: [0.3, 3.0],
+        cloudStorage: [0.5, 2.0],
+        videoCalls: [0.5, 2.0],
+        email: [0.25, 2.5],
+        shopping: [0.6, 1.5],
+        clothing: [0.5, 1.8],
+        electronics: [0.6, 1.6],
+        furniture: [0.5, 1.8]
+    };
+
+    // Used for categories without a breakdown and for action impacts
+    const CATEGORY_RANGES = {
+        transport: [0.75, 1.3],
+        home: [0.8, 1.25],
+        food: [0.7, 1.4],
+        digital: [0.4, 2.0],
+        consumption: [0.6, 1.6]
+    };
+
+    const ACTION_RANGES = {
+        transport: [0.7, 1.3],
+        home: [0.6, 1.4],
+        food: [0.5, 1.5],
+        digital: [0.3, 2.0],
+        consumption: [0.5, 1.6]
+    };
+
+    const CATEGORY_KEYS = Object.keys(CATEGORY_RANGES);
+
+    const SAMPLES = 5000;
+
+    // A fixed seed keeps the ranges steady when the same inputs are redrawn
+    const SEED = 20300101;
+
+    // Standard normal quantile at 95%
+    const Z90 = 1.6449;
+
+    // At or above this chance the Paris status counts as on track; the
+    // bands follow the IPCC's "likely" (66%) and "unlikely" (33%)
+    const LIKELY = 0.66;
+    const UNLIKELY = 0.33;
+
+    // ===== Simulation =====
+    // Small seeded generator (mulberry32)
+    function random(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function normal(next) {
+        const u = 1 - next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * next());
+    }
+
+    // A multiplier whose 5th and 95th percentiles are range[0] and range[1]
+    function multiplier(range, next) {
+        const mu = (Math.log(range[0]) + Math.log(range[1])) / 2;
+        const sigma = (Math.log(range[1]) - Math.log(range[0])) / (2 * Z90);
+        return Math.exp(mu + sigma * normal(next));
+    }
+
+    function quantile(sorted, q) {
+        return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+    }
+
+    function interval(values, central) {
+        if (!(central > 0)) return { low: 1, high: 1 };
+        const sorted = Float64Array.from(values).sort();
+        return { low: quantile(sorted, 0.05) / central, high: quantile(sorted, 0.95) / central };
+    }
+
+    // model: { sources: [{ category, value, range }], actions: [{ id,
+    // category, value, range }], target } with values in kg. Plain data, so
+    // it can be posted to the worker.
+    function simulate(model) {
+        const next = random(SEED);
+        const totals = new Float64Array(SAMPLES);
+        const remaining = new Float64Array(SAMPLES);
+        const reductions = new Float64Array(SAMPLES);
+        const actionSamples = model.actions.map(() => new Float64Array(SAMPLES));
+
+        for (let s = 0; s < SAMPLES; s++) {
+            const emissions = {};
+            CATEGORY_KEYS.forEach(key => { emissions[key] = 0; });
+            model.sources.forEach(source => {
+                emissions[source.category] += source.value * multiplier(source.range, next);
+            });
+
+            const savings = {};
+            CATEGORY_KEYS.forEach(key => { savings[key] = 0; });
+            model.actions.forEach((action, i) => {
+                const saving = action.value * multiplier(action.range, next);
+                actionSamples[i][s] = Math.min(saving, emissions[action.category]);
+                savings[action.category] += saving;
+            });
+
+            let total = 0;
+            let reduction = 0;
+            CATEGORY_KEYS.forEach(key => {
+                total += emissions[key];
+                reduction += Math.min(savings[key], emissions[key]);
+            });
+            totals[s] = total;
+            reductions[s] = reduction;
+            remaining[s] = total - reduction;
+        }
+
+        const centralTotal = model.sources.reduce((sum, source) => sum + source.value, 0);
+        const centralReduction = model.actions.reduce((sum, action) => sum + action.value, 0);
+        const withinTarget = values => values.filter(value => value <= model.target).length / SAMPLES;
+
+        const result = Object.assign(interval(totals, centralTotal), { probability: withinTarget(totals) });
+        if (model.actions.length === 0) return result;
+
+        result.plan = Object.assign(interval(remaining, centralTotal - centralReduction), {
+            probability: withinTarget(remaining),
+            reduction: interval(reductions, centralReduction),
+            actions: {}
+        });
+        model.actions.forEach((action, i) => {
+            result.plan.actions[action.id] = interval(actionSamples[i], action.value);
+        });
+        return result;
+    }
+
+    // ===== Worker =====
+    // Read while the page runs this file as a normal script
+    const SCRIPT_URL = typeof document !== 'undefined' && document.currentScript ?
+        document.currentScript.src : null;
+
+    let worker = null;
+    let workerFailed = false;
+    let nextJobId = 1;
+
+    // jobId -> { model, resolve }
+    const jobs = new Map();
+
+    function startWorker() {
+        if (worker) return true;
+        if (workerFailed || !SCRIPT_URL || typeof Worker === 'undefined') return false;
+
+        try {
+            worker = new Worker(SCRIPT_URL);
+        } catch (error) {
+            console.warn('Uncertainty worker unavailable, simulating on the page:', error.message);
+            workerFailed = true;
+            return false;
+        }
+
+        worker.onmessage = event => {
+            const job = jobs.get(event.data.jobId);
+            if (!job) return;
+            jobs.delete(event.data.jobId);
+            job.resolve(event.data.result);
+        };
+
+        // A worker that fails to load reports it here; finish its jobs on the page
+        worker.onerror = event => {
+            console.warn('Uncertainty worker failed, simulating on the page:', event.message);
+            event.preventDefault();
+            worker.terminate();
+            worker = null;
+            workerFailed = true;
+            jobs.forEach(job => job.resolve(simulate(job.model)));
+            jobs.clear();
+        };
+        return true;
+    }
+
+    function run(model) {
+        if (!startWorker()) {
+            return Promise.resolve().then(() => simulate(model));
+        }
+        return new Promise(resolve => {
+            const jobId = nextJobId++;
+            jobs.set(jobId, { model, resolve });
+            worker.postMessage({ jobId, model });
+        });
+    }
+
+    // ===== Models =====
+    function sourcesOf(footprint) {
+        const sources = [];
+        CATEGORY_KEYS.forEach(category => {
+            const parts = footprint.breakdown ? [].concat(footprint.breakdown[category] || []) : [];
+            if (parts.length === 0) {
+                sources.push({ category, value: footprint[category], range: CATEGORY_RANGES[category] });
+                return;
+            }
+            parts.forEach(part => {
+                sources.push({ category, value: part.value, range: SOURCE_RANGES[part.key] || CATEGORY_RANGES[category] });
+            });
+        });
+        return sources;
+    }
+
+    // Sets footprint.uncertainty = { low, high, probability }: the 90% range
+    // of the total as multipliers of footprint.total, and the chance that
+    // the total is within the Paris target
+    function attach(footprint) {
+        const model = { sources: sourcesOf(footprint), actions: [], target: footprint.parisTarget * 1000 };
+        return run(model).then(result => {
+            footprint.uncertainty = result;
+            return footprint;
+        });
+    }
+
+    // Sets impact.uncertainty the same way for the total after the plan
+    // (impact.newTotal), with `reduction` for impact.totalReduction and
+    // `actions[id]` for each of impact.actionDetails
+    function attachImpact(impact, footprint) {
+        const model = {
+            sources: sourcesOf(footprint),
+            actions: impact.actionDetails.filter(action => action.impact > 0).map(action => {
+                const category = action.category.toLowerCase();
+                return { id: action.id, category, value: action.impact, range: ACTION_RANGES[category] };
+            }),
+            target: footprint.parisTarget * 1000
+        };
+        return run(model).then(result => {
+            impact.uncertainty = result.plan || { low: 1, high: 1, probability: result.probability, reduction: { low: 1, high: 1 }, actions: {} };
+            return impact;
+        });
+    }
+
+    // ===== Formatting =====
+    // 'aligned', 'close' or 'above', like the backend's parisStatus
+    function status(probability) {
+        if (probability >= LIKELY) return 'aligned';
+        if (probability >= UNLIKELY) return 'close';
+        return 'above';
+    }
+
+    function formatProbability(probability) {
+        if (probability < 0.01) return `<${Units.percent(1)}`;
+        if (probability > 0.99) return `>${Units.percent(99)}`;
+        return Units.percent(probability * 100);
+    }
+
+    // "12.1–17.3 tons" for a central value and a range of multipliers
+    function formatTons(tons, range) {
+        return `${Units.number(tons * range.low, 1)}–${Units.tons(tons * range.high)}`;
+    }
+
+    function formatKg(kg, range) {
+        return `${Units.number(kg * range.low)}–${Units.kg(kg * range.high)}`;
+    }
+
+    return {
+        simulate,
+        attach,
+        attachImpact,
+        status,
+        formatProbability,
+        formatTons,
+        formatKg
+    };
+})();
+
+// Started as a Web Worker by Uncertainty: simulate off the page's thread
+if (typeof window === 'undefined' && typeof self !== 'undefined' && typeof importScripts === 'function') {
+    self.onmessage = event => {
+        self.postMessage({ jobId: event.data.jobId, result: Uncertainty.simulate(event.data.model) });
+    };
+}
@@ -0,0 +1,218 @@
+// ===== Units and Number Formatting =====
+// The backend works in metric only. This layer lets the Phase 1 form (and
+// the Phase 5 monthly log) show distances in miles and natural gas in
+// therms, converting to km and kWh in readUserData(). readFormValues() and applyFormValues() always use metric
+// values, so profiles, share links and plan files do not depend on the
+// unit setting. Displayed figures go through Intl.NumberFormat for the
+// chosen locale, or the interface language's locale by default. Both
+// preferences are saved like the theme.
+
+const Units = (() => {
+    const SYSTEM_KEY = 'carbonTrackerUnits';
+    const LOCALE_KEY = 'carbonTrackerLocale';
+
+    const KM_PER_MILE = 1.609344;
+    const KWH_PER_THERM = 29.3071;
+
+    // Metric units per display unit, and the short unit name, for each unit
+    // system; label text is in the I18n catalog (units.<quantity>.<system>)
+    const QUANTITIES = {
+        distance: {
+            metric: { factor: 1, short: 'km' },
+            us: { factor: KM_PER_MILE, short: 'mi' }
+        },
+        gas: {
+            metric: { factor: 1, short: 'kWh' },
+            us: { factor: KWH_PER_THERM, short: 'therms' }
+        }
+    };
+
+    // Inputs stored in metric but shown in the chosen unit system
+    const CONVERTED_FIELDS = {
+        dailyCommuteKm: 'distance',
+        avgDomesticFlightKm: 'distance',
+        avgInternationalFlightKm: 'distance',
+        otherTravelKm: 'distance',
+        monthlyNaturalGasKWh: 'gas',
+        trackDrivenKm: 'distance',
+        trackNaturalGasKWh: 'gas'
+    };
+
+    // Decimal places kept when a value is converted for display
+    const DISPLAY_DECIMALS = 2;
+
+    let system = 'metric';
+    let locale = 'auto';
+    const formatters = {};
+
+    // ===== Preferences =====
+    function load() {
+        const savedSystem = localStorage.getItem(SYSTEM_KEY);
+        system = ['metric', 'us'].includes(savedSystem) ? savedSystem : 'metric';
+        locale = localStorage.getItem(LOCALE_KEY) || 'auto';
+
+        document.getElementById('unitSystem').value = system;
+        document.getElementById('numberLocale').value = locale;
+        if (document.getElementById('numberLocale').value !== locale) {
+            locale = 'auto';
+            document.getElementById('numberLocale').value = locale;
+        }
+        updateLabels();
+    }
+
+    function getSystem() {
+        return system;
+    }
+
+    // Keeps the entered quantities and re-expresses them in the new units
+    function setSystem(newSystem) {
+        const metric = {};
+        Object.keys(CONVERTED_FIELDS).forEach(fieldId => {
+            metric[fieldId] = metricFieldValue(fieldId);
+        });
+
+        system = newSystem;
+        localStorage.setItem(SYSTEM_KEY, system);
+
+        Object.keys(metric).forEach(fieldId => {
+            if (metric[fieldId] !== '') {
+                showMetric(fieldId, metric[fieldId]);
+            }
+        });
+
+        updateLabels();
+        refreshDisplays();
+    }
+
+    function setLocale(newLocale) {
+        locale = newLocale;
+        localStorage.setItem(LOCALE_KEY, locale);
+        refreshDisplays();
+    }
+
+    // 'auto' follows the interface language
+    function localeTag() {
+        return locale !== 'auto' ? locale : I18n.localeTag();
+    }
+
+    // ===== Conversion =====
+    function unitFor(quantity) {
+        return QUANTITIES[quantity][system];
+    }
+
+    function round(value) {
+        const scale = Math.pow(10, DISPLAY_DECIMALS);
+        return Math.round(value * scale) / scale;
+    }
+
+    // Form strings in, form strings out; non-numeric values pass through
+    function toMetric(fieldId, displayValue) {
+        const quantity = CONVERTED_FIELDS[fieldId];
+        const value = parseFloat(displayValue);
+        if (!quantity || isNaN(value)) return displayValue;
+        return String(round(value * unitFor(quantity).factor));
+    }
+
+    function toDisplay(fieldId, metricValue) {
+        const quantity = CONVERTED_FIELDS[fieldId];
+        const value = parseFloat(metricValue);
+        if (!quantity || isNaN(value)) return metricValue;
+        return String(round(value / unitFor(quantity).factor));
+    }
+
+    // Remembers the exact metric value behind a rounded display value, so
+    // switching back and forth does not drift (1500 km -> 932.06 mi -> 1500.01 km)
+    function showMetric(fieldId, metricValue) {
+        const field = document.getElementById(fieldId);
+        field.value = toDisplay(fieldId, metricValue);
+        field.dataset.metricValue = metricValue;
+        field.dataset.shownValue = field.value;
+    }
+
+    function metricFieldValue(fieldId) {
+        const field = document.getElementById(fieldId);
+        if (field.dataset.shownValue === field.value) {
+            return field.dataset.metricValue;
+        }
+        return toMetric(fieldId, field.value);
+    }
+
+    // Labels mark their unit with <span data-unit="distance|gas">
+    function updateLabels() {
+        document.querySelectorAll('[data-unit]').forEach(span => {
+            span.textContent = I18n.t(`units.${span.dataset.unit}.${system}`);
+        });
+
+        Object.keys(CONVERTED_FIELDS).forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (!field.dataset.metricPlaceholder) {
+                field.dataset.metricPlaceholder = field.placeholder;
+            }
+            field.placeholder = String(Math.round(parseFloat(toDisplay(fieldId, field.dataset.metricPlaceholder))));
+        });
+    }
+
+    // ===== Formatting =====
+    function formatter(digits, style) {
+        const key = `${localeTag()}|${digits}|${style || 'decimal'}`;
+        if (!formatters[key]) {
+            formatters[key] = new Intl.NumberFormat(localeTag(), style === 'currency' ?
+                { style: 'currency', currency: 'USD', maximumFractionDigits: 0, minimumFractionDigits: 0 } :
+                { style: style || 'decimal', minimumFractionDigits: digits, maximumFractionDigits: digits });
+        }
+        return formatters[key];
+    }
+
+    function number(value, digits = 0) {
+        return formatter(digits).format(value);
+    }
+
+    // `value` is already a percentage (39.5 means 39.5%)
+    function percent(value, digits = 0) {
+        return formatter(digits, 'percent').format(value / 100);
+    }
+
+    function kg(value) {
+        return `${number(value)} kg`;
+    }
+
+    function tons(value, digits = 1) {
+        return I18n.t('units.tons', { value: number(value, digits) });
+    }
+
+    function currency(usd) {
+        return formatter(0, 'currency').format(Math.round(usd));
+    }
+
+    function distance(km, digits = 0) {
+        const unit = unitFor('distance');
+        return `${number(km / unit.factor, digits)} ${unit.short}`;
+    }
+
+    function gas(kWh, digits = 0) {
+        const unit = unitFor('gas');
+        return `${number(kWh / unit.factor, digits)} ${unit.short}`;
+    }
+
+    function date(value, options) {
+        return value.toLocaleDateString(localeTag(), options);
+    }
+
+    return {
+        load,
+        updateLabels,
+        getSystem,
+        setSystem,
+        setLocale,
+        showMetric,
+        metricFieldValue,
+        number,
+        percent,
+        kg,
+        tons,
+        currency,
+        distance,
+        gas,
+        date
+    };
+})();
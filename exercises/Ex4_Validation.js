@@ -0,0 +1,289 @@
+// ===== Input Validation =====
+// Rules for the Phase 1 inputs, checked on metric values whatever units the
+// form shows. A rule gives an error (impossible input: 400 commute days, a
+// 24+ hour day, flights without a distance), which blocks the calculation,
+// or a warning (possible but unusual: a 100 km bike commute, several times the
+// region's typical electricity), which is shown but lets the user go on.
+// The region's typical values come from regionalAverages.csv (GetRegions):
+// home energy is its per-capita home emissions as if all of them were
+// electricity, or all natural gas; commute distance and flight counts are
+// its per-capita transport emissions as if all of them were driven in a
+// petrol car, or flown long-haul. Either way it errs on the high side.
+
+const Validation = (() => {
+    // Per field: `max` is an error above it, `warn` a warning above it,
+    // `integer` an error for fractions, `unit` how limits are shown
+    const LIMITS = {
+        dailyCommuteKm: { max: 500, warn: 150, unit: 'distance' },
+        commuteDays: { max: 365, warn: 300, integer: true },
+        domesticFlights: { max: 500, warn: 50, integer: true },
+        avgDomesticFlightKm: { max: 10000, warn: 5000, unit: 'distance' },
+        internationalFlights: { max: 500, warn: 30, integer: true },
+        // Half the Earth's circumference is the longest possible flight
+        avgInternationalFlightKm: { max: 20000, warn: 16000, unit: 'distance' },
+        otherTravelKm: { max: 20000, warn: 2000, unit: 'distance' },
+        monthlyElectricityKWh: { max: 20000, unit: 'electricity' },
+        monthlyNaturalGasKWh: { max: 20000, unit: 'gas' },
+        streamingHoursPerDay: { max: 24, warn: 12 },
+        aiQueriesPerDay: { max: 10000, warn: 500, integer: true },
+        cloudStorageGB: { max: 1000000, warn: 10000 },
+        videoCallHoursPerWeek: { max: 168, warn: 60 },
+        emailsPerDay: { max: 10000, warn: 1000, integer: true },
+        clothingPurchases: { max: 1000, warn: 200, integer: true },
+        electronicsPurchases: { max: 200, warn: 20, integer: true },
+        furniturePurchases: { max: 200, warn: 20, integer: true }
+    };
+
+    // One-way commute distances (km) for the modes that have a natural limit
+    const COMMUTE_LIMITS = {
+        Walking: { max: 50, warn: 10 },
+        Cycling: { max: 150, warn: 40 }
+    };
+
+    // Flight count -> its average distance field
+    const FLIGHT_DISTANCES = {
+        domesticFlights: 'avgDomesticFlightKm',
+        internationalFlights: 'avgInternationalFlightKm'
+    };
+
+    // Values above this multiple of the region's typical value are flagged
+    const REGIONAL_FACTOR = 4;
+
+    // g CO₂/kWh, as in LocalBackend
+    const NATURAL_GAS_FACTOR = 200;
+
+    // g CO₂/km for an average petrol car and a long-haul economy flight,
+    // as in transportEmissionFactors.csv
+    const CAR_FACTOR = 164;
+    const FLIGHT_FACTOR = 147;
+
+    const HOME_FIELDS = ['monthlyElectricityKWh', 'monthlyNaturalGasKWh'];
+
+    // Travel field -> g CO₂/km, and the km a year each unit of it adds
+    const TRAVEL = {
+        dailyCommuteKm: { factor: CAR_FACTOR, km: values => 2 * parseFloat(values.commuteDays) },
+        domesticFlights: { factor: FLIGHT_FACTOR, km: values => 2 * parseFloat(values.avgDomesticFlightKm) },
+        internationalFlights: { factor: FLIGHT_FACTOR, km: values => 2 * parseFloat(values.avgInternationalFlightKm) }
+    };
+
+    // Field -> fields whose messages depend on its value
+    const RELATED = {
+        region: HOME_FIELDS.concat(Object.keys(TRAVEL)),
+        commuteMode: ['dailyCommuteKm'],
+        commuteDays: ['dailyCommuteKm'],
+        domesticFlights: ['avgDomesticFlightKm'],
+        avgDomesticFlightKm: ['domesticFlights'],
+        internationalFlights: ['avgInternationalFlightKm'],
+        avgInternationalFlightKm: ['internationalFlights']
+    };
+
+    // Rows of regionalAverages.csv; the regional warnings wait for them
+    let regions = null;
+
+    function element(id) {
+        return document.getElementById(id);
+    }
+
+    // The Phase 1 form's metric values, the shape check() takes
+    function formValues() {
+        const values = {};
+        FORM_FIELDS.forEach(fieldId => {
+            values[fieldId] = Units.metricFieldValue(fieldId);
+        });
+        return values;
+    }
+
+    function format(value, unit, digits = 0) {
+        if (unit === 'distance') return Units.distance(value, digits);
+        if (unit === 'gas') return Units.gas(value, digits);
+        if (unit === 'electricity') return `${Units.number(value, digits)} kWh`;
+        return Units.number(value, digits);
+    }
+
+    function error(message) {
+        return { level: 'error', message };
+    }
+
+    function warning(message) {
+        return { level: 'warning', message };
+    }
+
+    // ===== Regional Typical Values =====
+    function initialize() {
+        BackendBridge.request('GetRegions', {}, { channel: 'validation' })
+            .then(rows => {
+                regions = [].concat(rows || []);
+                // Fields filled in before the regions arrived
+                RELATED.region.forEach(fieldId => {
+                    if (element(fieldId).value !== '') validate(fieldId);
+                });
+            })
+            .catch(err => console.warn('Regional typical values unavailable:', err.message));
+    }
+
+    function regionRow(region) {
+        return regions && regions.find(r => r.Region === region);
+    }
+
+    // Typical monthly kWh for the home (all members of a household), or null
+    function typicalHomeEnergy(fieldId, region) {
+        const row = regionRow(region);
+        if (!row) return null;
+
+        const homeGrams = row.PerCapita_Total_Tons * row.Home_Percent / 100 * 1e6 * Math.max(1, Household.size());
+        const factor = fieldId === 'monthlyElectricityKWh' ? row.GridIntensity_gCO2_per_kWh : NATURAL_GAS_FACTOR;
+        return homeGrams / factor / 12;
+    }
+
+    // Typical one-way commute km or flights a year for one person, given
+    // the commute days or flight distance in `values`, or null
+    function typicalTravel(fieldId, values) {
+        // Walking and cycling have their own limits and no emissions to compare
+        if (fieldId === 'dailyCommuteKm' && COMMUTE_LIMITS[values.commuteMode]) return null;
+
+        const row = regionRow(values.region);
+        const km = TRAVEL[fieldId].km(values);
+        if (!row || !(km > 0)) return null;
+
+        const transportGrams = row.PerCapita_Total_Tons * row.Transport_Percent / 100 * 1e6;
+        return transportGrams / TRAVEL[fieldId].factor / km;
+    }
+
+    // ===== Rules =====
+    function checkLimits(fieldId, value) {
+        const limits = LIMITS[fieldId];
+        if (!limits) return null;
+
+        if (limits.integer && !Number.isInteger(value)) {
+            return error(I18n.t('validation.integer'));
+        }
+        if (value > limits.max) {
+            return error(I18n.t('validation.max', { max: format(limits.max, limits.unit) }));
+        }
+        if (limits.warn !== undefined && value > limits.warn) {
+            return warning(I18n.t('validation.high', { value: format(limits.warn, limits.unit) }));
+        }
+        return null;
+    }
+
+    function checkCommute(value, values) {
+        const mode = values.commuteMode;
+        const limits = COMMUTE_LIMITS[mode];
+        if (!limits) return null;
+
+        const params = { mode: I18n.term('commute', mode) };
+        if (value > limits.max) {
+            return error(I18n.t('validation.commuteMax', Object.assign(params, { max: Units.distance(limits.max) })));
+        }
+        if (value > limits.warn) {
+            return warning(I18n.t('validation.commuteHigh', Object.assign(params, { max: Units.distance(limits.warn) })));
+        }
+        return null;
+    }
+
+    function checkFlightDistance(fieldId, value, values) {
+        const countField = Object.keys(FLIGHT_DISTANCES).find(id => FLIGHT_DISTANCES[id] === fieldId);
+        if (!countField || value > 0) return null;
+        return parseFloat(values[countField]) > 0 ? error(I18n.t('validation.flightDistance')) : null;
+    }
+
+    function checkRegional(fieldId, value, values) {
+        const home = HOME_FIELDS.includes(fieldId);
+        if (!home && !TRAVEL[fieldId]) return null;
+
+        const typical = home ? typicalHomeEnergy(fieldId, values.region) : typicalTravel(fieldId, values);
+        if (!typical || value <= typical * REGIONAL_FACTOR) return null;
+
+        return warning(I18n.t(home ? 'validation.regionHigh' : 'validation.regionTravel', {
+            region: I18n.term('region', values.region),
+            typical: format(typical, LIMITS[fieldId].unit, typical < 10 ? 1 : 0)
+        }));
+    }
+
+    // { level: 'error'|'warning', message } for the field's value in `values`
+    // (metric, by field; the form's by default), or null
+    function check(fieldId, values = formValues()) {
+        if (values[fieldId] === undefined || values[fieldId] === '') {
+            return error(I18n.t('validation.required'));
+        }
+        if (element(fieldId).type !== 'number') return null;
+
+        const value = parseFloat(values[fieldId]);
+        if (isNaN(value) || value < 0) {
+            return error(I18n.t('validation.positive'));
+        }
+
+        // Any rule's error before any rule's warning
+        const results = [
+            checkLimits(fieldId, value),
+            fieldId === 'dailyCommuteKm' ? checkCommute(value, values) : null,
+            checkFlightDistance(fieldId, value, values),
+            checkRegional(fieldId, value, values)
+        ].filter(Boolean);
+        return results.find(result => result.level === 'error') || results[0] || null;
+    }
+
+    // ===== Rendering =====
+    function show(fieldId, result) {
+        const field = element(fieldId);
+        const span = element(`${fieldId}-error`);
+        const level = result ? result.level : null;
+
+        field.classList.toggle('invalid', level === 'error');
+        field.classList.toggle('warning', level === 'warning');
+        span.classList.toggle('warning', level === 'warning');
+        span.textContent = result ? result.message : '';
+    }
+
+    // Shows the field's message and updates the fields that depend on it;
+    // false only for errors, warnings don't stop the calculation
+    function validate(fieldId) {
+        const result = check(fieldId);
+        show(fieldId, result);
+
+        (RELATED[fieldId] || []).forEach(relatedId => {
+            // Leave empty fields alone; they get "required" when submitted
+            if (element(relatedId).value !== '') show(relatedId, check(relatedId));
+        });
+        return !result || result.level !== 'error';
+    }
+
+    function isValid(values) {
+        return FORM_FIELDS.every(fieldId => {
+            const result = check(fieldId, values);
+            return !result || result.level !== 'error';
+        });
+    }
+
+    // The form, then the inputs kept for the other household members; a
+    // member with an error is brought into the form to show its messages
+    function validateAll() {
+        if (!FORM_FIELDS.map(validate).every(Boolean)) return false;
+
+        const invalid = Household.memberInputs().findIndex(values => !isValid(values));
+        if (invalid === -1) return true;
+
+        Household.edit(invalid);
+        return false;
+    }
+
+    function clear() {
+        FORM_FIELDS.forEach(fieldId => show(fieldId, null));
+    }
+
+    // Redraws the messages on display after a language or unit change
+    function render() {
+        FORM_FIELDS.forEach(fieldId => {
+            if (element(`${fieldId}-error`).textContent !== '') show(fieldId, check(fieldId));
+        });
+    }
+
+    return {
+        initialize,
+        check,
+        validate,
+        validateAll,
+        clear,
+        render
+    };
+})();
@@ -0,0 +1,302 @@
+// ===== What-If Analysis =====
+// Phase 2 sliders for the main userData drivers. Moving a slider asks the
+// backend for the footprint with that value and shows it in the Phase 2
+// total, breakdown and comparison without touching the Phase 1 form; "Use
+// these values" copies the slider values into the form and recalculates.
+// The tornado chart ranks the drivers by how much a 20% lower or higher
+// value changes the footprint; it is calculated while Phase 2 is shown.
+// In a household the sliders change the shared home energy and the inputs
+// of the member being edited (see Household.calculate).
+
+const WhatIf = (() => {
+    // `max` is the smallest slider range; it grows to twice the entered
+    // value. `limit` caps the tornado's higher value.
+    const DRIVERS = [
+        { field: 'dailyCommuteKm', max: 100, step: 1, quantity: 'distance' },
+        { field: 'commuteDays', max: 365, step: 5, limit: 365 },
+        { field: 'domesticFlights', max: 20, step: 1, flights: true },
+        { field: 'internationalFlights', max: 10, step: 1, flights: true },
+        { field: 'otherTravelKm', max: 500, step: 10, quantity: 'distance' },
+        { field: 'monthlyElectricityKWh', max: 3000, step: 10, quantity: 'electricity' },
+        { field: 'monthlyNaturalGasKWh', max: 2000, step: 10, quantity: 'gas' },
+        { field: 'streamingHoursPerDay', max: 12, step: 0.5 },
+        { field: 'clothingPurchases', max: 60, step: 1 },
+        { field: 'electronicsPurchases', max: 10, step: 1 }
+    ];
+
+    // Relative change for the tornado chart
+    const SWING = 0.2;
+
+    // Quiet period after the last slider move before asking the backend
+    const SLIDER_DEBOUNCE_MS = 150;
+
+    // Quiet period before the tornado's first request, so quick
+    // recalculations don't each start a run
+    const TORNADO_DEBOUNCE_MS = 300;
+
+    // Changes smaller than this (kg/yr) are left out of the tornado chart
+    const MIN_SWING_KG = 0.5;
+
+    let base = {};
+    let overrides = {};
+    let whatIf = null;
+
+    // [{ driver, lowValue, highValue, low, high }] with footprints
+    let tornado = [];
+
+    // The footprint the tornado chart is calculated (or on its way) for
+    let tornadoFor = null;
+
+    // ===== Drivers =====
+    // Logged flights replace the flight counts, so those sliders would do nothing
+    function activeDrivers() {
+        const logged = FlightLogger.hasTrips();
+        return DRIVERS.filter(driver => !(driver.flights && logged));
+    }
+
+    function format(driver, value) {
+        switch (driver.quantity) {
+            case 'distance':
+                return Units.distance(value);
+            case 'gas':
+                return Units.gas(value);
+            case 'electricity':
+                return `${Units.number(value)} kWh`;
+            default:
+                return Units.number(value, driver.step < 1 ? 1 : 0);
+        }
+    }
+
+    function sliderMax(driver) {
+        const max = Math.max(driver.max, Math.ceil((base[driver.field] * 2) / driver.step) * driver.step);
+        return Math.min(max, driver.limit || Infinity);
+    }
+
+    function valueOf(field) {
+        return field in overrides ? overrides[field] : base[field];
+    }
+
+    function isChanged() {
+        return Object.keys(overrides).some(field => overrides[field] !== base[field]);
+    }
+
+    // ===== Calculation =====
+    function totalOf(footprint) {
+        return Household.displayFootprint(footprint).total;
+    }
+
+    // One request at a time on the 'tornado' channel, and only while Phase 2
+    // is shown: a newer footprint or leaving the phase stops the run after
+    // the request on its way, and updateTornado starts it again
+    function calculateTornado(reference) {
+        const steps = [];
+        activeDrivers().filter(driver => base[driver.field] > 0).forEach(driver => {
+            steps.push({ driver, value: base[driver.field] * (1 - SWING) });
+            steps.push({ driver, value: Math.min(base[driver.field] * (1 + SWING), driver.limit || Infinity) });
+        });
+        const footprints = [];
+
+        const next = () => {
+            if (tornadoFor !== reference) return null;
+            if (currentPhase !== 2) {
+                tornadoFor = null;
+                return null;
+            }
+            if (footprints.length === steps.length) {
+                tornado = [];
+                for (let i = 0; i < steps.length; i += 2) {
+                    tornado.push({
+                        driver: steps[i].driver,
+                        lowValue: steps[i].value,
+                        highValue: steps[i + 1].value,
+                        low: footprints[i],
+                        high: footprints[i + 1]
+                    });
+                }
+                renderTornado();
+                return null;
+            }
+
+            const step = steps[footprints.length];
+            return requestFootprint({ [step.driver.field]: step.value }, {
+                channel: 'tornado',
+                debounceMs: footprints.length === 0 ? TORNADO_DEBOUNCE_MS : 0
+            }).then(footprint => {
+                footprints.push(footprint);
+                return next();
+            });
+        };
+        return Promise.resolve().then(next);
+    }
+
+    // Starts the tornado calculation for the current footprint unless it has
+    // one already or Phase 2 isn't shown
+    function updateTornado() {
+        if (currentPhase !== 2 || !currentFootprint || tornadoFor === currentFootprint) return;
+
+        const reference = currentFootprint;
+        tornadoFor = reference;
+        calculateTornado(reference).catch(err => {
+            if (tornadoFor === reference) tornadoFor = null;
+            handleError(err);
+        });
+    }
+
+    // ===== UI Actions =====
+    // Starts over from the footprint just calculated in Phase 1
+    function initialize() {
+        base = readUserData();
+        overrides = {};
+        whatIf = null;
+        tornado = [];
+        tornadoFor = null;
+        BackendBridge.cancel('whatif');
+
+        render();
+        updateTornado();
+    }
+
+    function set(field, value) {
+        overrides[field] = parseFloat(value);
+        const driver = DRIVERS.find(d => d.field === field);
+        document.getElementById(`whatif-${field}-value`).textContent = format(driver, overrides[field]);
+
+        if (!isChanged()) {
+            BackendBridge.cancel('whatif');
+            whatIf = null;
+            show();
+            return;
+        }
+
+        requestFootprint(Object.assign({}, overrides), { channel: 'whatif', debounceMs: SLIDER_DEBOUNCE_MS })
+            .then(footprint => {
+                // Reset or recalculated while this was on its way
+                if (!currentFootprint || !isChanged()) return;
+                whatIf = footprint;
+                show();
+            })
+            .catch(handleError);
+    }
+
+    function reset() {
+        BackendBridge.cancel('whatif');
+        overrides = {};
+        whatIf = null;
+        render();
+        show();
+    }
+
+    // Copies the slider values into the Phase 1 form and recalculates
+    function apply() {
+        if (!isChanged()) return;
+
+        Object.keys(overrides).forEach(fieldId => {
+            Units.showMetric(fieldId, String(overrides[fieldId]));
+            validateInput(fieldId);
+        });
+        updateProgress();
+        calculateFootprint();
+    }
+
+    // The what-if footprint while the sliders differ from the form, else null
+    function footprint() {
+        return whatIf;
+    }
+
+    // ===== Rendering =====
+    function show() {
+        updateFootprintDisplay(whatIf || currentFootprint);
+        renderResult();
+    }
+
+    function renderResult() {
+        const result = document.getElementById('whatIfResult');
+        document.getElementById('whatIfApply').disabled = !whatIf;
+
+        if (!whatIf) {
+            result.textContent = I18n.t('whatif.intro');
+            return;
+        }
+
+        const current = Household.displayFootprint(currentFootprint);
+        const shown = Household.displayFootprint(whatIf);
+        const change = shown.totalTons - current.totalTons;
+        const sign = change < 0 ? '-' : '+';
+        result.textContent = I18n.t('whatif.result', {
+            total: Units.tons(shown.totalTons),
+            change: `${sign}${Units.tons(Math.abs(change), 2)}`,
+            percent: `${sign}${Units.percent((Math.abs(change) / current.totalTons) * 100, 1)}`
+        });
+    }
+
+    function renderSliders() {
+        document.getElementById('whatIfSliders').innerHTML = activeDrivers().map(driver => {
+            const value = valueOf(driver.field);
+            return `
+                <div class="whatif-row">
+                    <label for="whatif-${driver.field}">${I18n.t(`whatif.${driver.field}`)}</label>
+                    <input type="range" id="whatif-${driver.field}" min="0" max="${sliderMax(driver)}"
+                           step="${driver.step}" value="${value}"
+                           oninput="WhatIf.set('${driver.field}', this.value)">
+                    <output id="whatif-${driver.field}-value" for="whatif-${driver.field}">${format(driver, value)}</output>
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('whatIfHousehold').textContent =
+            Household.isActive() ? I18n.t('whatif.householdNote') : '';
+    }
+
+    function renderTornado() {
+        const reference = totalOf(currentFootprint);
+        const signed = kg => `${kg > 0 ? '+' : '-'}${Units.kg(Math.abs(kg))}`;
+
+        const rows = tornado
+            .map(entry => Object.assign({}, entry, {
+                lowChange: totalOf(entry.low) - reference,
+                highChange: totalOf(entry.high) - reference
+            }))
+            .filter(entry => Math.max(Math.abs(entry.lowChange), Math.abs(entry.highChange)) >= MIN_SWING_KG)
+            .sort((a, b) => Math.abs(b.highChange - b.lowChange) - Math.abs(a.highChange - a.lowChange))
+            .map(entry => ({
+                label: I18n.t(`whatif.${entry.driver.field}`),
+                low: entry.lowChange,
+                high: entry.highChange,
+                lowText: signed(entry.lowChange),
+                highText: signed(entry.highChange),
+                lines: [
+                    I18n.t('whatif.swing', {
+                        percent: Units.percent(-SWING * 100),
+                        value: format(entry.driver, entry.lowValue),
+                        change: signed(entry.lowChange)
+                    }),
+                    I18n.t('whatif.swing', {
+                        percent: `+${Units.percent(SWING * 100)}`,
+                        value: format(entry.driver, entry.highValue),
+                        change: signed(entry.highChange)
+                    })
+                ]
+            }));
+
+        Charts.renderTornado('tornadoChart', rows, I18n.t('whatif.tornadoLabel'));
+    }
+
+    // Redraws labels, units and number formats without new requests
+    function render() {
+        if (!currentFootprint) return;
+
+        renderSliders();
+        renderResult();
+        renderTornado();
+    }
+
+    return {
+        initialize,
+        set,
+        reset,
+        apply,
+        footprint,
+        updateTornado,
+        render
+    };
+})();
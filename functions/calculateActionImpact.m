@@ -1,7 +1,8 @@
-function impact = calculateActionImpact(region, currentFootprint, selectedActionIDs, allActions)
+function impact = calculateActionImpact(region, currentFootprint, selectedActionIDs, allActions, assignments)
 %CALCULATEACTIONIMPACT Calculate emission reduction from selected actions
 %
 %   impact = CALCULATEACTIONIMPACT(region, currentFootprint, selectedActionIDs, allActions)
+%   impact = CALCULATEACTIONIMPACT(..., assignments)
 %
 %   Calculates context-dependent impact for each selected action
 %
@@ -9,12 +10,26 @@ function impact = calculateActionImpact(region, currentFootprint, selectedAction
 %       region - User's region
 %       currentFootprint - Current emissions struct
 %       selectedActionIDs - Array of selected action IDs
-%       allActions - Full action library struct array
+%       allActions - Full action library struct array, or a cell array of
+%           action structs (jsondecode gives one when the actions do not
+%           all have the same fields)
+%       assignments - Optional struct array with fields actionID and
+%           member (0-based index into currentFootprint.household.members)
+%           for actions taken by one household member
 %
 %   OUTPUT:
 %       impact - Struct with:
 %           totalReduction (kg), actionDetails (array), categoryBreakdown
 
+if nargin < 5
+    assignments = [];
+end
+
+if iscell(allActions)
+    allActions = cellfun(@actionFields, allActions, 'UniformOutput', false);
+    allActions = [allActions{:}];
+end
+
 % Load regional modifiers
 modifierPath = fullfile(pwd, '..', 'data', 'regionalActionModifiers.csv');
 if isfile(modifierPath)
@@ -56,19 +71,21 @@ for i = 1:length(selectedActionIDs)
     % Calculate actual impact (context-dependent)
     actualImpact = baseImpact * multiplier;
     
-    % Cap impact at current category emissions
+    % Cap impact at current category emissions, or at the assigned
+    % household member's emissions
+    emissions = assignedEmissions(currentFootprint, assignments, actionID);
     category = char(action.Category);
     switch category
         case 'Transport'
-            actualImpact = min(actualImpact, currentFootprint.transport);
+            actualImpact = min(actualImpact, emissions.transport);
         case 'Home'
-            actualImpact = min(actualImpact, currentFootprint.home);
+            actualImpact = min(actualImpact, emissions.home);
         case 'Food'
-            actualImpact = min(actualImpact, currentFootprint.food);
+            actualImpact = min(actualImpact, emissions.food);
         case 'Digital'
-            actualImpact = min(actualImpact, currentFootprint.digital);
+            actualImpact = min(actualImpact, emissions.digital);
         case 'Consumption'
-            actualImpact = min(actualImpact, currentFootprint.consumption);
+            actualImpact = min(actualImpact, emissions.consumption);
     end
     
     % Add to totals
@@ -95,6 +112,38 @@ end
 
 end
 
+function action = actionFields(action)
+%ACTIONFIELDS The action fields used here, in a fixed order, so that actions
+%carrying extra fields (such as an exclusion) join one struct array
+
+used = {'ActionID', 'ActionName', 'Category', 'BaseImpact_kg', ...
+        'CostCategory', 'costLow', 'costHigh'};
+action = orderfields(rmfield(action, setdiff(fieldnames(action), used)));
+
+end
+
+function emissions = assignedEmissions(currentFootprint, assignments, actionID)
+%ASSIGNEDEMISSIONS Footprint of the household member taking an action
+
+emissions = currentFootprint;
+if isempty(assignments) || ~isfield(currentFootprint, 'household')
+    return;
+end
+
+idx = find([assignments.actionID] == actionID, 1);
+if isempty(idx)
+    return;
+end
+
+% JavaScript member indices start at 0
+members = currentFootprint.household.members;
+memberIdx = assignments(idx).member + 1;
+if memberIdx >= 1 && memberIdx <= numel(members)
+    emissions = members(memberIdx);
+end
+
+end
+
 function multiplier = getRegionalMultiplier(region, actionID, category, modifiers)
 %GETREGIONALMULTIPLIER Get impact multiplier for region-specific context
 
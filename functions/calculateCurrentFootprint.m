@@ -15,6 +15,11 @@ function footprint = calculateCurrentFootprint(userData)
 %           cloudStorageGB, videoCallHoursPerWeek, emailsPerDay,
 %           shoppingFrequency, clothingPurchases, electronicsPurchases,
 %           furniturePurchases
+%           Optional: flightKm - struct with fields domestic and
+%           international, each a struct of passenger-km per Aviation band
+%           from the flight logger; replaces the four average flight fields
+%           Optional: homeShare - fraction (0-1) of the household's home
+%           energy paid by this person; defaults to 1
 %
 %   OUTPUT:
 %       footprint - Struct with emission values in kg CO2e/year:
@@ -22,22 +27,44 @@ function footprint = calculateCurrentFootprint(userData)
 %           (also in tons for display)
 
 % Calculate transport emissions
+% Logged flights replace the average flight fields
+hasFlightLog = isfield(userData, 'flightKm');
+if hasFlightLog
+    domesticFlights = 0;
+    internationalFlights = 0;
+else
+    domesticFlights = userData.domesticFlights;
+    internationalFlights = userData.internationalFlights;
+end
+
 transportEmissions = calculateTransportEmissions(...
     userData.region, ...
     userData.commuteMode, ...
     userData.dailyCommuteKm, ...
     userData.commuteDays, ...
-    userData.domesticFlights, ...
+    domesticFlights, ...
     userData.avgDomesticFlightKm, ...
-    userData.internationalFlights, ...
+    internationalFlights, ...
     userData.avgInternationalFlightKm, ...
     userData.otherTravelKm);
 
+if hasFlightLog
+    transportEmissions = transportEmissions + ...
+        calculateFlightEmissions(userData.region, userData.flightKm.domestic) + ...
+        calculateFlightEmissions(userData.region, userData.flightKm.international);
+end
+
 % Calculate home energy emissions
+% A household member pays homeShare of the household's home energy
+homeShare = 1;
+if isfield(userData, 'homeShare')
+    homeShare = userData.homeShare;
+end
+
 homeEmissions = calculateHomeEmissions(...
     userData.region, ...
     userData.monthlyElectricityKWh * 12, ...
-    userData.monthlyNaturalGasKWh * 12);
+    userData.monthlyNaturalGasKWh * 12) * homeShare;
 
 % Calculate food emissions
 foodEmissions = calculateFoodEmissions(userData.dietType);
@@ -0,0 +1,77 @@
+function annualEmissionsCO2e_kg = calculateFlightEmissions(region, bandKm)
+%CALCULATEFLIGHTEMISSIONS Calculate annual CO₂-equivalent emissions from logged flights
+%
+%   annualEmissionsCO2e_kg = CALCULATEFLIGHTEMISSIONS(region, bandKm)
+%
+%   Calculates emissions for flights entered one by one in the Exercise 4
+%   flight logger. The logger works out great-circle distances (plus a
+%   routing uplift) and totals them per Aviation emission-factor band, so
+%   each band is charged its own factor instead of the single medium-haul
+%   and long-haul averages used by calculateTransportEmissions.
+%
+%   INPUTS:
+%       region - Geographic region (string); regional Aviation factors are
+%                used where they exist, otherwise Global
+%       bandKm - Struct of annual passenger-km per band. Field names are
+%                Vehicle_Type values from transportEmissionFactors.csv:
+%                    Domestic_Short      - Economy legs under 500 km
+%                    Domestic_Medium     - Economy legs of 500-1600 km
+%                    International_Long  - Economy legs over 1600 km
+%                    Business_Class      - Business class, any distance
+%                    First_Class         - First class, any distance
+%
+%   OUTPUT:
+%       annualEmissionsCO2e_kg - Total annual CO₂-equivalent emissions (kg)
+%
+%   EXAMPLE:
+%       % One return economy trip London-New York (2 x 5,990 km with uplift)
+%       bandKm = struct('International_Long', 2 * 5990);
+%       emissions = calculateFlightEmissions('Europe', bandKm);
+%       fprintf('Annual flight emissions: %.1f kg CO₂e\n', emissions);
+%
+%   See also: calculateTransportEmissions, calculateCurrentFootprint
+
+% Input validation
+arguments
+    region (1,1) string
+    bandKm (1,1) struct
+end
+
+%% Load emission factors database
+dataPath = fullfile(fileparts(mfilename('fullpath')), '..', 'data', 'transportEmissionFactors.csv');
+emissionData = readtable(dataPath);
+
+%% Sum emissions over the bands
+totalEmissions_g = 0;
+bands = fieldnames(bandKm);
+
+for i = 1:length(bands)
+    band = bands{i};
+    km = bandKm.(band);
+
+    if ~isnumeric(km) || ~isscalar(km) || ~(km >= 0)
+        error('FlightEmissions:InvalidDistance', ...
+            'Invalid flight distance for "%s"', band);
+    end
+
+    % Try specific region first, fall back to Global if not found
+    isBand = strcmp(emissionData.Transport_Mode, 'Aviation') & ...
+             strcmp(emissionData.Vehicle_Type, band);
+    idx = find(isBand & strcmp(emissionData.Region, region), 1);
+
+    if isempty(idx)
+        idx = find(isBand & strcmp(emissionData.Region, 'Global'), 1);
+    end
+
+    if isempty(idx)
+        error('FlightEmissions:InvalidBand', ...
+            'Flight band "%s" not found in emission factors database', band);
+    end
+
+    totalEmissions_g = totalEmissions_g + km * emissionData.CO2e_Factor_g_per_unit(idx);
+end
+
+%% Convert to kg
+annualEmissionsCO2e_kg = totalEmissions_g / 1000;
+
+end
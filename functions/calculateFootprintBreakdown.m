@@ -0,0 +1,89 @@
+function breakdown = calculateFootprintBreakdown(userData)
+%CALCULATEFOOTPRINTBREAKDOWN Split each footprint category into its sources
+%
+%   breakdown = CALCULATEFOOTPRINTBREAKDOWN(userData)
+%
+%   Calls the Exercise 2 emission functions once per source with every
+%   other input set to zero, so each part uses exactly the same factors
+%   as the category total in calculateCurrentFootprint.
+%
+%   INPUT:
+%       userData - Struct with the same fields as calculateCurrentFootprint
+%
+%   OUTPUT:
+%       breakdown - Struct with fields transport, home, food, digital and
+%           consumption. Each is a struct array with fields:
+%               key   - Stable identifier of the source (e.g. 'commute')
+%               name  - Display name
+%               value - Annual emissions (kg CO2e)
+%
+%   See also: calculateCurrentFootprint
+
+region = userData.region;
+mode = userData.commuteMode;
+
+% Transport: commute, domestic flights, international flights, other travel
+commute = calculateTransportEmissions(region, mode, ...
+    userData.dailyCommuteKm, userData.commuteDays, 0, 0, 0, 0, 0);
+if isfield(userData, 'flightKm')
+    % Flights entered in the flight logger
+    domesticFlights = calculateFlightEmissions(region, userData.flightKm.domestic);
+    internationalFlights = calculateFlightEmissions(region, userData.flightKm.international);
+else
+    domesticFlights = calculateTransportEmissions(region, mode, 0, 0, ...
+        userData.domesticFlights, userData.avgDomesticFlightKm, 0, 0, 0);
+    internationalFlights = calculateTransportEmissions(region, mode, 0, 0, 0, 0, ...
+        userData.internationalFlights, userData.avgInternationalFlightKm, 0);
+end
+otherTravel = calculateTransportEmissions(region, mode, 0, 0, 0, 0, 0, 0, ...
+    userData.otherTravelKm);
+
+breakdown.transport = struct( ...
+    'key', {'commute', 'domesticFlights', 'internationalFlights', 'otherTravel'}, ...
+    'name', {'Commute', 'Domestic flights', 'International flights', 'Other travel'}, ...
+    'value', {commute, domesticFlights, internationalFlights, otherTravel});
+
+% Home: electricity and natural gas, scaled to a household member's share
+homeShare = 1;
+if isfield(userData, 'homeShare')
+    homeShare = userData.homeShare;
+end
+electricity = calculateHomeEmissions(region, userData.monthlyElectricityKWh * 12, 0) * homeShare;
+naturalGas = calculateHomeEmissions(region, 0, userData.monthlyNaturalGasKWh * 12) * homeShare;
+
+breakdown.home = struct( ...
+    'key', {'electricity', 'naturalGas'}, ...
+    'name', {'Electricity', 'Natural gas'}, ...
+    'value', {electricity, naturalGas});
+
+% Food: the diet factor is a single figure
+breakdown.food = struct( ...
+    'key', {'diet'}, ...
+    'name', {'Diet'}, ...
+    'value', {calculateFoodEmissions(userData.dietType)});
+
+% Digital: one call per activity
+streaming = calculateDigitalEmissions(userData.streamingHoursPerDay, 0, 0, 0, 0);
+aiQueries = calculateDigitalEmissions(0, userData.aiQueriesPerDay, 0, 0, 0);
+cloudStorage = calculateDigitalEmissions(0, 0, userData.cloudStorageGB, 0, 0);
+videoCalls = calculateDigitalEmissions(0, 0, 0, userData.videoCallHoursPerWeek, 0);
+email = calculateDigitalEmissions(0, 0, 0, 0, userData.emailsPerDay);
+
+breakdown.digital = struct( ...
+    'key', {'streaming', 'aiQueries', 'cloudStorage', 'videoCalls', 'email'}, ...
+    'name', {'Streaming', 'AI queries', 'Cloud storage', 'Video calls', 'Email'}, ...
+    'value', {streaming, aiQueries, cloudStorage, videoCalls, email});
+
+% Consumption: the shopping baseline plus each type of purchase
+frequency = userData.shoppingFrequency;
+shopping = calculateConsumptionEmissions(frequency, 0, 0, 0);
+clothing = calculateConsumptionEmissions(frequency, userData.clothingPurchases, 0, 0) - shopping;
+electronics = calculateConsumptionEmissions(frequency, 0, userData.electronicsPurchases, 0) - shopping;
+furniture = calculateConsumptionEmissions(frequency, 0, 0, userData.furniturePurchases) - shopping;
+
+breakdown.consumption = struct( ...
+    'key', {'shopping', 'clothing', 'electronics', 'furniture'}, ...
+    'name', {'General shopping', 'Clothing', 'Electronics', 'Furniture'}, ...
+    'value', {shopping, clothing, electronics, furniture});
+
+end
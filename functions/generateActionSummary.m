@@ -10,8 +10,13 @@ summaryText = sprintf('========================================\n');
 summaryText = sprintf('%s  YOUR CARBON ACTION PLAN\n', summaryText);
 summaryText = sprintf('%s========================================\n\n', summaryText);
 
-% Region
-summaryText = sprintf('%sRegion: %s\n\n', summaryText, region);
+% Region, and household size when the footprint covers several people
+summaryText = sprintf('%sRegion: %s\n', summaryText, region);
+if isfield(currentFootprint, 'household')
+    summaryText = sprintf('%sHousehold: %d people (%.2f tons CO2e/year each)\n', ...
+        summaryText, currentFootprint.household.size, currentFootprint.household.perCapitaTons);
+end
+summaryText = sprintf('%s\n', summaryText);
 
 % Current vs Projected
 summaryText = sprintf('%s--- EMISSIONS SUMMARY ---\n', summaryText);
@@ -24,14 +29,18 @@ summaryText = sprintf('%sTotal Reduction:     %.2f tons (%.0f%%)\n\n', ...
 
 % Paris Agreement Status
 summaryText = sprintf('%s--- PARIS AGREEMENT STATUS ---\n', summaryText);
+% Households carry a Paris target scaled by their size
 parisTarget = 2.0;
+if isfield(currentFootprint, 'parisTarget')
+    parisTarget = currentFootprint.parisTarget;
+end
 if impact.newTotal <= parisTarget
     summaryText = sprintf('%s✓ ON TRACK!\n', summaryText);
-    summaryText = sprintf('%sYou are below the 2.0 tons/year target\n\n', summaryText);
-elseif impact.newTotal <= parisTarget + 1.0
+    summaryText = sprintf('%sYou are below the %.1f tons/year target\n\n', summaryText, parisTarget);
+elseif impact.newTotal <= parisTarget * 1.5
     summaryText = sprintf('%s⚠ CLOSE TO TARGET\n', summaryText);
-    summaryText = sprintf('%sYou are %.2f tons above the 2.0 target\n\n', ...
-        summaryText, impact.newTotal - parisTarget);
+    summaryText = sprintf('%sYou are %.2f tons above the %.1f target\n\n', ...
+        summaryText, impact.newTotal - parisTarget, parisTarget);
 else
     summaryText = sprintf('%s✗ ABOVE TARGET\n', summaryText);
     summaryText = sprintf('%sYou need to reduce by %.2f more tons\n\n', ...
@@ -1,7 +1,8 @@
-function actions = getAvailableActions(region, currentFootprint)
+function [actions, excluded] = getAvailableActions(region, currentFootprint)
 %GETAVAILABLEACTIONS Get filtered list of applicable actions for user
 %
 %   actions = GETAVAILABLEACTIONS(region, currentFootprint)
+%   [actions, excluded] = GETAVAILABLEACTIONS(region, currentFootprint)
 %
 %   Filters action library based on regional constraints and user context
 %
@@ -10,7 +11,14 @@ function actions = getAvailableActions(region, currentFootprint)
 %       currentFootprint - Struct with current emissions data
 %
 %   OUTPUT:
-%       actions - Array of structs with applicable actions
+%       actions - Array of structs with applicable actions, including
+%                 Cost_USD, Payback_Years and Co_Benefits from
+%                 actionDatabase.csv (NaN/empty when not listed there)
+%       excluded - The actions that were filtered out, with the same fields
+%                  plus exclusion, a struct with reason ('gridClean',
+%                  'gridDirty', 'climate' or 'lowEmissions'), value (the
+%                  user's grid intensity, climate zone or category
+%                  emissions) and limit (the action's requirement)
 
 % Load action library
 libraryPath = fullfile(pwd, '..', 'data', 'actionLibrary.csv');
@@ -34,6 +42,7 @@ climateZone = char(regionalData.ClimateZone(regionIdx));
 
 % Filter actions based on regional applicability
 applicable = true(height(allActions), 1);
+exclusions = cell(height(allActions), 1);
 
 for i = 1:height(allActions)
     action = allActions(i, :);
@@ -41,11 +50,15 @@ for i = 1:height(allActions)
     % Check grid intensity requirements
     if ~isnan(action.MinGridIntensity) && gridIntensity < action.MinGridIntensity
         applicable(i) = false;
+        exclusions{i} = struct('reason', 'gridClean', 'value', gridIntensity, ...
+                               'limit', action.MinGridIntensity);
         continue;
     end
     
     if ~isnan(action.MaxGridIntensity) && gridIntensity > action.MaxGridIntensity
         applicable(i) = false;
+        exclusions{i} = struct('reason', 'gridDirty', 'value', gridIntensity, ...
+                               'limit', action.MaxGridIntensity);
         continue;
     end
     
@@ -53,6 +66,8 @@ for i = 1:height(allActions)
     applicableClimates = char(action.ApplicableClimates);
     if ~strcmp(applicableClimates, 'All') && ~contains(applicableClimates, climateZone)
         applicable(i) = false;
+        exclusions{i} = struct('reason', 'climate', 'value', climateZone, ...
+                               'limit', applicableClimates);
         continue;
     end
     
@@ -60,25 +75,41 @@ for i = 1:height(allActions)
     category = char(action.Category);
     switch category
         case 'Transport'
-            if currentFootprint.transport < 100  % Very low transport emissions
-                applicable(i) = false;
-            end
+            minimum = 100;  % Very low transport emissions
+            emissions = currentFootprint.transport;
         case 'Home'
-            if currentFootprint.home < 100  % Very low home emissions
-                applicable(i) = false;
-            end
+            minimum = 100;  % Very low home emissions
+            emissions = currentFootprint.home;
         case 'Food'
-            if currentFootprint.food < 500  % Already low food emissions
-                applicable(i) = false;
-            end
+            minimum = 500;  % Already low food emissions
+            emissions = currentFootprint.food;
+        otherwise
+            continue;
+    end
+    if emissions < minimum
+        applicable(i) = false;
+        exclusions{i} = struct('reason', 'lowEmissions', 'value', emissions, ...
+                               'limit', minimum);
     end
 end
 
 % Filter to applicable actions
-filteredActions = allActions(applicable, :);
+actions = addActionDetails(table2struct(allActions(applicable, :)));
+
+% Excluded actions keep their reason
+excluded = addActionDetails(table2struct(allActions(~applicable, :)));
+excludedReasons = exclusions(~applicable);
+for i = 1:length(excluded)
+    excluded(i).exclusion = excludedReasons{i};
+end
 
-% Convert to struct array for JavaScript
-actions = table2struct(filteredActions);
+fprintf('Filtered to %d applicable actions from %d total\n', ...
+    length(actions), height(allActions));
+
+end
+
+function actions = addActionDetails(actions)
+%ADDACTIONDETAILS Add cost labels, upfront cost, payback and co-benefits
 
 % Add display-friendly cost labels
 for i = 1:length(actions)
@@ -102,7 +133,22 @@ for i = 1:length(actions)
     end
 end
 
-fprintf('Filtered to %d applicable actions from %d total\n', ...
-    length(actions), height(allActions));
+% Add upfront cost, payback and co-benefits from the action database;
+% actions marked 'Uncosted' in actionLibrary.csv have no entry there
+databasePath = fullfile(pwd, '..', 'data', 'actionDatabase.csv');
+actionDatabase = readtable(databasePath);
+
+for i = 1:length(actions)
+    dbIdx = find(strcmp(actionDatabase.Action, char(actions(i).DatabaseAction)), 1);
+    if isempty(dbIdx)
+        actions(i).Cost_USD = NaN;
+        actions(i).Payback_Years = NaN;
+        actions(i).Co_Benefits = '';
+    else
+        actions(i).Cost_USD = actionDatabase.Cost_USD(dbIdx);
+        actions(i).Payback_Years = actionDatabase.Payback_Years(dbIdx);
+        actions(i).Co_Benefits = char(actionDatabase.Co_Benefits(dbIdx));
+    end
+end
 
 end
\ No newline at end of file
@@ -0,0 +1,142 @@
+classdef TestActionImpact < matlab.unittest.TestCase
+    %TESTACTIONIMPACT Unit Test
+
+    methods(Test)
+
+        function testUnassignedActionCappedAtHousehold(testCase)
+            impact = calculateActionImpact('Global', householdFootprint(), 1, sampleActions());
+
+            testCase.verifyEqual(impact.totalReduction, 1800, 'AbsTol', 1e-6, ...
+                'An unassigned action should be capped at the household''s category emissions');
+        end
+
+        function testAssignedActionCappedAtMember(testCase)
+            assignments = struct('actionID', {1}, 'member', {1});
+
+            impact = calculateActionImpact('Global', householdFootprint(), 1, ...
+                sampleActions(), assignments);
+
+            testCase.verifyEqual(impact.totalReduction, 500, 'AbsTol', 1e-6, ...
+                'An action assigned to a member should be capped at that member''s transport emissions');
+        end
+
+        function testAssignedActionBelowMemberCap(testCase)
+            assignments = struct('actionID', {1}, 'member', {0});
+
+            impact = calculateActionImpact('Global', householdFootprint(), 1, ...
+                sampleActions(), assignments);
+
+            testCase.verifyEqual(impact.totalReduction, 1800, 'AbsTol', 1e-6, ...
+                'An action within the member''s emissions should keep its full impact');
+        end
+
+        function testMixedAssignedAndUnassigned(testCase)
+            % Action 1 by the second member (0-based index 1), action 2 for the whole household
+            assignments = struct('actionID', {1}, 'member', {1});
+
+            impact = calculateActionImpact('Global', householdFootprint(), [1, 2], ...
+                sampleActions(), assignments);
+
+            testCase.verifyEqual([impact.actionDetails.impact], [1500, 500], 'AbsTol', 1e-6, ...
+                'Only the assigned action should be capped at the member, sorted by impact');
+            testCase.verifyEqual(impact.categoryBreakdown.Transport, 500, 'AbsTol', 1e-6, ...
+                'Transport breakdown should hold the assigned action''s capped impact');
+            testCase.verifyEqual(impact.categoryBreakdown.Home, 1500, 'AbsTol', 1e-6, ...
+                'Home breakdown should hold the unassigned action''s impact');
+            testCase.verifyEqual(impact.totalReduction, 2000, 'AbsTol', 1e-6, ...
+                'Total reduction should be the sum of the action impacts');
+        end
+
+        function testUnknownMemberFallsBackToHousehold(testCase)
+            assignments = struct('actionID', {2}, 'member', {5});
+
+            impact = calculateActionImpact('Global', householdFootprint(), 2, ...
+                sampleActions(), assignments);
+
+            testCase.verifyEqual(impact.totalReduction, 1500, 'AbsTol', 1e-6, ...
+                'An assignment to a missing member should use the household''s emissions');
+        end
+
+        function testAssignmentsIgnoredWithoutHousehold(testCase)
+            footprint = rmfield(householdFootprint(), 'household');
+            assignments = struct('actionID', {1}, 'member', {1});
+
+            impact = calculateActionImpact('Global', footprint, 1, sampleActions(), assignments);
+
+            testCase.verifyEqual(impact.totalReduction, 1800, 'AbsTol', 1e-6, ...
+                'Assignments should be ignored for a single-person footprint');
+        end
+
+        function testHeterogeneousActionList(testCase)
+            % An action added back from the excluded list carries an extra
+            % exclusion field, so jsondecode gives a cell array
+            actions = num2cell(sampleActions());
+            actions{2}.exclusion = struct('reason', 'climate', 'value', 'Tropical', ...
+                'limit', 'Temperate,Cold');
+
+            impact = calculateActionImpact('Global', householdFootprint(), [1, 2], actions);
+
+            testCase.verifyEqual(impact.totalReduction, 3300, 'AbsTol', 1e-6, ...
+                'Actions with different fields should all be found and counted');
+            testCase.verifyEqual(sort([impact.actionDetails.id]), [1, 2], ...
+                'Both actions should appear in the details');
+        end
+
+        function testActionCappedAtCategoryEmissions(testCase)
+            footprint = householdFootprint();
+            footprint.transport = 300;
+
+            impact = calculateActionImpact('Global', footprint, 1, sampleActions());
+
+            testCase.verifyEqual(impact.totalReduction, 300, 'AbsTol', 1e-6, ...
+                'An action should never save more than its category emits');
+        end
+
+    end
+
+    methods(Test, TestTags = {'Documentation'})
+
+        function testFunctionHasHelp(testCase)
+            helpText = help('calculateActionImpact');
+            testCase.verifyNotEmpty(helpText, ...
+                'Function must have help documentation');
+
+            testCase.verifyTrue(contains(helpText, 'INPUT'), ...
+                'Help must document inputs');
+            testCase.verifyTrue(contains(helpText, 'OUTPUT'), ...
+                'Help must document outputs');
+        end
+
+        function testFunctionInCorrectLocation(testCase)
+            functionPath = which('calculateActionImpact');
+            testCase.verifyTrue(contains(functionPath, 'functions'), ...
+                'Function should be in functions/ directory');
+        end
+
+    end
+
+end
+
+function actions = sampleActions()
+% Two actions with fixed base impacts; Global has no regional multipliers
+actions = struct( ...
+    'ActionID', {1, 2}, ...
+    'ActionName', {'Switch to Electric Vehicle (BEV)', 'Switch to Heat Pump'}, ...
+    'Category', {'Transport', 'Home'}, ...
+    'BaseImpact_kg', {1800, 1500}, ...
+    'CostCategory', {'High', 'High'}, ...
+    'costLow', {5000, 5000}, ...
+    'costHigh', {50000, 50000});
+end
+
+function footprint = householdFootprint()
+% A two-person household; the second member drives much less
+footprint = struct('transport', 3000, 'home', 2000, 'food', 1800, ...
+    'digital', 200, 'consumption', 1500);
+footprint.household.members = struct( ...
+    'transport', {2500, 500}, ...
+    'home', {1000, 1000}, ...
+    'food', {900, 900}, ...
+    'digital', {100, 100}, ...
+    'consumption', {750, 750});
+end
@@ -0,0 +1,128 @@
+classdef TestFlightEmissions < matlab.unittest.TestCase
+    %TESTFLIGHTEMISSIONS Unit Test
+
+    properties (TestParameter)
+        testRegion = {'USA', 'Europe', 'Asia', 'Global'}
+    end
+
+    methods(Test)
+
+        function testNoFlightsReturnZero(testCase)
+            testCase.verifyEqual(calculateFlightEmissions('Global', struct()), 0, ...
+                'An empty flight log should produce zero emissions');
+
+            bandKm = struct('Domestic_Short', 0, 'Domestic_Medium', 0, ...
+                'International_Long', 0, 'Business_Class', 0, 'First_Class', 0);
+            testCase.verifyEqual(calculateFlightEmissions('Global', bandKm), 0, ...
+                'Zero km in every band should produce zero emissions');
+        end
+
+        function testShortHaulBoundary(testCase)
+            % The logger puts a 499 km leg in Domestic_Short and a 500 km leg in Domestic_Medium
+            below = calculateFlightEmissions('Global', struct('Domestic_Short', 499));
+            above = calculateFlightEmissions('Global', struct('Domestic_Medium', 500));
+
+            % 499×255 = 127,245 g; 500×156 = 78,000 g
+            testCase.verifyEqual(below, 127.245, 'AbsTol', 1e-6, ...
+                'Legs under 500 km should use the short-haul factor');
+            testCase.verifyEqual(above, 78.0, 'AbsTol', 1e-6, ...
+                'Legs of 500 km should use the medium-haul factor');
+            testCase.verifyGreaterThan(below, above, ...
+                'Short-haul legs should cost more per km than medium-haul legs');
+        end
+
+        function testLongHaulBoundary(testCase)
+            % The logger puts a 1599 km leg in Domestic_Medium and a 1600 km leg in International_Long
+            below = calculateFlightEmissions('Global', struct('Domestic_Medium', 1599));
+            above = calculateFlightEmissions('Global', struct('International_Long', 1600));
+
+            % 1599×156 = 249,444 g; 1600×147 = 235,200 g
+            testCase.verifyEqual(below, 249.444, 'AbsTol', 1e-6, ...
+                'Legs under 1600 km should use the medium-haul factor');
+            testCase.verifyEqual(above, 235.2, 'AbsTol', 1e-6, ...
+                'Legs of 1600 km should use the long-haul factor');
+        end
+
+        function testCabinClassFactors(testCase)
+            economy = calculateFlightEmissions('Global', struct('International_Long', 10000));
+            business = calculateFlightEmissions('Global', struct('Business_Class', 10000));
+            first = calculateFlightEmissions('Global', struct('First_Class', 10000));
+
+            testCase.verifyEqual([economy, business, first], [1470, 4290, 5880], 'AbsTol', 1e-6, ...
+                'Each cabin class should use its own factor: 147, 429 and 588 g/km');
+        end
+
+        function testBandsAreSummed(testCase)
+            bandKm = struct('Domestic_Short', 800, 'Domestic_Medium', 2400, 'International_Long', 11980);
+
+            emissions = calculateFlightEmissions('Global', bandKm);
+
+            % 800×255 + 2400×156 + 11980×147 = 204,000 + 374,400 + 1,761,060 g
+            testCase.verifyEqual(emissions, 2339.46, 'AbsTol', 1e-6, ...
+                'Emissions should be the sum over all bands');
+        end
+
+        function testMatchesAverageFlightFields(testCase)
+            % One 1500 km return trip and one 8000 km return trip, as in TestTransportEmissions
+            logged = calculateFlightEmissions('Global', ...
+                struct('Domestic_Medium', 2 * 1500, 'International_Long', 2 * 8000));
+            averaged = calculateTransportEmissions('Global', 'Car_Gasoline', ...
+                0, 0, 1, 1500, 1, 8000, 0);
+
+            testCase.verifyEqual(logged, averaged, 'RelTol', 1e-9, ...
+                'Logged economy flights should match the same flights entered as averages');
+        end
+
+        function testRegionalFactorsWithGlobalFallback(testCase, testRegion)
+            emissions = calculateFlightEmissions(testRegion, ...
+                struct('Domestic_Short', 1000, 'Business_Class', 1000));
+
+            testCase.verifyGreaterThan(emissions, 0, ...
+                sprintf('Flight emissions for %s should be positive', testRegion));
+            testCase.verifyLessThan(emissions, 1000, ...
+                sprintf('Flight emissions for %s should not be unreasonably high', testRegion));
+        end
+
+        function testUSAUsesRegionalFactor(testCase)
+            emissions = calculateFlightEmissions('USA', struct('Domestic_Short', 1000));
+
+            testCase.verifyEqual(emissions, 275, 'AbsTol', 1e-6, ...
+                'USA short-haul flights should use the EPA factor of 275 g/km');
+        end
+
+        function testNegativeDistanceThrowsError(testCase)
+            testCase.verifyError(@() calculateFlightEmissions('Global', ...
+                struct('Domestic_Short', -100)), 'FlightEmissions:InvalidDistance', ...
+                'Negative distance should throw an error');
+        end
+
+        function testUnknownBandThrowsError(testCase)
+            testCase.verifyError(@() calculateFlightEmissions('Global', ...
+                struct('Helicopter', 100)), 'FlightEmissions:InvalidBand', ...
+                'A band missing from the emission factors should throw an error');
+        end
+
+    end
+
+    methods(Test, TestTags = {'Documentation'})
+
+        function testFunctionHasHelp(testCase)
+            helpText = help('calculateFlightEmissions');
+            testCase.verifyNotEmpty(helpText, ...
+                'Function must have help documentation');
+
+            testCase.verifyTrue(contains(helpText, 'INPUTS'), ...
+                'Help must document inputs');
+            testCase.verifyTrue(contains(helpText, 'OUTPUT'), ...
+                'Help must document outputs');
+        end
+
+        function testFunctionInCorrectLocation(testCase)
+            functionPath = which('calculateFlightEmissions');
+            testCase.verifyTrue(contains(functionPath, 'functions'), ...
+                'Function should be in functions/ directory');
+        end
+
+    end
+
+end
@@ -0,0 +1,143 @@
+classdef TestFootprintBreakdown < matlab.unittest.TestCase
+    %TESTFOOTPRINTBREAKDOWN Unit Test
+
+    properties (TestParameter)
+        testRegion = {'USA', 'Europe', 'India', 'Global'}
+        testCategory = {'transport', 'home', 'food', 'digital', 'consumption'}
+    end
+
+    methods(Test)
+
+        function testSourcesAddUpToCategoryTotal(testCase, testRegion, testCategory)
+            userData = sampleUserData();
+            userData.region = testRegion;
+
+            breakdown = calculateFootprintBreakdown(userData);
+            footprint = calculateCurrentFootprint(userData);
+
+            testCase.verifyEqual(sum([breakdown.(testCategory).value]), ...
+                footprint.(testCategory), 'AbsTol', 1e-6, ...
+                sprintf('%s sources should add up to the %s total for %s', ...
+                testCategory, testCategory, testRegion));
+        end
+
+        function testLoggedFlightsAddUpToTransportTotal(testCase)
+            userData = sampleUserData();
+            userData.flightKm = struct( ...
+                'domestic', struct('Domestic_Short', 800, 'Domestic_Medium', 2400), ...
+                'international', struct('International_Long', 11980, 'Business_Class', 0));
+
+            breakdown = calculateFootprintBreakdown(userData);
+            footprint = calculateCurrentFootprint(userData);
+
+            testCase.verifyEqual(sum([breakdown.transport.value]), ...
+                footprint.transport, 'AbsTol', 1e-6, ...
+                'Transport sources should add up to the total when flights are logged');
+
+            % 800×255 + 2400×156 = 578,400 g = 578.4 kg
+            testCase.verifyEqual(breakdown.transport(2).value, 578.4, 'AbsTol', 0.01, ...
+                'Logged domestic flights should replace the average flight fields');
+        end
+
+        function testHomeShareScalesHomeSources(testCase)
+            userData = sampleUserData();
+            full = calculateFootprintBreakdown(userData);
+
+            userData.homeShare = 0.25;
+            shared = calculateFootprintBreakdown(userData);
+
+            testCase.verifyEqual([shared.home.value], [full.home.value] * 0.25, 'AbsTol', 1e-6, ...
+                'Each home source should be scaled to the member''s share');
+            testCase.verifyEqual(sum([shared.home.value]), ...
+                calculateCurrentFootprint(userData).home, 'AbsTol', 1e-6, ...
+                'Shared home sources should add up to the shared home total');
+        end
+
+        function testZeroInputsGiveZeroSources(testCase)
+            userData = sampleUserData();
+            zeroFields = {'dailyCommuteKm', 'commuteDays', 'domesticFlights', ...
+                'avgDomesticFlightKm', 'internationalFlights', 'avgInternationalFlightKm', ...
+                'otherTravelKm', 'monthlyElectricityKWh', 'monthlyNaturalGasKWh'};
+            for i = 1:length(zeroFields)
+                userData.(zeroFields{i}) = 0;
+            end
+
+            breakdown = calculateFootprintBreakdown(userData);
+
+            testCase.verifyEqual([breakdown.transport.value], zeros(1, 4), ...
+                'Zero travel should give zero for every transport source');
+            testCase.verifyEqual([breakdown.home.value], zeros(1, 2), ...
+                'Zero energy use should give zero for every home source');
+        end
+
+        function testSourceKeys(testCase)
+            breakdown = calculateFootprintBreakdown(sampleUserData());
+
+            testCase.verifyEqual({breakdown.transport.key}, ...
+                {'commute', 'domesticFlights', 'internationalFlights', 'otherTravel'}, ...
+                'Transport sources should keep their stable keys');
+            testCase.verifyEqual({breakdown.home.key}, {'electricity', 'naturalGas'}, ...
+                'Home sources should keep their stable keys');
+            testCase.verifyEqual({breakdown.consumption.key}, ...
+                {'shopping', 'clothing', 'electronics', 'furniture'}, ...
+                'Consumption sources should keep their stable keys');
+        end
+
+        function testPurchasesAreChargedPerItem(testCase)
+            breakdown = calculateFootprintBreakdown(sampleUserData());
+
+            % 12 clothing items × 20 kg, 1 device × 200 kg, 1 furniture item × 300 kg
+            testCase.verifyEqual([breakdown.consumption(2:4).value], [240, 200, 300], ...
+                'AbsTol', 0.01, 'Each purchase type should exclude the shopping baseline');
+        end
+
+    end
+
+    methods(Test, TestTags = {'Documentation'})
+
+        function testFunctionHasHelp(testCase)
+            helpText = help('calculateFootprintBreakdown');
+            testCase.verifyNotEmpty(helpText, ...
+                'Function must have help documentation');
+
+            testCase.verifyTrue(contains(helpText, 'INPUT'), ...
+                'Help must document inputs');
+            testCase.verifyTrue(contains(helpText, 'OUTPUT'), ...
+                'Help must document outputs');
+        end
+
+        function testFunctionInCorrectLocation(testCase)
+            functionPath = which('calculateFootprintBreakdown');
+            testCase.verifyTrue(contains(functionPath, 'functions'), ...
+                'Function should be in functions/ directory');
+        end
+
+    end
+
+end
+
+function userData = sampleUserData()
+% A typical single-person input with every source non-zero
+userData = struct( ...
+    'region', 'Global', ...
+    'commuteMode', 'Car_Gasoline', ...
+    'dailyCommuteKm', 20, ...
+    'commuteDays', 230, ...
+    'domesticFlights', 2, ...
+    'avgDomesticFlightKm', 1200, ...
+    'internationalFlights', 1, ...
+    'avgInternationalFlightKm', 6000, ...
+    'otherTravelKm', 500, ...
+    'monthlyElectricityKWh', 350, ...
+    'monthlyNaturalGasKWh', 600, ...
+    'dietType', 'balanced', ...
+    'streamingHoursPerDay', 2, ...
+    'aiQueriesPerDay', 20, ...
+    'cloudStorageGB', 100, ...
+    'videoCallHoursPerWeek', 5, ...
+    'emailsPerDay', 40, ...
+    'shoppingFrequency', 'moderate', ...
+    'clothingPurchases', 12, ...
+    'electronicsPurchases', 1, ...
+    'furniturePurchases', 1);
+end
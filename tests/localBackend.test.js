@@ -0,0 +1,176 @@
+// The JavaScript port of the MATLAB functions (exercises/Ex4_LocalBackend.js)
+// against results the MATLAB functions give for the same inputs, worked
+// out from functions/*.m (the action cases are those of TestActionImpact).
+// Run from the repository root with Node 18 or later:
+//   node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// LocalBackend reading the CSV files in data/ through a fetch stub
+function loadLocalBackend(timer = setTimeout) {
+    const context = vm.createContext({
+        console: { log() {}, warn() {}, error() {} },
+        setTimeout: timer,
+        fetch: file => new Promise(resolve => {
+            fs.readFile(file, 'utf8', (error, text) => resolve({
+                ok: !error,
+                text: () => Promise.resolve(text)
+            }));
+        })
+    });
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'exercises', 'Ex4_LocalBackend.js'), 'utf8'),
+        context, { filename: 'Ex4_LocalBackend.js' });
+
+    const backend = vm.runInContext('LocalBackend', context);
+    backend.setDataPath(path.join(ROOT, 'data'));
+    return backend;
+}
+
+// Sends one event the way the uihtml component does and waits for the reply
+function request(eventName, data, replyEvent) {
+    const component = loadLocalBackend().createComponent();
+    return new Promise((resolve, reject) => {
+        component.addEventListener(replyEvent, event => resolve(event.Data));
+        component.addEventListener('Error', event => reject(new Error(event.Data.message)));
+        component.sendEventToMATLAB(eventName, data);
+    });
+}
+
+function near(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: expected ${expected}, got ${actual}`);
+}
+
+const USER_DATA = {
+    region: 'Global',
+    commuteMode: 'Car_Gasoline',
+    dailyCommuteKm: 20,
+    commuteDays: 250,
+    domesticFlights: 2,
+    avgDomesticFlightKm: 1500,
+    internationalFlights: 1,
+    avgInternationalFlightKm: 8000,
+    otherTravelKm: 50,
+    monthlyElectricityKWh: 300,
+    monthlyNaturalGasKWh: 500,
+    dietType: 'balanced',
+    streamingHoursPerDay: 2,
+    aiQueriesPerDay: 10,
+    cloudStorageGB: 100,
+    videoCallHoursPerWeek: 5,
+    emailsPerDay: 20,
+    shoppingFrequency: 'moderate',
+    clothingPurchases: 10,
+    electronicsPurchases: 1,
+    furniturePurchases: 0
+};
+
+// Two actions with fixed base impacts; Global has no regional multipliers
+const ACTIONS = [
+    { ActionID: 1, ActionName: 'Switch to Electric Vehicle (BEV)', Category: 'Transport',
+        BaseImpact_kg: 1800, CostCategory: 'High', costLow: 5000, costHigh: 50000 },
+    { ActionID: 2, ActionName: 'Switch to Heat Pump', Category: 'Home',
+        BaseImpact_kg: 1500, CostCategory: 'High', costLow: 5000, costHigh: 50000 }
+];
+
+// A two-person household; the second member drives much less
+function householdFootprint() {
+    const member = (transport, home) => ({ transport, home, food: 900, digital: 100, consumption: 750 });
+    return {
+        transport: 3000, home: 2000, food: 1800, digital: 200, consumption: 1500,
+        total: 8500, parisTarget: 4,
+        household: { members: [member(2500, 1000), member(500, 1000)] }
+    };
+}
+
+test('CalculateFootprint matches calculateCurrentFootprint', async () => {
+    const footprint = await request('CalculateFootprint', USER_DATA, 'FootprintCalculated');
+
+    // calculateTransportEmissions takes the first Car_Gasoline row for the
+    // region, 109 g/km: commute 20×2×250×109 g, other travel 50×52×109 g;
+    // flights 2×2×1500×156 + 1×2×8000×147 g
+    near(footprint.transport, 1090 + 283.4 + 3288, 'transport');
+    // Electricity 3600 kWh × 473 g (Global grid), gas 6000 kWh × 200 g
+    near(footprint.home, 1702.8 + 1200, 'home');
+    near(footprint.food, 1800, 'food');
+    // Streaming 40,150, AI 36,500, storage 20, video calls 39,000, email 29,200 g
+    near(footprint.digital, 144.87, 'digital');
+    near(footprint.consumption, 1500 + 200 + 200, 'consumption');
+    near(footprint.total, 11409.07, 'total');
+    near(footprint.totalTons, 11.40907, 'totalTons');
+});
+
+test('CalculateFootprint scales home emissions by homeShare', async () => {
+    const footprint = await request('CalculateFootprint', Object.assign({}, USER_DATA, { homeShare: 0.25 }),
+        'FootprintCalculated');
+
+    near(footprint.home, 2902.8 * 0.25, 'shared home');
+});
+
+test('CalculateActionImpact caps actions at the household and assigned member', async () => {
+    const unassigned = await request('CalculateActionImpact', {
+        region: 'Global',
+        currentFootprint: householdFootprint(),
+        selectedActionIDs: [1],
+        allActions: ACTIONS
+    }, 'ImpactCalculated');
+    near(unassigned.totalReduction, 1800, 'unassigned action');
+
+    const mixed = await request('CalculateActionImpact', {
+        region: 'Global',
+        currentFootprint: householdFootprint(),
+        selectedActionIDs: [1, 2],
+        allActions: ACTIONS,
+        assignments: [{ actionID: 1, member: 1 }]
+    }, 'ImpactCalculated');
+    assert.deepStrictEqual(Array.from(mixed.actionDetails, detail => detail.impact), [1500, 500],
+        'only the assigned action should be capped at the member, sorted by impact');
+    near(mixed.categoryBreakdown.Transport, 500, 'transport breakdown');
+    near(mixed.categoryBreakdown.Home, 1500, 'home breakdown');
+    near(mixed.totalReduction, 2000, 'total reduction');
+    near(mixed.newTotal, 6.5, 'new total (t)');
+});
+
+test('CalculateActionImpact never saves more than a category emits', async () => {
+    const footprint = Object.assign(householdFootprint(), { transport: 300 });
+    delete footprint.household;
+
+    const impact = await request('CalculateActionImpact', {
+        region: 'Global',
+        currentFootprint: footprint,
+        selectedActionIDs: [1],
+        allActions: ACTIONS
+    }, 'ImpactCalculated');
+    near(impact.totalReduction, 300, 'capped reduction');
+});
+
+test('an exception in a reply listener is not sent back as a backend Error', async () => {
+    const thrown = [];
+    const timer = (callback, ms) => setTimeout(() => {
+        try {
+            callback();
+        } catch (error) {
+            thrown.push(error);
+        }
+    }, ms);
+    const component = loadLocalBackend(timer).createComponent();
+    const errors = [];
+    component.addEventListener('Error', event => errors.push(event.Data));
+
+    await new Promise(resolve => {
+        component.addEventListener('FootprintCalculated', () => {
+            setTimeout(resolve, 10);
+            throw new Error('listener failed');
+        });
+        component.sendEventToMATLAB('CalculateFootprint', USER_DATA);
+    });
+
+    assert.strictEqual(thrown.length, 1, 'the listener\'s exception should reach the caller');
+    assert.strictEqual(thrown[0].message, 'listener failed');
+    assert.strictEqual(errors.length, 0, 'no Error event should be sent');
+});
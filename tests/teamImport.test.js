@@ -0,0 +1,105 @@
+// Plan files opened on the Team tab (TeamDashboard.importText): well-formed
+// files are added, malformed ones are turned away with a reason.
+// Run from the repository root with Node 18 or later:
+//   node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const EXERCISES = path.join(__dirname, '..', 'exercises');
+
+// The two modules with the globals they use stubbed: messages are their keys
+// and the backend knows two regions and three actions
+function loadTeamDashboard() {
+    const context = vm.createContext({
+        I18n: { t: key => key },
+        BackendBridge: {
+            request: eventName => Promise.resolve({
+                GetRegions: [{ Region: 'Global' }, { Region: 'Europe' }],
+                GetAvailableActions: [{ ActionID: 1 }, { ActionID: 2 }],
+                GetExcludedActions: [{ ActionID: 3 }]
+            }[eventName])
+        }
+    });
+    ['Ex4_Export.js', 'Ex4_TeamDashboard.js'].forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(EXERCISES, file), 'utf8'), context, { filename: file });
+    });
+    return vm.runInContext('TeamDashboard', context);
+}
+
+function planFile(changes = {}) {
+    const bundle = {
+        format: 'carbon-tracker-plan',
+        version: 1,
+        formValues: { region: 'Europe' },
+        currentFootprint: {
+            region: 'Europe',
+            total: 8000,
+            totalTons: 8,
+            transport: 3000,
+            home: 2000,
+            food: 1800,
+            digital: 200,
+            consumption: 1000,
+            breakdown: {}
+        },
+        impactData: {
+            totalReduction: 1500,
+            newTotal: 6.5,
+            reductionPercent: 18.75,
+            actionDetails: [{ id: 1, impact: 1000 }, { id: 3, impact: 500 }]
+        },
+        selectedActions: [{ ActionID: 1 }, { ActionID: 3 }]
+    };
+    return JSON.stringify(Object.assign(bundle, changes));
+}
+
+test('a well-formed plan file is added', async () => {
+    const team = loadTeamDashboard();
+    await team.importText('ana.json', planFile());
+});
+
+test('a file that is not JSON is rejected', async () => {
+    const team = loadTeamDashboard();
+    await assert.rejects(team.importText('notes.json', 'not a plan'), { message: 'reason.notJSON' });
+});
+
+test('a footprint without totalTons is rejected', async () => {
+    const team = loadTeamDashboard();
+    const footprint = JSON.parse(planFile()).currentFootprint;
+    delete footprint.totalTons;
+
+    await assert.rejects(team.importText('ben.json', planFile({ currentFootprint: footprint })),
+        { message: 'reason.noFootprint' });
+});
+
+test('a footprint without a breakdown is rejected', async () => {
+    const team = loadTeamDashboard();
+    const footprint = JSON.parse(planFile()).currentFootprint;
+    delete footprint.breakdown;
+
+    await assert.rejects(team.importText('cy.json', planFile({ currentFootprint: footprint })),
+        { message: 'reason.noFootprint' });
+});
+
+test('a region the backend does not know is rejected', async () => {
+    const team = loadTeamDashboard();
+    const footprint = JSON.parse(planFile()).currentFootprint;
+    footprint.region = '<img src=x onerror=alert(1)>';
+
+    await assert.rejects(team.importText('dee.json', planFile({ currentFootprint: footprint })),
+        { message: 'reason.unknownRegion' });
+});
+
+test('an action the backend does not know is rejected', async () => {
+    const team = loadTeamDashboard();
+
+    await assert.rejects(team.importText('eve.json', planFile({ selectedActions: [{ ActionID: 99 }] })),
+        { message: 'reason.unknownAction' });
+    await assert.rejects(team.importText('eve.json', planFile({
+        impactData: { totalReduction: 0, newTotal: 8, reductionPercent: 0, actionDetails: [{ id: 99, impact: 0 }] }
+    })), { message: 'reason.unknownAction' });
+});